@@ -0,0 +1,673 @@
+// Options Script - Class-based Implementation
+
+/**
+ * OptionsPage - 詳細設定ページ（カスタムルールの編集・検証・保存）を管理するクラス
+ */
+class OptionsPage {
+  constructor() {
+    // chrome.storage.syncの1項目あたりの上限（キー名を含むバイト数）
+    this.maxRulesBytes = chrome.storage.sync.QUOTA_BYTES_PER_ITEM || 8192;
+
+    // 入力中の検証を間引く間隔（ミリ秒）
+    this.validateDelay = 300;
+    this.validateTimer = null;
+
+    // 保存済みのルール（未保存の変更の判定用）
+    this.savedRules = '';
+
+    // DOM要素のキャッシュ
+    this.elements = {
+      rulesInput: null,
+      rulesStatus: null,
+      rulesErrors: null,
+      rulesSave: null
+    };
+
+    // バインドされたイベントハンドラ
+    this.handleInput = this.handleInput.bind(this);
+    this.handleSave = this.handleSave.bind(this);
+  }
+
+  /**
+   * 初期化
+   */
+  async init() {
+    this.cacheElements();
+    this.bindEvents();
+    await this.loadRules();
+  }
+
+  /**
+   * DOM要素をキャッシュ
+   */
+  cacheElements() {
+    this.elements.rulesInput = document.getElementById('rules-input');
+    this.elements.rulesStatus = document.getElementById('rules-status');
+    this.elements.rulesErrors = document.getElementById('rules-errors');
+    this.elements.rulesSave = document.getElementById('rules-save');
+  }
+
+  /**
+   * イベントを設定
+   */
+  bindEvents() {
+    this.elements.rulesInput.addEventListener('input', this.handleInput);
+    this.elements.rulesSave.addEventListener('click', this.handleSave);
+  }
+
+  /**
+   * 保存済みのルールを読み込み
+   */
+  async loadRules() {
+    try {
+      const result = await chrome.storage.sync.get(['customRules']);
+      this.savedRules = result.customRules || '';
+      this.elements.rulesInput.value = this.savedRules;
+      this.validate();
+    } catch (error) {
+      console.error('[Options] Failed to load custom rules:', error);
+      this.showStatus('ルールを読み込めませんでした', 'error');
+    }
+  }
+
+  /**
+   * ルールを検証して結果を表示
+   * @returns {{rules: Object[], errors: Array<{line: number, message: string}>}} 検証結果
+   */
+  validate() {
+    const text = this.elements.rulesInput.value;
+    const { rules, errors } = RuleEngine.parse(text);
+    const sizeError = this.getSizeError(text);
+    const allErrors = sizeError ? [...errors, { line: 0, message: sizeError }] : errors;
+
+    this.renderErrors(allErrors);
+    this.elements.rulesSave.disabled = allErrors.length > 0;
+
+    // sellerを使うルールは検索結果では適用されないことを伝える
+    const productPageOnly = rules.filter(rule => rule.productPageOnly).length;
+    const scopeText = productPageOnly > 0 ? `、うち${productPageOnly}件は商品ページのみ` : '';
+
+    if (allErrors.length > 0) {
+      this.showStatus(`${allErrors.length}件のエラーがあります`, 'error');
+    } else if (text !== this.savedRules) {
+      this.showStatus(`${rules.length}件のルール（未保存${scopeText}）`, 'pending');
+    } else {
+      this.showStatus(`${rules.length}件のルール${scopeText ? `（${scopeText.slice(1)}）` : ''}`, 'ok');
+    }
+
+    return { rules, errors: allErrors };
+  }
+
+  /**
+   * chrome.storage.syncの容量を超えるかチェック
+   * @param {string} text - ルールのテキスト
+   * @returns {string|null} 超える場合はエラーメッセージ
+   */
+  getSizeError(text) {
+    const bytes = new TextEncoder().encode('customRules' + JSON.stringify(text)).length;
+    if (bytes > this.maxRulesBytes) {
+      return `ルールが長すぎます（${bytes.toLocaleString()} / ${this.maxRulesBytes.toLocaleString()}バイト）`;
+    }
+    return null;
+  }
+
+  /**
+   * エラー一覧を描画
+   * @param {Array<{line: number, message: string}>} errors - エラー
+   */
+  renderErrors(errors) {
+    const list = this.elements.rulesErrors;
+    list.innerHTML = '';
+    for (const error of errors) {
+      const item = document.createElement('li');
+      item.textContent = error.message;
+      list.appendChild(item);
+    }
+  }
+
+  /**
+   * 状態メッセージを表示
+   * @param {string} message - メッセージ
+   * @param {'ok'|'pending'|'error'} type - 種類
+   */
+  showStatus(message, type) {
+    this.elements.rulesStatus.textContent = message;
+    this.elements.rulesStatus.className = `rules-status rules-status-${type}`;
+  }
+
+  /**
+   * 入力時の処理（入力が止まってから検証）
+   */
+  handleInput() {
+    clearTimeout(this.validateTimer);
+    this.validateTimer = setTimeout(() => this.validate(), this.validateDelay);
+  }
+
+  /**
+   * 保存ボタンの処理
+   */
+  async handleSave() {
+    clearTimeout(this.validateTimer);
+    const { rules, errors } = this.validate();
+    if (errors.length > 0) {
+      return;
+    }
+
+    try {
+      const text = this.elements.rulesInput.value;
+      await chrome.storage.sync.set({ customRules: text });
+      this.savedRules = text;
+      this.showStatus(`${rules.length}件のルールを保存しました`, 'ok');
+    } catch (error) {
+      console.error('[Options] Failed to save custom rules:', error);
+      this.showStatus('保存に失敗しました', 'error');
+    }
+  }
+}
+
+/**
+ * CalibrationWorkbench - 判定の較正（ラベルの集計・閾値の提案・ラベルの管理）を管理するクラス
+ */
+class CalibrationWorkbench {
+  constructor() {
+    // ユーザーが付けたラベル（古い順）と、スターターセット（PM会議の検出例）
+    this.labels = [];
+    this.starterSamples = [];
+
+    // DOM要素のキャッシュ
+    this.elements = {
+      labelMode: null,
+      includeStarter: null,
+      summary: null,
+      metrics: null,
+      suggestionNote: null,
+      suggestions: null,
+      snippet: null,
+      labelList: null,
+      exportButton: null,
+      clearButton: null
+    };
+
+    // バインドされたイベントハンドラ
+    this.handleLabelModeChange = this.handleLabelModeChange.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+    this.handleExport = this.handleExport.bind(this);
+    this.handleClear = this.handleClear.bind(this);
+    this.render = this.render.bind(this);
+  }
+
+  /**
+   * 初期化
+   */
+  async init() {
+    this.cacheElements();
+    this.bindEvents();
+
+    const [settings, starterSamples, labels, config] = await Promise.all([
+      chrome.storage.local.get([Calibration.LABEL_MODE_KEY]),
+      Calibration.loadStarterSet(),
+      Calibration.load(),
+      ProductFilter.loadConfig()
+    ]);
+    this.elements.labelMode.checked = settings[Calibration.LABEL_MODE_KEY] === true;
+    // 検出例は商品情報だけなので、開くたびに現在のチェッカーで採点する
+    this.starterSamples = Calibration.scoreStarterSet(starterSamples, config);
+    this.labels = labels;
+    this.render();
+  }
+
+  /**
+   * DOM要素をキャッシュ
+   */
+  cacheElements() {
+    this.elements.labelMode = document.getElementById('calibration-label-mode');
+    this.elements.includeStarter = document.getElementById('calibration-include-starter');
+    this.elements.summary = document.getElementById('calibration-summary');
+    this.elements.metrics = document.getElementById('calibration-metrics');
+    this.elements.suggestionNote = document.getElementById('calibration-suggestion-note');
+    this.elements.suggestions = document.getElementById('calibration-suggestions');
+    this.elements.snippet = document.getElementById('calibration-snippet');
+    this.elements.labelList = document.getElementById('calibration-labels');
+    this.elements.exportButton = document.getElementById('calibration-export');
+    this.elements.clearButton = document.getElementById('calibration-clear');
+  }
+
+  /**
+   * イベントを設定
+   */
+  bindEvents() {
+    this.elements.labelMode.addEventListener('change', this.handleLabelModeChange);
+    this.elements.includeStarter.addEventListener('change', this.render);
+    this.elements.exportButton.addEventListener('click', this.handleExport);
+    this.elements.clearButton.addEventListener('click', this.handleClear);
+
+    // 検索結果ページで付けたラベルをすぐに反映
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+  }
+
+  /**
+   * 集計に使うラベル（スターターセットを含める場合は先頭に追加）
+   * @returns {Object[]} ラベル
+   */
+  getSamples() {
+    return this.elements.includeStarter.checked ? [...this.starterSamples, ...this.labels] : this.labels;
+  }
+
+  /**
+   * すべての表示を更新
+   */
+  render() {
+    const samples = this.getSamples();
+    this.renderSummary(samples);
+    this.renderMetrics(samples);
+    this.renderSuggestions(samples);
+    this.renderLabels();
+  }
+
+  /**
+   * ラベルの件数を表示
+   * @param {Object[]} samples - 集計に使うラベル
+   */
+  renderSummary(samples) {
+    const count = label => samples.filter(sample => sample.label === label).length;
+    const starterText = this.elements.includeStarter.checked ? `（うち検出例 ${this.starterSamples.length}件）` : '';
+    this.elements.summary.textContent =
+      `ラベル ${samples.length}件${starterText}: ` +
+      `${Calibration.LABEL_NAMES.good} ${count(Calibration.LABELS.GOOD)}件・` +
+      `${Calibration.LABEL_NAMES.junk} ${count(Calibration.LABELS.JUNK)}件`;
+  }
+
+  /**
+   * フィルターレベルごとの混同行列と適合率・再現率を表示
+   * @param {Object[]} samples - 集計に使うラベル
+   */
+  renderMetrics(samples) {
+    const tbody = this.elements.metrics;
+    tbody.innerHTML = '';
+
+    for (const result of Calibration.evaluate(samples)) {
+      const rows = [
+        { name: '非表示', threshold: this.formatThreshold(result.thresholds.hide), metrics: result.hide },
+        { name: '警告以上', threshold: this.formatThreshold(result.thresholds.warn), metrics: result.warn }
+      ];
+      rows.forEach((row, index) => {
+        const { metrics } = row;
+        this.appendRow(tbody, [
+          index === 0 ? `${result.level}: ${result.name}` : '',
+          row.name,
+          row.threshold,
+          metrics.tp,
+          metrics.fp,
+          metrics.fn,
+          metrics.tn,
+          this.formatRate(metrics.precision),
+          this.formatRate(metrics.recall)
+        ], [1]);
+      });
+    }
+  }
+
+  /**
+   * 閾値の提案と、ScoreCalculator.LEVEL_THRESHOLDSに貼り付けるコードを表示
+   * @param {Object[]} samples - 集計に使うラベル
+   */
+  renderSuggestions(samples) {
+    const tbody = this.elements.suggestions;
+    tbody.innerHTML = '';
+
+    const suggestion = Calibration.suggestThresholds(samples);
+    if (!suggestion.ready) {
+      const min = Calibration.CONFIG.MIN_LABELS_PER_CLASS;
+      this.elements.suggestionNote.textContent =
+        `閾値を提案するには、信頼ブランド以外の商品に「${Calibration.LABEL_NAMES.good}」「${Calibration.LABEL_NAMES.junk}」のラベルが` +
+        `それぞれ${min}件以上必要です（現在 ${suggestion.counts.good}件・${suggestion.counts.junk}件）。`;
+      this.elements.snippet.hidden = true;
+      return;
+    }
+
+    const targets = Object.entries(Calibration.CONFIG.TARGET_PRECISION)
+      .map(([level, target]) => `${ScoreCalculator.LEVEL_NAMES[level]} ${this.formatTarget(target)}`)
+      .join('、');
+    this.elements.suggestionNote.textContent =
+      `目標の適合率（${targets}）を満たす最も低いスコアを提案します。目標に届かない場合は現在の値のままです。`;
+
+    const proposed = {};
+    for (const [level, current] of Object.entries(ScoreCalculator.LEVEL_THRESHOLDS)) {
+      const levelSuggestion = suggestion.levels[level] || {};
+      const next = {
+        warn: levelSuggestion.warn ? levelSuggestion.warn.threshold : current.warn,
+        hide: levelSuggestion.hide ? levelSuggestion.hide.threshold : current.hide
+      };
+      proposed[level] = next;
+
+      const row = this.appendRow(tbody, [
+        `${level}: ${ScoreCalculator.LEVEL_NAMES[level]}`,
+        `${this.formatThreshold(current.warn)} / ${this.formatThreshold(current.hide)}`,
+        `${this.formatThreshold(next.warn)} / ${this.formatThreshold(next.hide)}`
+      ]);
+      if (next.warn !== current.warn || next.hide !== current.hide) {
+        row.lastChild.classList.add('calibration-changed');
+      }
+    }
+
+    const lines = Object.entries(proposed).map(([level, { warn, hide }]) =>
+      `  ${level}: { warn: ${warn}, hide: ${Number.isFinite(hide) ? hide : 'Infinity'} }`);
+    this.elements.snippet.textContent = `LEVEL_THRESHOLDS: {\n${lines.join(',\n')}\n}`;
+    this.elements.snippet.hidden = false;
+  }
+
+  /**
+   * ユーザーが付けたラベルの一覧を表示（新しい順）
+   */
+  renderLabels() {
+    const list = this.elements.labelList;
+    list.innerHTML = '';
+
+    if (this.labels.length === 0) {
+      const item = document.createElement('li');
+      item.className = 'calibration-empty';
+      item.textContent = 'まだラベルがありません。検索結果のバッジの「内訳」から付けられます。';
+      list.appendChild(item);
+      this.elements.exportButton.disabled = true;
+      this.elements.clearButton.disabled = true;
+      return;
+    }
+
+    for (const entry of [...this.labels].reverse()) {
+      const item = document.createElement('li');
+
+      const tag = document.createElement('span');
+      tag.className = `calibration-label-tag calibration-label-${entry.label}`;
+      tag.textContent = Calibration.LABEL_NAMES[entry.label] || entry.label;
+
+      const title = document.createElement('span');
+      title.className = 'calibration-label-title';
+      title.textContent = entry.features.title || entry.features.brandName || entry.id;
+      title.title = title.textContent;
+
+      const score = document.createElement('span');
+      score.className = 'calibration-label-score';
+      score.textContent = entry.isTrusted ? '信頼ブランド' : `${entry.score}点`;
+
+      const deleteButton = document.createElement('button');
+      deleteButton.type = 'button';
+      deleteButton.className = 'calibration-label-delete';
+      deleteButton.textContent = '×';
+      deleteButton.setAttribute('aria-label', `${title.textContent}のラベルを削除`);
+      deleteButton.addEventListener('click', () => this.handleDelete(entry.id));
+
+      item.append(tag, title, score, deleteButton);
+      list.appendChild(item);
+    }
+
+    this.elements.exportButton.disabled = false;
+    this.elements.clearButton.disabled = false;
+  }
+
+  /**
+   * 表の行を追加
+   * @param {Element} tbody - 表の本体
+   * @param {Array<string|number>} cells - セルの値
+   * @param {number[]} [textColumns=[]] - 左寄せにする列（先頭の列以外）
+   * @returns {Element} 追加した行
+   */
+  appendRow(tbody, cells, textColumns = []) {
+    const row = document.createElement('tr');
+    cells.forEach((value, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = String(value);
+      if (textColumns.includes(index)) {
+        cell.className = 'calibration-cell-text';
+      }
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+    return row;
+  }
+
+  /**
+   * 割合を整形
+   * @param {number|null} value - 0〜1の割合
+   * @returns {string} 「83%」形式の文字列（計算できない場合は「—」）
+   */
+  formatRate(value) {
+    return value === null ? '—' : `${Math.round(value * 100)}%`;
+  }
+
+  /**
+   * 閾値を整形
+   * @param {number} value - 閾値
+   * @returns {string} 閾値（Infinityは「なし」）
+   */
+  formatThreshold(value) {
+    return Number.isFinite(value) ? String(value) : 'なし';
+  }
+
+  /**
+   * レベルごとの目標の適合率を整形
+   * @param {{warn: number, hide?: number}} target - 目標の適合率
+   * @returns {string} 「警告70%・非表示95%」形式の文字列
+   */
+  formatTarget(target) {
+    const parts = [`警告${this.formatRate(target.warn)}`];
+    if (target.hide) {
+      parts.push(`非表示${this.formatRate(target.hide)}`);
+    }
+    return parts.join('・');
+  }
+
+  /**
+   * ラベル付けモードの切り替え（検索結果ページは設定の変更を検知して再フィルタする）
+   */
+  async handleLabelModeChange() {
+    try {
+      await chrome.storage.local.set({ [Calibration.LABEL_MODE_KEY]: this.elements.labelMode.checked });
+    } catch (error) {
+      console.error('[Options] Failed to save label mode:', error);
+    }
+  }
+
+  /**
+   * ストレージの変更（他のタブで付けたラベル）を反映
+   * @param {Object} changes - 変更内容
+   * @param {string} areaName - ストレージの種類
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'local' || !changes[Calibration.STORAGE_KEY]) {
+      return;
+    }
+    const labels = changes[Calibration.STORAGE_KEY].newValue;
+    this.labels = Array.isArray(labels) ? labels : [];
+    this.render();
+  }
+
+  /**
+   * ラベルを1件削除
+   * @param {string} id - ラベルのID
+   */
+  async handleDelete(id) {
+    try {
+      this.labels = await Calibration.remove(id);
+      this.render();
+    } catch (error) {
+      console.error('[Options] Failed to delete label:', error);
+    }
+  }
+
+  /**
+   * すべてのラベルを削除
+   */
+  async handleClear() {
+    if (!confirm(`${this.labels.length}件のラベルをすべて削除しますか？`)) {
+      return;
+    }
+    try {
+      this.labels = await Calibration.clear();
+      this.render();
+    } catch (error) {
+      console.error('[Options] Failed to clear labels:', error);
+    }
+  }
+
+  /**
+   * ラベルをJSONファイルとして書き出す（閾値の見直しに共有する用）
+   */
+  handleExport() {
+    const data = {
+      exportedAt: new Date().toISOString(),
+      thresholds: ScoreCalculator.LEVEL_THRESHOLDS,
+      samples: this.labels
+    };
+    // InfinityはJSONにできないため文字列にする
+    const json = JSON.stringify(data, (key, value) => (value === Infinity ? 'Infinity' : value), 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `calibration-labels-${data.exportedAt.split('T')[0]}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * LearnedScorerPanel - 学習モード（モードの切り替え・重みの表示・リセット）を管理するクラス
+ */
+class LearnedScorerPanel {
+  constructor() {
+    // DOM要素のキャッシュ
+    this.elements = {
+      mode: null,
+      status: null,
+      weights: null,
+      resetButton: null
+    };
+
+    // バインドされたイベントハンドラ
+    this.handleModeChange = this.handleModeChange.bind(this);
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+    this.handleReset = this.handleReset.bind(this);
+  }
+
+  /**
+   * 初期化
+   */
+  async init() {
+    this.cacheElements();
+    this.bindEvents();
+
+    const [mode, model] = await Promise.all([LearnedScorer.loadMode(), LearnedScorer.load()]);
+    this.elements.mode.value = mode;
+    this.render(model);
+  }
+
+  /**
+   * DOM要素をキャッシュ
+   */
+  cacheElements() {
+    this.elements.mode = document.getElementById('learned-mode');
+    this.elements.status = document.getElementById('learned-status');
+    this.elements.weights = document.getElementById('learned-weights');
+    this.elements.resetButton = document.getElementById('learned-reset');
+  }
+
+  /**
+   * イベントを設定
+   */
+  bindEvents() {
+    this.elements.mode.addEventListener('change', this.handleModeChange);
+    this.elements.resetButton.addEventListener('click', this.handleReset);
+
+    // 検索結果ページでの学習をすぐに反映
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+  }
+
+  /**
+   * 学習の状況と重みを表示
+   * @param {Object} model - 重み（LearnedScorer.loadの戻り値）
+   */
+  render(model) {
+    if (model.examples === 0) {
+      this.elements.status.textContent = 'まだ学習していません（初期値では合計スコアと同じ判定になります）';
+    } else {
+      const updatedAt = new Date(model.updatedAt).toLocaleString('ja-JP');
+      this.elements.status.textContent =
+        `学習した例 ${model.examples}件（怪しい ${model.positives}件・問題なし ${model.examples - model.positives}件）/ 最終更新 ${updatedAt}`;
+    }
+
+    const tbody = this.elements.weights;
+    tbody.innerHTML = '';
+    const rows = [{ id: 'bias', label: 'バイアス' }, ...LearnedScorer.FEATURES];
+    for (const { id, label } of rows) {
+      const initial = LearnedScorer.INITIAL_WEIGHTS[id];
+      const current = model.weights[id];
+      const diff = current - initial;
+
+      const row = document.createElement('tr');
+      for (const value of [label, initial.toFixed(2), current.toFixed(2), `${diff >= 0 ? '+' : ''}${diff.toFixed(2)}`]) {
+        const cell = document.createElement('td');
+        cell.textContent = value;
+        row.appendChild(cell);
+      }
+      if (Math.abs(diff) >= 0.005) {
+        row.lastChild.classList.add('calibration-changed');
+      }
+      tbody.appendChild(row);
+    }
+
+    this.elements.resetButton.disabled = model.examples === 0;
+  }
+
+  /**
+   * 学習モードの切り替え（検索結果ページは設定の変更を検知して再フィルタする）
+   */
+  async handleModeChange() {
+    try {
+      await chrome.storage.local.set({ [LearnedScorer.MODE_KEY]: this.elements.mode.value });
+    } catch (error) {
+      console.error('[Options] Failed to save learned scorer mode:', error);
+    }
+  }
+
+  /**
+   * ストレージの変更（重みの更新）を反映
+   * @param {Object} changes - 変更内容
+   * @param {string} areaName - ストレージの種類
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName === 'local' && changes[LearnedScorer.STORAGE_KEY]) {
+      this.render(LearnedScorer.normalizeModel(changes[LearnedScorer.STORAGE_KEY].newValue));
+    }
+  }
+
+  /**
+   * 重みを初期値に戻す（書き込みはService Workerで直列に行う）
+   */
+  async handleReset() {
+    if (!confirm('学習した重みを初期値に戻しますか？')) {
+      return;
+    }
+    try {
+      await chrome.runtime.sendMessage({ action: 'resetLearnedScorer' });
+    } catch (error) {
+      console.error('[Options] Failed to reset learned scorer:', error);
+    }
+  }
+}
+
+// DOMContentLoadedで初期化
+document.addEventListener('DOMContentLoaded', () => {
+  const optionsPage = new OptionsPage();
+  optionsPage.init();
+
+  const calibrationWorkbench = new CalibrationWorkbench();
+  calibrationWorkbench.init();
+
+  const learnedScorerPanel = new LearnedScorerPanel();
+  learnedScorerPanel.init();
+
+  // グローバルに公開（デバッグ用）
+  window.optionsPage = optionsPage;
+  window.calibrationWorkbench = calibrationWorkbench;
+  window.learnedScorerPanel = learnedScorerPanel;
+});
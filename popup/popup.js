@@ -21,7 +21,7 @@ const SettingsManager = {
       return await chrome.storage.local.get(null);
     } catch (error) {
       console.error('設定の読み込みに失敗:', error);
-      return { filterLevel: 2, stats: { hidden: 0, warned: 0, trusted: 0 } };
+      return { filterLevel: 2, sponsoredPolicy: 'label', stats: { hidden: 0, warned: 0, trusted: 0, sponsored: 0, sponsoredHidden: 0 } };
     }
   },
 
@@ -81,6 +81,11 @@ function createBrandsManager(storageKey) {
 const CustomBrandsManager = createBrandsManager('customBrands');
 const ExcludedBrandsManager = createBrandsManager('excludedBrands');
 
+/**
+ * ポップアップに表示するブランドの記録の件数
+ */
+const REPUTATION_DISPLAY_LIMIT = 30;
+
 /**
  * UI管理モジュール
  */
@@ -95,10 +100,31 @@ const UIManager = {
       statsHidden: document.getElementById('stats-hidden'),
       statsWarned: document.getElementById('stats-warned'),
       statsTrusted: document.getElementById('stats-trusted'),
+      statsSponsored: document.getElementById('stats-sponsored'),
+      statsSponsoredHidden: document.getElementById('stats-sponsored-hidden'),
+      sponsoredPolicy: document.getElementById('sponsored-policy'),
+      imageDuplicateCheck: document.getElementById('image-duplicate-check'),
       reloadBtn: document.getElementById('reload-btn'),
+      optionsBtn: document.getElementById('options-btn'),
+      pageVerdict: document.getElementById('page-verdict'),
+      pageVerdictLabel: document.getElementById('page-verdict-label'),
+      pageVerdictScore: document.getElementById('page-verdict-score'),
+      pageVerdictReasons: document.getElementById('page-verdict-reasons'),
+      categoryProfile: document.getElementById('category-profile'),
+      categoryProfileName: document.getElementById('category-profile-name'),
+      categoryProfileDescription: document.getElementById('category-profile-description'),
+      categoryProfileDetails: document.getElementById('category-profile-details'),
       // ブランドセクション要素をまとめて取得
       customBrands: this._getBrandSectionElements('custom-brands'),
-      excludedBrands: this._getBrandSectionElements('excluded-brands')
+      excludedBrands: this._getBrandSectionElements('excluded-brands'),
+      reputation: {
+        toggle: document.getElementById('reputation-toggle'),
+        body: document.getElementById('reputation-body'),
+        arrow: document.getElementById('reputation-arrow'),
+        count: document.getElementById('reputation-count'),
+        list: document.getElementById('reputation-list'),
+        resetBtn: document.getElementById('reputation-reset-btn')
+      }
     };
   },
 
@@ -140,6 +166,53 @@ const UIManager = {
     this.elements.statsHidden.textContent = stats.hidden || 0;
     this.elements.statsWarned.textContent = stats.warned || 0;
     this.elements.statsTrusted.textContent = stats.trusted || 0;
+    this.elements.statsSponsored.textContent = stats.sponsored || 0;
+    this.elements.statsSponsoredHidden.textContent = stats.sponsoredHidden > 0
+      ? `（うち非表示 ${stats.sponsoredHidden}件）`
+      : '';
+  },
+
+  /**
+   * 表示中の商品の判定を描画（商品詳細ページのcontent scriptが計算した結果）
+   * @param {Object|null} verdict - 判定結果
+   */
+  renderPageVerdict(verdict) {
+    const { pageVerdict, pageVerdictLabel, pageVerdictScore, pageVerdictReasons } = this.elements;
+    if (!verdict) {
+      pageVerdict.style.display = 'none';
+      return;
+    }
+
+    pageVerdictLabel.textContent = verdict.label;
+    pageVerdictLabel.style.background = verdict.color;
+    pageVerdictScore.textContent = `スコア ${verdict.score}`;
+    pageVerdictReasons.textContent = verdict.simplifiedReasons.length > 0
+      ? verdict.simplifiedReasons.join('・')
+      : '気になる点はありません';
+    pageVerdict.style.display = 'block';
+  },
+
+  /**
+   * 判定に使っているカテゴリプロファイルを描画
+   * @param {{profile: Object, details: string[]}|null} categoryInfo - content scriptからの応答
+   */
+  renderCategoryProfile(categoryInfo) {
+    const { categoryProfile, categoryProfileName, categoryProfileDescription, categoryProfileDetails } = this.elements;
+    if (!categoryInfo || !categoryInfo.profile) {
+      categoryProfile.style.display = 'none';
+      return;
+    }
+
+    const { profile, details } = categoryInfo;
+    categoryProfileName.textContent = `📂 ${profile.name}`;
+    categoryProfileDescription.textContent = profile.description;
+    categoryProfileDetails.innerHTML = '';
+    for (const detail of details || []) {
+      const item = document.createElement('li');
+      item.textContent = detail;
+      categoryProfileDetails.appendChild(item);
+    }
+    categoryProfile.style.display = 'block';
   },
 
   escapeHtml(str) {
@@ -186,6 +259,53 @@ const UIManager = {
       this.elements.excludedBrands, brands,
       'brand-section-item--excluded', '非表示ブランドはありません'
     );
+  },
+
+  /**
+   * ブランドの記録を描画（表示回数の多い順）
+   * @param {Object<string, Object>} store - ブランドの評判の記録
+   */
+  renderBrandReputation(store) {
+    const { count, list } = this.elements.reputation;
+    const records = Object.values(store || {}).sort((a, b) => b.seen - a.seen);
+    count.textContent = `${records.length}件`;
+
+    if (records.length === 0) {
+      list.innerHTML = '<div class="brand-section-empty">まだ記録がありません</div>';
+      return;
+    }
+
+    list.innerHTML = records.slice(0, REPUTATION_DISPLAY_LIMIT).map(record => {
+      const summary = BrandReputation.summarize(record);
+      const prior = BrandReputation.getPrior(record);
+      const stats = [`${summary.seen}回表示`];
+      if (summary.averageScore !== null) {
+        stats.push(`平均スコア${Math.round(summary.averageScore)}`);
+      }
+      if (summary.sellerChecks > 0) {
+        stats.push(`海外セラー ${record.sellers.overseas}/${summary.sellerChecks}`);
+      }
+      if (summary.hypeTitleRatio > 0) {
+        stats.push(`誇張表現 ${Math.round(summary.hypeTitleRatio * 100)}%`);
+      }
+      if (summary.userTrusted > 0) {
+        stats.push(`信頼に追加${summary.userTrusted}回`);
+      }
+      if (summary.userExcluded > 0) {
+        stats.push(`信頼から除外${summary.userExcluded}回`);
+      }
+      const priorHtml = prior
+        ? `<span class="reputation-item-prior reputation-item-prior--${prior.score > 0 ? 'up' : 'down'}" title="${this.escapeHtml(prior.signals.join('・'))}">${prior.score > 0 ? '+' : ''}${prior.score}</span>`
+        : '';
+      return `
+      <div class="brand-section-item reputation-item">
+        <div class="reputation-item-header">
+          <span class="brand-section-item-name">${this.escapeHtml(summary.name)}</span>
+          ${priorHtml}
+        </div>
+        <div class="reputation-item-stats">${this.escapeHtml(stats.join('・'))}</div>
+      </div>`;
+    }).join('');
   }
 };
 
@@ -199,6 +319,28 @@ const EventHandlers = {
     await SettingsManager.save({ filterLevel: level });
   },
 
+  async onSponsoredPolicyChange(event) {
+    await SettingsManager.save({ sponsoredPolicy: event.target.value });
+  },
+
+  async onImageDuplicateCheckChange(event) {
+    const checkbox = event.target;
+    // 有効にするときは商品画像サーバーへのアクセス許可を求める（クリック操作の中で要求する必要がある）
+    if (checkbox.checked) {
+      let granted = false;
+      try {
+        granted = await chrome.permissions.request({ origins: [IMAGE_HOST_PERMISSION] });
+      } catch (error) {
+        console.error('画像サーバーへのアクセス許可の要求に失敗:', error);
+      }
+      if (!granted) {
+        checkbox.checked = false;
+        return;
+      }
+    }
+    await SettingsManager.save({ imageDuplicateCheck: checkbox.checked });
+  },
+
   async onReloadClick() {
     try {
       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
@@ -252,7 +394,10 @@ const EventHandlers = {
   bindAll() {
     const { elements } = UIManager;
     elements.filterSlider.addEventListener('input', this.onSliderChange);
+    elements.sponsoredPolicy.addEventListener('change', this.onSponsoredPolicyChange);
+    elements.imageDuplicateCheck.addEventListener('change', this.onImageDuplicateCheckChange);
     elements.reloadBtn.addEventListener('click', this.onReloadClick);
+    elements.optionsBtn.addEventListener('click', () => chrome.runtime.openOptionsPage());
 
     // カスタムブランドセクション
     this._bindBrandSection(
@@ -265,6 +410,32 @@ const EventHandlers = {
       elements.excludedBrands, ExcludedBrandsManager,
       (brands) => UIManager.renderExcludedBrands(brands)
     );
+
+    // ブランドの記録セクション
+    this._bindReputationSection(elements.reputation);
+  },
+
+  /**
+   * ブランドの記録セクションのイベントをバインド
+   * @param {Object} sectionElements - セクションのDOM要素群
+   */
+  _bindReputationSection(sectionElements) {
+    sectionElements.toggle.addEventListener('click', () => {
+      const isOpen = sectionElements.body.style.display !== 'none';
+      sectionElements.body.style.display = isOpen ? 'none' : 'block';
+      sectionElements.arrow.classList.toggle('open', !isOpen);
+    });
+
+    // 書き込みはService Workerで直列に行っているため、リセットも依頼する
+    sectionElements.resetBtn.addEventListener('click', async () => {
+      if (!confirm('ブランドの記録をすべて削除しますか？')) return;
+      try {
+        await chrome.runtime.sendMessage({ action: 'resetBrandReputation' });
+        UIManager.renderBrandReputation({});
+      } catch (error) {
+        console.error('ブランドの記録のリセットに失敗:', error);
+      }
+    });
   }
 };
 
@@ -275,9 +446,45 @@ const PopupController = {
   initializeUI(settings) {
     const level = settings.filterLevel !== undefined ? settings.filterLevel : 2;
     UIManager.updateSlider(level);
+    UIManager.elements.sponsoredPolicy.value = settings.sponsoredPolicy || 'label';
+    UIManager.elements.imageDuplicateCheck.checked = settings.imageDuplicateCheck === true;
     UIManager.updateStats(settings.stats);
   },
 
+  /**
+   * アクティブなタブが商品詳細ページなら判定結果を取得
+   * @returns {Promise<Object|null>} 判定結果
+   */
+  async loadPageVerdict() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.url || !/amazon\.co\.jp\/(?:.*\/)?(?:dp|gp\/product)\//.test(tab.url)) {
+        return null;
+      }
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getPageVerdict' });
+      return response?.success ? response.verdict : null;
+    } catch (error) {
+      // content scriptが未読み込みの場合など
+      console.warn('判定結果の取得に失敗:', error);
+      return null;
+    }
+  },
+
+  async loadCategoryProfile() {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      if (!tab?.url || !tab.url.includes('amazon.co.jp')) {
+        return null;
+      }
+      const response = await chrome.tabs.sendMessage(tab.id, { action: 'getCategoryProfile' });
+      return response?.success ? response : null;
+    } catch (error) {
+      // content scriptが未読み込みの場合など
+      console.warn('カテゴリの取得に失敗:', error);
+      return null;
+    }
+  },
+
   async migrateToSync() {
     try {
       const local = await chrome.storage.local.get(['customBrands', '_migratedToSync']);
@@ -312,6 +519,10 @@ const PopupController = {
       ]);
       UIManager.renderCustomBrands(brands);
       UIManager.renderExcludedBrands(excludedBrands);
+      UIManager.renderBrandReputation(settings.brandReputation);
+
+      UIManager.renderPageVerdict(await this.loadPageVerdict());
+      UIManager.renderCategoryProfile(await this.loadCategoryProfile());
     } catch (error) {
       console.error('ポップアップの初期化に失敗:', error);
     }
@@ -4,12 +4,18 @@
  * @module background
  * @requires constants.js
  * @requires filter-utils.js
+ * @requires seller-checker.js
+ * @requires image-hasher.js
+ * @requires brand-checker.js
+ * @requires brand-reputation.js
+ * @requires learned-scorer.js
+ * @requires verdict-cache.js
  */
 
 'use strict';
 
 // constants.jsとfilter-utils.jsをインポート
-importScripts('constants.js', 'filter-utils.js', 'seller-checker.js');
+importScripts('constants.js', 'filter-utils.js', 'seller-checker.js', 'image-hasher.js', 'brand-checker.js', 'brand-reputation.js', 'learned-scorer.js', 'verdict-cache.js');
 
 /**
  * 初回インストール時の処理
@@ -26,6 +32,9 @@ chrome.runtime.onInstalled.addListener((details) => {
     // FilterUtilsからデフォルト設定を取得して保存
     const defaultSettings = FilterUtils.getDefaultSettings();
     chrome.storage.local.set(defaultSettings);
+  } else if (details.reason === 'update') {
+    // 判定のルール・設定ファイルが変わっている可能性があるため、判定のキャッシュを破棄
+    VerdictCache.invalidate();
   }
 });
 
@@ -169,14 +178,7 @@ async function updateStats(type) {
     const defaultStats = FilterUtils.getDefaultSettings().stats;
     const stats = settings.stats || defaultStats;
 
-    // 日付が変わっていたらリセット
-    const today = new Date().toISOString().split('T')[0];
-    if (stats.lastResetDate !== today) {
-      stats.domesticFilter = 0;
-      stats.fbaFilter = 0;
-      stats.ratingFilter = 0;
-      stats.lastResetDate = today;
-    }
+    resetDailyStatsIfNeeded(stats);
 
     // 統計をインクリメント
     switch (type) {
@@ -199,6 +201,54 @@ async function updateStats(type) {
   }
 }
 
+/**
+ * フィルター結果の件数（本日分）のキー
+ * @constant {string[]}
+ */
+const FILTER_STATS_KEYS = ['hidden', 'warned', 'trusted', 'sponsored', 'sponsoredHidden'];
+
+/**
+ * 日付が変わっていたら本日分の統計をリセット
+ * @param {Object} stats - 統計情報（直接書き換える）
+ */
+function resetDailyStatsIfNeeded(stats) {
+  const today = new Date().toISOString().split('T')[0];
+  if (stats.lastResetDate !== today) {
+    stats.domesticFilter = 0;
+    stats.fbaFilter = 0;
+    stats.ratingFilter = 0;
+    for (const key of FILTER_STATS_KEYS) {
+      stats[key] = 0;
+    }
+    stats.lastResetDate = today;
+  }
+}
+
+/**
+ * 検索結果ページのフィルター結果を本日の統計に加算
+ * @param {{hidden?: number, warned?: number, trusted?: number, sponsored?: number, sponsoredHidden?: number}} pageStats - ProductFilter.runの統計情報
+ * @returns {Promise<void>}
+ */
+async function updateFilterStats(pageStats) {
+  if (!pageStats) {
+    return;
+  }
+
+  const settings = await chrome.storage.local.get(['stats']);
+  const stats = settings.stats || FilterUtils.getDefaultSettings().stats;
+
+  resetDailyStatsIfNeeded(stats);
+
+  for (const key of FILTER_STATS_KEYS) {
+    const count = Number(pageStats[key]);
+    if (Number.isFinite(count) && count > 0) {
+      stats[key] = (stats[key] || 0) + count;
+    }
+  }
+
+  await chrome.storage.local.set({ stats });
+}
+
 /**
  * メッセージハンドラ
  * @param {Object} message - メッセージオブジェクト
@@ -214,6 +264,13 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         sendResponse({ success: true });
         break;
 
+      case 'updateFilterStats':
+        // 検索結果ページのフィルター結果（非表示・警告・信頼・広告の件数）を本日の統計に加算
+        updateFilterStats(message.stats)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // 非同期レスポンス
+
       case 'getSettings':
         chrome.storage.local.get(null).then(sendResponse);
         return true; // 非同期レスポンス
@@ -239,6 +296,60 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           .catch(error => sendResponse({ error: error.message }));
         return true; // 非同期レスポンス
 
+      case 'getImageHashes':
+        // 商品サムネイルの知覚ハッシュを計算（ASINごとにキャッシュ）
+        getImageHashes(message.items)
+          .then(hashes => sendResponse({ hashes }))
+          .catch(error => sendResponse({ hashes: {}, error: error.message }));
+        return true; // 非同期レスポンス
+
+      case 'recordBrandSightings':
+        // 検索結果で見たブランドを評判の記録に加える
+        recordBrandReputation((store, aliases) => BrandReputation.addSightings(store, message.sightings, aliases))
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // 非同期レスポンス
+
+      case 'recordBrandSeller':
+        // 商品詳細ページで確認したセラーの国を評判の記録に加える
+        recordBrandReputation((store, aliases) => BrandReputation.addSellerCheck(store, message.seller, aliases))
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // 非同期レスポンス
+
+      case 'resetBrandReputation':
+        BrandReputation.reset()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // 非同期レスポンス
+
+      case 'trainLearnedScorer':
+        // ラベル・信頼ブランドの追加/除外から学習モードの重みを更新（複数のタブからの書き込みを直列にする）
+        LearnedScorer.learn(message.examples)
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // 非同期レスポンス
+
+      case 'resetLearnedScorer':
+        LearnedScorer.reset()
+          .then(() => sendResponse({ success: true }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // 非同期レスポンス
+
+      case 'getCachedVerdicts':
+        // 商品（ASIN）ごとの判定のキャッシュを取得（検索結果・商品詳細ページで判定をそろえる）
+        VerdictCache.get(message.asins)
+          .then(result => sendResponse(result))
+          .catch(error => sendResponse({ generation: null, verdicts: {}, error: error.message }));
+        return true; // 非同期レスポンス
+
+      case 'saveVerdicts':
+        // 判定した商品をキャッシュに保存（読み込んだ後に破棄されていた場合は保存しない）
+        VerdictCache.put(message.entries, message.generation)
+          .then(saved => sendResponse({ success: saved }))
+          .catch(error => sendResponse({ success: false, error: error.message }));
+        return true; // 非同期レスポンス
+
       default:
         console.warn(`[Background] Unknown message action: ${message.action}`);
         sendResponse({ success: false, error: 'Unknown action' });
@@ -311,70 +422,257 @@ async function fetchProductPageFromBackground(productUrl) {
     const html = await response.text();
     console.log(`[Background] HTML length: ${html.length}`);
 
-    // セラーリンクを抽出（複数パターン対応）
-    // パターン1: sellerProfileTriggerId
-    let sellerMatch = html.match(/id="sellerProfileTriggerId"[^>]*href="([^"]+)"/);
-    if (sellerMatch) {
-      console.log(`[Background] Found seller via sellerProfileTriggerId`);
-      const nameMatch = html.match(/id="sellerProfileTriggerId"[^>]*>([^<]+)</);
-      return {
-        sellerUrl: sellerMatch[1],
-        sellerName: nameMatch ? nameMatch[1].trim() : null
-      };
-    }
+    return extractSellerFromProductHtml(html);
+  } catch (error) {
+    console.error('[Background] Product fetch error:', error);
+    return { sellerUrl: null, sellerName: null, error: error.message };
+  }
+}
 
-    // パターン2: tabular-buybox内のセラー情報
-    const buyboxMatch = html.match(/tabular-buybox-text[^>]*>[\s\S]*?href="([^"]*seller=[^"]+)"[^>]*>([^<]+)/);
-    if (buyboxMatch) {
-      console.log(`[Background] Found seller via buybox`);
-      return {
-        sellerUrl: buyboxMatch[1],
-        sellerName: buyboxMatch[2].trim()
-      };
-    }
+/**
+ * 商品ページのHTMLからセラー情報を抽出
+ * @param {string} html - 商品ページのHTML
+ * @returns {{sellerUrl: string|null, sellerName: string|null}}
+ */
+function extractSellerFromProductHtml(html) {
+  // セラーリンクを抽出（複数パターン対応）
+  // パターン1: sellerProfileTriggerId
+  let sellerMatch = html.match(/id="sellerProfileTriggerId"[^>]*href="([^"]+)"/);
+  if (sellerMatch) {
+    console.log(`[Background] Found seller via sellerProfileTriggerId`);
+    const nameMatch = html.match(/id="sellerProfileTriggerId"[^>]*>([^<]+)</);
+    return {
+      sellerUrl: sellerMatch[1],
+      sellerName: nameMatch ? nameMatch[1].trim() : null
+    };
+  }
 
-    // パターン3: merchant-info内のセラーリンク
-    const merchantMatch = html.match(/id="merchant-info"[\s\S]*?href="([^"]*seller=[^"]+)"/);
-    if (merchantMatch) {
-      console.log(`[Background] Found seller via merchant-info`);
-      return {
-        sellerUrl: merchantMatch[1],
-        sellerName: null
-      };
-    }
+  // パターン2: tabular-buybox内のセラー情報
+  const buyboxMatch = html.match(/tabular-buybox-text[^>]*>[\s\S]*?href="([^"]*seller=[^"]+)"[^>]*>([^<]+)/);
+  if (buyboxMatch) {
+    console.log(`[Background] Found seller via buybox`);
+    return {
+      sellerUrl: buyboxMatch[1],
+      sellerName: buyboxMatch[2].trim()
+    };
+  }
+
+  // パターン3: merchant-info内のセラーリンク
+  const merchantMatch = html.match(/id="merchant-info"[\s\S]*?href="([^"]*seller=[^"]+)"/);
+  if (merchantMatch) {
+    console.log(`[Background] Found seller via merchant-info`);
+    return {
+      sellerUrl: merchantMatch[1],
+      sellerName: null
+    };
+  }
+
+  // パターン4: offer-display-feature-text
+  const offerMatch = html.match(/offer-display-feature-text[^>]*>[\s\S]*?href="[^"]*seller=([^"&]+)"/);
+  if (offerMatch) {
+    console.log(`[Background] Found seller ID via offer-display`);
+    return {
+      sellerUrl: `/gp/help/seller/at-a-glance.html?seller=${offerMatch[1]}`,
+      sellerName: null
+    };
+  }
+
+  // Amazon.co.jpが販売の場合
+  if (html.includes('この商品は、Amazon.co.jp が販売、発送します') ||
+      html.includes('ships from and sold by Amazon.co.jp') ||
+      (html.includes('販売元') && html.includes('Amazon.co.jp') && html.includes('出荷元'))) {
+    console.log(`[Background] Detected Amazon.co.jp as seller`);
+    return {
+      sellerUrl: 'amazon-official',
+      sellerName: 'Amazon.co.jp'
+    };
+  }
+
+  // HTMLの一部をデバッグ用に出力
+  const sellerSection = html.match(/merchant-info[\s\S]{0,500}/);
+  if (sellerSection) {
+    console.log(`[Background] merchant-info section:`, sellerSection[0].substring(0, 200));
+  }
 
-    // パターン4: offer-display-feature-text
-    const offerMatch = html.match(/offer-display-feature-text[^>]*>[\s\S]*?href="[^"]*seller=([^"&]+)"/);
-    if (offerMatch) {
-      console.log(`[Background] Found seller ID via offer-display`);
-      return {
-        sellerUrl: `/gp/help/seller/at-a-glance.html?seller=${offerMatch[1]}`,
-        sellerName: null
-      };
+  console.log(`[Background] No seller info found in HTML`);
+  return { sellerUrl: null, sellerName: null };
+}
+
+/**
+ * ブランド名の表記揺れマッピングのキャッシュ
+ * @type {Promise<Object<string, string>>|null}
+ */
+let brandAliasesPromise = null;
+
+/**
+ * 設定ファイルからブランド名の表記揺れマッピング（aliases.mappings）を読み込み
+ * @returns {Promise<Object<string, string>>}
+ */
+function loadBrandAliases() {
+  if (!brandAliasesPromise) {
+    brandAliasesPromise = fetch(chrome.runtime.getURL('config/trusted-brands.json'))
+      .then(response => response.json())
+      .then(data => data.aliases?.mappings || {})
+      .catch(error => {
+        console.error('[Background] Failed to load brand aliases:', error);
+        brandAliasesPromise = null;
+        return {};
+      });
+  }
+  return brandAliasesPromise;
+}
+
+/**
+ * ブランドの評判の記録を更新（複数のタブからの書き込みをService Workerで直列にする）
+ * @param {function(Object<string, Object>, Object<string, string>): void} mutate - 記録と表記揺れマッピングを受け取って記録を変更する関数
+ * @returns {Promise<void>}
+ */
+async function recordBrandReputation(mutate) {
+  const aliases = await loadBrandAliases();
+  await BrandReputation.update(store => mutate(store, aliases));
+}
+
+/**
+ * カスタム信頼ブランドへの追加・信頼ブランドからの除外をブランドの評判の記録に加える
+ * （ポップアップ・検索結果のバッジのどちらから操作してもchrome.storage.syncの変更で検知する）
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName !== 'sync') return;
+
+  const actions = [];
+  for (const [storageKey, action] of [['customBrands', 'trusted'], ['excludedBrands', 'excluded']]) {
+    const change = changes[storageKey];
+    if (!change) continue;
+    const before = new Set(change.oldValue || []);
+    for (const brandName of change.newValue || []) {
+      if (!before.has(brandName)) {
+        actions.push({ brandName, action });
+      }
     }
+  }
 
-    // Amazon.co.jpが販売の場合
-    if (html.includes('この商品は、Amazon.co.jp が販売、発送します') ||
-        html.includes('ships from and sold by Amazon.co.jp') ||
-        (html.includes('販売元') && html.includes('Amazon.co.jp') && html.includes('出荷元'))) {
-      console.log(`[Background] Detected Amazon.co.jp as seller`);
-      return {
-        sellerUrl: 'amazon-official',
-        sellerName: 'Amazon.co.jp'
-      };
+  if (actions.length > 0) {
+    recordBrandReputation((store, aliases) => {
+      for (const { brandName, action } of actions) {
+        BrandReputation.addUserAction(store, brandName, action, aliases);
+      }
+    });
+  }
+});
+
+/**
+ * 信頼ブランド・除外ブランド・カスタムルール・学習モードが変わったら判定のキャッシュを破棄
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (VerdictCache.isInvalidatingChange(changes, areaName)) {
+    VerdictCache.invalidate();
+  }
+});
+
+/**
+ * 商品画像サーバーへのアクセス許可の変化を、同じ画像の別ブランド出品の検出の設定に反映
+ * （許可を求めるダイアログでポップアップが閉じた場合や、拡張機能の管理画面で許可を外した場合に設定をそろえる）
+ */
+chrome.permissions.onAdded.addListener(({ origins = [] }) => {
+  if (origins.includes(IMAGE_HOST_PERMISSION)) {
+    chrome.storage.local.set({ imageDuplicateCheck: true });
+  }
+});
+chrome.permissions.onRemoved.addListener(({ origins = [] }) => {
+  if (origins.includes(IMAGE_HOST_PERMISSION)) {
+    chrome.storage.local.set({ imageDuplicateCheck: false });
+  }
+});
+
+/**
+ * 画像ハッシュのキャッシュ設定
+ * @type {{STORAGE_KEY: string, TTL: number, MAX_ENTRIES: number, CONCURRENCY: number}}
+ */
+const IMAGE_HASH_CACHE = {
+  STORAGE_KEY: 'imageHashCache',
+  /** 有効期限（商品画像はほとんど差し替えられないため長め） */
+  TTL: 30 * 24 * 60 * 60 * 1000,
+  /** 保存する最大件数（超えた分は古いものから削除） */
+  MAX_ENTRIES: 5000,
+  /** 同時に取得する画像の数 */
+  CONCURRENCY: 4
+};
+
+/**
+ * ハッシュを計算してよい画像のURL（Amazonの画像配信サーバーのみ）
+ * @type {RegExp}
+ */
+const PRODUCT_IMAGE_URL_PATTERN = /^https:\/\/m\.media-amazon\.com\/images\//;
+
+/**
+ * 商品サムネイルの知覚ハッシュを取得（キャッシュにないものだけ画像を取得して計算）
+ * @param {Array<{asin: string, imageUrl: string}>} items - 商品のASINとサムネイルのURL
+ * @returns {Promise<Object<string, string>>} ASINをキーにしたハッシュ（取得できなかったものは含まない）
+ */
+async function getImageHashes(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return {};
+  }
+  // 商品画像サーバーへのアクセスが許可されていない場合は取得しない
+  if (!(await chrome.permissions.contains({ origins: [IMAGE_HOST_PERMISSION] }))) {
+    return {};
+  }
+
+  const { [IMAGE_HASH_CACHE.STORAGE_KEY]: cache = {} } = await chrome.storage.local.get(IMAGE_HASH_CACHE.STORAGE_KEY);
+  const now = Date.now();
+  const hashes = {};
+  const pending = [];
+
+  for (const item of items) {
+    if (!item?.asin || hashes[item.asin]) continue;
+    const cached = cache[item.asin];
+    if (cached && now - cached.hashedAt < IMAGE_HASH_CACHE.TTL) {
+      hashes[item.asin] = cached.hash;
+    } else if (PRODUCT_IMAGE_URL_PATTERN.test(item.imageUrl || '')) {
+      pending.push(item);
     }
+  }
+
+  if (pending.length === 0) {
+    return hashes;
+  }
 
-    // HTMLの一部をデバッグ用に出力
-    const sellerSection = html.match(/merchant-info[\s\S]{0,500}/);
-    if (sellerSection) {
-      console.log(`[Background] merchant-info section:`, sellerSection[0].substring(0, 200));
+  // 画像の取得とハッシュ計算（数件ずつ並行して処理）
+  const queue = [...pending];
+  const worker = async () => {
+    while (queue.length > 0) {
+      const item = queue.shift();
+      try {
+        const hash = await ImageHasher.hashImageUrl(item.imageUrl);
+        hashes[item.asin] = hash;
+        cache[item.asin] = { hash, hashedAt: Date.now() };
+      } catch (error) {
+        console.warn(`[Background] Image hash failed (${item.asin}):`, error.message);
+      }
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(IMAGE_HASH_CACHE.CONCURRENCY, pending.length) }, worker));
+
+  await saveImageHashCache(cache);
+  return hashes;
+}
 
-    console.log(`[Background] No seller info found in HTML`);
-    return { sellerUrl: null, sellerName: null };
+/**
+ * 画像ハッシュのキャッシュを保存（期限切れと上限を超えた古いものを削除）
+ * @param {Object<string, {hash: string, hashedAt: number}>} cache - ASINをキーにしたキャッシュ
+ * @returns {Promise<void>}
+ */
+async function saveImageHashCache(cache) {
+  const now = Date.now();
+  const entries = Object.entries(cache)
+    .filter(([, value]) => now - value.hashedAt < IMAGE_HASH_CACHE.TTL)
+    .sort((a, b) => b[1].hashedAt - a[1].hashedAt)
+    .slice(0, IMAGE_HASH_CACHE.MAX_ENTRIES);
+
+  try {
+    await chrome.storage.local.set({ [IMAGE_HASH_CACHE.STORAGE_KEY]: Object.fromEntries(entries) });
   } catch (error) {
-    console.error('[Background] Product fetch error:', error);
-    return { sellerUrl: null, sellerName: null, error: error.message };
+    console.error('[Background] Failed to save image hash cache:', error);
   }
 }
 
@@ -42,6 +42,97 @@ const BrandChecker = {
    */
   JAPANESE_SUFFIX_PATTERN: /(?:工房|製作所|商店|本舗|堂|屋|庵|軒|亭|園|房|舎|社|館|苑|荘|家|処|所|店|坊|塾|院|会|組|座|派|流|窯|焼|塗|織|染|彫|細工|木工|鋳物|刃物|金物|漆器|陶器|硝子|ガラス|鍛冶|職人|工芸|民芸|伝統)$/,
 
+  /**
+   * 類似ブランド判定の対象とする英字ブランド名
+   * @type {RegExp}
+   */
+  LATIN_BRAND_PATTERN: /^[A-Za-z0-9][A-Za-z0-9 .&'\-]*$/,
+
+  /**
+   * 見た目が紛らわしい文字の置き換え表（小文字化した後に適用）
+   * 複数文字の組み合わせを先に置き換える
+   * @type {Array<[string, string]>}
+   */
+  CONFUSABLE_CHARS: [
+    ['rn', 'm'],
+    ['vv', 'w'],
+    ['cl', 'd'],
+    ['0', 'o'],
+    ['q', 'o'],
+    ['1', 'l'],
+    ['i', 'l'],
+    ['|', 'l'],
+    ['5', 's'],
+    ['8', 'b']
+  ],
+
+  /**
+   * ランダム文字列判定の設定
+   * @type {Object}
+   */
+  GIBBERISH_CONFIG: {
+    /**
+     * この尤度以上でスコアを加算（学習データにない実在のブランド名でも0.8を超えることがあるため高めにする。
+     * 交差検証の結果は tools/train-gibberish-model.js の出力を参照）
+     */
+    MIN_LIKELIHOOD: 0.9,
+    /** モデルがある場合に使わない外部パターン（suspicious-patterns.jsonのid。モデルと同じ特徴を二重に数えないため） */
+    REPLACED_PATTERN_IDS: ['consonants_only']
+  },
+
+  /**
+   * 類似ブランド判定の設定
+   * @type {Object}
+   */
+  LOOKALIKE_CONFIG: {
+    /** 判定対象とする最小文字数 */
+    MIN_LENGTH: 4,
+    /** 似ていない文字への置き換え・文字の追加・削除も模倣とみなす最小文字数（4文字の名前は偶然の一致が多いため） */
+    EDIT_MIN_LENGTH: 5,
+    /** 編集距離2まで許容する最小文字数 */
+    LONG_NAME_LENGTH: 8
+  },
+
+  /**
+   * 信頼ブランドと1文字違いでも模倣として扱わない実在のブランド（類似判定用のキー）
+   * @type {string[]}
+   */
+  DISTINCT_BRAND_KEYS: [
+    'shark', // SHARP（掃除機）
+    'nixon', // Nikon（腕時計）
+    'razor' // Razer（キックスクーター）
+  ],
+
+  /**
+   * 置き換えを模倣とみなす、見た目が似ている1文字の組み合わせ（CONFUSABLE_CHARSの1文字同士の組み合わせに加える）
+   * @type {Array<[string, string]>}
+   */
+  SIMILAR_CHAR_PAIRS: [
+    ['n', 'u'],
+    ['m', 'n'],
+    ['u', 'v'],
+    ['c', 'e'],
+    ['o', 'a'],
+    ['i', 'j'],
+    ['3', 'e'],
+    ['4', 'a']
+  ],
+
+  /**
+   * 置き換えを打ち間違い風の模倣とみなす、キーボードで隣り合う文字（QWERTY配列の各行）
+   * @type {string[]}
+   */
+  KEYBOARD_ROWS: ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'],
+
+  /**
+   * 類似ブランド判定用インデックスのキャッシュ
+   * @type {{source: string[]|null, entries: Array<{brand: string, key: string, folded: string}>}}
+   */
+  lookalikeIndex: {
+    source: null,
+    entries: []
+  },
+
   /**
    * デフォルトのスコア設定
    * @type {Object}
@@ -51,6 +142,9 @@ const BrandChecker = {
     uppercaseOnly: 30,
     jpSuffix: 20,
     generic: 25,
+    lookalike: 40,
+    mixedScript: 40,
+    gibberish: 35,
     trusted: -100
   },
 
@@ -62,85 +156,364 @@ const BrandChecker = {
    * @param {string} suspiciousPatterns[].pattern - 正規表現パターン文字列
    * @param {number} suspiciousPatterns[].score - 加算するスコア
    * @param {string} suspiciousPatterns[].reason - 理由の説明
-   * @returns {{score: number, reasons: string[]}} 怪しさスコアと理由の配列
+   * @param {Object} [options={}] - 追加オプション
+   * @param {Object<string, string>} [options.aliases] - ブランド名の表記揺れマッピング（trusted-brands.jsonのaliases.mappings）
+   * @param {Object} [options.gibberishModel] - ランダム文字列判定モデル（config/gibberish-model.json）
+   * @param {{keywords: string[], score: number}} [options.noBrandKeywords] - ノーブランド表記の設定（指定時は組み込みのGENERIC_PATTERNを使わない）
+   * @param {string[]} [options.disabledRules] - 無効にするルールID（カテゴリの判定プロファイルのdisabled_rules）。
+   *   組み込みルール（uppercase_only, jp_suffix, random_string, generic, lookalike, reputation）と
+   *   suspiciousPatternsのidを指定できる
+   * @param {{categories: Object[], outOfScopeScore: number}} [options.trustScopes] - 信頼ブランドのカテゴリ別の信頼範囲（loadTrustedBrandScopesの戻り値）
+   * @param {string} [options.category] - 表示中のカテゴリ（判定プロファイルIDまたは検索カテゴリ）
+   * @param {Object<string, Object>} [options.reputation] - ブランドの評判の記録（BrandReputation）。
+   *   信頼ブランド・日本の工房以外のブランドに、過去の出品傾向を事前スコアとして加える（ルールID: reputation）
+   * @returns {{score: number, reasons: string[], isTrusted: boolean, trustScope?: Object|null}} 怪しさスコアと理由の配列。
+   *   isTrusted: 信頼ブランド（信頼範囲内）・日本の工房の場合のみtrue（事前スコアがマイナスでも信頼扱いにはしない）。
+   *   信頼ブランドの場合は信頼範囲も返す
    */
-  checkBrand(brandName, trustedBrands = [], suspiciousPatterns = []) {
+  checkBrand(brandName, trustedBrands = [], suspiciousPatterns = [], options = {}) {
     if (!brandName || typeof brandName !== 'string') {
-      return { score: 0, reasons: [] };
+      return { score: 0, reasons: [], isTrusted: false };
     }
 
-    const normalizedName = brandName.trim();
+    // 全角英字・不可視文字・紛らわしい文字を正規化してから判定する
+    const hasNormalizer = typeof TextNormalizer !== 'undefined';
+    const normalizedName = hasNormalizer ? TextNormalizer.normalize(brandName) : brandName.trim();
     if (normalizedName === '') {
-      return { score: 0, reasons: [] };
+      return { score: 0, reasons: [], isTrusted: false };
     }
+    const scriptInfo = hasNormalizer
+      ? TextNormalizer.analyzeScripts(normalizedName)
+      : { mixedScripts: null, homoglyphs: [] };
+    const matchName = hasNormalizer ? TextNormalizer.foldConfusables(normalizedName) : normalizedName;
+    const isSpoofed = scriptInfo.mixedScripts !== null || scriptInfo.homoglyphs.length > 0;
 
     let score = 0;
     const reasons = [];
+    const disabledRules = new Set(options.disabledRules || []);
+    const isEnabled = (ruleId) => !disabledRules.has(ruleId);
 
     // 信頼ブランドチェック（最優先）
-    if (this.isTrustedBrand(normalizedName, trustedBrands)) {
+    // 紛らわしい文字で信頼ブランドに偽装している場合は信頼しない
+    const matchesTrusted = this.isTrustedBrand(matchName, trustedBrands, options.aliases);
+    if (matchesTrusted && !isSpoofed) {
+      const trustScope = this.getTrustScope(matchName, options.trustScopes, options.category, options.aliases);
+      // 信頼範囲外のカテゴリでは減額したボーナスのみ
+      if (trustScope && !trustScope.inScope) {
+        return {
+          score: trustScope.outOfScopeScore,
+          reasons: [`他カテゴリの信頼ブランド（${trustScope.label}）`],
+          isTrusted: false,
+          trustScope
+        };
+      }
       return {
         score: this.DEFAULT_SCORES.trusted,
-        reasons: ['信頼できるブランド']
+        reasons: [trustScope ? `信頼できるブランド（${trustScope.label}）` : '信頼できるブランド'],
+        isTrusted: true,
+        trustScope
       };
     }
 
+    // 文字種の混在・ホモグリフチェック
+    if (isSpoofed) {
+      score += this.DEFAULT_SCORES.mixedScript;
+      reasons.push(this.describeSpoofing(scriptInfo));
+    }
+
     // 日本ブランドの可能性チェック（漢字のみ + 日本語接尾辞）
-    if (this.isLikelyJapaneseBrand(normalizedName)) {
+    if (!isSpoofed && this.isLikelyJapaneseBrand(normalizedName)) {
       return {
         score: -30, // 軽い信頼ボーナス
-        reasons: ['日本の工房・製作所']
+        reasons: ['日本の工房・製作所'],
+        isTrusted: true
       };
     }
 
     // ノーブランド/Genericチェック
-    if (this.isGenericBrand(normalizedName)) {
+    // no_brand_keywordsの設定がある場合はcheckNoBrandKeywordsでタイトルと合わせて判定する
+    if (!options.noBrandKeywords && isEnabled('generic') && this.isGenericBrand(matchName)) {
       score += this.DEFAULT_SCORES.generic;
       reasons.push('ノーブランド/Generic');
     }
 
-    // ランダム英字（子音のみ4文字以上）チェック
-    if (this.hasConsonantOnlySequence(normalizedName)) {
-      score += this.DEFAULT_SCORES.consonantOnly;
-      reasons.push('ランダムな英字列（子音のみ4文字以上）');
+    // ランダム英字チェック
+    // 発音しやすさモデルがあれば段階的な尤度で判定し、なければ子音のみの正規表現で判定する
+    const gibberishLikelihood = this.getGibberishLikelihood(matchName, options.gibberishModel);
+    if (isEnabled('random_string')) {
+      if (gibberishLikelihood !== null) {
+        const gibberishScore = this.getGibberishScore(gibberishLikelihood);
+        if (gibberishScore > 0) {
+          score += gibberishScore;
+          reasons.push(`ランダムな文字列の可能性（${Math.round(gibberishLikelihood * 100)}%）`);
+        }
+      } else if (this.hasConsonantOnlySequence(matchName)) {
+        score += this.DEFAULT_SCORES.consonantOnly;
+        reasons.push('ランダムな英字列（子音のみ4文字以上）');
+      }
     }
 
     // 大文字のみ6文字以上チェック
-    if (this.isUppercaseOnly(normalizedName)) {
+    if (isEnabled('uppercase_only') && this.isUppercaseOnly(matchName)) {
       score += this.DEFAULT_SCORES.uppercaseOnly;
       reasons.push('大文字のみ6文字以上');
     }
 
     // 末尾にJP/日本チェック
-    if (this.hasJpSuffix(normalizedName)) {
+    if (isEnabled('jp_suffix') && this.hasJpSuffix(matchName)) {
       score += this.DEFAULT_SCORES.jpSuffix;
       reasons.push('末尾にJP/日本');
     }
 
-    // 外部パターンによるチェック
-    const externalResult = this.checkExternalPatterns(normalizedName, suspiciousPatterns);
+    // 有名ブランドの模倣（タイポスクワッティング）チェック
+    let lookalike = null;
+    if (isEnabled('lookalike')) {
+      lookalike = matchesTrusted
+        ? { brand: this.resolveAlias(matchName, options.aliases) }
+        : this.findLookalikeBrand(matchName, trustedBrands);
+    }
+    if (lookalike) {
+      score += this.DEFAULT_SCORES.lookalike;
+      reasons.push(`有名ブランド「${lookalike.brand}」の模倣の可能性`);
+    }
+
+    // 外部パターンによるチェック（モデルで判定できた場合は、モデルが置き換える子音のみのパターンを使わない）
+    const replacedPatternIds = isEnabled('random_string') && gibberishLikelihood !== null
+      ? this.GIBBERISH_CONFIG.REPLACED_PATTERN_IDS
+      : [];
+    const enabledPatterns = Array.isArray(suspiciousPatterns)
+      ? suspiciousPatterns.filter(patternConfig =>
+        !patternConfig?.id || (isEnabled(patternConfig.id) && !replacedPatternIds.includes(patternConfig.id)))
+      : suspiciousPatterns;
+    const externalResult = this.checkExternalPatterns(matchName, enabledPatterns);
     score += externalResult.score;
     reasons.push(...externalResult.reasons);
 
-    return { score, reasons };
+    // 過去の出品傾向（何度も見ているブランドは初めて見るブランドとして扱わない）
+    if (isEnabled('reputation')) {
+      const prior = this.getReputationPrior(brandName, options.reputation, options.aliases);
+      if (prior) {
+        score += prior.score;
+        reasons.push(...prior.reasons);
+      }
+    }
+
+    return { score, reasons, isTrusted: false };
+  },
+
+  /**
+   * ブランドの評判の記録から事前スコアを取得
+   * @param {string} brandName - ブランド名
+   * @param {Object<string, Object>} [reputation] - ブランドの評判の記録
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @returns {{score: number, reasons: string[]}|null} 事前スコア（記録がない・傾向がない場合はnull）
+   */
+  getReputationPrior(brandName, reputation, aliases) {
+    if (!reputation || typeof BrandReputation === 'undefined') {
+      return null;
+    }
+    return BrandReputation.getPrior(reputation[BrandReputation.getKey(brandName, aliases)]);
   },
 
   /**
    * 信頼できるブランドかどうかを判定
+   * 表記揺れ（カタカナ・大文字小文字・空白や記号の有無）はエイリアスで正規化して比較する
    * @param {string} brandName - ブランド名
    * @param {string[]} trustedBrands - 信頼ブランドリスト
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
    * @returns {boolean} 信頼できるブランドの場合true
    */
-  isTrustedBrand(brandName, trustedBrands) {
+  isTrustedBrand(brandName, trustedBrands, aliases) {
     if (!Array.isArray(trustedBrands) || trustedBrands.length === 0) {
       return false;
     }
 
-    const lowerName = brandName.toLowerCase();
-    return trustedBrands.some(brand => {
-      if (typeof brand !== 'string') return false;
-      return brand.toLowerCase() === lowerName;
-    });
+    const trustedKeys = this.getTrustedKeySet(trustedBrands, aliases);
+    return trustedKeys.has(this.getCanonicalKey(brandName, aliases));
+  },
+
+  /**
+   * 比較用にブランド名を正規化（小文字化し、空白・中黒・ハイフン・ピリオドを除去）
+   * @param {string} brandName - ブランド名
+   * @returns {string} 正規化したキー
+   * @example
+   * BrandChecker.normalizeBrandKey('I-O DATA'); // => 'iodata'
+   */
+  normalizeBrandKey(brandName) {
+    if (typeof brandName !== 'string') return '';
+    return brandName.trim().toLowerCase().replace(/[\s\u3000・･\-‐.．]+/g, '');
+  },
+
+  /**
+   * エイリアスを解決して正規ブランド名を取得
+   * @param {string} brandName - ブランド名
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @returns {string} 正規ブランド名（マッピングがない場合は元の名前）
+   * @example
+   * BrandChecker.resolveAlias('ロジクール', { 'ロジクール': 'Logitech' }); // => 'Logitech'
+   */
+  resolveAlias(brandName, aliases) {
+    const aliasMap = this.getAliasMap(aliases);
+    return aliasMap.get(this.normalizeBrandKey(brandName)) || brandName;
+  },
+
+  /**
+   * エイリアス解決後の比較用キーを取得
+   * @param {string} brandName - ブランド名
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @returns {string} 比較用キー
+   */
+  getCanonicalKey(brandName, aliases) {
+    return this.normalizeBrandKey(this.resolveAlias(brandName, aliases));
+  },
+
+  /**
+   * 正規化済みエイリアスマップのキャッシュ
+   * @type {{source: Object|null, map: Map<string, string>}}
+   */
+  aliasMapCache: {
+    source: null,
+    map: new Map()
+  },
+
+  /**
+   * 正規化したキーで引けるエイリアスマップを取得（マッピング単位でキャッシュ）
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @returns {Map<string, string>} 正規化キー → 正規ブランド名
+   */
+  getAliasMap(aliases) {
+    if (!aliases || typeof aliases !== 'object') {
+      return new Map();
+    }
+    if (this.aliasMapCache.source === aliases) {
+      return this.aliasMapCache.map;
+    }
+
+    const map = new Map();
+    for (const [alias, canonical] of Object.entries(aliases)) {
+      if (typeof canonical === 'string') {
+        map.set(this.normalizeBrandKey(alias), canonical);
+      }
+    }
+
+    this.aliasMapCache = { source: aliases, map };
+    return map;
+  },
+
+  /**
+   * 信頼ブランドの比較用キー集合のキャッシュ
+   * @type {{source: string[]|null, aliases: Object|null, keys: Set<string>}}
+   */
+  trustedKeyCache: {
+    source: null,
+    aliases: null,
+    keys: new Set()
+  },
+
+  /**
+   * 信頼ブランドの比較用キー集合を取得（リストとマッピングの組でキャッシュ）
+   * @param {string[]} trustedBrands - 信頼ブランドリスト
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @returns {Set<string>} 比較用キーの集合
+   */
+  getTrustedKeySet(trustedBrands, aliases) {
+    const cache = this.trustedKeyCache;
+    if (cache.source === trustedBrands && cache.aliases === (aliases || null)) {
+      return cache.keys;
+    }
+
+    const keys = new Set();
+    for (const brand of trustedBrands) {
+      if (typeof brand === 'string') {
+        keys.add(this.getCanonicalKey(brand, aliases));
+      }
+    }
+
+    this.trustedKeyCache = { source: trustedBrands, aliases: aliases || null, keys };
+    return keys;
+  },
+
+  /**
+   * 信頼ブランドのカテゴリ索引のキャッシュ
+   * known: いずれかのscopesまたは判定プロファイルに含まれるカテゴリ
+   * @type {{source: Object|null, aliases: Object|null, index: Map<string, Object[]>, known: Set<string>}}
+   */
+  trustScopeCache: {
+    source: null,
+    aliases: null,
+    index: new Map(),
+    known: new Set()
+  },
+
+  /**
+   * 信頼ブランドが表示中のカテゴリで信頼できるかを判定
+   * ブランドが属するカテゴリのいずれかのscopesに表示中のカテゴリが含まれれば範囲内。
+   * scopesが空のカテゴリ（全カテゴリで信頼）に属する場合・カテゴリ不明の場合も範囲内とする。
+   * どのscopesにも判定プロファイルにもないカテゴリ（i=aps・i=petsなど）はカテゴリ不明として扱う
+   * @param {string} brandName - ブランド名
+   * @param {{categories: Object[], outOfScopeScore: number, knownCategories?: string[]}|null} trustScopes - 信頼ブランドのカテゴリ別の信頼範囲
+   * @param {string} [category] - 表示中のカテゴリ（判定プロファイルIDまたは検索カテゴリ）
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @returns {{categoryId: string, label: string, inScope: boolean, outOfScopeScore: number}|null}
+   *   信頼範囲（どのカテゴリにも属さないカスタムブランドなどはnull＝全カテゴリで信頼）
+   * @example
+   * BrandChecker.getTrustScope('BANDAI', trustScopes, 'electronics');
+   * // => { categoryId: 'toys_hobby', label: '玩具・ホビー', inScope: false, outOfScopeScore: -20 }
+   */
+  getTrustScope(brandName, trustScopes, category, aliases) {
+    if (!trustScopes || !Array.isArray(trustScopes.categories)) {
+      return null;
+    }
+
+    const cache = this.trustScopeCache;
+    if (cache.source !== trustScopes || cache.aliases !== (aliases || null)) {
+      const index = new Map();
+      const known = new Set(trustScopes.knownCategories || []);
+      for (const entry of trustScopes.categories) {
+        for (const scope of entry.scopes || []) {
+          known.add(scope);
+        }
+        for (const brand of entry.list || []) {
+          if (typeof brand !== 'string') continue;
+          const key = this.getCanonicalKey(brand, aliases);
+          if (!index.has(key)) {
+            index.set(key, []);
+          }
+          if (!index.get(key).includes(entry)) {
+            index.get(key).push(entry);
+          }
+        }
+      }
+      this.trustScopeCache = { source: trustScopes, aliases: aliases || null, index, known };
+    }
+
+    const entries = this.trustScopeCache.index.get(this.getCanonicalKey(brandName, aliases));
+    if (!entries || entries.length === 0) {
+      return null;
+    }
+
+    const knownCategory = Boolean(category) && this.trustScopeCache.known.has(category);
+    const matched = entries.find(entry => !entry.scopes || entry.scopes.length === 0 ||
+      (knownCategory && entry.scopes.includes(category)));
+    const entry = matched || entries[0];
+    return {
+      categoryId: entry.id,
+      label: entry.label || entry.id,
+      inScope: !knownCategory || Boolean(matched),
+      outOfScopeScore: typeof trustScopes.outOfScopeScore === 'number' ? trustScopes.outOfScopeScore : 0
+    };
+  },
+
+  /**
+   * 文字種の混在・ホモグリフの理由文を作成
+   * @param {{mixedScripts: string[]|null, homoglyphs: string[]}} scriptInfo - TextNormalizer.analyzeScriptsの結果
+   * @returns {string} 理由の説明
+   */
+  describeSpoofing(scriptInfo) {
+    if (scriptInfo.homoglyphs.length > 0) {
+      return `紛らわしい文字の混在（英字に似た文字: ${scriptInfo.homoglyphs.join(' ')}）`;
+    }
+    return `紛らわしい文字の混在（${TextNormalizer.describeScripts(scriptInfo.mixedScripts)}）`;
   },
 
   /**
@@ -152,6 +525,80 @@ const BrandChecker = {
     return this.GENERIC_PATTERN.test(brandName);
   },
 
+  /**
+   * ブランド名とタイトルのノーブランド表記をチェック（suspicious-patterns.jsonのno_brand_keywords）
+   * ブランド名・タイトルの両方に該当してもスコアは1回分のみ加算する
+   * @param {string} brandName - ブランド名
+   * @param {string} title - 商品タイトル
+   * @param {{keywords: string[], score: number}} noBrandConfig - ノーブランド表記の設定
+   * @returns {{score: number, reasons: string[]}} スコアと理由
+   * @example
+   * BrandChecker.checkNoBrandKeywords('', '互換品 トナー', { keywords: ['互換品'], score: 40 });
+   * // => { score: 40, reasons: ['タイトルにノーブランド表記（互換品）'] }
+   */
+  checkNoBrandKeywords(brandName, title, noBrandConfig) {
+    if (!noBrandConfig || !Array.isArray(noBrandConfig.keywords)) {
+      return { score: 0, reasons: [] };
+    }
+
+    const score = typeof noBrandConfig.score === 'number' ? noBrandConfig.score : this.DEFAULT_SCORES.generic;
+    const toMatchText = (text) => typeof TextNormalizer !== 'undefined'
+      ? TextNormalizer.toMatchText(text)
+      : (text || '').trim();
+
+    const brandKeyword = this.findNoBrandKeyword(toMatchText(brandName), noBrandConfig.keywords);
+    if (brandKeyword) {
+      return { score, reasons: [`ノーブランド表記（${brandKeyword}）`] };
+    }
+
+    const titleKeyword = this.findNoBrandKeyword(toMatchText(title), noBrandConfig.keywords);
+    if (titleKeyword) {
+      return { score, reasons: [`タイトルにノーブランド表記（${titleKeyword}）`] };
+    }
+
+    return { score: 0, reasons: [] };
+  },
+
+  /**
+   * ノーブランド表記キーワードの正規表現キャッシュ
+   * @type {{source: string[]|null, matchers: Array<{keyword: string, regex: RegExp}>}}
+   */
+  noBrandMatcherCache: {
+    source: null,
+    matchers: []
+  },
+
+  /**
+   * テキストに含まれるノーブランド表記キーワードを探す
+   * 英字のキーワードは単語単位（OEMTECHのような一部一致は対象外）、
+   * 日本語のキーワードは直後に漢字が続かない場合のみ一致とする（「無印良品」「汎用性」を除外）
+   * @param {string} text - 判定するテキスト
+   * @param {string[]} keywords - キーワードリスト
+   * @returns {string|null} 一致したキーワード
+   */
+  findNoBrandKeyword(text, keywords) {
+    if (!text) return null;
+
+    if (this.noBrandMatcherCache.source !== keywords) {
+      const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const matchers = [];
+      for (const keyword of keywords) {
+        if (typeof keyword !== 'string' || keyword.trim() === '') continue;
+        const escaped = escape(keyword.trim());
+        const pattern = /^[\x00-\x7F]+$/.test(keyword)
+          ? `(?<![A-Za-z0-9])${escaped}(?![A-Za-z0-9])`
+          : `${escaped}(?!\\p{Script=Han})`;
+        matchers.push({ keyword: keyword.trim(), regex: new RegExp(pattern, 'iu') });
+      }
+      // 長いキーワードを優先（「ノーブランド品」を「ノーブランド」より先に判定）
+      matchers.sort((a, b) => b.keyword.length - a.keyword.length);
+      this.noBrandMatcherCache = { source: keywords, matchers };
+    }
+
+    const match = this.noBrandMatcherCache.matchers.find(({ regex }) => regex.test(text));
+    return match ? match.keyword : null;
+  },
+
   /**
    * 子音のみの4文字以上のシーケンスが含まれるかを判定
    * @param {string} brandName - ブランド名
@@ -163,6 +610,62 @@ const BrandChecker = {
     return words.some(word => this.CONSONANT_ONLY_PATTERN.test(word));
   },
 
+  /**
+   * ブランド名がランダムな文字列である尤度を文字trigramモデルで推定
+   * 実在の名前らしさ（trigrams/bigrams）から転売品のブランド名らしさ（junk、ある場合）を引いた平均対数確率を尤度に変換する。
+   * 複数の単語からなる場合は最もランダムらしい単語の値を返す
+   * @param {string} brandName - ブランド名
+   * @param {Object} [model] - config/gibberish-model.json の内容
+   * @returns {number|null} 0〜1の尤度。モデルがない・判定対象の単語がない場合はnull
+   * @example
+   * BrandChecker.getGibberishLikelihood('HXCQYGL', model); // => 0.99...
+   */
+  getGibberishLikelihood(brandName, model) {
+    if (!model || !model.trigrams || !model.bigrams || !model.calibration) {
+      return null;
+    }
+
+    const words = brandName.toLowerCase().split(/[^a-z]+/)
+      .filter(word => word.length >= (model.min_length || 4));
+    if (words.length === 0) {
+      return null;
+    }
+
+    const { threshold, scale } = model.calibration;
+    const averageLogProb = (padded, tables) => {
+      let total = 0;
+      for (let i = 2; i < padded.length; i++) {
+        const trigram = padded.slice(i - 2, i + 1);
+        total += tables.trigrams[trigram] ?? tables.bigrams[trigram.slice(1)] ?? 0;
+      }
+      return total / (padded.length - 2);
+    };
+
+    let maxLikelihood = 0;
+    for (const word of words) {
+      const padded = `${model.start}${model.start}${word}${model.end}`;
+      const junkLogProb = model.junk ? averageLogProb(padded, model.junk) : 0;
+      const margin = averageLogProb(padded, model) - junkLogProb;
+      const likelihood = 1 / (1 + Math.exp((margin - threshold) / scale));
+      maxLikelihood = Math.max(maxLikelihood, likelihood);
+    }
+
+    return maxLikelihood;
+  },
+
+  /**
+   * ランダム文字列の尤度をスコアに変換
+   * MIN_LIKELIHOOD未満は0、尤度1.0で DEFAULT_SCORES.gibberish になるよう比例配分する
+   * @param {number} likelihood - 0〜1の尤度
+   * @returns {number} 加算スコア
+   */
+  getGibberishScore(likelihood) {
+    if (likelihood < this.GIBBERISH_CONFIG.MIN_LIKELIHOOD) {
+      return 0;
+    }
+    return Math.round(this.DEFAULT_SCORES.gibberish * (likelihood - 0.5) / 0.5);
+  },
+
   /**
    * 大文字のみ6文字以上かを判定
    * @param {string} brandName - ブランド名
@@ -217,6 +720,228 @@ const BrandChecker = {
     return false;
   },
 
+  /**
+   * 信頼ブランドに見た目が似ているブランド名を探す
+   * 紛らわしい文字（rn → m, 0 → o）、重複文字、隣接文字の入れ替え、見た目の似た文字・キーボードで隣り合う文字への置き換えで判定し、
+   * 5文字以上の名前は編集距離（文字の追加・削除・置き換え・隣接文字の入れ替え。8文字未満は1、8文字以上は2まで）でも判定する。
+   * 偶然の一致を避けるため、先頭文字が同じ場合に限り、4文字の名前（Bose / Boss）とDISTINCT_BRAND_KEYSの実在ブランド（Shark / SHARP）は除く
+   * @param {string} brandName - ブランド名
+   * @param {string[]} trustedBrands - 信頼ブランドリスト
+   * @returns {{brand: string, distance: number, kind: 'confusable'|'doubled'|'transposition'|'substitution'|'edit'}|null} 模倣元のブランド、該当なしの場合はnull
+   * @example
+   * BrandChecker.findLookalikeBrand('Panesonic', ['Panasonic']);
+   * // => { brand: 'Panasonic', distance: 1, kind: 'edit' }
+   */
+  findLookalikeBrand(brandName, trustedBrands) {
+    if (!brandName || !this.LATIN_BRAND_PATTERN.test(brandName)) {
+      return null;
+    }
+
+    const key = this.toLookalikeKey(brandName);
+    if (key.length < this.LOOKALIKE_CONFIG.MIN_LENGTH || this.DISTINCT_BRAND_KEYS.includes(key)) {
+      return null;
+    }
+
+    const folded = this.foldConfusables(key);
+    const maxDistance = key.length >= this.LOOKALIKE_CONFIG.LONG_NAME_LENGTH ? 2 : 1;
+    const allowsEdits = key.length >= this.LOOKALIKE_CONFIG.EDIT_MIN_LENGTH;
+    let best = null;
+
+    for (const entry of this.getLookalikeIndex(trustedBrands)) {
+      // 表記違いの同一ブランド（大文字小文字・記号違い）は模倣ではない
+      if (entry.key === key) {
+        return null;
+      }
+      if (Math.abs(entry.key.length - key.length) > maxDistance) {
+        continue;
+      }
+
+      let candidate = null;
+      if (entry.folded === folded) {
+        candidate = { brand: entry.brand, distance: 0, kind: 'confusable' };
+      } else if (this.collapseDoubledLetters(entry.key) === this.collapseDoubledLetters(key)) {
+        candidate = { brand: entry.brand, distance: 1, kind: 'doubled' };
+      } else if (entry.folded[0] === folded[0]) {
+        // 模倣ブランドは先頭文字を揃えて本物に見せかけることが多い
+        if (this.isTransposition(key, entry.key)) {
+          candidate = { brand: entry.brand, distance: 1, kind: 'transposition' };
+        } else {
+          const distance = this.getSimilarSubstitutionCount(key, entry.key);
+          if (distance > 0 && distance <= maxDistance) {
+            candidate = { brand: entry.brand, distance, kind: 'substitution' };
+          } else if (allowsEdits && entry.key.length >= this.LOOKALIKE_CONFIG.EDIT_MIN_LENGTH) {
+            const editDistance = this.getEditDistance(key, entry.key, maxDistance);
+            if (editDistance <= maxDistance) {
+              candidate = { brand: entry.brand, distance: editDistance, kind: 'edit' };
+            }
+          }
+        }
+      }
+
+      if (candidate && (!best || candidate.distance < best.distance)) {
+        best = candidate;
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * 信頼ブランドリストから類似判定用のインデックスを取得（リスト単位でキャッシュ）
+   * @param {string[]} trustedBrands - 信頼ブランドリスト
+   * @returns {Array<{brand: string, key: string, folded: string}>} インデックス
+   */
+  getLookalikeIndex(trustedBrands) {
+    if (!Array.isArray(trustedBrands)) {
+      return [];
+    }
+    if (this.lookalikeIndex.source === trustedBrands) {
+      return this.lookalikeIndex.entries;
+    }
+
+    const entries = [];
+    const seenKeys = new Set();
+    for (const brand of trustedBrands) {
+      if (typeof brand !== 'string' || !this.LATIN_BRAND_PATTERN.test(brand.trim())) {
+        continue;
+      }
+      const key = this.toLookalikeKey(brand);
+      if (key.length < this.LOOKALIKE_CONFIG.MIN_LENGTH || seenKeys.has(key)) {
+        continue;
+      }
+      seenKeys.add(key);
+      entries.push({ brand: brand.trim(), key, folded: this.foldConfusables(key) });
+    }
+
+    this.lookalikeIndex = { source: trustedBrands, entries };
+    return entries;
+  },
+
+  /**
+   * 類似判定用のキーに変換（小文字化し、空白と記号を除去）
+   * @param {string} brandName - ブランド名
+   * @returns {string} 比較用キー
+   */
+  toLookalikeKey(brandName) {
+    return brandName.trim().toLowerCase().replace(/[\s.&'\-]+/g, '');
+  },
+
+  /**
+   * 紛らわしい文字を代表文字に寄せる
+   * @param {string} key - 比較用キー
+   * @returns {string} 置き換え後の文字列
+   */
+  foldConfusables(key) {
+    let folded = key;
+    for (const [from, to] of this.CONFUSABLE_CHARS) {
+      folded = folded.split(from).join(to);
+    }
+    return folded;
+  },
+
+  /**
+   * 連続する同じ文字を1文字にまとめる
+   * @param {string} key - 比較用キー
+   * @returns {string} まとめた文字列
+   */
+  collapseDoubledLetters(key) {
+    return key.replace(/(.)\1+/g, '$1');
+  },
+
+  /**
+   * 隣接する2文字の入れ替えのみで一致するかを判定
+   * @param {string} a - 比較文字列
+   * @param {string} b - 比較文字列
+   * @returns {boolean} 入れ替え1回で一致する場合true
+   */
+  isTransposition(a, b) {
+    if (a.length !== b.length) return false;
+    const diffs = [];
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) diffs.push(i);
+    }
+    return diffs.length === 2 &&
+           diffs[1] === diffs[0] + 1 &&
+           a[diffs[0]] === b[diffs[1]] &&
+           a[diffs[1]] === b[diffs[0]];
+  },
+
+  /**
+   * 編集距離を計算（文字の追加・削除・置き換えと、隣接文字の入れ替えを1回と数える）
+   * @param {string} a - 比較文字列
+   * @param {string} b - 比較文字列
+   * @param {number} [limit=Infinity] - この値を超えた時点で打ち切る
+   * @returns {number} 編集距離（打ち切った場合はlimit + 1）
+   */
+  getEditDistance(a, b, limit = Infinity) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = [];
+    for (let i = 0; i < rows; i++) {
+      d.push(new Array(cols).fill(0));
+      d[i][0] = i;
+    }
+    for (let j = 0; j < cols; j++) {
+      d[0][j] = j;
+    }
+
+    for (let i = 1; i < rows; i++) {
+      let rowMin = Infinity;
+      for (let j = 1; j < cols; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(
+          d[i - 1][j] + 1,
+          d[i][j - 1] + 1,
+          d[i - 1][j - 1] + cost
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, d[i][j]);
+      }
+      if (rowMin > limit) {
+        return limit + 1;
+      }
+    }
+
+    return d[a.length][b.length];
+  },
+
+  /**
+   * 見た目の似た文字・キーボードで隣り合う文字への置き換えだけで一致する場合、置き換えた文字数を取得
+   * @param {string} a - 比較文字列
+   * @param {string} b - 比較文字列
+   * @returns {number} 置き換えた文字数（長さが違う・似ていない文字への置き換えを含む場合は0）
+   */
+  getSimilarSubstitutionCount(a, b) {
+    if (a.length !== b.length) return 0;
+    let count = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) continue;
+      if (!this.isSimilarChar(a[i], b[i])) return 0;
+      count++;
+    }
+    return count;
+  },
+
+  /**
+   * 2文字が見た目で紛らわしいか、キーボードで隣り合うかを判定
+   * @param {string} a - 文字（小文字）
+   * @param {string} b - 文字（小文字）
+   * @returns {boolean} 紛らわしい・隣り合う場合true
+   */
+  isSimilarChar(a, b) {
+    const isPair = ([x, y]) => (x === a && y === b) || (x === b && y === a);
+    const singleConfusables = this.CONFUSABLE_CHARS.filter(([from, to]) => from.length === 1 && to.length === 1);
+    if (singleConfusables.some(isPair) || this.SIMILAR_CHAR_PAIRS.some(isPair)) {
+      return true;
+    }
+    return this.KEYBOARD_ROWS.some(row => {
+      const index = row.indexOf(a);
+      return index !== -1 && (row[index - 1] === b || row[index + 1] === b);
+    });
+  },
+
   /**
    * 外部パターン設定によるチェック
    * @param {string} brandName - ブランド名
@@ -282,6 +1007,53 @@ const BrandChecker = {
   }
 };
 
+// スコア計算に登録（ブランド名の判定 + ノーブランド表記）
+if (typeof ScoreCalculator !== 'undefined') {
+  ScoreCalculator.registerChecker({
+    id: 'brand',
+    label: 'ブランド',
+    order: 10,
+    check(productInfo, config) {
+      let score = 0;
+      const reasons = [];
+      let isTrusted = false;
+
+      if (productInfo.brandName) {
+        const brandResult = BrandChecker.checkBrand(
+          productInfo.brandName,
+          config.trustedBrands || [],
+          config.suspiciousPatterns || [],
+          {
+            aliases: config.brandAliases,
+            gibberishModel: config.gibberishModel,
+            noBrandKeywords: config.noBrandKeywords,
+            disabledRules: config.categoryProfile?.disabled_rules,
+            trustScopes: config.trustScopes,
+            category: productInfo.category,
+            reputation: config.brandReputation
+          }
+        );
+        score += brandResult.score;
+        reasons.push(...brandResult.reasons);
+        // 信頼ブランド（信頼範囲内）・日本の工房のみ信頼扱い（過去の出品傾向によるマイナスは点数だけに反映）
+        isTrusted = brandResult.isTrusted;
+      }
+
+      if (config.noBrandKeywords && !isTrusted) {
+        const noBrandResult = BrandChecker.checkNoBrandKeywords(
+          productInfo.brandName,
+          productInfo.title,
+          config.noBrandKeywords
+        );
+        score += noBrandResult.score;
+        reasons.push(...noBrandResult.reasons);
+      }
+
+      return { score, reasons, isTrusted };
+    }
+  });
+}
+
 // グローバルに公開
 if (typeof globalThis !== 'undefined') {
   globalThis.BrandChecker = BrandChecker;
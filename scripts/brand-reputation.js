@@ -0,0 +1,357 @@
+/**
+ * Clean Amazon Search - ブランドの評判の記録
+ * @fileoverview 検索結果・商品詳細ページで見たブランドの傾向（表示回数・出品の平均スコア・セラーの国・
+ * 誇張表現のあるタイトルの割合・ユーザーが信頼/信頼解除した回数）をchrome.storage.localに蓄積し、
+ * 無名ブランドの判定の事前スコア（BrandCheckerが使用）を計算するモジュール。
+ * 記録の書き込みはService Worker（background.js）でまとめて行い、各ページは読み込みのみ行う
+ * @module brand-reputation
+ * @requires brand-checker.js
+ */
+
+'use strict';
+
+/**
+ * ブランドの評判オブジェクト
+ * @namespace BrandReputation
+ */
+const BrandReputation = {
+  /**
+   * chrome.storage.localのキー
+   * @type {string}
+   */
+  STORAGE_KEY: 'brandReputation',
+
+  /**
+   * 記録と事前スコアの設定
+   * @type {Object}
+   */
+  CONFIG: {
+    /** 記録するブランドの最大数（超えた分は最後に見たのが古いものから削除） */
+    MAX_BRANDS: 3000,
+    /** 事前スコアを使う最小の表示回数（これ未満は初めて見るブランドと同じ扱い） */
+    MIN_SIGHTINGS: 10,
+    /** 事前スコアを満額にする表示回数（それまでは表示回数に比例して弱める） */
+    FULL_CONFIDENCE_SIGHTINGS: 100,
+    /** セラーの国の傾向を使う最小の確認回数 */
+    MIN_SELLER_CHECKS: 2,
+    /** 重複して数えないために記録する、セラーを確認した商品（ASIN）の数 */
+    MAX_SELLER_ASINS: 20,
+    /** 海外セラーが多いとみなす割合 */
+    OVERSEAS_RATIO: 0.5,
+    /** 国内セラーが多いとみなす割合 */
+    DOMESTIC_RATIO: 0.8,
+    /** 誇張表現のあるタイトルが多いとみなす割合 */
+    HYPE_TITLE_RATIO: 0.5,
+    /** 出品の平均スコア（ブランド名以外）が高いとみなす値 */
+    HIGH_LISTING_SCORE: 25,
+    /** 事前スコアの範囲 */
+    MAX_PRIOR: 30,
+    MIN_PRIOR: -15
+  },
+
+  /**
+   * 傾向ごとのスコア
+   * @type {Object<string, number>}
+   */
+  SCORES: {
+    overseasSellers: 15,
+    domesticSellers: -10,
+    hypeTitles: 10,
+    highListingScore: 10,
+    userExcluded: 10,
+    userTrusted: -10
+  },
+
+  /**
+   * ブランド名から記録のキーを作成（表記揺れをまとめる）
+   * @param {string} brandName - ブランド名
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @returns {string} キー（ブランド名が空の場合は空文字）
+   */
+  getKey(brandName, aliases) {
+    if (!brandName || typeof brandName !== 'string') {
+      return '';
+    }
+    return BrandChecker.getCanonicalKey(brandName, aliases);
+  },
+
+  /**
+   * 空の記録を作成
+   * @param {string} name - 表示用のブランド名
+   * @param {number} now - 現在時刻
+   * @returns {Object} 記録
+   */
+  createRecord(name, now) {
+    return {
+      name,
+      seen: 0,
+      scoreSum: 0,
+      hypeTitles: 0,
+      sellers: { domestic: 0, overseas: 0 },
+      sellerAsins: [],
+      userTrusted: 0,
+      userExcluded: 0,
+      firstSeen: now,
+      lastSeen: now
+    };
+  },
+
+  /**
+   * 記録を取得（なければ作成）
+   * @param {Object<string, Object>} store - 記録（キー → 記録）
+   * @param {string} brandName - ブランド名
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @param {number} now - 現在時刻
+   * @returns {Object|null} 記録（ブランド名が空の場合はnull）
+   */
+  getOrCreate(store, brandName, aliases, now) {
+    const key = this.getKey(brandName, aliases);
+    if (!key) {
+      return null;
+    }
+    if (!store[key]) {
+      store[key] = this.createRecord(brandName, now);
+    }
+    return store[key];
+  },
+
+  /**
+   * 判定結果から記録用の表示情報を作成
+   * 出品のスコアにはブランド名の判定（事前スコアを含む）と学習モードの差分を入れない（事前スコアが自分自身を強めないように）
+   * @param {{brandName: string, asin?: string}} productInfo - 商品情報
+   * @param {{breakdown?: Array<{id: string, score: number, reasons: string[]}>}|null} scoreResult - ScoreCalculator.calculateScoreの戻り値
+   * @returns {{brandName: string, asin: string, listingScore: number, hypeTitle: boolean}|null} 表示情報（ブランド名がない場合はnull）
+   */
+  createSighting(productInfo, scoreResult) {
+    if (!productInfo?.brandName) {
+      return null;
+    }
+    const breakdown = scoreResult?.breakdown || [];
+    const titleEntry = breakdown.find(entry => entry.id === 'title');
+    return {
+      brandName: productInfo.brandName,
+      asin: productInfo.asin || '',
+      listingScore: breakdown.filter(entry => entry.id !== 'brand' && entry.id !== 'learned').reduce((sum, entry) => sum + entry.score, 0),
+      hypeTitle: Boolean(titleEntry?.reasons.some(reason => reason.startsWith('誇張表現')))
+    };
+  },
+
+  /**
+   * 検索結果で見た商品を記録に加える
+   * @param {Object<string, Object>} store - 記録（変更される）
+   * @param {Array<{brandName: string, listingScore: number, hypeTitle: boolean}>} sightings - createSightingの戻り値
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @param {number} [now=Date.now()] - 現在時刻
+   * @returns {Object<string, Object>} 記録
+   */
+  addSightings(store, sightings, aliases, now = Date.now()) {
+    for (const sighting of sightings || []) {
+      const record = this.getOrCreate(store, sighting?.brandName, aliases, now);
+      if (!record) continue;
+      record.name = sighting.brandName;
+      record.seen++;
+      record.scoreSum += Number.isFinite(sighting.listingScore) ? sighting.listingScore : 0;
+      if (sighting.hypeTitle) {
+        record.hypeTitles++;
+      }
+      record.lastSeen = now;
+    }
+    return store;
+  },
+
+  /**
+   * 商品詳細ページで確認したセラーの国を記録に加える（同じ商品は重複して数えない）
+   * @param {Object<string, Object>} store - 記録（変更される）
+   * @param {{brandName: string, asin: string, isJapanese: boolean}} seller - セラーの確認結果
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @param {number} [now=Date.now()] - 現在時刻
+   * @returns {Object<string, Object>} 記録
+   */
+  addSellerCheck(store, seller, aliases, now = Date.now()) {
+    const record = this.getOrCreate(store, seller?.brandName, aliases, now);
+    if (!record || (seller.asin && record.sellerAsins.includes(seller.asin))) {
+      return store;
+    }
+    record.sellers[seller.isJapanese ? 'domestic' : 'overseas']++;
+    if (seller.asin) {
+      record.sellerAsins = [...record.sellerAsins, seller.asin].slice(-this.CONFIG.MAX_SELLER_ASINS);
+    }
+    record.lastSeen = now;
+    return store;
+  },
+
+  /**
+   * ユーザーの操作（カスタム信頼ブランドへの追加・信頼ブランドからの除外）を記録に加える
+   * @param {Object<string, Object>} store - 記録（変更される）
+   * @param {string} brandName - ブランド名
+   * @param {'trusted'|'excluded'} action - 操作
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   * @param {number} [now=Date.now()] - 現在時刻
+   * @returns {Object<string, Object>} 記録
+   */
+  addUserAction(store, brandName, action, aliases, now = Date.now()) {
+    const record = this.getOrCreate(store, brandName, aliases, now);
+    if (record) {
+      if (action === 'trusted') {
+        record.userTrusted++;
+      } else if (action === 'excluded') {
+        record.userExcluded++;
+      }
+    }
+    return store;
+  },
+
+  /**
+   * 記録の件数を上限までに減らす（最後に見たのが古いものから削除）
+   * @param {Object<string, Object>} store - 記録
+   * @returns {Object<string, Object>} 上限までに減らした記録
+   */
+  prune(store) {
+    const entries = Object.entries(store || {});
+    if (entries.length <= this.CONFIG.MAX_BRANDS) {
+      return store;
+    }
+    entries.sort((a, b) => b[1].lastSeen - a[1].lastSeen);
+    return Object.fromEntries(entries.slice(0, this.CONFIG.MAX_BRANDS));
+  },
+
+  /**
+   * 記録を表示用にまとめる
+   * @param {Object} record - 記録
+   * @returns {{name: string, seen: number, averageScore: number|null, sellerChecks: number, overseasRatio: number|null, hypeTitleRatio: number|null, userTrusted: number, userExcluded: number}} まとめ
+   */
+  summarize(record) {
+    const sellerChecks = record.sellers.domestic + record.sellers.overseas;
+    return {
+      name: record.name,
+      seen: record.seen,
+      averageScore: record.seen > 0 ? record.scoreSum / record.seen : null,
+      sellerChecks,
+      overseasRatio: sellerChecks > 0 ? record.sellers.overseas / sellerChecks : null,
+      hypeTitleRatio: record.seen > 0 ? record.hypeTitles / record.seen : null,
+      userTrusted: record.userTrusted,
+      userExcluded: record.userExcluded
+    };
+  },
+
+  /**
+   * 記録から無名ブランドの事前スコアを計算
+   * 表示回数が少ないうちは使わず、表示回数に応じて満額まで強める（ユーザーの操作は回数によらず満額）
+   * @param {Object|null|undefined} record - 記録
+   * @returns {{score: number, reasons: string[], signals: string[]}|null} 事前スコア（傾向がない場合はnull）
+   * @example
+   * BrandReputation.getPrior({ seen: 200, scoreSum: 6000, hypeTitles: 150,
+   *   sellers: { domestic: 0, overseas: 3 }, userTrusted: 0, userExcluded: 0 });
+   * // => { score: 30, reasons: ['過去の出品傾向（200回表示）: 海外セラーが多い・誇張表現のタイトルが多い・出品の平均スコアが高い'], ... }
+   */
+  getPrior(record) {
+    if (!record) {
+      return null;
+    }
+
+    const summary = this.summarize(record);
+    const signals = [];
+    let sightingScore = 0;
+    let userScore = 0;
+
+    if (summary.seen >= this.CONFIG.MIN_SIGHTINGS) {
+      if (summary.sellerChecks >= this.CONFIG.MIN_SELLER_CHECKS) {
+        if (summary.overseasRatio >= this.CONFIG.OVERSEAS_RATIO) {
+          sightingScore += this.SCORES.overseasSellers;
+          signals.push('海外セラーが多い');
+        } else if (1 - summary.overseasRatio >= this.CONFIG.DOMESTIC_RATIO) {
+          sightingScore += this.SCORES.domesticSellers;
+          signals.push('国内セラーが多い');
+        }
+      }
+      if (summary.hypeTitleRatio >= this.CONFIG.HYPE_TITLE_RATIO) {
+        sightingScore += this.SCORES.hypeTitles;
+        signals.push('誇張表現のタイトルが多い');
+      }
+      if (summary.averageScore >= this.CONFIG.HIGH_LISTING_SCORE) {
+        sightingScore += this.SCORES.highListingScore;
+        signals.push('出品の平均スコアが高い');
+      }
+    }
+
+    if (summary.userExcluded > summary.userTrusted) {
+      userScore += this.SCORES.userExcluded;
+      signals.push('信頼ブランドから除外したことがある');
+    } else if (summary.userTrusted > summary.userExcluded) {
+      userScore += this.SCORES.userTrusted;
+      signals.push('信頼ブランドに追加したことがある');
+    }
+
+    if (signals.length === 0) {
+      return null;
+    }
+
+    const confidence = Math.min(1, summary.seen / this.CONFIG.FULL_CONFIDENCE_SIGHTINGS);
+    const score = Math.max(this.CONFIG.MIN_PRIOR,
+      Math.min(this.CONFIG.MAX_PRIOR, Math.round(sightingScore * confidence) + userScore));
+    if (score === 0) {
+      return null;
+    }
+
+    return {
+      score,
+      reasons: [`過去の出品傾向（${summary.seen}回表示）: ${signals.join('・')}`],
+      signals
+    };
+  },
+
+  /**
+   * 書き込みの順番待ち（同時に書き込んで記録が消えないように、Service Workerで直列に実行する）
+   * @type {Promise<void>}
+   */
+  writeQueue: Promise.resolve(),
+
+  /**
+   * chrome.storage.localから記録を読み込み
+   * @returns {Promise<Object<string, Object>>} 記録
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      return result[this.STORAGE_KEY] || {};
+    } catch (error) {
+      console.error('[BrandReputation] Failed to load:', error);
+      return {};
+    }
+  },
+
+  /**
+   * 記録を読み込んで変更し、保存する（直列に実行）
+   * @param {function(Object<string, Object>): void} mutate - 記録を変更する関数
+   * @returns {Promise<void>}
+   */
+  update(mutate) {
+    this.writeQueue = this.writeQueue.then(async () => {
+      const store = await this.load();
+      mutate(store);
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: this.prune(store) });
+    }).catch(error => {
+      console.error('[BrandReputation] Failed to save:', error);
+    });
+    return this.writeQueue;
+  },
+
+  /**
+   * 記録をすべて削除
+   * @returns {Promise<void>}
+   */
+  reset() {
+    this.writeQueue = this.writeQueue.then(() => chrome.storage.local.remove(this.STORAGE_KEY)).catch(error => {
+      console.error('[BrandReputation] Failed to reset:', error);
+    });
+    return this.writeQueue;
+  }
+};
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.BrandReputation = BrandReputation;
+}
+if (typeof window !== 'undefined') {
+  window.BrandReputation = BrandReputation;
+}
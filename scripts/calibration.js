@@ -0,0 +1,326 @@
+/**
+ * Clean Amazon Search - 判定の較正（ラベル付け）
+ * @fileoverview ユーザーがバッジから付けた「問題なし / 怪しい」のラベルを、その時点の商品情報とチェッカーごとの点数と一緒に保存し、
+ * フィルターレベルごとの適合率・再現率の集計と閾値の提案を行うモジュール。
+ * 検索結果ページ（ラベルの保存）と詳細設定ページ（集計・提案）で使用する
+ * @module calibration
+ * @requires score-calculator.js
+ */
+
+'use strict';
+
+/**
+ * 判定の較正オブジェクト
+ * @namespace Calibration
+ */
+const Calibration = {
+  /**
+   * ラベルを保存するキー（chrome.storage.local）
+   * @type {string}
+   */
+  STORAGE_KEY: 'calibrationLabels',
+
+  /**
+   * ラベル付けモードの設定キー（chrome.storage.local）
+   * 有効にすると、バッジの出ない商品（問題なし・非表示）にもラベル用のバッジを表示する
+   * @type {string}
+   */
+  LABEL_MODE_KEY: 'calibrationLabelMode',
+
+  /**
+   * ラベルの種類（怪しい商品を陽性として集計する）
+   * @type {Object}
+   */
+  LABELS: {
+    GOOD: 'good',
+    JUNK: 'junk'
+  },
+
+  /**
+   * ラベルの表示名
+   * @type {Object<string, string>}
+   */
+  LABEL_NAMES: {
+    good: '問題なし',
+    junk: '怪しい'
+  },
+
+  /**
+   * 集計・提案の設定
+   * @type {Object}
+   */
+  CONFIG: {
+    /** 保存するラベルの上限（古いものから削除） */
+    MAX_LABELS: 2000,
+    /** 閾値を提案するのに必要な、各ラベルの最小件数（信頼ブランド・強制判定を除く） */
+    MIN_LABELS_PER_CLASS: 5,
+    /** 提案する閾値で満たす適合率（怪しいと判定した商品のうち、実際に怪しい商品の割合）の目標 */
+    TARGET_PRECISION: {
+      1: { warn: 0.7 },
+      2: { warn: 0.7, hide: 0.95 },
+      3: { warn: 0.6, hide: 0.9 },
+      4: { warn: 0.5, hide: 0.8 }
+    }
+  },
+
+  /**
+   * スターターセット（PM会議の検出例）のパス
+   * @type {string}
+   */
+  STARTER_SET_PATH: 'config/calibration-starter.json',
+
+  /**
+   * 書き込みを直列化するためのPromise（同時に押されたラベルで上書きし合わないように）
+   * @type {Promise<void>}
+   */
+  writeQueue: Promise.resolve(),
+
+  /**
+   * 商品情報とスコア結果からラベルを作成
+   * スコアはラベルを付けた時点のもの（後でルールが変わっても再計算しない）
+   * @param {Object} productInfo - 商品情報（ProductFilter.extractProductInfoの結果）
+   * @param {{score: number, isTrusted: boolean, breakdown: Object[], forcedVerdict?: string|null, categoryProfile?: Object|null}} scoreResult - スコア結果
+   * @param {'good'|'junk'} label - ラベル
+   * @param {{sponsored?: boolean, filterLevel?: number}} [extra={}] - 付加情報
+   * @returns {Object|null} ラベル（不正な値の場合はnull）
+   */
+  createLabel(productInfo, scoreResult, label, extra = {}) {
+    if (!Object.values(this.LABELS).includes(label) || !scoreResult || typeof scoreResult.score !== 'number') {
+      return null;
+    }
+
+    const info = productInfo || {};
+    return {
+      id: info.asin || `${info.brandName || ''}:${info.title || ''}`,
+      label,
+      features: {
+        asin: info.asin || '',
+        brandName: info.brandName || '',
+        title: info.title || '',
+        priceText: info.priceText || '',
+        rating: typeof info.rating === 'number' ? info.rating : null,
+        reviewCount: typeof info.reviewCount === 'number' ? info.reviewCount : null,
+        sponsored: Boolean(extra.sponsored)
+      },
+      score: scoreResult.score,
+      isTrusted: Boolean(scoreResult.isTrusted),
+      forcedVerdict: scoreResult.forcedVerdict || null,
+      categoryProfile: scoreResult.categoryProfile?.id || null,
+      filterLevel: typeof extra.filterLevel === 'number' ? extra.filterLevel : null,
+      breakdown: (scoreResult.breakdown || []).map(entry => ({
+        id: entry.id,
+        label: entry.label,
+        score: entry.score,
+        reasons: [...(entry.reasons || [])]
+      })),
+      labeledAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * 保存済みのラベルを読み込み
+   * @returns {Promise<Object[]>} ラベル（古い順）
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get([this.STORAGE_KEY]);
+      const labels = result[this.STORAGE_KEY];
+      return Array.isArray(labels) ? labels : [];
+    } catch (error) {
+      console.error('[Calibration] Failed to load labels:', error);
+      return [];
+    }
+  },
+
+  /**
+   * ラベルの一覧を書き換えて保存（直列化）
+   * @param {function(Object[]): Object[]} mutate - 一覧を受け取り、新しい一覧を返す関数
+   * @returns {Promise<Object[]>} 保存した一覧
+   */
+  update(mutate) {
+    const task = this.writeQueue.then(async () => {
+      const labels = mutate(await this.load());
+      const trimmed = labels.slice(-this.CONFIG.MAX_LABELS);
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: trimmed });
+      return trimmed;
+    });
+    this.writeQueue = task.then(() => undefined, () => undefined);
+    return task;
+  },
+
+  /**
+   * ラベルを保存（同じ商品のラベルは置き換える）
+   * @param {Object} entry - createLabelで作成したラベル
+   * @returns {Promise<Object[]>} 保存した一覧
+   */
+  save(entry) {
+    return this.update(labels => [...labels.filter(item => item.id !== entry.id), entry]);
+  },
+
+  /**
+   * ラベルを削除
+   * @param {string} id - ラベルのID
+   * @returns {Promise<Object[]>} 保存した一覧
+   */
+  remove(id) {
+    return this.update(labels => labels.filter(item => item.id !== id));
+  },
+
+  /**
+   * すべてのラベルを削除
+   * @returns {Promise<Object[]>} 空の一覧
+   */
+  clear() {
+    return this.update(() => []);
+  },
+
+  /**
+   * スターターセット（PM会議の検出例）を読み込み
+   * 保存しているのは商品情報だけなので、集計の前にscoreStarterSetでスコアを計算する
+   * @returns {Promise<Array<{id: string, label: string, note: string, features: Object}>>} 検出例（読み込めない場合は空）
+   */
+  async loadStarterSet() {
+    try {
+      const response = await fetch(chrome.runtime.getURL(this.STARTER_SET_PATH));
+      const data = await response.json();
+      return Array.isArray(data.samples) ? data.samples : [];
+    } catch (error) {
+      console.error('[Calibration] Failed to load starter set:', error);
+      return [];
+    }
+  },
+
+  /**
+   * スターターセットのスコアを現在のチェッカー・設定で計算し、ユーザーのラベルと同じ形式にする
+   * @param {Array<{id: string, label: string, note?: string, features: Object}>} samples - loadStarterSetで読み込んだ検出例
+   * @param {Object} config - 設定（ProductFilter.loadConfigの戻り値）
+   * @returns {Object[]} ラベル（不正な検出例は除く）
+   */
+  scoreStarterSet(samples, config) {
+    return samples.flatMap((sample) => {
+      const scoreResult = ScoreCalculator.calculateScore(sample.features, config);
+      const entry = this.createLabel(sample.features, scoreResult, sample.label, { sponsored: sample.features?.sponsored });
+      return entry ? [{ ...entry, id: sample.id, note: sample.note || '' }] : [];
+    });
+  },
+
+  /**
+   * 判定が怪しい側（陽性）かどうか
+   * @param {Object} sample - ラベル
+   * @param {number} filterLevel - フィルターレベル
+   * @param {'hide'|'warn'} decision - 非表示の判定か、警告以上の判定か
+   * @returns {boolean} 陽性と判定した場合true
+   */
+  isFlagged(sample, filterLevel, decision) {
+    const verdict = ScoreCalculator.determineVerdict(sample.score, sample.isTrusted, filterLevel, sample.forcedVerdict);
+    return decision === 'hide' ? verdict === 'danger' : verdict === 'danger' || verdict === 'warning';
+  },
+
+  /**
+   * 混同行列から適合率・再現率を計算
+   * @param {{tp: number, fp: number, fn: number, tn: number}} counts - 混同行列
+   * @returns {{tp: number, fp: number, fn: number, tn: number, precision: number|null, recall: number|null}} 集計結果
+   *   precision: 怪しいと判定したうち実際に怪しい割合、recall: 怪しい商品のうち判定できた割合（分母が0の場合はnull）
+   */
+  summarizeCounts(counts) {
+    const flagged = counts.tp + counts.fp;
+    const junk = counts.tp + counts.fn;
+    return {
+      ...counts,
+      precision: flagged > 0 ? counts.tp / flagged : null,
+      recall: junk > 0 ? counts.tp / junk : null
+    };
+  },
+
+  /**
+   * フィルターレベルごとに、現在の閾値（ScoreCalculator.LEVEL_THRESHOLDS）での判定をラベルと突き合わせる
+   * カテゴリの判定プロファイルによる閾値の上書きは考慮しない
+   * @param {Object[]} samples - ラベル
+   * @returns {Array<{level: number, name: string, thresholds: {warn: number, hide: number}, hide: Object, warn: Object}>} レベルごとの集計結果
+   *   hide: 非表示の判定の集計、warn: 警告以上の判定の集計（summarizeCountsの形式）
+   */
+  evaluate(samples) {
+    const levels = Object.keys(ScoreCalculator.LEVEL_THRESHOLDS).map(Number);
+
+    return levels.map((level) => {
+      const result = { level, name: ScoreCalculator.LEVEL_NAMES[level], thresholds: ScoreCalculator.getThresholds(level) };
+
+      for (const decision of ['hide', 'warn']) {
+        const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+        for (const sample of samples) {
+          const junk = sample.label === this.LABELS.JUNK;
+          const flagged = this.isFlagged(sample, level, decision);
+          if (junk) {
+            counts[flagged ? 'tp' : 'fn']++;
+          } else {
+            counts[flagged ? 'fp' : 'tn']++;
+          }
+        }
+        result[decision] = this.summarizeCounts(counts);
+      }
+
+      return result;
+    });
+  },
+
+  /**
+   * 目標の適合率を満たす最も低い閾値を探す
+   * @param {Object[]} samples - 閾値で判定が変わるラベル（信頼ブランド・強制判定を除いたもの）
+   * @param {number} targetPrecision - 目標の適合率
+   * @returns {{threshold: number, precision: number, recall: number}|null} 閾値とその時の適合率・再現率（見つからない場合はnull）
+   */
+  findThreshold(samples, targetPrecision) {
+    const junkTotal = samples.filter(sample => sample.label === this.LABELS.JUNK).length;
+    const candidates = [...new Set(samples.map(sample => sample.score))].sort((a, b) => a - b);
+
+    for (const threshold of candidates) {
+      const flagged = samples.filter(sample => sample.score >= threshold);
+      const tp = flagged.filter(sample => sample.label === this.LABELS.JUNK).length;
+      if (tp > 0 && tp / flagged.length >= targetPrecision) {
+        return { threshold, precision: tp / flagged.length, recall: tp / junkTotal };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * ラベルから各レベルの閾値を提案
+   * レベルごとの目標の適合率（CONFIG.TARGET_PRECISION）を満たす最も低いスコアを閾値にする
+   * @param {Object[]} samples - ラベル
+   * @returns {{ready: boolean, counts: {good: number, junk: number}, levels: Object<number, {warn: Object|null, hide: Object|null}>}} 提案
+   *   ready: ラベルの件数が足りているか（falseの場合levelsは空）、
+   *   levels: レベル → 判定ごとの{threshold, precision, recall}（目標を満たせない場合null）
+   */
+  suggestThresholds(samples) {
+    const scored = samples.filter(sample => !sample.isTrusted && !sample.forcedVerdict && typeof sample.score === 'number');
+    const counts = {
+      good: scored.filter(sample => sample.label === this.LABELS.GOOD).length,
+      junk: scored.filter(sample => sample.label === this.LABELS.JUNK).length
+    };
+
+    if (counts.good < this.CONFIG.MIN_LABELS_PER_CLASS || counts.junk < this.CONFIG.MIN_LABELS_PER_CLASS) {
+      return { ready: false, counts, levels: {} };
+    }
+
+    const levels = {};
+    for (const [level, targets] of Object.entries(this.CONFIG.TARGET_PRECISION)) {
+      const hide = targets.hide ? this.findThreshold(scored, targets.hide) : null;
+      let warn = this.findThreshold(scored, targets.warn);
+      // 警告の閾値は非表示の閾値を超えない
+      if (warn && hide && warn.threshold > hide.threshold) {
+        warn = hide;
+      }
+      levels[level] = { warn, hide };
+    }
+
+    return { ready: true, counts, levels };
+  }
+};
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.Calibration = Calibration;
+}
+if (typeof window !== 'undefined') {
+  window.Calibration = Calibration;
+}
@@ -0,0 +1,172 @@
+/**
+ * Clean Amazon Search - カテゴリ判定
+ * @fileoverview 表示中のページの商品カテゴリを判定し、config/category-profiles.jsonの
+ * 判定プロファイル（閾値・チェッカーの重み・無効にするルール）を選ぶモジュール
+ * @module category-detector
+ */
+
+'use strict';
+
+/**
+ * カテゴリ判定オブジェクト
+ * @namespace CategoryDetector
+ */
+const CategoryDetector = {
+  /**
+   * パンくずリスト（カテゴリ表示）の候補セレクター
+   * @type {string[]}
+   */
+  BREADCRUMB_SELECTORS: [
+    '#wayfinding-breadcrumbs_feature_div a',
+    '#nav-subnav .nav-a-content',
+    '#departments .a-text-bold',
+    '#s-refinements .a-text-bold'
+  ],
+
+  /**
+   * URLとページのパンくずリストからカテゴリの手がかりを取得
+   * @param {string} url - ページのURL
+   * @param {Document} [doc] - ページのDocument（パンくずリストの取得用）
+   * @returns {{searchAlias: string|null, nodes: string[], breadcrumbs: string[], query: string}} カテゴリの手がかり
+   * @example
+   * CategoryDetector.detect('https://www.amazon.co.jp/s?k=充電器&i=electronics&rh=n:3210981');
+   * // => { searchAlias: 'electronics', nodes: ['3210981'], breadcrumbs: [], query: '充電器' }
+   */
+  detect(url, doc) {
+    const result = { searchAlias: null, nodes: [], breadcrumbs: [], query: '' };
+
+    try {
+      const params = new URL(url).searchParams;
+
+      // k=充電器（検索語）
+      result.query = (params.get('k') || params.get('field-keywords') || '').trim();
+
+      // i=electronics（検索カテゴリ）
+      const alias = params.get('i');
+      if (alias) {
+        result.searchAlias = alias.replace(/-intl-ship$/, '').toLowerCase();
+      }
+
+      // rh=n:3210981,n:128187011,p_85:... / node=3210981（ブラウズノード）
+      const rh = params.get('rh') || '';
+      for (const match of rh.matchAll(/(?:^|,)n:(\d+)/g)) {
+        result.nodes.push(match[1]);
+      }
+      const node = params.get('node');
+      if (node && /^\d+$/.test(node)) {
+        result.nodes.push(node);
+      }
+    } catch (error) {
+      console.warn('[CategoryDetector] Invalid URL:', url);
+    }
+
+    // #nav-subnavのdata-category（検索結果ページ・商品ページ共通）
+    const subnav = doc?.querySelector?.('#nav-subnav[data-category]');
+    if (subnav && !result.searchAlias) {
+      result.searchAlias = subnav.getAttribute('data-category').toLowerCase();
+    }
+
+    if (doc?.querySelectorAll) {
+      for (const selector of this.BREADCRUMB_SELECTORS) {
+        for (const element of doc.querySelectorAll(selector)) {
+          const text = element.textContent.replace(/\s+/g, ' ').trim();
+          if (text && !result.breadcrumbs.includes(text)) {
+            result.breadcrumbs.push(text);
+          }
+        }
+      }
+    }
+
+    return result;
+  },
+
+  /**
+   * カテゴリの手がかりから判定プロファイルを選択
+   * 検索カテゴリ（i=）→ ブラウズノード（具体的なもの＝後ろから）→ パンくずリストの順に照合する
+   * @param {{searchAlias: string|null, nodes: string[], breadcrumbs: string[]}} detection - detectの戻り値
+   * @param {{profiles: Object<string, Object>}|null} profilesConfig - category-profiles.jsonの内容
+   * @returns {{id: string, name: string, description: string, thresholds: Object, weights: Object, disabled_rules: string[], detectedBy: string}|null} 判定プロファイル（一致しない場合はnull）
+   */
+  resolveProfile(detection, profilesConfig) {
+    const profiles = profilesConfig?.profiles;
+    if (!detection || !profiles) {
+      return null;
+    }
+
+    const entries = Object.entries(profiles);
+    const build = (id, profile, detectedBy) => ({
+      id,
+      name: profile.name || id,
+      description: profile.description || '',
+      thresholds: profile.thresholds || {},
+      weights: profile.weights || {},
+      disabled_rules: profile.disabled_rules || [],
+      detectedBy
+    });
+
+    if (detection.searchAlias) {
+      for (const [id, profile] of entries) {
+        if ((profile.match?.search_aliases || []).includes(detection.searchAlias)) {
+          return build(id, profile, `i=${detection.searchAlias}`);
+        }
+      }
+    }
+
+    for (const node of [...detection.nodes].reverse()) {
+      for (const [id, profile] of entries) {
+        if ((profile.match?.nodes || []).includes(node)) {
+          return build(id, profile, `n:${node}`);
+        }
+      }
+    }
+
+    for (const breadcrumb of detection.breadcrumbs) {
+      for (const [id, profile] of entries) {
+        const keyword = (profile.match?.breadcrumb_keywords || []).find(k => breadcrumb.includes(k));
+        if (keyword) {
+          return build(id, profile, breadcrumb);
+        }
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * 表示中のカテゴリの値（判定プロファイルがない場合に使う検索カテゴリ）を決める
+   * すべてのカテゴリの検索（i=aps等）とカテゴリを指定しない検索は、検索語からカテゴリを推定する
+   * @param {{searchAlias: string|null, query?: string}} detection - detectの戻り値
+   * @param {{detection?: {all_department_aliases?: string[], query_categories?: {categories?: Object<string, string[]>}}}|null} profilesConfig - category-profiles.jsonの内容
+   * @returns {string|null} カテゴリ（推定できない場合はnull）
+   * @example
+   * CategoryDetector.resolveCategoryAlias({ searchAlias: 'aps', query: 'モバイルバッテリー 大容量' }, profilesConfig);
+   * // => 'electronics'
+   */
+  resolveCategoryAlias(detection, profilesConfig) {
+    const allDepartments = profilesConfig?.detection?.all_department_aliases || [];
+    const alias = detection?.searchAlias;
+    if (alias && !allDepartments.includes(alias)) {
+      return alias;
+    }
+
+    const query = (detection?.query || '').normalize('NFKC').toLowerCase();
+    if (!query) {
+      return null;
+    }
+    const categories = profilesConfig?.detection?.query_categories?.categories || {};
+    for (const [category, keywords] of Object.entries(categories)) {
+      if (keywords.some(keyword => query.includes(keyword.normalize('NFKC').toLowerCase()))) {
+        return category;
+      }
+    }
+    return null;
+  }
+};
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.CategoryDetector = CategoryDetector;
+}
+if (typeof window !== 'undefined') {
+  window.CategoryDetector = CategoryDetector;
+}
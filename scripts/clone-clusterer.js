@@ -0,0 +1,263 @@
+/**
+ * Clean Amazon Search - 同一品の別ブランド出品の検出
+ * @fileoverview 検索結果ページの商品をタイトルの類似度（文字シングルのMinHash）と価格の近さでまとめ、
+ * 同じOEM商品が複数の無名ブランドで出品されているグループを検出するモジュール
+ * @module clone-clusterer
+ * @requires text-normalizer.js
+ */
+
+'use strict';
+
+/**
+ * 同一品クラスタリングオブジェクト
+ * @namespace CloneClusterer
+ */
+const CloneClusterer = {
+  /**
+   * クラスタリングの設定
+   * @type {Object}
+   */
+  CONFIG: {
+    /** 文字シングル（n-gram）の文字数 */
+    SHINGLE_SIZE: 3,
+    /** MinHashのハッシュ関数の数 */
+    NUM_HASHES: 64,
+    /** 同一品とみなす推定Jaccard係数の下限 */
+    SIMILARITY_THRESHOLD: 0.6,
+    /** 同一品とみなす価格差の上限（高い方の価格に対する割合） */
+    PRICE_TOLERANCE: 0.2,
+    /** 別ブランド出品とみなすグループの最小件数 */
+    MIN_CLUSTER_SIZE: 3,
+    /** 別ブランド出品とみなす無名ブランドの最小種類数 */
+    MIN_DISTINCT_BRANDS: 2,
+    /** シングル化する前に残すタイトルの最大文字数（末尾の羅列で類似度が薄まらないように） */
+    MAX_TITLE_LENGTH: 80
+  },
+
+  /**
+   * MinHashの各ハッシュ関数のシード（初回使用時に生成）
+   * @type {number[]|null}
+   */
+  seeds: null,
+
+  /**
+   * 商品をグループ化して、同一品の別ブランド出品を検出
+   * @param {Array<{title: string, brandName?: string, brandKey?: string, price?: number|null, score?: number, isTrusted?: boolean}>} items - 商品（ページ上の順）
+   *   brandKey: 表記揺れを正規化したブランドのキー（省略時はbrandNameを小文字化したもの）
+   * @returns {Array<{members: number[], brands: string[], isClone: boolean, best: number}>} 2件以上のグループ
+   *   members: itemsのインデックス、brands: 無名ブランド（信頼ブランド以外）の一覧、
+   *   isClone: 別ブランド出品とみなすグループか、best: スコアが最も低い（良い）商品のインデックス
+   * @example
+   * CloneClusterer.cluster([
+   *   { title: 'ABCD ワイヤレスイヤホン Bluetooth5.3 ノイズキャンセリング', brandName: 'ABCD', price: 2980 },
+   *   { title: 'WXYZ ワイヤレスイヤホン Bluetooth5.3 ノイズキャンセリング', brandName: 'WXYZ', price: 2880 },
+   *   { title: 'QRST ワイヤレスイヤホン Bluetooth5.3 ノイズキャンセリング', brandName: 'QRST', price: 3080 }
+   * ]);
+   * // => [{ members: [0, 1, 2], brands: ['ABCD', 'WXYZ', 'QRST'], isClone: true, best: 0 }]
+   */
+  cluster(items) {
+    if (!Array.isArray(items) || items.length < 2) {
+      return [];
+    }
+
+    const signatures = items.map(item => this.getSignature(this.getComparableTitle(item.title, item.brandName)));
+
+    // 似ている組をUnion-Findでまとめる
+    const parent = items.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    for (let i = 0; i < items.length; i++) {
+      if (!signatures[i]) continue;
+      for (let j = i + 1; j < items.length; j++) {
+        if (!signatures[j] || !this.isPriceClose(items[i].price, items[j].price)) continue;
+        if (this.estimateSimilarity(signatures[i], signatures[j]) >= this.CONFIG.SIMILARITY_THRESHOLD) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const groups = new Map();
+    items.forEach((_, index) => {
+      const root = find(index);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(index);
+    });
+
+    const clusters = [];
+    for (const members of groups.values()) {
+      if (members.length < 2) continue;
+
+      // 信頼ブランド以外のブランドを表記揺れをまとめて数える
+      const brands = new Map();
+      for (const index of members) {
+        const item = items[index];
+        if (item.isTrusted || !item.brandName) continue;
+        const key = item.brandKey || item.brandName.toLowerCase();
+        if (!brands.has(key)) {
+          brands.set(key, item.brandName);
+        }
+      }
+
+      const best = members.reduce((bestIndex, index) =>
+        (items[index].score ?? 0) < (items[bestIndex].score ?? 0) ? index : bestIndex);
+
+      clusters.push({
+        members,
+        brands: [...brands.values()],
+        isClone: members.length >= this.CONFIG.MIN_CLUSTER_SIZE && brands.size >= this.CONFIG.MIN_DISTINCT_BRANDS,
+        best
+      });
+    }
+
+    return clusters;
+  },
+
+  /**
+   * 比較用のタイトルを作成（ブランド名・【】の装飾・空白・記号を除いて小文字化）
+   * ブランド名や「【2025最新】」のような装飾だけが違う同一品を近づけるため、これらは除く
+   * @param {string} title - 商品タイトル
+   * @param {string} [brandName] - ブランド名
+   * @returns {string} 比較用のタイトル
+   */
+  getComparableTitle(title, brandName) {
+    if (!title || typeof title !== 'string') {
+      return '';
+    }
+
+    const normalize = (text) => (typeof TextNormalizer !== 'undefined'
+      ? TextNormalizer.toMatchText(text)
+      : text.normalize('NFKC').trim()).toLowerCase();
+
+    let text = normalize(title).replace(/【[^】]*】|\[[^\]]*\]/g, ' ');
+    const brand = brandName ? normalize(brandName) : '';
+    if (brand) {
+      text = text.split(brand).join(' ');
+    }
+
+    return text
+      .replace(/[\s　【】[\]()（）「」『』〔〕/／・,、。+＋|｜:：!！?？★☆◆■●※-]+/g, '')
+      .slice(0, this.CONFIG.MAX_TITLE_LENGTH);
+  },
+
+  /**
+   * 文字列を文字シングル（n-gram）の集合に変換
+   * @param {string} text - 比較用のタイトル
+   * @returns {Set<string>} シングルの集合
+   */
+  getShingles(text) {
+    const size = this.CONFIG.SHINGLE_SIZE;
+    const shingles = new Set();
+    const chars = Array.from(text);
+    for (let i = 0; i + size <= chars.length; i++) {
+      shingles.add(chars.slice(i, i + size).join(''));
+    }
+    return shingles;
+  },
+
+  /**
+   * MinHashシグネチャを計算
+   * @param {string} text - 比較用のタイトル
+   * @returns {Uint32Array|null} シグネチャ（シングルが作れない短いタイトルはnull）
+   */
+  getSignature(text) {
+    const shingles = this.getShingles(text);
+    if (shingles.size === 0) {
+      return null;
+    }
+
+    const seeds = this.getSeeds();
+    const signature = new Uint32Array(seeds.length).fill(0xffffffff);
+    for (const shingle of shingles) {
+      for (let i = 0; i < seeds.length; i++) {
+        const hash = this.hashString(shingle, seeds[i]);
+        if (hash < signature[i]) {
+          signature[i] = hash;
+        }
+      }
+    }
+    return signature;
+  },
+
+  /**
+   * 2つのシグネチャから類似度（Jaccard係数の推定値）を計算
+   * @param {Uint32Array} a - シグネチャ
+   * @param {Uint32Array} b - シグネチャ
+   * @returns {number} 0〜1の類似度
+   */
+  estimateSimilarity(a, b) {
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] === b[i]) matches++;
+    }
+    return matches / a.length;
+  },
+
+  /**
+   * 価格が同一品とみなせるほど近いか（どちらかの価格が不明な場合は判定しない＝true）
+   * @param {number|null|undefined} a - 価格
+   * @param {number|null|undefined} b - 価格
+   * @returns {boolean} 近い場合true
+   */
+  isPriceClose(a, b) {
+    if (!(a > 0) || !(b > 0)) {
+      return true;
+    }
+    return Math.abs(a - b) / Math.max(a, b) <= this.CONFIG.PRICE_TOLERANCE;
+  },
+
+  /**
+   * MinHashのシードを取得（固定値から決定的に生成）
+   * @returns {number[]} シードの配列
+   */
+  getSeeds() {
+    if (!this.seeds || this.seeds.length !== this.CONFIG.NUM_HASHES) {
+      this.seeds = [];
+      let state = 0x9e3779b9;
+      for (let i = 0; i < this.CONFIG.NUM_HASHES; i++) {
+        // xorshift32
+        state ^= state << 13;
+        state ^= state >>> 17;
+        state ^= state << 5;
+        this.seeds.push(state >>> 0);
+      }
+    }
+    return this.seeds;
+  },
+
+  /**
+   * シード付きのFNV-1aハッシュ（32bit）
+   * @param {string} text - 文字列
+   * @param {number} seed - シード
+   * @returns {number} 符号なし32bitのハッシュ値
+   */
+  hashString(text, seed) {
+    let hash = (0x811c9dc5 ^ seed) >>> 0;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    // 下位ビットの偏りを減らす仕上げ（murmur3のfmix32）
+    hash ^= hash >>> 16;
+    hash = Math.imul(hash, 0x85ebca6b);
+    hash ^= hash >>> 13;
+    hash = Math.imul(hash, 0xc2b2ae35);
+    hash ^= hash >>> 16;
+    return hash >>> 0;
+  }
+};
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.CloneClusterer = CloneClusterer;
+}
+if (typeof window !== 'undefined') {
+  window.CloneClusterer = CloneClusterer;
+}
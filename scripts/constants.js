@@ -89,6 +89,12 @@ const AMAZON_JP_SELLER_ID = 'AN1VRQENFRJN5';
  */
 const AMAZON_JP_HOST = 'www.amazon.co.jp';
 
+/**
+ * 商品画像サーバーへのアクセス許可（同じ画像の別ブランド出品の検出を有効にしたときに要求する）
+ * @constant {string}
+ */
+const IMAGE_HOST_PERMISSION = 'https://m.media-amazon.com/*';
+
 /**
  * デフォルト設定
  * @constant {Object}
@@ -108,12 +114,21 @@ const DEFAULT_SETTINGS = {
   sellerCheck: true,           // セラー住所チェックを有効化
   hideOverseasSellers: true,   // 海外セラーを非表示
   showJapaneseBadge: false,    // 日本セラーにバッジ表示
+  sponsoredPolicy: 'label',    // スポンサー商品（広告）の扱い: 'hide' | 'strict' | 'label'
+  imageDuplicateCheck: false,  // 同じ画像の別ブランド出品の検出（商品画像サーバーへのアクセス許可が必要）
+  calibrationLabelMode: false, // すべての商品にラベル付け用のバッジを表示（判定の較正用）
+  learnedScorerMode: 'off',    // 学習モード: 'off' | 'blend' | 'replace'
   onboardingCompleted: false,
   stats: {
     domesticFilter: 0,
     fbaFilter: 0,
     ratingFilter: 0,
     overseasHidden: 0,         // 海外セラー非表示回数
+    hidden: 0,                 // 非表示にした商品数（広告を除く）
+    warned: 0,                 // 警告を表示した商品数（広告を除く）
+    trusted: 0,                // 信頼ブランドの商品数（広告を除く）
+    sponsored: 0,              // 検出した広告（スポンサー商品・ウィジェット）数
+    sponsoredHidden: 0,        // 非表示にした広告数
     lastResetDate: null
   },
   dismissedBanners: []
@@ -169,6 +184,7 @@ if (typeof globalThis !== 'undefined') {
   globalThis.RATING_OPTIONS = RATING_OPTIONS;
   globalThis.AMAZON_JP_SELLER_ID = AMAZON_JP_SELLER_ID;
   globalThis.AMAZON_JP_HOST = AMAZON_JP_HOST;
+  globalThis.IMAGE_HOST_PERMISSION = IMAGE_HOST_PERMISSION;
   globalThis.DEFAULT_SETTINGS = DEFAULT_SETTINGS;
   globalThis.BADGE_CONFIG = BADGE_CONFIG;
   globalThis.ICON_PATHS = ICON_PATHS;
@@ -3,9 +3,19 @@
  * @fileoverview 検索結果ページでDOM解析ベースのフィルタリングを適用
  * @module content
  * @requires constants.js (manifest.jsonで先に読み込み)
+ * @requires score-calculator.js (manifest.jsonで先に読み込み、各チェッカーが登録する)
+ * @requires text-normalizer.js (manifest.jsonで先に読み込み)
+ * @requires category-detector.js (manifest.jsonで先に読み込み)
  * @requires brand-checker.js (manifest.jsonで先に読み込み)
+ * @requires brand-reputation.js (manifest.jsonで先に読み込み)
  * @requires title-checker.js (manifest.jsonで先に読み込み)
- * @requires score-calculator.js (manifest.jsonで先に読み込み)
+ * @requires japanese-checker.js (manifest.jsonで先に読み込み)
+ * @requires price-checker.js (manifest.jsonで先に読み込み)
+ * @requires review-checker.js (manifest.jsonで先に読み込み)
+ * @requires rule-engine.js (manifest.jsonで先に読み込み)
+ * @requires clone-clusterer.js (manifest.jsonで先に読み込み)
+ * @requires image-hasher.js (manifest.jsonで先に読み込み)
+ * @requires verdict-cache.js (manifest.jsonで先に読み込み)
  * @requires product-filter.js (manifest.jsonで先に読み込み)
  */
 
@@ -27,6 +37,9 @@
   /** @type {string} 現在のURL（ページ遷移検知用） */
   let currentUrl = window.location.href;
 
+  /** @type {{url: string|null, counts: Object<string, number>}} このページでbackgroundに送信済みの件数（再フィルタで二重に加算しないため） */
+  let reportedStats = { url: null, counts: {} };
+
   /**
    * ログ出力ヘルパー
    * @param {string} level - ログレベル ('log' | 'warn' | 'error')
@@ -88,16 +101,9 @@
     try {
       // ProductFilterのメソッドを使用して設定を読み込み
       if (typeof ProductFilter !== 'undefined') {
-        const [trustedBrands, suspiciousPatterns] = await Promise.all([
-          ProductFilter.loadTrustedBrands(),
-          ProductFilter.loadSuspiciousPatterns()
-        ]);
-
-        filterConfigCache = {
-          trustedBrands,
-          suspiciousPatterns
-        };
+        filterConfigCache = await ProductFilter.loadConfig();
 
+        const { trustedBrands, suspiciousPatterns } = filterConfigCache;
         log('log', `Loaded config: ${trustedBrands.length} trusted brands, ${suspiciousPatterns.length} suspicious patterns`);
         return filterConfigCache;
       }
@@ -108,10 +114,32 @@
     // フォールバック: 空の設定
     return {
       trustedBrands: [],
-      suspiciousPatterns: []
+      suspiciousPatterns: [],
+      brandAliases: {}
     };
   }
 
+  /**
+   * 統計情報のうち、このページでまだbackgroundに送信していない件数を取得
+   * 再フィルタでは同じ商品を数え直すため、送信済みの件数を超えた分だけを返す
+   * @param {Object} stats - ProductFilter.runの統計情報
+   * @returns {Object<string, number>} 未送信の件数
+   */
+  function getUnreportedStats(stats) {
+    if (reportedStats.url !== currentUrl) {
+      reportedStats = { url: currentUrl, counts: {} };
+    }
+
+    const unreported = {};
+    for (const [key, value] of Object.entries(stats)) {
+      if (typeof value !== 'number') continue;
+      const reported = reportedStats.counts[key] || 0;
+      unreported[key] = Math.max(0, value - reported);
+      reportedStats.counts[key] = Math.max(reported, value);
+    }
+    return unreported;
+  }
+
   /**
    * フィルタリングを実行
    * @returns {Promise<Object>} 統計情報
@@ -137,11 +165,11 @@
     const stats = await ProductFilter.run(currentFilterLevel);
     log('log', 'Filtering complete:', stats);
 
-    // 統計情報をbackgroundに送信
+    // 統計情報をbackgroundに送信（このページで送信済みの件数は除く）
     try {
       await chrome.runtime.sendMessage({
         action: 'updateFilterStats',
-        stats: stats
+        stats: getUnreportedStats(stats)
       });
     } catch (error) {
       log('warn', 'Failed to send stats to background:', error);
@@ -174,14 +202,8 @@
       // 設定を読み込み（キャッシュから）
       const config = await loadFilterConfig();
 
-      // 商品情報を抽出
-      const productInfo = ProductFilter.extractProductInfo(productElement);
-
-      // スコアを計算
-      const scoreResult = ProductFilter.calculateScore(productInfo, config);
-
-      // フィルターを適用
-      ProductFilter.applyFilter(productElement, scoreResult, currentFilterLevel, productInfo.brandName);
+      // スポンサー商品の扱いとフィルターを適用
+      ProductFilter.filterProduct(productElement, config, currentFilterLevel);
 
       // 処理済みマークを付ける
       productElement.dataset.casProcessed = 'true';
@@ -190,6 +212,24 @@
     }
   }
 
+  /**
+   * 新しく追加されたスポンサーブランド・スポンサー動画ウィジェットに広告の扱いを適用
+   * @param {Element} widget - ウィジェットのDOM要素
+   */
+  async function filterNewSponsoredWidget(widget) {
+    if (widget.dataset.casProcessed || currentFilterLevel === 0 || typeof ProductFilter === 'undefined') {
+      return;
+    }
+
+    try {
+      const config = await loadFilterConfig();
+      ProductFilter.filterSponsoredWidget(widget, config);
+      widget.dataset.casProcessed = 'true';
+    } catch (error) {
+      log('warn', 'Error filtering sponsored widget:', error);
+    }
+  }
+
   /**
    * MutationObserverで動的に追加される商品を監視
    */
@@ -228,6 +268,12 @@
               filterNewProduct(product);
             }
           }
+
+          // 追加されたスポンサーウィジェット
+          if (typeof ProductFilter !== 'undefined' && node.matches &&
+              node.matches(ProductFilter.SPONSORED_WIDGET_SELECTORS.join(', '))) {
+            filterNewSponsoredWidget(node);
+          }
         }
       }
     });
@@ -246,7 +292,7 @@
    */
   function watchStorageChanges() {
     chrome.storage.onChanged.addListener((changes, areaName) => {
-      // local: filterLevel変更
+      // local: filterLevel / sponsoredPolicy / imageDuplicateCheck / calibrationLabelMode / learnedScorerMode変更
       if (areaName === 'local') {
         if (changes.filterLevel) {
           const newLevel = changes.filterLevel.newValue;
@@ -254,12 +300,32 @@
           currentFilterLevel = newLevel;
           filterConfigCache = null;
           resetAndRefilter();
+        } else if (changes.sponsoredPolicy) {
+          log('log', `Sponsored policy changed: ${changes.sponsoredPolicy.newValue}`);
+          filterConfigCache = null;
+          resetAndRefilter();
+        } else if (changes.imageDuplicateCheck) {
+          log('log', `Image duplicate check changed: ${changes.imageDuplicateCheck.newValue}`);
+          filterConfigCache = null;
+          resetAndRefilter();
+        } else if (changes.calibrationLabelMode) {
+          log('log', `Label mode changed: ${changes.calibrationLabelMode.newValue}`);
+          filterConfigCache = null;
+          resetAndRefilter();
+        } else if (changes.learnedScorerMode) {
+          log('log', `Learned scorer mode changed: ${changes.learnedScorerMode.newValue}`);
+          filterConfigCache = null;
+          resetAndRefilter();
         }
       }
 
-      // sync: customBrands / excludedBrands 変更
-      if (areaName === 'sync' && (changes.customBrands || changes.excludedBrands)) {
-        log('log', 'Brand lists changed (sync), refiltering...');
+      // sync: customBrands / excludedBrands / customRules 変更
+      if (areaName === 'sync' && (changes.customBrands || changes.excludedBrands || changes.customRules)) {
+        log('log', 'Brand lists or custom rules changed (sync), refiltering...');
+        // 信頼ブランドへの追加・除外を学習モードに反映（操作した表示中のタブだけが送る）
+        if (document.visibilityState === 'visible') {
+          ProductFilter.trainFromBrandActions(changes, filterConfigCache?.brandAliases);
+        }
         filterConfigCache = null;
         resetAndRefilter();
       }
@@ -286,8 +352,10 @@
         });
         const excludedBrands = result.excludedBrands || [];
 
-        // 重複チェック
-        if (excludedBrands.some(b => b.toLowerCase() === brandName.toLowerCase())) {
+        // 重複チェック（表記揺れも同一ブランドとして扱う）
+        const aliases = filterConfigCache?.brandAliases;
+        const brandKey = BrandChecker.getCanonicalKey(brandName, aliases);
+        if (excludedBrands.some(b => BrandChecker.getCanonicalKey(b, aliases) === brandKey)) {
           log('log', `Brand "${brandName}" already excluded`);
           return;
         }
@@ -307,16 +375,18 @@
    * フィルタリング状態をリセットして再実行
    */
   function resetAndRefilter() {
-    // 既存の処理済みマークとスタイルをリセット
-    const products = document.querySelectorAll('[data-component-type="s-search-result"]');
+    // 既存の処理済みマークとスタイルをリセット（スポンサーウィジェットを含む）
+    const products = ProductFilter.getFilterTargets();
     for (const product of products) {
       delete product.dataset.casProcessed;
       delete product.dataset.casTrusted;
       delete product.dataset.casHidden;
+      delete product.dataset.casSponsored;
       product.classList.remove(
         'cas-product-hidden',
         'cas-product-dimmed',
         'cas-product-trusted',
+        'cas-product-sponsored',
         'cas-trusted-hidden',
         'cas-all-visible'
       );
@@ -324,6 +394,10 @@
       if (badge) badge.remove();
     }
 
+    // 同一品・同じ画像の別ブランド出品のラベルとまとめ表示を解除
+    ProductFilter.clearCloneClusters();
+    ProductFilter.clearImageDuplicates();
+
     // バナーを削除
     const banner = document.getElementById('cas-filter-banner');
     if (banner) {
@@ -348,6 +422,8 @@
 
         // 検索結果ページの場合のみ再フィルタリング
         if (isSearchResultsPage()) {
+          // カテゴリが変わる可能性があるため設定を読み直す
+          filterConfigCache = null;
           // 少し待機して新しいコンテンツが読み込まれるのを待つ
           setTimeout(() => {
             resetAndRefilter();
@@ -362,6 +438,7 @@
       if (isSearchResultsPage()) {
         setTimeout(() => {
           currentUrl = window.location.href;
+          filterConfigCache = null;
           resetAndRefilter();
         }, 1000);
       }
@@ -442,16 +519,20 @@
         case 'getFilterStats':
           // 現在の統計情報を返す
           const products = document.querySelectorAll('[data-component-type="s-search-result"]');
-          const hidden = document.querySelectorAll('.cas-product-hidden').length;
-          const warned = document.querySelectorAll('.cas-product-dimmed').length;
+          const hidden = document.querySelectorAll('.cas-product-hidden:not([data-cas-sponsored])').length;
+          const warned = document.querySelectorAll('.cas-product-dimmed:not([data-cas-sponsored])').length;
           const trusted = document.querySelectorAll('[data-cas-badge="trusted"]').length;
+          const sponsored = document.querySelectorAll('[data-cas-sponsored="true"]').length;
+          const sponsoredHidden = document.querySelectorAll('[data-cas-sponsored="true"].cas-product-hidden').length;
           sendResponse({
             success: true,
             stats: {
               total: products.length,
               hidden,
               warned,
-              trusted
+              trusted,
+              sponsored,
+              sponsoredHidden
             }
           });
           break;
@@ -470,6 +551,20 @@
           sendResponse({ success: true });
           break;
 
+        case 'getCategoryProfile':
+          // 判定に使っているカテゴリプロファイルを返す
+          loadFilterConfig().then(config => {
+            const profile = config.categoryProfile || null;
+            sendResponse({
+              success: true,
+              profile,
+              details: ScoreCalculator.describeProfile(profile, currentFilterLevel)
+            });
+          }).catch(error => {
+            sendResponse({ success: false, error: error.message });
+          });
+          return true; // 非同期レスポンス
+
         default:
           sendResponse({ success: false, error: 'Unknown action' });
       }
@@ -222,11 +222,20 @@ const FilterUtils = {
       },
       autoApply: false,
       showPageButton: true,
+      sponsoredPolicy: 'label',
+      imageDuplicateCheck: false,
+      calibrationLabelMode: false,
+      learnedScorerMode: 'off',
       onboardingCompleted: false,
       stats: {
         domesticFilter: 0,
         fbaFilter: 0,
         ratingFilter: 0,
+        hidden: 0,
+        warned: 0,
+        trusted: 0,
+        sponsored: 0,
+        sponsoredHidden: 0,
         lastResetDate: new Date().toISOString().split('T')[0]
       },
       dismissedBanners: []
@@ -0,0 +1,225 @@
+/**
+ * Clean Amazon Search - 画像の知覚ハッシュ
+ * @fileoverview 商品サムネイルの差分ハッシュ（dHash）を計算し、ほぼ同じ画像の商品をまとめるモジュール。
+ * ハッシュの計算はService Worker（background.js）で行い、ツール（tools/check-image-hashes.js）からも使用する
+ * @module image-hasher
+ */
+
+'use strict';
+
+/**
+ * 画像ハッシュオブジェクト
+ * @namespace ImageHasher
+ */
+const ImageHasher = {
+  /**
+   * ハッシュ計算用に縮小する幅（隣り合う画素の比較で8bit/行になる）
+   * @type {number}
+   */
+  HASH_WIDTH: 9,
+
+  /**
+   * ハッシュ計算用に縮小する高さ
+   * @type {number}
+   */
+  HASH_HEIGHT: 8,
+
+  /**
+   * ほぼ同じ画像とみなすハミング距離の上限（64bit中）
+   * @type {number}
+   */
+  DUPLICATE_MAX_DISTANCE: 6,
+
+  /**
+   * 明るいと判定する輝度差の下限（0〜255）
+   * 白背景のような平らな部分で、縮小の誤差や圧縮ノイズによってbitが揺れないようにする
+   * @type {number}
+   */
+  DIFF_TOLERANCE: 3,
+
+  /**
+   * 画素データから差分ハッシュ（dHash）を計算
+   * グレースケール化して9×8に面積平均で縮小し、各行の隣り合う画素の明暗を1bitずつ並べる
+   * （左の画素がDIFF_TOLERANCEより明るければ1）
+   * @param {Uint8ClampedArray|Uint8Array} pixels - 画素データ（ImageData.dataと同じ並び）
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {number} [channels=4] - 1画素あたりのチャンネル数（RGBA=4, RGB=3, グレー=1）
+   * @returns {string} 16桁の16進数（64bit）
+   * @example
+   * const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+   * ImageHasher.dHash(data, width, height); // => 'f0e4c8d09c3c7e1f'
+   */
+  dHash(pixels, width, height, channels = 4) {
+    const gray = this.toGrayscale(pixels, width, height, channels);
+    const small = this.resize(gray, width, height, this.HASH_WIDTH, this.HASH_HEIGHT);
+
+    let hex = '';
+    let nibble = 0;
+    let bitCount = 0;
+    for (let y = 0; y < this.HASH_HEIGHT; y++) {
+      for (let x = 0; x < this.HASH_WIDTH - 1; x++) {
+        const left = small[y * this.HASH_WIDTH + x];
+        const right = small[y * this.HASH_WIDTH + x + 1];
+        nibble = (nibble << 1) | (left - right > this.DIFF_TOLERANCE ? 1 : 0);
+        bitCount++;
+        if (bitCount % 4 === 0) {
+          hex += nibble.toString(16);
+          nibble = 0;
+        }
+      }
+    }
+    return hex;
+  },
+
+  /**
+   * 画素データをグレースケール（輝度）に変換
+   * 透明な画素は白として扱う（商品画像の背景は白が多いため）
+   * @param {Uint8ClampedArray|Uint8Array} pixels - 画素データ
+   * @param {number} width - 画像の幅
+   * @param {number} height - 画像の高さ
+   * @param {number} channels - 1画素あたりのチャンネル数
+   * @returns {Float64Array} 輝度（0〜255）
+   */
+  toGrayscale(pixels, width, height, channels) {
+    const gray = new Float64Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      const offset = i * channels;
+      if (channels < 3) {
+        gray[i] = pixels[offset];
+        continue;
+      }
+      const alpha = channels === 4 ? pixels[offset + 3] / 255 : 1;
+      const luma = 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+      gray[i] = luma * alpha + 255 * (1 - alpha);
+    }
+    return gray;
+  },
+
+  /**
+   * グレースケール画像を面積平均で縮小
+   * @param {Float64Array} gray - 輝度
+   * @param {number} width - 元の幅
+   * @param {number} height - 元の高さ
+   * @param {number} targetWidth - 縮小後の幅
+   * @param {number} targetHeight - 縮小後の高さ
+   * @returns {Float64Array} 縮小した輝度
+   */
+  resize(gray, width, height, targetWidth, targetHeight) {
+    const result = new Float64Array(targetWidth * targetHeight);
+    const scaleX = width / targetWidth;
+    const scaleY = height / targetHeight;
+
+    for (let ty = 0; ty < targetHeight; ty++) {
+      const y0 = ty * scaleY;
+      const y1 = y0 + scaleY;
+      for (let tx = 0; tx < targetWidth; tx++) {
+        const x0 = tx * scaleX;
+        const x1 = x0 + scaleX;
+        let sum = 0;
+        let area = 0;
+
+        // 縮小後の1画素に重なる元の画素を、重なる面積で重み付けして平均
+        for (let y = Math.floor(y0); y < Math.min(Math.ceil(y1), height); y++) {
+          const weightY = Math.min(y + 1, y1) - Math.max(y, y0);
+          for (let x = Math.floor(x0); x < Math.min(Math.ceil(x1), width); x++) {
+            const weight = weightY * (Math.min(x + 1, x1) - Math.max(x, x0));
+            sum += gray[y * width + x] * weight;
+            area += weight;
+          }
+        }
+        result[ty * targetWidth + tx] = area > 0 ? sum / area : 0;
+      }
+    }
+    return result;
+  },
+
+  /**
+   * 2つのハッシュのハミング距離（異なるbit数）を計算
+   * @param {string} a - 16進数のハッシュ
+   * @param {string} b - 16進数のハッシュ
+   * @returns {number} ハミング距離（長さが違う場合はInfinity）
+   */
+  hammingDistance(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string' || a.length !== b.length) {
+      return Infinity;
+    }
+    let distance = 0;
+    for (let i = 0; i < a.length; i++) {
+      let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+      while (diff) {
+        distance += diff & 1;
+        diff >>= 1;
+      }
+    }
+    return distance;
+  },
+
+  /**
+   * ハッシュが近いものをまとめる（Union-Find）
+   * @param {Array<string|null>} hashes - ハッシュ（取得できなかったものはnull）
+   * @param {number} [maxDistance] - 同じとみなすハミング距離の上限
+   * @returns {number[][]} 2件以上のグループ（hashesのインデックス）
+   */
+  groupSimilar(hashes, maxDistance = this.DUPLICATE_MAX_DISTANCE) {
+    const parent = hashes.map((_, index) => index);
+    const find = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    for (let i = 0; i < hashes.length; i++) {
+      if (!hashes[i]) continue;
+      for (let j = i + 1; j < hashes.length; j++) {
+        if (hashes[j] && this.hammingDistance(hashes[i], hashes[j]) <= maxDistance) {
+          parent[find(j)] = find(i);
+        }
+      }
+    }
+
+    const groups = new Map();
+    hashes.forEach((hash, index) => {
+      if (!hash) return;
+      const root = find(index);
+      if (!groups.has(root)) {
+        groups.set(root, []);
+      }
+      groups.get(root).push(index);
+    });
+    return [...groups.values()].filter(group => group.length >= 2);
+  },
+
+  /**
+   * 画像URLから差分ハッシュを計算（Service Worker・Worker用。OffscreenCanvasを使用）
+   * @param {string} imageUrl - 画像のURL
+   * @returns {Promise<string>} 16桁の16進数のハッシュ
+   */
+  async hashImageUrl(imageUrl) {
+    const response = await fetch(imageUrl);
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const bitmap = await createImageBitmap(await response.blob());
+    try {
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      const context = canvas.getContext('2d');
+      context.drawImage(bitmap, 0, 0);
+      const { data, width, height } = context.getImageData(0, 0, bitmap.width, bitmap.height);
+      return this.dHash(data, width, height);
+    } finally {
+      bitmap.close();
+    }
+  }
+};
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.ImageHasher = ImageHasher;
+}
+if (typeof window !== 'undefined') {
+  window.ImageHasher = ImageHasher;
+}
@@ -0,0 +1,317 @@
+/**
+ * Clean Amazon Search - 日本語チェッカー
+ * @fileoverview 商品タイトルの不自然な日本語（機械翻訳・中国語混じり）を判定するモジュール
+ * @module japanese-checker
+ */
+
+'use strict';
+
+/**
+ * 日本語チェッカーオブジェクト
+ * @namespace JapaneseChecker
+ */
+const JapaneseChecker = {
+  /**
+   * 日本語では使わない簡体字（JIS外の文字のうち商品タイトルに多いもの）
+   * @type {string}
+   */
+  SIMPLIFIED_CHARS: '电线蓝话视频为们这时间开关车门东对发现动实产长设计质带适连络软钢铁铝银锂头风调节种类颜码给级专业护壳钥报语样图饰贴办项应处过还进选运边达远闪灵标输继续态满规签红绿纸尔么让说读买卖钱单宽热冻显环传够摄镜觉壶锅铲净洁烫贵优赠锁键盘扩坞转换钓鱼轮载婴绳链针织袜紧凑层叠两',
+
+  /**
+   * 中国語式の全角句読点（日本語では「、」「。」を使う）
+   * 全角のまま判定するため、NFKC正規化前のタイトルを対象とする
+   * @type {RegExp}
+   */
+  CHINESE_PUNCTUATION_PATTERN: /[，；]/g,
+
+  /**
+   * 全角記号の連続（「！！！」「。，」等）
+   * @type {RegExp}
+   */
+  PUNCTUATION_RUN_PATTERN: /[，；：！？。、]{3,}/g,
+
+  /**
+   * 日本語として成り立たない助詞の並び
+   * （「のは」「には」「をはじめ」等は正しい日本語になり得るため対象外）
+   * @type {string[]}
+   */
+  BROKEN_PARTICLE_SEQUENCES: ['をを', 'がが', 'をが', 'がを', 'をに', 'にを', 'をで', 'でを', 'はを'],
+
+  /**
+   * 機械翻訳に特有の言い回し
+   * （「非常に」のように正規品のタイトルにも普通に使われる言い回しは対象外）
+   * @type {string[]}
+   */
+  MACHINE_TRANSLATION_PHRASES: ['に適用'],
+
+  /**
+   * 英単語を不自然にカタカナ化した表記と正しい表記
+   * @type {Object<string, string>}
+   */
+  ODD_KATAKANA: {
+    'ワイヤーレス': 'ワイヤレス',
+    'ブルトゥース': 'Bluetooth',
+    'ブルーツース': 'Bluetooth',
+    'ブルートゥス': 'Bluetooth',
+    'タイプシー': 'Type-C',
+    'ユーエスビー': 'USB',
+    'エルイーディー': 'LED',
+    'イヤーホン': 'イヤホン',
+    'ヘッドフォーン': 'ヘッドホン',
+    'スマトフォン': 'スマートフォン',
+    'スピカー': 'スピーカー',
+    'マイクロフォーン': 'マイク',
+    'キーボート': 'キーボード',
+    'ケーボル': 'ケーブル',
+    'アップグレイド': 'アップグレード',
+    'アップグレート': 'アップグレード',
+    'プラスチク': 'プラスチック',
+    'ノイズキャンセリンク': 'ノイズキャンセリング',
+    'ファッショナル': 'ファッショナブル'
+  },
+
+  /**
+   * カタカナの長音「ー」の代わりに漢数字「一」を使った表記（例: ケ一ブル）
+   * @type {RegExp}
+   */
+  KANJI_LONG_VOWEL_PATTERN: /[\p{Script=Katakana}]一[\p{Script=Katakana}]/gu,
+
+  /**
+   * スペック表記のトークン（数値を含むもの、英大文字の略語）
+   * @type {RegExp}
+   */
+  SPEC_TOKEN_PATTERN: /\d|^[A-Z][A-Z0-9\-+]{1,9}$/,
+
+  /**
+   * メーカーの品番（ハイフンでつないだ英数字、例: KI-RS50-W, EW-DP57-W, 100-KB006）
+   * @type {RegExp}
+   */
+  PART_NUMBER_PATTERN: /^(?=[A-Z0-9-]*\d)(?=[A-Z0-9-]*[A-Z])[A-Z0-9]{1,6}(?:-[A-Z0-9]{1,10})+$/,
+
+  /**
+   * タイトルをトークンに分割する区切り文字
+   * @type {RegExp}
+   */
+  TOKEN_SEPARATOR_PATTERN: /[\s【】[\]()（）「」『』/／・,，、+＋|｜]+/,
+
+  /**
+   * スコア設定
+   * @type {Object}
+   */
+  SCORE_CONFIG: {
+    /** 簡体字の混入 */
+    SIMPLIFIED_CHARS: 25,
+    /** 中国語式の句読点・記号の連続 */
+    CHINESE_PUNCTUATION: 15,
+    /** 不自然な助詞の並び・機械翻訳の言い回し */
+    BROKEN_GRAMMAR: 20,
+    /** 不自然なカタカナ表記 */
+    ODD_KATAKANA: 15,
+    /** 文法のない単語の羅列 */
+    SPEC_TOKEN_RUN: 15,
+    /** 日本語チェック全体のスコア上限 */
+    MAX_TOTAL: 40
+  },
+
+  /**
+   * 羅列と判定する条件
+   * @type {{MIN_RUN_LENGTH: number, MIN_SPEC_TOKENS: number}}
+   */
+  SPEC_RUN_CONFIG: {
+    /** ひらがなを含まないトークンの連続数（正規品も名詞を並べるため長めに取る） */
+    MIN_RUN_LENGTH: 15,
+    /** 連続中のスペック表記トークン数 */
+    MIN_SPEC_TOKENS: 3
+  },
+
+  /**
+   * タイトルの日本語の不自然さをチェック
+   * @param {string} title - 商品タイトル（正規化済み）
+   * @param {string} [rawTitle] - 正規化前のタイトル（全角句読点の判定に使用、省略時はtitle）
+   * @returns {{score: number, reasons: string[]}} 判定結果
+   * @example
+   * JapaneseChecker.checkTitle('ワイヤーレスイヤホン 充电线 iPhoneに適用');
+   * // => { score: 40, reasons: ['不自然な日本語（簡体字の混入: 电, 线）', ...] }
+   */
+  checkTitle(title, rawTitle) {
+    if (!title || typeof title !== 'string') {
+      return { score: 0, reasons: [] };
+    }
+    const original = typeof rawTitle === 'string' && rawTitle ? rawTitle : title;
+
+    let score = 0;
+    const reasons = [];
+
+    // 1. 簡体字の混入
+    const simplified = this.findSimplifiedChars(title);
+    if (simplified.length > 0) {
+      score += this.SCORE_CONFIG.SIMPLIFIED_CHARS;
+      reasons.push(`不自然な日本語（簡体字の混入: ${simplified.slice(0, 3).join(', ')}）`);
+    }
+
+    // 2. 中国語式の句読点・全角記号の連続
+    const punctuation = this.findChinesePunctuation(original);
+    if (punctuation.length > 0) {
+      score += this.SCORE_CONFIG.CHINESE_PUNCTUATION;
+      reasons.push(`不自然な日本語（中国語式の句読点: ${punctuation.slice(0, 3).join(' ')}）`);
+    }
+
+    // 3. 助詞の並び・機械翻訳の言い回し
+    const grammar = this.findBrokenGrammar(title);
+    if (grammar.length > 0) {
+      score += this.SCORE_CONFIG.BROKEN_GRAMMAR;
+      reasons.push(`不自然な日本語（機械翻訳の言い回し: ${grammar.slice(0, 3).join(', ')}）`);
+    }
+
+    // 4. 不自然なカタカナ表記
+    const katakana = this.findOddKatakana(title);
+    if (katakana.length > 0) {
+      score += this.SCORE_CONFIG.ODD_KATAKANA;
+      reasons.push(`不自然な日本語（カタカナ表記: ${katakana.slice(0, 3).join(', ')}）`);
+    }
+
+    // 5. 文法のない単語の羅列
+    const run = this.findSpecTokenRun(title);
+    if (run) {
+      score += this.SCORE_CONFIG.SPEC_TOKEN_RUN;
+      reasons.push(`不自然な日本語（単語の羅列: ${run.length}語）`);
+    }
+
+    return {
+      score: Math.min(score, this.SCORE_CONFIG.MAX_TOTAL),
+      reasons
+    };
+  },
+
+  /**
+   * タイトルに含まれる簡体字を取得
+   * @param {string} title - 商品タイトル
+   * @returns {string[]} 見つかった簡体字（重複なし）
+   */
+  findSimplifiedChars(title) {
+    const found = [];
+    for (const char of title) {
+      if (this.SIMPLIFIED_CHARS.includes(char) && !found.includes(char)) {
+        found.push(char);
+      }
+    }
+    return found;
+  },
+
+  /**
+   * 中国語式の句読点と全角記号の連続を取得
+   * @param {string} rawTitle - 正規化前のタイトル
+   * @returns {string[]} 見つかった句読点・記号列
+   */
+  findChinesePunctuation(rawTitle) {
+    const found = [];
+    for (const match of rawTitle.match(this.PUNCTUATION_RUN_PATTERN) || []) {
+      if (!found.includes(match)) {
+        found.push(match);
+      }
+    }
+    // 「，」「；」は1つなら誤用の可能性もあるため、2つ以上で判定
+    const commas = rawTitle.match(this.CHINESE_PUNCTUATION_PATTERN) || [];
+    if (commas.length >= 2) {
+      for (const comma of commas) {
+        if (!found.includes(comma)) {
+          found.push(comma);
+        }
+      }
+    }
+    return found;
+  },
+
+  /**
+   * 不自然な助詞の並びと機械翻訳の言い回しを取得
+   * @param {string} title - 商品タイトル
+   * @returns {string[]} 見つかった表現
+   */
+  findBrokenGrammar(title) {
+    const found = [];
+    for (const sequence of this.BROKEN_PARTICLE_SEQUENCES) {
+      if (title.includes(sequence)) {
+        found.push(sequence);
+      }
+    }
+    for (const phrase of this.MACHINE_TRANSLATION_PHRASES) {
+      if (title.includes(phrase)) {
+        found.push(phrase);
+      }
+    }
+    // 区切りの直後に助詞「を」で始まる語（「【を搭載】」等）
+    if (/(?:^|[\s【（(])を[\p{Script=Han}\p{Script=Katakana}]/u.test(title)) {
+      found.push('を');
+    }
+    return found;
+  },
+
+  /**
+   * 不自然なカタカナ表記を取得
+   * @param {string} title - 商品タイトル
+   * @returns {string[]} 見つかった表記
+   */
+  findOddKatakana(title) {
+    const found = Object.keys(this.ODD_KATAKANA).filter(word => title.includes(word));
+    for (const match of title.match(this.KANJI_LONG_VOWEL_PATTERN) || []) {
+      if (!found.some(word => word.includes(match))) {
+        found.push(match);
+      }
+    }
+    return found;
+  },
+
+  /**
+   * ひらがなを含まないトークンの最長の連続を取得
+   * スペック表記が一定数以上含まれる場合のみ羅列とみなす。
+   * メーカーの品番を含む連続は、名詞を並べた正規品のタイトル（シャープ 加湿 空気清浄機 … KI-RS50-W）とみなして除く
+   * @param {string} title - 商品タイトル
+   * @returns {string[]|null} 羅列と判定したトークン列（なければnull）
+   */
+  findSpecTokenRun(title) {
+    const tokens = title.split(this.TOKEN_SEPARATOR_PATTERN).filter(Boolean);
+    let best = null;
+    let current = [];
+
+    const flush = () => {
+      const specCount = current.filter(token => this.SPEC_TOKEN_PATTERN.test(token)).length;
+      const hasPartNumber = current.some(token => this.PART_NUMBER_PATTERN.test(token));
+      if (current.length >= this.SPEC_RUN_CONFIG.MIN_RUN_LENGTH &&
+          specCount >= this.SPEC_RUN_CONFIG.MIN_SPEC_TOKENS &&
+          !hasPartNumber &&
+          (!best || current.length > best.length)) {
+        best = current;
+      }
+      current = [];
+    };
+
+    for (const token of tokens) {
+      if (/\p{Script=Hiragana}/u.test(token)) {
+        flush();
+      } else {
+        current.push(token);
+      }
+    }
+    flush();
+
+    return best;
+  }
+};
+
+// スコア計算に登録
+if (typeof ScoreCalculator !== 'undefined') {
+  ScoreCalculator.registerChecker({
+    id: 'japanese',
+    label: '日本語',
+    order: 40,
+    check: (productInfo) => JapaneseChecker.checkTitle(productInfo.title, productInfo.rawTitle)
+  });
+}
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.JapaneseChecker = JapaneseChecker;
+}
+if (typeof window !== 'undefined') {
+  window.JapaneseChecker = JapaneseChecker;
+}
@@ -0,0 +1,369 @@
+/**
+ * Clean Amazon Search - 学習モード（ユーザーの操作から学習するスコア）
+ * @fileoverview 既存のチェッカーの点数（ブランド・タイトル・セラー・価格帯・レビュー）とレビュー数を特徴量にした
+ * 小さなロジスティック回帰で、商品が怪しい確率を計算するモジュール。
+ * 重みはユーザーのラベル（判定の較正）と信頼ブランドへの追加・除外から少しずつ学習し、chrome.storage.localにのみ保存する。
+ * 学習結果の書き込みはService Worker（background.js）で直列に行う
+ * @module learned-scorer
+ * @requires score-calculator.js
+ */
+
+'use strict';
+
+/**
+ * 学習モードオブジェクト
+ * @namespace LearnedScorer
+ */
+const LearnedScorer = {
+  /**
+   * 重みを保存するキー（chrome.storage.local）
+   * @type {string}
+   */
+  STORAGE_KEY: 'learnedModel',
+
+  /**
+   * 学習モードの設定キー（chrome.storage.local）
+   * @type {string}
+   */
+  MODE_KEY: 'learnedScorerMode',
+
+  /**
+   * 学習モード
+   * @type {Object}
+   */
+  MODES: {
+    OFF: 'off',          // 使わない（学習もしない）
+    BLEND: 'blend',      // 合計スコアと学習スコアの平均
+    REPLACE: 'replace'   // 学習スコアで置き換え
+  },
+
+  /**
+   * 学習モードの表示名
+   * @type {Object<string, string>}
+   */
+  MODE_NAMES: {
+    off: 'OFF',
+    blend: '合計スコアと平均',
+    replace: '学習スコアで置き換え'
+  },
+
+  /**
+   * 重みの形式のバージョン（特徴量を変えたら上げる。古い重みは初期値に戻す）
+   * @type {number}
+   */
+  MODEL_VERSION: 1,
+
+  /**
+   * 特徴量の定義
+   * checkers: 点数を合計するチェッカーID（点数はSCORE_SCALEで割り、±FEATURE_LIMITに収める）
+   * @type {Array<{id: string, label: string, checkers?: string[]}>}
+   */
+  FEATURES: [
+    { id: 'brand', label: 'ブランド', checkers: ['brand'] },
+    { id: 'title', label: 'タイトル', checkers: ['title', 'keywordStuffing', 'titleModel', 'japanese'] },
+    { id: 'seller', label: 'セラー', checkers: ['seller'] },
+    { id: 'price', label: '価格帯', checkers: ['price'] },
+    { id: 'review', label: 'レビュー', checkers: ['review'] },
+    { id: 'reviewCount', label: 'レビュー数' }
+  ],
+
+  /**
+   * 特徴量・スコアの換算の設定
+   * @type {Object}
+   */
+  CONFIG: {
+    /** チェッカーの点数を特徴量にする時に割る値 */
+    SCORE_SCALE: 50,
+    /** 特徴量の絶対値の上限（信頼ブランドの-100点などで重みが振り回されないように） */
+    FEATURE_LIMIT: 2,
+    /** 確率0.5に対応するスコア（スタンダードの非表示の閾値） */
+    PIVOT_SCORE: 50,
+    /** ロジット1あたりのスコア */
+    SCORE_PER_LOGIT: 12.5,
+    /** ロジットの絶対値の上限（スコアが-50〜150点に収まる） */
+    LOGIT_LIMIT: 8
+  },
+
+  /**
+   * 学習の設定
+   * @type {Object}
+   */
+  TRAINING: {
+    /** 1件ごとの学習率 */
+    LEARNING_RATE: 0.05,
+    /** 初期値に引き戻す強さ（例が少ないうちは合計スコアとほぼ同じ判定になる） */
+    PRIOR_STRENGTH: 0.01,
+    /** 1回のメッセージで学習する例の上限 */
+    MAX_EXAMPLES: 20
+  },
+
+  /**
+   * 重みの初期値
+   * チェッカーの特徴量は4、バイアスは-4にして、学習前のスコアが合計スコアと同じになるようにする
+   * （ロジット = (合計スコア - PIVOT_SCORE) / SCORE_PER_LOGIT）
+   * @type {Object<string, number>}
+   */
+  INITIAL_WEIGHTS: {
+    bias: -4,
+    brand: 4,
+    title: 4,
+    seller: 4,
+    price: 4,
+    review: 4,
+    reviewCount: 0
+  },
+
+  /**
+   * 書き込みを直列化するためのPromise
+   * @type {Promise<void>}
+   */
+  writeQueue: Promise.resolve(),
+
+  /**
+   * 初期状態の重みを作成
+   * @returns {{version: number, weights: Object<string, number>, examples: number, positives: number, updatedAt: string|null}} 重み
+   */
+  createModel() {
+    return {
+      version: this.MODEL_VERSION,
+      weights: { ...this.INITIAL_WEIGHTS },
+      examples: 0,
+      positives: 0,
+      updatedAt: null
+    };
+  },
+
+  /**
+   * 保存されていた重みを検証（形式が古い・壊れている場合は初期状態）
+   * @param {Object|undefined} model - 保存されていた重み
+   * @returns {Object} 重み
+   */
+  normalizeModel(model) {
+    if (!model || model.version !== this.MODEL_VERSION || !model.weights) {
+      return this.createModel();
+    }
+    const weights = { ...this.INITIAL_WEIGHTS };
+    for (const key of Object.keys(weights)) {
+      if (typeof model.weights[key] === 'number' && Number.isFinite(model.weights[key])) {
+        weights[key] = model.weights[key];
+      }
+    }
+    return { ...this.createModel(), ...model, weights };
+  },
+
+  /**
+   * 商品情報とスコア結果から特徴量を作成
+   * @param {Object} productInfo - 商品情報
+   * @param {{breakdown: Object[]}} scoreResult - スコア結果（ScoreCalculator.calculateScoreの戻り値）
+   * @returns {Object<string, number>} 特徴量ID → 値
+   */
+  extractFeatures(productInfo, scoreResult) {
+    const scores = {};
+    for (const entry of scoreResult?.breakdown || []) {
+      scores[entry.id] = (scores[entry.id] || 0) + entry.score;
+    }
+
+    const limit = this.CONFIG.FEATURE_LIMIT;
+    const clamp = value => Math.max(-limit, Math.min(limit, value));
+    const features = {};
+    for (const feature of this.FEATURES) {
+      if (feature.checkers) {
+        const sum = feature.checkers.reduce((total, id) => total + (scores[id] || 0), 0);
+        features[feature.id] = clamp(sum / this.CONFIG.SCORE_SCALE);
+      }
+    }
+
+    // レビュー数は桁数（1000件で1）。不明な場合は0
+    const reviewCount = productInfo?.reviewCount;
+    features.reviewCount = typeof reviewCount === 'number' && reviewCount > 0
+      ? clamp(Math.log10(1 + reviewCount) / 3)
+      : 0;
+
+    return features;
+  },
+
+  /**
+   * 特徴量が扱うチェッカーの点数の合計（カスタムルール等はこれに含まれず、学習の対象外）
+   * @param {{breakdown: Object[]}} scoreResult - スコア結果
+   * @returns {number} 合計点
+   */
+  getFeatureScore(scoreResult) {
+    const checkerIds = new Set(this.FEATURES.flatMap(feature => feature.checkers || []));
+    return (scoreResult?.breakdown || [])
+      .filter(entry => checkerIds.has(entry.id))
+      .reduce((sum, entry) => sum + entry.score, 0);
+  },
+
+  /**
+   * ロジットを計算
+   * @param {Object<string, number>} weights - 重み
+   * @param {Object<string, number>} features - 特徴量
+   * @returns {number} ロジット（±LOGIT_LIMITに収める）
+   */
+  getLogit(weights, features) {
+    let logit = weights.bias || 0;
+    for (const feature of this.FEATURES) {
+      logit += (weights[feature.id] || 0) * (features[feature.id] || 0);
+    }
+    const limit = this.CONFIG.LOGIT_LIMIT;
+    return Math.max(-limit, Math.min(limit, logit));
+  },
+
+  /**
+   * ロジットを確率に変換
+   * @param {number} logit - ロジット
+   * @returns {number} 0〜1の確率
+   */
+  sigmoid(logit) {
+    return 1 / (1 + Math.exp(-logit));
+  },
+
+  /**
+   * 商品が怪しい確率と、合計スコアと同じ尺度のスコアを計算
+   * @param {Object} model - 重み
+   * @param {Object<string, number>} features - 特徴量
+   * @returns {{probability: number, score: number}} 確率とスコア
+   */
+  predict(model, features) {
+    const logit = this.getLogit(model.weights, features);
+    return {
+      probability: this.sigmoid(logit),
+      score: Math.round(this.CONFIG.PIVOT_SCORE + this.CONFIG.SCORE_PER_LOGIT * logit)
+    };
+  },
+
+  /**
+   * スコア結果に学習スコアを反映
+   * 特徴量が扱うチェッカーの合計を学習スコアで置き換える（または平均する）。差分は内訳に「学習モデル」として追加し、
+   * カスタムルール等の点数と強制判定・信頼ブランドの判定はそのまま残す
+   * @param {Object} scoreResult - スコア結果（ScoreCalculator.calculateScoreの戻り値）
+   * @param {Object} productInfo - 商品情報
+   * @param {{mode: string, model: Object|null}|null} learnedScorer - 学習モードの設定と重み
+   * @param {number} [filterLevel] - フィルターレベル
+   * @returns {Object} 学習スコアを反映したスコア結果（学習モードがOFFの場合はそのまま）
+   */
+  apply(scoreResult, productInfo, learnedScorer, filterLevel) {
+    const mode = learnedScorer?.mode;
+    if (!learnedScorer?.model || (mode !== this.MODES.BLEND && mode !== this.MODES.REPLACE)) {
+      return scoreResult;
+    }
+
+    const { probability, score: learnedScore } = this.predict(learnedScorer.model, this.extractFeatures(productInfo, scoreResult));
+    const featureScore = this.getFeatureScore(scoreResult);
+    const otherScore = scoreResult.score - featureScore;
+    const score = (mode === this.MODES.REPLACE ? learnedScore : Math.round((featureScore + learnedScore) / 2)) + otherScore;
+
+    const breakdown = [...scoreResult.breakdown, {
+      id: 'learned',
+      label: '学習モデル',
+      score: score - scoreResult.score,
+      reasons: [`学習モデル: 怪しい確率${Math.round(probability * 100)}%（${this.MODE_NAMES[mode]}・学習した例 ${learnedScorer.model.examples}件）`]
+    }];
+    const verdict = ScoreCalculator.determineVerdict(score, scoreResult.isTrusted, filterLevel,
+      scoreResult.forcedVerdict, scoreResult.categoryProfile);
+
+    return {
+      ...scoreResult,
+      score,
+      reasons: ScoreCalculator.getAllReasons(breakdown),
+      breakdown,
+      verdict,
+      action: ScoreCalculator.VERDICT_ACTIONS[verdict]
+    };
+  },
+
+  /**
+   * 例から重みを学習（確率的勾配降下法。初期値へのL2正則化付き）
+   * @param {Object} model - 重み（直接変更する）
+   * @param {Array<{features: Object<string, number>, target: number}>} examples - 特徴量と正解（怪しい=1、問題なし=0）
+   * @returns {Object} 更新した重み
+   */
+  train(model, examples) {
+    const { LEARNING_RATE, PRIOR_STRENGTH, MAX_EXAMPLES } = this.TRAINING;
+    const keys = ['bias', ...this.FEATURES.map(feature => feature.id)];
+    let trained = 0;
+
+    for (const example of (examples || []).slice(0, MAX_EXAMPLES)) {
+      if (!example?.features || (example.target !== 0 && example.target !== 1)) continue;
+
+      const error = example.target - this.sigmoid(this.getLogit(model.weights, example.features));
+      for (const key of keys) {
+        const value = key === 'bias' ? 1 : (example.features[key] || 0);
+        const prior = this.INITIAL_WEIGHTS[key];
+        model.weights[key] += LEARNING_RATE * (error * value - PRIOR_STRENGTH * (model.weights[key] - prior));
+      }
+      model.examples++;
+      model.positives += example.target;
+      trained++;
+    }
+
+    if (trained > 0) {
+      model.updatedAt = new Date().toISOString();
+    }
+    return model;
+  },
+
+  /**
+   * chrome.storage.localから重みを読み込み
+   * @returns {Promise<Object>} 重み（未保存の場合は初期状態）
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      return this.normalizeModel(result[this.STORAGE_KEY]);
+    } catch (error) {
+      console.error('[LearnedScorer] Failed to load:', error);
+      return this.createModel();
+    }
+  },
+
+  /**
+   * 学習モードの設定を読み込み
+   * @returns {Promise<'off'|'blend'|'replace'>} 学習モード
+   */
+  async loadMode() {
+    try {
+      const result = await chrome.storage.local.get(this.MODE_KEY);
+      const mode = result[this.MODE_KEY];
+      return Object.values(this.MODES).includes(mode) ? mode : this.MODES.OFF;
+    } catch (error) {
+      console.error('[LearnedScorer] Failed to load mode:', error);
+      return this.MODES.OFF;
+    }
+  },
+
+  /**
+   * 重みを読み込んで学習し、保存する（直列に実行。学習モードがOFFの場合は学習しない）
+   * @param {Array<{features: Object<string, number>, target: number}>} examples - 学習する例
+   * @returns {Promise<void>}
+   */
+  learn(examples) {
+    this.writeQueue = this.writeQueue.then(async () => {
+      if (await this.loadMode() === this.MODES.OFF) return;
+      const model = this.train(await this.load(), examples);
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: model });
+    }).catch(error => {
+      console.error('[LearnedScorer] Failed to save:', error);
+    });
+    return this.writeQueue;
+  },
+
+  /**
+   * 重みを初期状態に戻す
+   * @returns {Promise<void>}
+   */
+  reset() {
+    this.writeQueue = this.writeQueue.then(() => chrome.storage.local.remove(this.STORAGE_KEY)).catch(error => {
+      console.error('[LearnedScorer] Failed to reset:', error);
+    });
+    return this.writeQueue;
+  }
+};
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.LearnedScorer = LearnedScorer;
+}
+if (typeof window !== 'undefined') {
+  window.LearnedScorer = LearnedScorer;
+}
@@ -0,0 +1,186 @@
+/**
+ * Clean Amazon Search - 価格チェッカー
+ * @fileoverview 商品種別ごとの想定価格帯（config/price-bands.json）と比べて、
+ * 極端に安い商品を判定するモジュール
+ * @module price-checker
+ */
+
+'use strict';
+
+/**
+ * 価格チェッカーオブジェクト
+ * @namespace PriceChecker
+ */
+const PriceChecker = {
+  /**
+   * スコア設定（price-bands.jsonのscoringがない場合に使用）
+   * @type {Object}
+   */
+  SCORE_CONFIG: {
+    /** 怪しい価格帯（suspicious_max以下） */
+    SUSPICIOUS: 25,
+    /** 相場よりやや安い（expected_min未満） */
+    BELOW_EXPECTED: 10
+  },
+
+  /**
+   * 価格テキストから金額を取得
+   * @param {string} priceText - 価格テキスト（「￥1,500」「1,500円」等）
+   * @returns {number|null} 金額（円）、取得できない場合はnull
+   * @example
+   * PriceChecker.parsePrice('￥1,500'); // => 1500
+   * PriceChecker.parsePrice('￥1,500 - ￥2,000'); // => 1500（範囲の場合は下限）
+   */
+  parsePrice(priceText) {
+    if (!priceText || typeof priceText !== 'string') {
+      return null;
+    }
+
+    const match = priceText.normalize('NFKC').match(/\d[\d,]*(?:\.\d+)?/);
+    if (!match) {
+      return null;
+    }
+
+    const price = parseFloat(match[0].replace(/,/g, ''));
+    return Number.isFinite(price) && price > 0 ? price : null;
+  },
+
+  /**
+   * タイトルのキーワードから商品種別の価格帯を取得
+   * 複数の種別に一致する場合は、最も長いキーワードに一致した種別を採用する
+   * @param {string} title - 商品タイトル
+   * @param {Object<string, Object>} bands - price-bands.jsonのbands
+   * @returns {{id: string, band: Object}|null} 一致した価格帯
+   */
+  findBand(title, bands) {
+    if (!title || !bands) {
+      return null;
+    }
+
+    const lowerTitle = title.toLowerCase();
+    let best = null;
+    let bestLength = 0;
+
+    for (const [id, band] of Object.entries(bands)) {
+      const excluded = (band.exclude_keywords || [])
+        .some(keyword => lowerTitle.includes(keyword.toLowerCase()));
+      if (excluded) continue;
+
+      for (const keyword of band.keywords || []) {
+        if (keyword.length > bestLength && lowerTitle.includes(keyword.toLowerCase())) {
+          best = { id, band };
+          bestLength = keyword.length;
+        }
+      }
+    }
+
+    return best;
+  },
+
+  /**
+   * 価格帯の基準額を取得（容量あたりの基準がある場合はタイトルの容量から計算）
+   * @param {string} title - 商品タイトル
+   * @param {Object} band - 価格帯
+   * @returns {{suspiciousMax: number, expectedMin: number, label: string}} 基準額と理由に表示する種別名
+   */
+  resolveBand(title, band) {
+    const perUnit = band.per_unit;
+    if (perUnit && perUnit.pattern) {
+      const quantities = [...title.matchAll(new RegExp(perUnit.pattern, 'gi'))]
+        .map(match => parseInt(match[1], 10))
+        .filter(quantity => quantity >= (perUnit.min_quantity || 0));
+
+      if (quantities.length > 0) {
+        // 容量表記が複数ある場合は最大値（タイトルで謳っている容量）を使う
+        const quantity = Math.max(...quantities);
+        return {
+          suspiciousMax: Math.round(quantity * perUnit.suspicious_max),
+          expectedMin: Math.round(quantity * perUnit.expected_min),
+          label: `${band.description}（${quantity}${perUnit.unit}）`
+        };
+      }
+    }
+
+    return {
+      suspiciousMax: band.suspicious_max,
+      expectedMin: band.expected_min,
+      label: band.description
+    };
+  },
+
+  /**
+   * 価格の異常をチェック
+   * @param {string} priceText - 価格テキスト
+   * @param {string} title - 商品タイトル
+   * @param {Object} [priceBands] - price-bands.jsonの内容（{bands, scoring}）
+   * @returns {{score: number, reasons: string[], bandId: string|null}} 判定結果
+   * @example
+   * PriceChecker.checkPrice('￥1,500', 'モバイルバッテリー 25000mAh 大容量', priceBands);
+   * // => { score: 25, reasons: ['相場より安すぎる価格（¥1,500 / モバイルバッテリー（25000mAh）の相場 ¥5,000〜）'], bandId: 'mobile_battery' }
+   */
+  checkPrice(priceText, title, priceBands) {
+    const empty = { score: 0, reasons: [], bandId: null };
+    if (!priceBands || !priceBands.bands) {
+      return empty;
+    }
+
+    const price = this.parsePrice(priceText);
+    if (price === null) {
+      return empty;
+    }
+
+    const matched = this.findBand(title, priceBands.bands);
+    if (!matched) {
+      return empty;
+    }
+
+    const { suspiciousMax, expectedMin, label } = this.resolveBand(title, matched.band);
+    const scoring = priceBands.scoring || {};
+    const bandText = `${label}の相場 ${this.formatYen(expectedMin)}〜`;
+
+    if (price <= suspiciousMax) {
+      return {
+        score: scoring.suspicious ?? this.SCORE_CONFIG.SUSPICIOUS,
+        reasons: [`相場より安すぎる価格（${this.formatYen(price)} / ${bandText}）`],
+        bandId: matched.id
+      };
+    }
+
+    if (price < expectedMin) {
+      return {
+        score: scoring.below_expected ?? this.SCORE_CONFIG.BELOW_EXPECTED,
+        reasons: [`相場よりやや安い価格（${this.formatYen(price)} / ${bandText}）`],
+        bandId: matched.id
+      };
+    }
+
+    return { score: 0, reasons: [], bandId: matched.id };
+  },
+
+  /**
+   * 金額を「¥1,500」形式に整形
+   * @param {number} yen - 金額
+   * @returns {string} 整形した金額
+   */
+  formatYen(yen) {
+    return `¥${Math.round(yen).toLocaleString('ja-JP')}`;
+  }
+};
+
+// スコア計算に登録
+if (typeof ScoreCalculator !== 'undefined') {
+  ScoreCalculator.registerChecker({
+    id: 'price',
+    label: '価格',
+    order: 50,
+    check: (productInfo, config) => PriceChecker.checkPrice(productInfo.priceText, productInfo.title, config.priceBands)
+  });
+}
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.PriceChecker = PriceChecker;
+}
+if (typeof window !== 'undefined') {
+  window.PriceChecker = PriceChecker;
+}
@@ -3,8 +3,16 @@
  * @fileoverview 検索結果ページの商品をスコアに基づいてフィルタリング
  * @module product-filter
  * @requires constants.js
+ * @requires score-calculator.js
+ * @requires text-normalizer.js
+ * @requires category-detector.js
  * @requires brand-checker.js
- * @requires title-checker.js
+ * @requires review-checker.js
+ * @requires rule-engine.js
+ * @requires clone-clusterer.js
+ * @requires image-hasher.js
+ * @requires brand-reputation.js
+ * @requires verdict-cache.js
  */
 
 'use strict';
@@ -27,18 +35,11 @@ const ProductFilter = {
   },
 
   /**
-   * 各レベルの閾値設定（PM会議決定に基づく）
-   * @type {Object}
+   * 各レベルの閾値設定（ScoreCalculator.LEVEL_THRESHOLDSを参照）
+   * @type {Object<number, {warn: number, hide: number}>}
    */
-  THRESHOLDS: {
-    // LIGHT: 警告のみ表示、非表示なし
-    1: { warn: 30, hide: Infinity },
-    // STANDARD: 中程度のフィルタリング（デフォルト）
-    2: { warn: 30, hide: 50 },
-    // STRICT: 厳格なフィルタリング
-    3: { warn: 20, hide: 35 },
-    // MAXIMUM: 最強フィルタリング
-    4: { warn: 10, hide: 25 }
+  get THRESHOLDS() {
+    return ScoreCalculator.LEVEL_THRESHOLDS;
   },
 
   /**
@@ -48,9 +49,56 @@ const ProductFilter = {
   BADGE_TYPES: {
     TRUSTED: 'trusted',
     WARNING: 'warning',
-    DANGER: 'danger'
+    DANGER: 'danger',
+    NEUTRAL: 'neutral'  // ラベル付けモードで、判定のバッジが出ない商品に付ける
+  },
+
+  /**
+   * スポンサー（広告）商品の扱い
+   * @type {Object}
+   */
+  SPONSORED_POLICIES: {
+    HIDE: 'hide',       // すべて非表示
+    STRICT: 'strict',   // 1段階厳しいレベルで判定
+    LABEL: 'label'      // 「広告」ラベルを付けるだけ
   },
 
+  /**
+   * スポンサー商品の扱いのデフォルト
+   * @type {string}
+   */
+  DEFAULT_SPONSORED_POLICY: 'label',
+
+  /**
+   * 検索結果の商品カードのセレクター
+   * @type {string}
+   */
+  PRODUCT_SELECTOR: '[data-component-type="s-search-result"]',
+
+  /**
+   * 商品カードがスポンサー商品であることを示す要素のセレクター
+   * @type {string[]}
+   */
+  SPONSORED_CARD_SELECTORS: [
+    '.puis-sponsored-label-text',
+    '.s-sponsored-label-text',
+    '.puis-label-popover-default',
+    '.s-label-popover-default',
+    'a[href*="/sspa/click"]'
+  ],
+
+  /**
+   * 検索結果内のスポンサーブランド・スポンサー動画ウィジェットのセレクター
+   * @type {string[]}
+   */
+  SPONSORED_WIDGET_SELECTORS: [
+    '[data-component-type="sbv-video-single-product"]',
+    '.s-main-slot > [cel_widget_id*="VIDEO_SINGLE_PRODUCT"]',
+    '.s-main-slot > [cel_widget_id*="sb-themed-collections"]',
+    '.s-main-slot > [cel_widget_id*="sponsored-brand"]',
+    '.s-main-slot > .AdHolder:not([data-component-type="s-search-result"])'
+  ],
+
   /**
    * CSS スタイル定義
    * @type {string}
@@ -88,6 +136,7 @@ const ProductFilter = {
     }
     .cas-product-badge {
       display: flex !important;
+      flex-wrap: wrap !important;
       align-items: center !important;
       gap: 6px !important;
       padding: 8px 14px !important;
@@ -120,6 +169,13 @@ const ProductFilter = {
       border: 2px solid #dc3545 !important;
       color: #721c24 !important;
     }
+    .cas-product-badge-neutral {
+      background: #f1f3f5 !important;
+      border: 1px dashed #868e96 !important;
+      color: #495057 !important;
+      font-size: 12px !important;
+      padding: 4px 10px !important;
+    }
     .cas-product-badge-icon {
       font-size: 16px !important;
     }
@@ -130,6 +186,130 @@ const ProductFilter = {
       color: inherit !important;
       opacity: 0.9 !important;
     }
+    .cas-badge-detail-toggle {
+      background: none !important;
+      border: none !important;
+      color: inherit !important;
+      font-size: 11px !important;
+      text-decoration: underline !important;
+      cursor: pointer !important;
+      padding: 0 2px !important;
+      margin-left: 4px !important;
+      opacity: 0.8 !important;
+    }
+    .cas-badge-detail-toggle:hover {
+      opacity: 1 !important;
+    }
+    .cas-badge-detail {
+      display: none !important;
+      flex-basis: 100% !important;
+      font-weight: normal !important;
+      font-size: 12px !important;
+      margin-top: 6px !important;
+      padding-top: 6px !important;
+      border-top: 1px solid currentColor !important;
+    }
+    .cas-badge-detail.cas-badge-detail-open {
+      display: block !important;
+    }
+    .cas-badge-detail-row {
+      display: flex !important;
+      justify-content: space-between !important;
+      gap: 16px !important;
+      font-weight: bold !important;
+    }
+    .cas-badge-detail-reasons {
+      margin: 0 0 4px 12px !important;
+      padding: 0 !important;
+      list-style: disc inside !important;
+      font-size: 11px !important;
+    }
+    .cas-badge-detail-total {
+      margin-top: 4px !important;
+      font-weight: bold !important;
+    }
+    .cas-badge-detail-note {
+      font-size: 11px !important;
+      opacity: 0.85 !important;
+    }
+    .cas-badge-label-row {
+      display: flex !important;
+      flex-wrap: wrap !important;
+      align-items: center !important;
+      gap: 6px !important;
+      margin-top: 6px !important;
+      font-size: 11px !important;
+    }
+    .cas-badge-label-btn {
+      background: white !important;
+      border: 1px solid currentColor !important;
+      border-radius: 4px !important;
+      color: inherit !important;
+      font-size: 11px !important;
+      padding: 1px 6px !important;
+      cursor: pointer !important;
+    }
+    .cas-badge-label-btn[aria-pressed="true"] {
+      font-weight: bold !important;
+      box-shadow: inset 0 0 0 1px currentColor !important;
+    }
+    .cas-product-sponsored {
+      position: relative !important;
+      outline: 2px dashed #adb5bd !important;
+      outline-offset: -2px !important;
+    }
+    .cas-product-sponsored::before {
+      content: '広告';
+      position: absolute;
+      top: 4px;
+      right: 4px;
+      z-index: 100;
+      background: #6c757d;
+      color: white;
+      font-size: 11px;
+      font-weight: bold;
+      padding: 2px 6px;
+      border-radius: 4px;
+    }
+    .cas-clone-label {
+      display: flex !important;
+      flex-wrap: wrap !important;
+      align-items: center !important;
+      gap: 8px !important;
+      width: fit-content !important;
+      margin: 4px 0 !important;
+      padding: 4px 10px !important;
+      border-radius: 6px !important;
+      background: #e7f1ff !important;
+      border: 1px solid #6ea8fe !important;
+      color: #084298 !important;
+      font-size: 12px !important;
+      font-weight: bold !important;
+    }
+    .cas-image-duplicate-label {
+      display: block !important;
+      width: fit-content !important;
+      margin: 4px 0 !important;
+      padding: 4px 10px !important;
+      border-radius: 6px !important;
+      background: #f3e8ff !important;
+      border: 1px solid #b197fc !important;
+      color: #5f3dc4 !important;
+      font-size: 12px !important;
+      font-weight: bold !important;
+    }
+    .cas-clone-toggle {
+      background: none !important;
+      border: none !important;
+      color: inherit !important;
+      font-size: 11px !important;
+      text-decoration: underline !important;
+      cursor: pointer !important;
+      padding: 0 2px !important;
+    }
+    .cas-clone-collapsed {
+      display: none !important;
+    }
     .cas-product-hidden {
       display: none !important;
     }
@@ -184,15 +364,24 @@ const ProductFilter = {
   /**
    * 商品DOM要素から情報を抽出
    * @param {Element} productElement - 商品のDOM要素
-   * @returns {{brandName: string, title: string, asin: string, priceText: string, productUrl: string}} 商品情報
+   * @returns {{brandName: string, brandSource: string, title: string, rawTitle: string, asin: string, priceText: string, productUrl: string, imageUrl: string, rating: number|null, reviewCount: number|null}} 商品情報
+   *   brandSource: ブランド名の取得元（'title' | 'link' | 'row' | 'label'。取得できない場合は空文字）
+   *   rawTitle: 正規化前のタイトル（全角句読点などNFKCで失われる情報の判定用）
+   *   imageUrl: サムネイル画像のURL
+   *   rating / reviewCount: カードに表示されていない場合はnull
    */
   extractProductInfo(productElement) {
     const info = {
       brandName: '',
+      brandSource: '',
       title: '',
+      rawTitle: '',
       asin: '',
       priceText: '',
-      productUrl: ''
+      productUrl: '',
+      imageUrl: '',
+      rating: null,
+      reviewCount: null
     };
 
     try {
@@ -204,7 +393,8 @@ const ProductFilter = {
                            productElement.querySelector('h2 span') ||
                            productElement.querySelector('.a-text-normal');
       if (titleElement) {
-        info.title = titleElement.textContent?.trim() || '';
+        info.rawTitle = titleElement.textContent?.trim() || '';
+        info.title = this.normalizeText(titleElement.textContent);
       }
 
       // 商品URLの取得
@@ -214,6 +404,12 @@ const ProductFilter = {
         info.productUrl = linkElement.href || '';
       }
 
+      // サムネイル画像のURLの取得
+      const imageElement = productElement.querySelector('img.s-image');
+      if (imageElement) {
+        info.imageUrl = imageElement.currentSrc || imageElement.src || '';
+      }
+
       // ブランド名の取得（複数のパターンを試行）
 
       // パターン1: タイトルの先頭からブランド名を抽出（最も確実）
@@ -222,18 +418,20 @@ const ProductFilter = {
         const brandFromTitle = this.extractBrandFromTitle(info.title);
         if (brandFromTitle) {
           info.brandName = brandFromTitle;
+          info.brandSource = 'title';
         }
       }
 
       // パターン2: ブランドリンク（/stores/や/brand/を含むリンク）
-      if (!info.brandName) {
-        const brandLink = productElement.querySelector('a[href*="/stores/"]') ||
-                          productElement.querySelector('a[href*="/brand/"]');
-        if (brandLink) {
-          const brandText = brandLink.textContent?.trim();
-          if (brandText && brandText.length < 50) {
-            info.brandName = brandText;
-          }
+      // タイトルから取得したブランド名と同じ場合は、ブランドリンクで裏付けられたものとして扱う
+      const brandLink = productElement.querySelector('a[href*="/stores/"]') ||
+                        productElement.querySelector('a[href*="/brand/"]');
+      if (brandLink) {
+        const brandText = this.normalizeText(brandLink.textContent);
+        if (brandText && brandText.length < 50 &&
+            (!info.brandName || brandText.toLowerCase() === info.brandName.toLowerCase())) {
+          info.brandName = brandText;
+          info.brandSource = 'link';
         }
       }
 
@@ -241,10 +439,11 @@ const ProductFilter = {
       if (!info.brandName) {
         const brandRows = productElement.querySelectorAll('.a-row .a-size-base');
         for (const row of brandRows) {
-          const text = row.textContent?.trim() || '';
+          const text = this.normalizeText(row.textContent);
           // 短いテキストでタイトルと異なる場合はブランド名の可能性
           if (text.length > 0 && text.length < 30 && text !== info.title.substring(0, text.length)) {
             info.brandName = text;
+            info.brandSource = 'row';
             break;
           }
         }
@@ -252,10 +451,11 @@ const ProductFilter = {
 
       // パターン4: 「ブランド:」で始まるテキスト
       if (!info.brandName) {
-        const allText = productElement.textContent || '';
+        const allText = this.normalizeText(productElement.textContent);
         const brandMatch = allText.match(/ブランド[:：]\s*([^\s,、]+)/);
         if (brandMatch) {
           info.brandName = brandMatch[1];
+          info.brandSource = 'label';
         }
       }
 
@@ -266,6 +466,13 @@ const ProductFilter = {
         info.priceText = priceElement.textContent?.trim() || '';
       }
 
+      // 星評価・レビュー数の取得
+      if (typeof ReviewChecker !== 'undefined') {
+        const reviewInfo = ReviewChecker.extractReviewInfo(productElement);
+        info.rating = reviewInfo.rating;
+        info.reviewCount = reviewInfo.reviewCount;
+      }
+
     } catch (error) {
       console.warn('[ProductFilter] Error extracting product info:', error);
     }
@@ -274,109 +481,430 @@ const ProductFilter = {
   },
 
   /**
-   * スコアを計算
+   * DOMから取得したテキストを正規化（NFKC・不可視文字除去）
+   * @param {string|null|undefined} text - 元のテキスト
+   * @returns {string} 正規化したテキスト
+   */
+  normalizeText(text) {
+    if (typeof TextNormalizer !== 'undefined') {
+      return TextNormalizer.normalize(text || '');
+    }
+    return text?.trim() || '';
+  },
+
+  /**
+   * スコアを計算（ScoreCalculatorに登録されたチェッカーで判定）
    * @param {Object} productInfo - 商品情報
    * @param {Object} config - 設定（信頼ブランドリスト等）
-   * @returns {{score: number, reasons: string[], isTrusted: boolean}} スコア結果
-   */
-  calculateScore(productInfo, config = {}) {
-    let totalScore = 0;
-    const allReasons = [];
-    let isTrusted = false;
-
-    // 信頼ブランドリストを取得
-    const trustedBrands = config.trustedBrands || [];
-    const suspiciousPatterns = config.suspiciousPatterns || [];
-
-    // ブランドチェック
-    if (productInfo.brandName && typeof BrandChecker !== 'undefined') {
-      const brandResult = BrandChecker.checkBrand(
-        productInfo.brandName,
-        trustedBrands,
-        suspiciousPatterns
-      );
-      totalScore += brandResult.score;
-      allReasons.push(...brandResult.reasons);
-
-      // 信頼ブランドの場合
-      if (brandResult.score < 0) {
-        isTrusted = true;
-      }
+   * @param {number} [filterLevel] - フィルターレベル（判定の閾値に使用）
+   * 学習モードが有効な場合は、学習スコアを反映する（config.learnedScorer）
+   * @returns {{score: number, reasons: string[], isTrusted: boolean, breakdown: Object[], verdict: string, action: string}} スコア結果
+   */
+  calculateScore(productInfo, config = {}, filterLevel) {
+    if (typeof ScoreCalculator === 'undefined') {
+      console.warn('[ProductFilter] ScoreCalculator is not available');
+      return { score: 0, reasons: [], isTrusted: false, breakdown: [], verdict: 'safe', action: 'show' };
     }
-
-    // タイトルチェック
-    if (productInfo.title && typeof TitleChecker !== 'undefined') {
-      const titleResult = TitleChecker.checkTitle(productInfo.title);
-      totalScore += titleResult.score;
-      allReasons.push(...titleResult.reasons);
+    const scoreResult = ScoreCalculator.calculateScore(productInfo, config, filterLevel);
+    if (typeof LearnedScorer === 'undefined') {
+      return scoreResult;
     }
-
-    return {
-      score: totalScore,
-      reasons: allReasons,
-      isTrusted
-    };
+    return LearnedScorer.apply(scoreResult, productInfo, config.learnedScorer, filterLevel);
   },
 
   /**
    * 商品要素にフィルターを適用
    * @param {Element} productElement - 商品のDOM要素
-   * @param {{score: number, reasons: string[], isTrusted: boolean}} scoreResult - スコア結果
+   * @param {{score: number, reasons: string[], isTrusted: boolean, forcedVerdict?: string|null, categoryProfile?: Object|null}} scoreResult - スコア結果
    * @param {number} filterLevel - フィルターレベル (0-4)
+   * @param {string} [brandName=''] - ブランド名（信頼ブランドの×ボタン用）
+   * @param {Object|null} [productInfo=null] - 商品情報（バッジからラベルを付ける場合）
+   * @param {boolean} [labelMode=false] - ラベル付けモード（バッジの出ない商品にもラベル用のバッジを表示）
    * @returns {'hidden'|'warned'|'trusted'|'none'} 適用結果
    */
-  applyFilter(productElement, scoreResult, filterLevel, brandName = '') {
+  applyFilter(productElement, scoreResult, filterLevel, brandName = '', productInfo = null, labelMode = false) {
     // フィルターOFFの場合は何もしない
     if (filterLevel === this.FILTER_LEVELS.OFF) {
       return 'none';
     }
 
-    const thresholds = this.THRESHOLDS[filterLevel] || this.THRESHOLDS[2];
-    const { score, reasons, isTrusted } = scoreResult;
+    const { score, reasons, isTrusted, forcedVerdict, categoryProfile } = scoreResult;
+    const verdict = ScoreCalculator.determineVerdict(score, isTrusted, filterLevel, forcedVerdict, categoryProfile);
+    const detail = { scoreResult, filterLevel, productInfo, sponsored: productElement.dataset.casSponsored === 'true' };
 
     // 既存のバッジを削除
     this.removeBadge(productElement);
 
-    // 信頼ブランドの場合
-    if (isTrusted) {
-      // 信頼ブランドバッジを表示
-      this.addProductBadge(productElement, this.BADGE_TYPES.TRUSTED, ['信頼できるブランド'], brandName);
-      productElement.dataset.casTrusted = 'true';
-      productElement.classList.add('cas-product-trusted');
-      productElement.classList.remove('cas-product-hidden', 'cas-product-dimmed');
-      return 'trusted';
-    }
-
-    // スコアに基づいて処理
-    if (score >= thresholds.hide) {
-      // 非表示
-      productElement.classList.add('cas-product-hidden');
-      productElement.dataset.casHidden = 'true';
-      productElement.dataset.casScore = score.toString();
-      return 'hidden';
-    } else if (score >= thresholds.warn) {
-      // 警告表示
-      this.addProductBadge(productElement, this.BADGE_TYPES.WARNING, reasons);
-      productElement.classList.add('cas-product-dimmed');
-      productElement.classList.remove('cas-product-hidden');
-      return 'warned';
-    } else if (score > 20) {
-      // 軽度の注意（バッジのみ）
-      this.addProductBadge(productElement, this.BADGE_TYPES.WARNING, reasons);
-      productElement.classList.remove('cas-product-hidden', 'cas-product-dimmed');
-      return 'warned';
-    }
-
-    // 問題なし
-    productElement.classList.remove('cas-product-hidden', 'cas-product-dimmed');
-    return 'none';
+    // ラベル付けモードでは、バッジの出ない商品（非表示・問題なし）にも判定とスコアだけのバッジを付ける
+    if (labelMode && productInfo && (verdict === 'danger' || verdict === 'safe')) {
+      this.addProductBadge(productElement, this.BADGE_TYPES.NEUTRAL,
+        [`${ScoreCalculator.getVerdictLabel(verdict)}・${score}点`], '', detail);
+    }
+
+    switch (verdict) {
+      case 'trusted':
+        // 信頼ブランドバッジを表示（信頼しているカテゴリを添える）
+        this.addProductBadge(productElement, this.BADGE_TYPES.TRUSTED, this.getTrustedReasons(reasons), brandName, detail);
+        productElement.dataset.casTrusted = 'true';
+        productElement.classList.add('cas-product-trusted');
+        productElement.classList.remove('cas-product-hidden', 'cas-product-dimmed');
+        return 'trusted';
+
+      case 'danger':
+        // 非表示
+        productElement.classList.add('cas-product-hidden');
+        productElement.dataset.casHidden = 'true';
+        productElement.dataset.casScore = score.toString();
+        return 'hidden';
+
+      case 'warning':
+        // 警告表示
+        this.addProductBadge(productElement, this.BADGE_TYPES.WARNING, reasons, '', detail);
+        productElement.classList.add('cas-product-dimmed');
+        productElement.classList.remove('cas-product-hidden');
+        return 'warned';
+
+      case 'caution':
+        // 軽度の注意（バッジのみ）
+        this.addProductBadge(productElement, this.BADGE_TYPES.WARNING, reasons, '', detail);
+        productElement.classList.remove('cas-product-hidden', 'cas-product-dimmed');
+        return 'warned';
+
+      default:
+        // 問題なし
+        productElement.classList.remove('cas-product-hidden', 'cas-product-dimmed');
+        return 'none';
+    }
+  },
+
+  /**
+   * 商品カードがスポンサー商品（広告）かどうかを判定
+   * @param {Element} productElement - 商品のDOM要素
+   * @returns {boolean} スポンサー商品の場合true
+   */
+  isSponsored(productElement) {
+    if (productElement.classList.contains('AdHolder')) {
+      return true;
+    }
+    for (const selector of this.SPONSORED_CARD_SELECTORS) {
+      const element = productElement.querySelector(selector);
+      // ラベルのポップオーバーは「スポンサー」表記のものだけ
+      if (element && (selector.startsWith('a[') || /スポンサー|Sponsored/i.test(element.textContent))) {
+        return true;
+      }
+    }
+    return false;
+  },
+
+  /**
+   * スポンサーブランド・スポンサー動画ウィジェットを取得
+   * @param {ParentNode} [root=document] - 検索する範囲
+   * @returns {Element[]} ウィジェットの要素
+   */
+  findSponsoredWidgets(root = document) {
+    const widgets = new Set();
+    for (const selector of this.SPONSORED_WIDGET_SELECTORS) {
+      for (const element of root.querySelectorAll(selector)) {
+        widgets.add(element);
+      }
+    }
+    return [...widgets];
+  },
+
+  /**
+   * 商品カード1件にスポンサー商品の扱いとフィルターを適用
+   * @param {Element} productElement - 商品のDOM要素
+   * @param {Object} config - 設定オブジェクト（sponsoredPolicyを含む）
+   * @param {number} filterLevel - フィルターレベル (0-4)
+   * @returns {{result: 'hidden'|'warned'|'trusted'|'none', sponsored: boolean, productInfo: Object, scoreResult: Object|null}} 適用結果
+   *   scoreResult: 「すべて非表示」で判定を省いた広告はnull
+   */
+  filterProduct(productElement, config, filterLevel) {
+    const sponsored = this.isSponsored(productElement);
+    const policy = config.sponsoredPolicy || this.DEFAULT_SPONSORED_POLICY;
+    const productInfo = this.extractProductInfo(productElement);
+
+    if (sponsored) {
+      productElement.dataset.casSponsored = 'true';
+      productElement.classList.add('cas-product-sponsored');
+
+      if (policy === this.SPONSORED_POLICIES.HIDE && filterLevel !== this.FILTER_LEVELS.OFF) {
+        this.removeBadge(productElement);
+        productElement.classList.add('cas-product-hidden');
+        productElement.dataset.casHidden = 'true';
+        return { result: 'hidden', sponsored, productInfo, scoreResult: null };
+      }
+    }
+
+    // 厳しめの判定では1段階上のレベルの閾値を使う
+    const level = sponsored && policy === this.SPONSORED_POLICIES.STRICT && filterLevel !== this.FILTER_LEVELS.OFF
+      ? Math.min(filterLevel + 1, this.FILTER_LEVELS.MAXIMUM)
+      : filterLevel;
+
+    const scoreResult = this.getScoreResult(productInfo, config, level);
+    const result = this.applyFilter(productElement, scoreResult, level, productInfo.brandName, productInfo, config.calibrationLabelMode);
+    this.recordBrandSighting(productInfo, scoreResult);
+    this.rememberBrandFeatures(productInfo, scoreResult, config);
+    return { result, sponsored, productInfo, scoreResult };
+  },
+
+  /**
+   * ページ上の商品の特徴量（ブランドのキー → ASIN → 特徴量）。信頼ブランドへの追加・除外の学習に使う
+   * @type {Map<string, Map<string, Object<string, number>>>}
+   */
+  brandFeatures: new Map(),
+
+  /**
+   * ブランドごとに覚えておく商品の数
+   * @type {number}
+   */
+  BRAND_FEATURE_SAMPLES: 3,
+
+  /**
+   * 学習モードが有効な場合に、商品の特徴量をブランドごとに覚えておく
+   * @param {Object} productInfo - 商品情報
+   * @param {Object} scoreResult - スコア結果
+   * @param {Object} config - 設定オブジェクト（learnedScorer・brandAliasesを含む）
+   */
+  rememberBrandFeatures(productInfo, scoreResult, config) {
+    if (typeof LearnedScorer === 'undefined' || !config.learnedScorer?.model || !productInfo.brandName || !productInfo.asin) {
+      return;
+    }
+
+    const key = BrandChecker.getCanonicalKey(productInfo.brandName, config.brandAliases);
+    if (!this.brandFeatures.has(key)) {
+      this.brandFeatures.set(key, new Map());
+    }
+    const samples = this.brandFeatures.get(key);
+    if (samples.has(productInfo.asin) || samples.size < this.BRAND_FEATURE_SAMPLES) {
+      samples.set(productInfo.asin, LearnedScorer.extractFeatures(productInfo, scoreResult));
+    }
+  },
+
+  /**
+   * 信頼ブランドへの追加（問題なし）・除外（怪しい）を、ページ上のそのブランドの商品で学習する
+   * @param {Object} changes - chrome.storage.onChangedの変更内容（sync）
+   * @param {Object<string, string>} [aliases] - 表記揺れマッピング
+   */
+  trainFromBrandActions(changes, aliases) {
+    const examples = [];
+    for (const [storageKey, target] of [['customBrands', 0], ['excludedBrands', 1]]) {
+      const change = changes[storageKey];
+      if (!change) continue;
+      const before = new Set(change.oldValue || []);
+      for (const brandName of change.newValue || []) {
+        if (before.has(brandName)) continue;
+        const samples = this.brandFeatures.get(BrandChecker.getCanonicalKey(brandName, aliases));
+        for (const features of samples?.values() || []) {
+          examples.push({ features, target });
+        }
+      }
+    }
+    this.sendTrainingExamples(examples);
+  },
+
+  /**
+   * 学習する例をService Workerに送る（学習モードがOFFの場合はService Worker側で無視する）
+   * @param {Array<{features: Object<string, number>, target: number}>} examples - 特徴量と正解（怪しい=1、問題なし=0）
+   */
+  sendTrainingExamples(examples) {
+    if (examples.length === 0) return;
+    chrome.runtime.sendMessage({ action: 'trainLearnedScorer', examples }).catch(error => {
+      console.warn('[ProductFilter] Failed to send training examples:', error);
+    });
+  },
+
+  /**
+   * ブランドの評判の記録に送る表示情報（まとめて送る）
+   * @type {Object[]}
+   */
+  pendingSightings: [],
+
+  /**
+   * 記録済みの商品（ASIN）。再フィルタや無限スクロールで同じ商品を重複して数えない
+   * @type {Set<string>}
+   */
+  recordedAsins: new Set(),
+
+  /**
+   * 表示情報をまとめて送るまでの待ち時間（ミリ秒）
+   * @type {number}
+   */
+  SIGHTING_FLUSH_DELAY: 2000,
+
+  /**
+   * 表示情報を送るタイマー
+   * @type {number|null}
+   */
+  sightingTimer: null,
+
+  /**
+   * 判定した商品のブランドを評判の記録に加える（書き込みはService Workerで行う）
+   * @param {Object} productInfo - 商品情報
+   * @param {Object} scoreResult - 判定結果
+   */
+  recordBrandSighting(productInfo, scoreResult) {
+    if (typeof BrandReputation === 'undefined' || !productInfo.asin || this.recordedAsins.has(productInfo.asin)) {
+      return;
+    }
+    const sighting = BrandReputation.createSighting(productInfo, scoreResult);
+    if (!sighting) return;
+
+    this.recordedAsins.add(productInfo.asin);
+    this.pendingSightings.push(sighting);
+    if (!this.sightingTimer) {
+      this.sightingTimer = setTimeout(() => this.flushBrandSightings(), this.SIGHTING_FLUSH_DELAY);
+    }
+  },
+
+  /**
+   * たまった表示情報をService Workerに送る
+   */
+  flushBrandSightings() {
+    this.sightingTimer = null;
+    const sightings = this.pendingSightings;
+    this.pendingSightings = [];
+    if (sightings.length === 0) return;
+
+    chrome.runtime.sendMessage({ action: 'recordBrandSightings', sightings }).catch(error => {
+      console.warn('[ProductFilter] Failed to record brand sightings:', error);
+    });
+  },
+
+  /**
+   * 判定のキャッシュから読み込んだエントリー（ASIN → エントリー）。フィルタリングを実行するたびに読み直す
+   * @type {Map<string, Object>}
+   */
+  cachedVerdicts: new Map(),
+
+  /**
+   * 判定のキャッシュを読み込んだときの世代（読み込めなかった場合はnull = 保存しない）
+   * @type {number|null}
+   */
+  verdictGeneration: null,
+
+  /**
+   * 判定のキャッシュに送るエントリー（まとめて送る）
+   * @type {Object[]}
+   */
+  pendingVerdicts: [],
+
+  /**
+   * エントリーをまとめて送るまでの待ち時間（ミリ秒）
+   * @type {number}
+   */
+  VERDICT_FLUSH_DELAY: 1000,
+
+  /**
+   * エントリーを送るタイマー
+   * @type {number|null}
+   */
+  verdictTimer: null,
+
+  /**
+   * ページ上の商品の判定をService Workerのキャッシュから読み込む
+   * @param {string[]} asins - ASIN
+   * @returns {Promise<void>}
+   */
+  async loadCachedVerdicts(asins) {
+    // 前回読み込んだ世代で判定したエントリーは、その世代のまま送る
+    if (this.verdictTimer) {
+      clearTimeout(this.verdictTimer);
+      this.flushVerdicts();
+    }
+    this.cachedVerdicts = new Map();
+    this.verdictGeneration = null;
+    if (typeof VerdictCache === 'undefined' || asins.length === 0) {
+      return;
+    }
+
+    try {
+      const { generation, verdicts } = await chrome.runtime.sendMessage({ action: 'getCachedVerdicts', asins });
+      this.cachedVerdicts = new Map(Object.entries(verdicts || {}));
+      this.verdictGeneration = typeof generation === 'number' ? generation : null;
+    } catch (error) {
+      console.warn('[ProductFilter] Failed to load cached verdicts:', error);
+    }
+  },
+
+  /**
+   * 商品のスコア結果を取得（同じカテゴリで判定したキャッシュがあればそれを使い、なければ計算してキャッシュに送る）
+   * キャッシュのスコアは商品詳細ページで判定したものの場合もあり、判定はこのページのフィルターレベルで決め直す
+   * @param {Object} productInfo - 商品情報
+   * @param {Object} config - 設定オブジェクト
+   * @param {number} filterLevel - フィルターレベル
+   * @returns {Object} スコア結果（calculateScoreと同じ形式）
+   */
+  getScoreResult(productInfo, config, filterLevel) {
+    const cached = productInfo.asin ? this.cachedVerdicts.get(productInfo.asin) : null;
+    if (cached && typeof VerdictCache !== 'undefined' && VerdictCache.matchesCategory(cached, ScoreCalculator.getCategory(config))) {
+      return VerdictCache.toScoreResult(cached, filterLevel);
+    }
+
+    const scoreResult = this.calculateScore(productInfo, config, filterLevel);
+    this.queueVerdict(productInfo, scoreResult);
+    return scoreResult;
+  },
+
+  /**
+   * 判定した商品をキャッシュに送る（書き込みはService Workerで行う）
+   * @param {Object} productInfo - 商品情報
+   * @param {Object} scoreResult - スコア結果
+   */
+  queueVerdict(productInfo, scoreResult) {
+    if (typeof VerdictCache === 'undefined' || this.verdictGeneration === null) {
+      return;
+    }
+    const entry = VerdictCache.createEntry(productInfo, scoreResult, VerdictCache.SOURCES.SEARCH);
+    if (!entry) return;
+
+    this.cachedVerdicts.set(entry.asin, entry);
+    this.pendingVerdicts.push(entry);
+    if (!this.verdictTimer) {
+      this.verdictTimer = setTimeout(() => this.flushVerdicts(), this.VERDICT_FLUSH_DELAY);
+    }
+  },
+
+  /**
+   * たまったエントリーをService Workerに送る
+   */
+  flushVerdicts() {
+    this.verdictTimer = null;
+    const entries = this.pendingVerdicts;
+    this.pendingVerdicts = [];
+    if (entries.length === 0) return;
+
+    chrome.runtime.sendMessage({ action: 'saveVerdicts', entries, generation: this.verdictGeneration }).catch(error => {
+      console.warn('[ProductFilter] Failed to save verdicts:', error);
+    });
+  },
+
+  /**
+   * スポンサーブランド・スポンサー動画ウィジェット1件にスポンサー商品の扱いを適用
+   * ウィジェットは商品情報を取れないため、「すべて非表示」以外はラベルのみ
+   * @param {Element} widget - ウィジェットのDOM要素
+   * @param {Object} config - 設定オブジェクト（sponsoredPolicyを含む）
+   * @returns {boolean} 非表示にした場合true
+   */
+  filterSponsoredWidget(widget, config) {
+    const policy = config.sponsoredPolicy || this.DEFAULT_SPONSORED_POLICY;
+    widget.dataset.casSponsored = 'true';
+    widget.classList.add('cas-product-sponsored');
+
+    if (policy === this.SPONSORED_POLICIES.HIDE) {
+      widget.classList.add('cas-product-hidden');
+      widget.dataset.casHidden = 'true';
+      return true;
+    }
+    return false;
   },
 
   /**
    * ページ内の全商品をフィルタリング
+   * スポンサー商品（広告）は通常の商品と分けてsponsored / sponsoredHiddenに数える
    * @param {Object} config - 設定オブジェクト
    * @param {number} filterLevel - フィルターレベル (0-4)
-   * @returns {{total: number, hidden: number, warned: number, trusted: number}} 統計情報
+   * @returns {{total: number, hidden: number, warned: number, trusted: number, sponsored: number, sponsoredHidden: number, cloneClusters: number}} 統計情報
    */
   filterAllProducts(config, filterLevel) {
     // スタイルを注入
@@ -386,26 +914,33 @@ const ProductFilter = {
       total: 0,
       hidden: 0,
       warned: 0,
-      trusted: 0
+      trusted: 0,
+      sponsored: 0,
+      sponsoredHidden: 0,
+      cloneClusters: 0
     };
 
     // 商品要素を取得
-    const productSelector = '[data-component-type="s-search-result"]';
-    const productElements = document.querySelectorAll(productSelector);
+    const productElements = document.querySelectorAll(this.PRODUCT_SELECTOR);
+    const entries = [];
 
     for (const productElement of productElements) {
       stats.total++;
 
-      // 商品情報を抽出
-      const productInfo = this.extractProductInfo(productElement);
-
-      // スコアを計算
-      const scoreResult = this.calculateScore(productInfo, config);
-
-      // フィルターを適用
-      const result = this.applyFilter(productElement, scoreResult, filterLevel, productInfo.brandName);
+      // スポンサー商品の扱いとフィルターを適用
+      const entry = this.filterProduct(productElement, config, filterLevel);
+      const { result, sponsored } = entry;
+      entries.push({ element: productElement, ...entry });
 
       // 統計を更新
+      if (sponsored) {
+        stats.sponsored++;
+        if (result === 'hidden') {
+          stats.sponsoredHidden++;
+        }
+        continue;
+      }
+
       switch (result) {
         case 'hidden':
           stats.hidden++;
@@ -419,7 +954,230 @@ const ProductFilter = {
       }
     }
 
-    return stats;
+    // スポンサーブランド・スポンサー動画ウィジェット
+    for (const widget of this.findSponsoredWidgets()) {
+      stats.sponsored++;
+      if (this.filterSponsoredWidget(widget, config)) {
+        stats.sponsoredHidden++;
+      }
+    }
+
+    // 同一品の別ブランド出品
+    stats.cloneClusters = this.markCloneClusters(entries, config);
+
+    return stats;
+  },
+
+  /**
+   * 同一品の別ブランド出品のグループにラベルを付ける
+   * 各グループの最もスコアが低い（良い）表示中の商品に、ほかの出品をまとめるボタンを付ける
+   * @param {Array<{element: Element, result: string, productInfo: Object, scoreResult: Object|null}>} entries - filterProductの結果
+   * @param {Object} config - 設定オブジェクト（brandAliasesを使用）
+   * @returns {number} 別ブランド出品とみなしたグループ数
+   */
+  markCloneClusters(entries, config) {
+    this.clearCloneClusters();
+    if (typeof CloneClusterer === 'undefined' || entries.length < 2) {
+      return 0;
+    }
+
+    const items = entries.map(({ productInfo, scoreResult }) => ({
+      title: productInfo.title,
+      brandName: productInfo.brandName,
+      brandKey: productInfo.brandName ? BrandChecker.getCanonicalKey(productInfo.brandName, config.brandAliases) : '',
+      price: typeof PriceChecker !== 'undefined' ? PriceChecker.parsePrice(productInfo.priceText) : null,
+      score: scoreResult ? scoreResult.score : Number.MAX_SAFE_INTEGER,
+      isTrusted: Boolean(scoreResult?.isTrusted)
+    }));
+
+    const clusters = CloneClusterer.cluster(items).filter(cluster => cluster.isClone);
+    clusters.forEach((cluster, clusterIndex) => {
+      // 非表示の商品は代表にしない
+      const visible = cluster.members.filter(index => entries[index].result !== 'hidden');
+      const best = visible.length > 0
+        ? visible.reduce((bestIndex, index) => (items[index].score < items[bestIndex].score ? index : bestIndex))
+        : null;
+
+      for (const index of cluster.members) {
+        const element = entries[index].element;
+        element.dataset.casCloneCluster = String(clusterIndex);
+        this.addCloneLabel(element, cluster, index === best);
+      }
+    });
+
+    return clusters.length;
+  },
+
+  /**
+   * 同一品の別ブランド出品のラベルを商品に追加
+   * @param {Element} productElement - 商品のDOM要素
+   * @param {{members: number[], brands: string[]}} cluster - CloneClusterer.clusterのグループ
+   * @param {boolean} isBest - グループの代表（まとめるボタンを付ける商品）か
+   */
+  addCloneLabel(productElement, cluster, isBest) {
+    const label = document.createElement('div');
+    label.className = 'cas-clone-label';
+
+    const text = document.createElement('span');
+    text.textContent = `⧉ 同一品の別ブランド出品（${cluster.members.length}件・${cluster.brands.length}ブランド）`;
+    text.title = cluster.brands.join(' / ');
+    label.appendChild(text);
+
+    if (isBest) {
+      const others = cluster.members.length - 1;
+      const toggle = document.createElement('button');
+      toggle.type = 'button';
+      toggle.className = 'cas-clone-toggle';
+      toggle.textContent = `ほかの${others}件をまとめる`;
+      toggle.addEventListener('click', (e) => {
+        // 商品リンクへの遷移を防ぐ
+        e.preventDefault();
+        e.stopPropagation();
+        const collapse = toggle.dataset.collapsed !== 'true';
+        this.collapseCloneCluster(productElement.dataset.casCloneCluster, productElement, collapse);
+        toggle.dataset.collapsed = String(collapse);
+        toggle.textContent = collapse ? `まとめた${others}件を表示` : `ほかの${others}件をまとめる`;
+      });
+      label.appendChild(toggle);
+    }
+
+    this.insertAfterTitle(productElement, label);
+  },
+
+  /**
+   * 同一品のグループを代表の商品にまとめる（または展開する）
+   * @param {string} clusterId - グループのID（data-cas-clone-cluster）
+   * @param {Element} bestElement - 代表の商品
+   * @param {boolean} collapse - trueでまとめる、falseで展開
+   */
+  collapseCloneCluster(clusterId, bestElement, collapse) {
+    const members = document.querySelectorAll(`[data-cas-clone-cluster="${clusterId}"]`);
+    for (const member of members) {
+      if (member !== bestElement) {
+        member.classList.toggle('cas-clone-collapsed', collapse);
+      }
+    }
+  },
+
+  /**
+   * 同一品の別ブランド出品のラベルとまとめ表示を解除
+   */
+  clearCloneClusters() {
+    for (const label of document.querySelectorAll('.cas-clone-label')) {
+      label.remove();
+    }
+    for (const element of document.querySelectorAll('[data-cas-clone-cluster]')) {
+      delete element.dataset.casCloneCluster;
+      element.classList.remove('cas-clone-collapsed');
+    }
+  },
+
+  /**
+   * 画像ハッシュの照合の実行番号（再フィルタ後に古い結果を反映しないため）
+   * @type {number}
+   */
+  imageDuplicateRun: 0,
+
+  /**
+   * サムネイル画像がほぼ同じで、ブランドが異なる商品にラベルを付ける
+   * 画像の取得とハッシュ計算はService Worker（getImageHashes）で行い、結果はASINごとにキャッシュされる。
+   * 検索結果のカードには出品者が表示されないため、ブランドの違いで判定する
+   * @param {Object} config - 設定オブジェクト（brandAliasesを使用）
+   * @returns {Promise<number>} 同じ画像の別ブランド出品とみなしたグループ数
+   */
+  async markImageDuplicates(config) {
+    const run = ++this.imageDuplicateRun;
+    this.clearImageDuplicates();
+    if (typeof ImageHasher === 'undefined') {
+      return 0;
+    }
+
+    const products = [];
+    for (const element of document.querySelectorAll(this.PRODUCT_SELECTOR)) {
+      const productInfo = this.extractProductInfo(element);
+      if (productInfo.asin && productInfo.imageUrl) {
+        products.push({ element, productInfo });
+      }
+    }
+    if (products.length < 2) {
+      return 0;
+    }
+
+    let hashes = {};
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getImageHashes',
+        items: products.map(({ productInfo }) => ({ asin: productInfo.asin, imageUrl: productInfo.imageUrl }))
+      });
+      hashes = response?.hashes || {};
+    } catch (error) {
+      console.warn('[ProductFilter] Failed to get image hashes:', error);
+      return 0;
+    }
+
+    // 待っている間に再フィルタされた場合は反映しない
+    if (run !== this.imageDuplicateRun) {
+      return 0;
+    }
+
+    const groups = ImageHasher.groupSimilar(products.map(({ productInfo }) => hashes[productInfo.asin] || null));
+    let count = 0;
+    for (const group of groups) {
+      // 表記揺れをまとめたブランドが2種類以上のグループだけを対象にする
+      const brands = new Map();
+      for (const index of group) {
+        const { brandName } = products[index].productInfo;
+        if (!brandName) continue;
+        const key = BrandChecker.getCanonicalKey(brandName, config.brandAliases);
+        if (!brands.has(key)) {
+          brands.set(key, brandName);
+        }
+      }
+      if (brands.size < 2) continue;
+
+      for (const index of group) {
+        const element = products[index].element;
+        element.dataset.casImageGroup = String(count);
+        this.addImageDuplicateLabel(element, group.length, [...brands.values()]);
+      }
+      count++;
+    }
+
+    return count;
+  },
+
+  /**
+   * 同じ画像の別ブランド出品のラベルを商品に追加
+   * @param {Element} productElement - 商品のDOM要素
+   * @param {number} size - グループの件数
+   * @param {string[]} brands - グループ内のブランド
+   */
+  addImageDuplicateLabel(productElement, size, brands) {
+    const label = document.createElement('div');
+    label.className = 'cas-image-duplicate-label';
+    label.textContent = `🖼 同じ画像の別ブランド出品（${size}件・${brands.length}ブランド）`;
+    label.title = brands.join(' / ');
+    this.insertAfterTitle(productElement, label);
+  },
+
+  /**
+   * 同じ画像の別ブランド出品のラベルを解除
+   */
+  clearImageDuplicates() {
+    for (const label of document.querySelectorAll('.cas-image-duplicate-label')) {
+      label.remove();
+    }
+    for (const element of document.querySelectorAll('[data-cas-image-group]')) {
+      delete element.dataset.casImageGroup;
+    }
+  },
+
+  /**
+   * 商品カードとスポンサーウィジェット（表示切替の対象）を取得
+   * @returns {Element[]} 対象の要素
+   */
+  getFilterTargets() {
+    return [...document.querySelectorAll(this.PRODUCT_SELECTOR), ...this.findSponsoredWidgets()];
   },
 
   /**
@@ -449,8 +1207,9 @@ const ProductFilter = {
       existingBanner.remove();
     }
 
-    // 非表示・警告・信頼ブランドがない場合はバナー不要
-    if (stats.hidden === 0 && stats.warned === 0 && stats.trusted === 0) {
+    // 非表示・警告・信頼ブランド・広告・同一品の別ブランド出品がない場合はバナー不要
+    if (stats.hidden === 0 && stats.warned === 0 && stats.trusted === 0 && !stats.sponsored &&
+        !stats.cloneClusters && !stats.imageDuplicates) {
       return;
     }
 
@@ -481,10 +1240,13 @@ const ProductFilter = {
     const trustedText = stats.trusted > 0
       ? ` | <a href="#" id="cas-show-trusted-only" style="color: #90EE90; text-decoration: underline; cursor: pointer;">${stats.trusted}件の信頼ブランド</a>`
       : '';
+    const sponsoredText = this.formatSponsoredStats(stats);
+    const cloneText = stats.cloneClusters > 0 ? ` | 同一品の別ブランド出品${stats.cloneClusters}組` : '';
+    const imageText = stats.imageDuplicates > 0 ? ` | 同じ画像の別ブランド出品${stats.imageDuplicates}組` : '';
 
     banner.innerHTML = `
       <span class="cas-filter-banner-icon">&#128737;</span>
-      <span>${messageText}${detailText}${trustedText}</span>
+      <span>${messageText}${detailText}${trustedText}${sponsoredText ? ` | ${sponsoredText}` : ''}${cloneText}${imageText}</span>
       <button class="cas-filter-banner-close" id="cas-banner-show-all">すべて表示</button>
       <button class="cas-filter-banner-close" id="cas-banner-close">閉じる</button>
     `;
@@ -495,6 +1257,22 @@ const ProductFilter = {
     this.attachFilteredBannerEvents(banner, stats);
   },
 
+  /**
+   * 広告の件数をバナー用の文言に整形
+   * @param {{sponsored?: number, sponsoredHidden?: number}} stats - 統計情報
+   * @returns {string} 文言（広告がない場合は空文字）
+   * @example
+   * ProductFilter.formatSponsoredStats({ sponsored: 4, sponsoredHidden: 4 }); // => '広告4件（4件を非表示）'
+   */
+  formatSponsoredStats(stats) {
+    if (!stats.sponsored) {
+      return '';
+    }
+    return stats.sponsoredHidden > 0
+      ? `広告${stats.sponsored}件（${stats.sponsoredHidden}件を非表示）`
+      : `広告${stats.sponsored}件`;
+  },
+
   /**
    * 通常フィルタモードのイベントを設定
    * @param {Element} banner - バナー要素
@@ -638,7 +1416,7 @@ const ProductFilter = {
    * 信頼ブランドのみ表示
    */
   showTrustedOnly() {
-    const products = document.querySelectorAll('[data-component-type="s-search-result"]');
+    const products = this.getFilterTargets();
 
     for (const product of products) {
       // data属性またはクラスで信頼ブランドを判定
@@ -661,7 +1439,7 @@ const ProductFilter = {
    * 通常フィルタモードに復元
    */
   restoreFilteredMode() {
-    const products = document.querySelectorAll('[data-component-type="s-search-result"]');
+    const products = this.getFilterTargets();
 
     for (const product of products) {
       // 信頼モードの非表示を解除
@@ -680,7 +1458,7 @@ const ProductFilter = {
    * フィルタを再適用
    */
   applyFilterMode() {
-    const products = document.querySelectorAll('[data-component-type="s-search-result"]');
+    const products = this.getFilterTargets();
 
     for (const product of products) {
       // すべて表示モードの解除
@@ -699,7 +1477,7 @@ const ProductFilter = {
    * 非表示の商品をすべて表示
    */
   showAllProducts() {
-    const products = document.querySelectorAll('[data-component-type="s-search-result"]');
+    const products = this.getFilterTargets();
 
     for (const product of products) {
       // すべての非表示クラスを解除（ただしcasHiddenは保持）
@@ -713,10 +1491,13 @@ const ProductFilter = {
   /**
    * 商品要素にバッジを追加
    * @param {Element} productElement - 商品のDOM要素
-   * @param {'trusted'|'warning'|'danger'} type - バッジタイプ
+   * @param {'trusted'|'warning'|'danger'|'neutral'} type - バッジタイプ
    * @param {string[]} reasons - 理由の配列
+   * @param {string} [brandName=''] - ブランド名（信頼ブランドの×ボタン用）
+   * @param {{scoreResult: Object, filterLevel: number, productInfo?: Object|null, sponsored?: boolean}|null} [detail=null] - 内訳パネルに表示するスコア結果とフィルターレベル
+   *   productInfoがある場合は内訳パネルにラベルのボタンを表示する
    */
-  addProductBadge(productElement, type, reasons = [], brandName = '') {
+  addProductBadge(productElement, type, reasons = [], brandName = '', detail = null) {
     // 既存のバッジを削除
     this.removeBadge(productElement);
 
@@ -741,10 +1522,14 @@ const ProductFilter = {
         icon = '&#10060;';
         text = '危険';
         break;
+      case this.BADGE_TYPES.NEUTRAL:
+        icon = '&#9998;';
+        text = '判定';
+        break;
     }
 
-    // 理由を整形（簡潔な表現に変換、最大2つまで）
-    const simplifiedReasons = reasons.slice(0, 2).map(r => this.simplifyReason(r));
+    // 理由を整形（簡潔な表現に変換、同じ表現は1つにまとめて最大2つまで）
+    const simplifiedReasons = [...new Set(reasons.map(r => this.simplifyReason(r)))].slice(0, 2);
     const reasonsText = simplifiedReasons.length > 0
       ? simplifiedReasons.join('・')
       : '';
@@ -761,35 +1546,225 @@ const ProductFilter = {
       ${excludeBtn}
     `;
 
-    // タイトルセクションの後（Aタグの外側）に挿入
-    // overflow: hiddenの親要素を避けるため、タイトル行全体の後に挿入
+    // 内訳パネル（「内訳」ボタンで開閉）
+    if (detail && detail.scoreResult) {
+      const panel = this.appendBreakdownPanel(badge, detail.scoreResult, detail.filterLevel);
+      if (detail.productInfo && typeof Calibration !== 'undefined') {
+        this.appendLabelButtons(panel, detail);
+      }
+    }
+
+    this.insertAfterTitle(productElement, badge);
+
+    // データ属性を設定
+    productElement.dataset.casBadge = type;
+  },
+
+  /**
+   * 商品カードのタイトルの後（Aタグの外側）に要素を挿入
+   * overflow: hiddenの親要素を避けるため、タイトル行全体の後に挿入する
+   * @param {Element} productElement - 商品のDOM要素
+   * @param {Element} element - 挿入する要素
+   */
+  insertAfterTitle(productElement, element) {
     const titleSection = productElement.querySelector('.s-title-instructions-style') ||
                          productElement.querySelector('.a-section.a-spacing-none.a-spacing-top-small') ||
                          productElement.querySelector('h2')?.closest('.a-section');
 
     if (titleSection && titleSection.parentNode) {
-      titleSection.parentNode.insertBefore(badge, titleSection.nextSibling);
+      titleSection.parentNode.insertBefore(element, titleSection.nextSibling);
     } else {
       // フォールバック: 価格の前に挿入を試みる
       const priceSection = productElement.querySelector('.a-price') ||
                            productElement.querySelector('.a-row.a-size-base');
       if (priceSection && priceSection.parentNode) {
-        priceSection.parentNode.insertBefore(badge, priceSection);
+        priceSection.parentNode.insertBefore(element, priceSection);
       } else {
         // 最終フォールバック: 商品カードの内側に直接挿入
         const innerContent = productElement.querySelector('.puis-padding-left-small') ||
                              productElement.querySelector('.s-inner-result-item') ||
                              productElement;
         if (innerContent.firstChild) {
-          innerContent.insertBefore(badge, innerContent.firstChild);
+          innerContent.insertBefore(element, innerContent.firstChild);
         } else {
-          innerContent.appendChild(badge);
+          innerContent.appendChild(element);
         }
       }
     }
+  },
 
-    // データ属性を設定
-    productElement.dataset.casBadge = type;
+  /**
+   * バッジにスコアの内訳パネルと開閉ボタンを追加
+   * 理由には商品タイトル由来の文字列が含まれるため、textContentで組み立てる
+   * @param {Element} badge - バッジ要素
+   * @param {{score: number, breakdown: Object[], forcedVerdict?: string|null}} scoreResult - スコア結果
+   * @param {number} filterLevel - フィルターレベル
+   * @returns {Element} パネル要素
+   */
+  appendBreakdownPanel(badge, scoreResult, filterLevel) {
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'cas-badge-detail-toggle';
+    toggle.textContent = '内訳 ▼';
+    toggle.setAttribute('aria-expanded', 'false');
+
+    const panel = this.buildBreakdownPanel(scoreResult, filterLevel);
+
+    toggle.addEventListener('click', (e) => {
+      // 商品リンクへの遷移を防ぐ
+      e.preventDefault();
+      e.stopPropagation();
+      const open = panel.classList.toggle('cas-badge-detail-open');
+      toggle.textContent = open ? '内訳 ▲' : '内訳 ▼';
+      toggle.setAttribute('aria-expanded', String(open));
+    });
+
+    badge.appendChild(toggle);
+    badge.appendChild(panel);
+    return panel;
+  },
+
+  /**
+   * 内訳パネルに「問題なし / 怪しい」のラベルのボタンを追加（判定の較正用）
+   * ラベルはその時点の商品情報とチェッカーごとの点数と一緒にchrome.storage.localに保存し、詳細設定ページで集計する
+   * @param {Element} panel - 内訳パネル
+   * @param {{scoreResult: Object, filterLevel: number, productInfo: Object, sponsored?: boolean}} detail - スコア結果と商品情報
+   */
+  appendLabelButtons(panel, detail) {
+    const row = document.createElement('div');
+    row.className = 'cas-badge-label-row';
+
+    const caption = document.createElement('span');
+    caption.textContent = 'この商品は:';
+    row.appendChild(caption);
+
+    const status = document.createElement('span');
+    status.setAttribute('role', 'status');
+
+    const buttons = [
+      { label: Calibration.LABELS.GOOD, text: '👍 問題なし' },
+      { label: Calibration.LABELS.JUNK, text: '👎 怪しい' }
+    ].map(({ label, text }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'cas-badge-label-btn';
+      button.textContent = text;
+      button.dataset.casLabel = label;
+      button.setAttribute('aria-pressed', 'false');
+
+      button.addEventListener('click', async (e) => {
+        // 商品リンクへの遷移を防ぐ
+        e.preventDefault();
+        e.stopPropagation();
+
+        const entry = Calibration.createLabel(detail.productInfo, detail.scoreResult, label, {
+          sponsored: detail.sponsored,
+          filterLevel: detail.filterLevel
+        });
+        if (!entry) return;
+
+        try {
+          await Calibration.save(entry);
+          if (typeof LearnedScorer !== 'undefined') {
+            this.sendTrainingExamples([{
+              features: LearnedScorer.extractFeatures(detail.productInfo, detail.scoreResult),
+              target: label === Calibration.LABELS.JUNK ? 1 : 0
+            }]);
+          }
+          for (const other of buttons) {
+            other.setAttribute('aria-pressed', String(other === button));
+          }
+          status.textContent = `「${Calibration.LABEL_NAMES[label]}」として記録しました`;
+        } catch (error) {
+          console.error('[ProductFilter] Failed to save label:', error);
+          status.textContent = 'ラベルを保存できませんでした';
+        }
+      });
+
+      row.appendChild(button);
+      return button;
+    });
+
+    row.appendChild(status);
+    panel.appendChild(row);
+  },
+
+  /**
+   * スコアの内訳パネルを作成
+   * チェッカーごとの点数と理由、合計スコア、現在のフィルターレベルの閾値を表示する
+   * @param {{score: number, breakdown: Object[], forcedVerdict?: string|null, categoryProfile?: Object|null}} scoreResult - スコア結果
+   * @param {number} filterLevel - フィルターレベル
+   * @returns {Element} パネル要素
+   */
+  buildBreakdownPanel(scoreResult, filterLevel) {
+    const panel = document.createElement('div');
+    panel.className = 'cas-badge-detail';
+
+    const append = (parent, tag, className, text) => {
+      const element = document.createElement(tag);
+      if (className) element.className = className;
+      if (text !== undefined) element.textContent = text;
+      parent.appendChild(element);
+      return element;
+    };
+
+    const entries = (scoreResult.breakdown || []).filter(entry => entry.score !== 0 || entry.reasons.length > 0);
+    if (entries.length === 0) {
+      append(panel, 'div', 'cas-badge-detail-note', '加点・減点の対象はありません');
+    }
+
+    for (const entry of entries) {
+      const row = append(panel, 'div', 'cas-badge-detail-row');
+      append(row, 'span', '', entry.weight !== undefined ? `${entry.label}（×${entry.weight}）` : entry.label);
+      append(row, 'span', '', this.formatPoints(entry.score));
+
+      if (entry.reasons.length > 0) {
+        const list = append(panel, 'ul', 'cas-badge-detail-reasons');
+        for (const reason of entry.reasons) {
+          append(list, 'li', '', reason);
+        }
+      }
+    }
+
+    const score = scoreResult.score;
+    append(panel, 'div', 'cas-badge-detail-total', `合計スコア: ${score}点`);
+
+    const profile = scoreResult.categoryProfile || null;
+    const thresholds = ScoreCalculator.getThresholds(filterLevel, profile);
+    const levelName = ScoreCalculator.LEVEL_NAMES[filterLevel] || ScoreCalculator.LEVEL_NAMES[ScoreCalculator.DEFAULT_LEVEL];
+    const criteriaName = profile ? `${levelName}・${profile.name}` : levelName;
+    const hideText = Number.isFinite(thresholds.hide) ? `非表示 ${thresholds.hide}点以上` : '非表示なし';
+    append(panel, 'div', 'cas-badge-detail-note', `判定基準（${criteriaName}）: 警告 ${thresholds.warn}点以上 / ${hideText}`);
+
+    if (scoreResult.forcedVerdict) {
+      append(panel, 'div', 'cas-badge-detail-note',
+        `カスタムルールにより「${ScoreCalculator.getVerdictLabel(scoreResult.forcedVerdict)}」と判定`);
+    } else if (Number.isFinite(thresholds.hide) && score < thresholds.hide) {
+      append(panel, 'div', 'cas-badge-detail-note', `非表示まであと ${thresholds.hide - score}点`);
+    }
+
+    return panel;
+  },
+
+  /**
+   * 点数を符号付きで整形
+   * @param {number} points - 点数
+   * @returns {string} 「+35」「-20」「±0」形式の文字列
+   */
+  formatPoints(points) {
+    if (points > 0) return `+${points}`;
+    if (points < 0) return `${points}`;
+    return '±0';
+  },
+
+  /**
+   * 信頼ブランドバッジに表示する理由を取得
+   * @param {string[]} reasons - スコア計算の理由
+   * @returns {string[]} 信頼ブランドの理由（信頼しているカテゴリ付き）
+   */
+  getTrustedReasons(reasons = []) {
+    const trustedReasons = reasons.filter(reason => reason.startsWith('信頼できるブランド'));
+    return trustedReasons.length > 0 ? trustedReasons : ['信頼できるブランド'];
   },
 
   /**
@@ -808,17 +1783,36 @@ const ProductFilter = {
       '末尾にJP/日本': 'JP商法',
       'ランダムな英数字の組み合わせ（例: AB123, XY99Z）': '怪しいブランド名',
       'ランダムな英字列（子音のみ4文字以上）': '怪しいブランド名',
+      'ランダムな文字列の可能性': '怪しいブランド名',
       '中国企業の接尾辞を含むブランド名': '中国ブランド',
       '簡体字を含むブランド名（中国ブランドの可能性）': '中国ブランド',
       '大文字小文字が交互（例: AbCdEf）': '怪しいブランド名',
+      '紛らわしい文字の混在': '偽装文字',
       'ノーブランド/Generic': 'ノーブランド',
+      'ノーブランド表記': 'ノーブランド',
+      '過去の出品傾向': '過去の出品傾向',
+      // 学習モード
+      '学習モデル': '学習モデル',
       // タイトル関連
       'タイトルが非常に長い': 'タイトル長すぎ',
       'タイトルが長すぎる': 'タイトル長すぎ',
+      'キーワードの詰め込み': 'キーワード詰め込み',
+      '整ったタイトル': '型番表記',
+      'タイトルの傾向': 'タイトルの傾向',
+      // レビュー関連
+      'レビュー多数': 'レビュー多数',
       // 誇大表現
+      '不自然な日本語': '不自然な日本語',
+      '誇張表現': '誇大広告',
       '誇大広告表現': '誇大広告',
       '最新版表現': '誇大広告',
       '令和最新': '誇大広告',
+      // セラー関連
+      '海外セラー': '海外セラー',
+      '日本のセラー': '日本のセラー',
+      '怪しいセラー名': '怪しいセラー名',
+      // カスタムルール
+      'カスタムルール': 'カスタムルール',
       // その他
       '信頼できるブランド': '信頼ブランド',
       '日本の工房・製作所': '日本ブランド'
@@ -829,6 +1823,16 @@ const ProductFilter = {
       return simplifications[reason];
     }
 
+    // 信頼ブランドは信頼しているカテゴリを残す
+    const trustedMatch = reason.match(/^信頼できるブランド（(.+)）$/);
+    if (trustedMatch) {
+      return trustedMatch[1];
+    }
+    const outOfScopeMatch = reason.match(/^他カテゴリの信頼ブランド（(.+)）$/);
+    if (outOfScopeMatch) {
+      return `${outOfScopeMatch[1]}の信頼ブランド`;
+    }
+
     // 部分一致
     for (const [key, value] of Object.entries(simplifications)) {
       if (reason.includes(key) || key.includes(reason)) {
@@ -841,6 +1845,24 @@ const ProductFilter = {
       return 'タイトル長すぎ';
     }
 
+    // 模倣ブランドは模倣元のブランド名を残す
+    const lookalikeMatch = reason.match(/^有名ブランド「(.+)」の模倣/);
+    if (lookalikeMatch) {
+      return `${lookalikeMatch[1]}の模倣`;
+    }
+
+    // レビューは件数を残す
+    const reviewMatch = reason.match(/^(レビューが少ない|少ないレビューで高評価)（([\d,]+件)/);
+    if (reviewMatch) {
+      return `${reviewMatch[1] === 'レビューが少ない' ? 'レビュー少' : '少数で高評価'}（${reviewMatch[2]}）`;
+    }
+
+    // 価格は相場の下限を残す
+    const priceMatch = reason.match(/^相場より(安すぎる|やや安い)価格（(¥[\d,]+) \/ .+の相場 (¥[\d,]+)〜）$/);
+    if (priceMatch) {
+      return `${priceMatch[1] === '安すぎる' ? '安すぎる価格' : '安めの価格'} ${priceMatch[2]}（相場${priceMatch[3]}〜）`;
+    }
+
     // 短縮できない場合は最初の10文字
     return reason.length > 12 ? reason.substring(0, 10) + '…' : reason;
   },
@@ -907,15 +1929,41 @@ const ProductFilter = {
     return commonWords.includes(word.toLowerCase());
   },
 
+  /**
+   * 設定ファイル読み込みのキャッシュ（パス → Promise）
+   * @type {Map<string, Promise<Object>>}
+   */
+  configFileCache: new Map(),
+
+  /**
+   * 拡張機能内の設定ファイル（JSON）を読み込み
+   * 同じファイルを複数のローダーから参照するため、読み込み結果をキャッシュする
+   * @param {string} path - 拡張機能ルートからの相対パス
+   * @returns {Promise<Object>} 読み込んだJSON
+   */
+  fetchConfigJson(path) {
+    if (!this.configFileCache.has(path)) {
+      const promise = fetch(chrome.runtime.getURL(path))
+        .then(response => response.json())
+        .catch(error => {
+          this.configFileCache.delete(path);
+          throw error;
+        });
+      this.configFileCache.set(path, promise);
+    }
+    return this.configFileCache.get(path);
+  },
+
   /**
    * 設定ファイルから信頼ブランドリストを読み込み
+   * カスタムブランド・非表示ブランドはエイリアスで正規化して照合する
    * @returns {Promise<string[]>} 信頼ブランドの配列
    */
   async loadTrustedBrands() {
     try {
-      const url = chrome.runtime.getURL('config/trusted-brands.json');
-      const response = await fetch(url);
-      const data = await response.json();
+      const data = await this.fetchConfigJson('config/trusted-brands.json');
+      const aliases = data.aliases?.mappings || {};
+      const toKey = (brand) => BrandChecker.getCanonicalKey(brand, aliases);
 
       // 全カテゴリのブランドを結合
       const allBrands = [];
@@ -933,16 +1981,19 @@ const ProductFilter = {
           chrome.storage.sync.get(['customBrands', 'excludedBrands'], resolve);
         });
         if (result.customBrands && Array.isArray(result.customBrands)) {
+          const knownKeys = new Set(allBrands.map(toKey));
           for (const brand of result.customBrands) {
-            if (!allBrands.some(b => b.toLowerCase() === brand.toLowerCase())) {
+            const key = toKey(brand);
+            if (!knownKeys.has(key)) {
               allBrands.push(brand);
+              knownKeys.add(key);
             }
           }
         }
-        // 非表示ブランドを除外
+        // 非表示ブランドを除外（表記揺れも含めて除外）
         if (result.excludedBrands && Array.isArray(result.excludedBrands)) {
-          const excludedLower = result.excludedBrands.map(b => b.toLowerCase());
-          return allBrands.filter(b => !excludedLower.includes(b.toLowerCase()));
+          const excludedKeys = new Set(result.excludedBrands.map(toKey));
+          return allBrands.filter(b => !excludedKeys.has(toKey(b)));
         }
       } catch (e) {
         console.warn('[ProductFilter] Failed to load custom/excluded brands:', e);
@@ -955,19 +2006,89 @@ const ProductFilter = {
     }
   },
 
+  /**
+   * 設定ファイルから信頼ブランドのカテゴリ別の信頼範囲を読み込み
+   * ユーザーが追加したカスタムブランドはどのカテゴリにも含めない（全カテゴリで信頼する）
+   * @returns {Promise<{categories: Array<{id: string, label: string, scopes: string[], list: string[]}>, outOfScopeScore: number, knownCategories: string[]}|null>} 信頼範囲（読み込めない場合はnull）
+   */
+  async loadTrustedBrandScopes() {
+    try {
+      const data = await this.fetchConfigJson('config/trusted-brands.json');
+      const aliases = data.aliases?.mappings || {};
+      const toKey = (brand) => BrandChecker.getCanonicalKey(brand, aliases);
+
+      let customKeys = new Set();
+      try {
+        const result = await new Promise((resolve) => {
+          chrome.storage.sync.get(['customBrands'], resolve);
+        });
+        if (Array.isArray(result.customBrands)) {
+          customKeys = new Set(result.customBrands.map(toKey));
+        }
+      } catch (e) {
+        console.warn('[ProductFilter] Failed to load custom brands:', e);
+      }
+
+      const categories = Object.entries(data.brands || {})
+        .filter(([, category]) => Array.isArray(category.list))
+        .map(([id, category]) => ({
+          id,
+          label: category.label || category.description || id,
+          scopes: Array.isArray(category.scopes) ? category.scopes : [],
+          list: category.list.filter(brand => !customKeys.has(toKey(brand)))
+        }));
+      const outOfScopeScore = data.scope_policy?.out_of_scope_score;
+      return {
+        categories,
+        outOfScopeScore: typeof outOfScopeScore === 'number' ? outOfScopeScore : 0,
+        knownCategories: await this.loadKnownCategories()
+      };
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load trusted brand scopes:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 判定プロファイルのIDと検索語から推定するカテゴリ（信頼ブランドの信頼範囲で「カテゴリ不明」と区別するため）
+   * @returns {Promise<string[]>} カテゴリ（読み込めない場合は空）
+   */
+  async loadKnownCategories() {
+    try {
+      const data = await this.fetchConfigJson('config/category-profiles.json');
+      return [...Object.keys(data.profiles || {}), ...Object.keys(data.detection?.query_categories?.categories || {})];
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load category profiles:', error);
+      return [];
+    }
+  },
+
+  /**
+   * 設定ファイルからブランド名の表記揺れマッピングを読み込み
+   * @returns {Promise<Object<string, string>>} エイリアス → 正規ブランド名
+   */
+  async loadBrandAliases() {
+    try {
+      const data = await this.fetchConfigJson('config/trusted-brands.json');
+      return data.aliases?.mappings || {};
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load brand aliases:', error);
+      return {};
+    }
+  },
+
   /**
    * 設定ファイルから怪しいパターンを読み込み
    * @returns {Promise<Object[]>} パターン設定の配列
    */
   async loadSuspiciousPatterns() {
     try {
-      const url = chrome.runtime.getURL('config/suspicious-patterns.json');
-      const response = await fetch(url);
-      const data = await response.json();
+      const data = await this.fetchConfigJson('config/suspicious-patterns.json');
 
       // ブランドパターンを抽出
       if (data.brand_patterns && data.brand_patterns.patterns) {
         return data.brand_patterns.patterns.map(p => ({
+          id: p.id,
           pattern: p.pattern,
           score: p.score,
           reason: p.description
@@ -981,23 +2102,347 @@ const ProductFilter = {
     }
   },
 
+  /**
+   * 設定ファイルからノーブランド表記キーワードを読み込み
+   * @returns {Promise<{keywords: string[], score: number}|null>} キーワードとスコア（読み込めない場合はnull）
+   */
+  async loadNoBrandKeywords() {
+    try {
+      const data = await this.fetchConfigJson('config/suspicious-patterns.json');
+      const section = data.no_brand_keywords;
+      if (section && Array.isArray(section.keywords)) {
+        return {
+          keywords: section.keywords,
+          score: section.score
+        };
+      }
+      return null;
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load no-brand keywords:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 設定ファイルからタイトルの誇張表現カテゴリを読み込み
+   * @returns {Promise<{categories: Object, decay: number, max_total: number}|null>} 誇張表現の設定（読み込めない場合はnull = TitleCheckerのデフォルト）
+   */
+  async loadTitlePatterns() {
+    try {
+      const data = await this.fetchConfigJson('config/suspicious-patterns.json');
+      const section = data.title_exaggerations;
+      if (section && section.categories) {
+        return {
+          categories: section.categories,
+          decay: section.decay,
+          max_total: section.max_total
+        };
+      }
+      return null;
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load title patterns:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 設定ファイルから整ったタイトル（ブランド名 + 商品名 + 型番）の判定設定を読み込み
+   * @returns {Promise<Object|null>} title_formatセクション（読み込めない場合はnull＝TitleCheckerの既定値）
+   */
+  async loadTitleFormat() {
+    try {
+      const data = await this.fetchConfigJson('config/suspicious-patterns.json');
+      return data.title_format || null;
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load title format:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 設定ファイルからランダム文字列判定モデルを読み込み
+   * @returns {Promise<Object|null>} モデル（読み込めない場合はnull）
+   */
+  async loadGibberishModel() {
+    try {
+      return await this.fetchConfigJson('config/gibberish-model.json');
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load gibberish model:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 設定ファイルからタイトル分類器の重みを読み込み
+   * @returns {Promise<Object|null>} 重み（読み込めない場合はnull = 判定しない）
+   */
+  async loadTitleClassifier() {
+    try {
+      return await this.fetchConfigJson('config/title-classifier.json');
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load title classifier:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 設定ファイルからレビュー数・星評価の補正設定を読み込み
+   * @returns {Promise<{modifiers: Object, thresholds: Object}|null>} 補正設定（読み込めない場合はnull = ReviewCheckerのデフォルト）
+   */
+  async loadReviewScoring() {
+    try {
+      const data = await this.fetchConfigJson('config/suspicious-patterns.json');
+      const scoring = data.scoring || {};
+      return {
+        modifiers: scoring.modifiers || {},
+        thresholds: scoring.review_thresholds || {}
+      };
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load review scoring:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 設定ファイルから商品種別ごとの価格帯を読み込み
+   * @returns {Promise<{bands: Object, scoring: Object}|null>} 価格帯の設定（読み込めない場合はnull = 価格チェックなし）
+   */
+  async loadPriceBands() {
+    try {
+      const data = await this.fetchConfigJson('config/price-bands.json');
+      return {
+        bands: data.bands || {},
+        scoring: data.scoring || {}
+      };
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load price bands:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 設定ファイルから怪しいセラー名パターンを読み込み
+   * @returns {Promise<Array<{id: string, pattern: string, description: string, score: number}>>} セラー名パターンの配列
+   */
+  async loadSellerNamePatterns() {
+    try {
+      const data = await this.fetchConfigJson('config/suspicious-patterns.json');
+      return data.seller_patterns?.name_patterns || [];
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load seller name patterns:', error);
+      return [];
+    }
+  },
+
+  /**
+   * 表示中のページのカテゴリを判定し、設定ファイルから判定プロファイルを選択
+   * @returns {Promise<{categoryProfile: Object|null, categoryAlias: string|null}>} 判定プロファイル（一致しない場合はnull）と検索カテゴリ
+   */
+  async loadCategoryProfile() {
+    const empty = { categoryProfile: null, categoryAlias: null };
+    if (typeof CategoryDetector === 'undefined') {
+      return empty;
+    }
+    try {
+      const data = await this.fetchConfigJson('config/category-profiles.json');
+      const detection = CategoryDetector.detect(window.location.href, document);
+      return {
+        categoryProfile: CategoryDetector.resolveProfile(detection, data),
+        categoryAlias: CategoryDetector.resolveCategoryAlias(detection, data)
+      };
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load category profiles:', error);
+      return empty;
+    }
+  },
+
+  /**
+   * ユーザーが書いたカスタムルール（chrome.storage.syncのcustomRules）を読み込み
+   * 書式エラーのある行は読み飛ばす（エラーはオプションページで表示する）
+   * @returns {Promise<Object[]>} RuleEngine.parseで解析したルールの配列
+   */
+  async loadCustomRules() {
+    if (typeof RuleEngine === 'undefined') {
+      return [];
+    }
+    try {
+      const result = await new Promise((resolve) => {
+        chrome.storage.sync.get(['customRules'], resolve);
+      });
+      const { rules, errors } = RuleEngine.parse(result.customRules || '');
+      if (errors.length > 0) {
+        console.warn('[ProductFilter] Skipped invalid custom rules:', errors);
+      }
+      return rules;
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load custom rules:', error);
+      return [];
+    }
+  },
+
+  /**
+   * ブランドの評判の記録を読み込み（chrome.storage.local）
+   * @returns {Promise<Object<string, Object>>} ブランドのキー → 記録
+   */
+  async loadBrandReputation() {
+    if (typeof BrandReputation === 'undefined') {
+      return {};
+    }
+    return BrandReputation.load();
+  },
+
+  /**
+   * スポンサー商品（広告）の扱いを読み込み（chrome.storage.local）
+   * @returns {Promise<'hide'|'strict'|'label'>} スポンサー商品の扱い
+   */
+  async loadSponsoredPolicy() {
+    try {
+      const result = await new Promise((resolve) => {
+        chrome.storage.local.get(['sponsoredPolicy'], resolve);
+      });
+      const policies = Object.values(this.SPONSORED_POLICIES);
+      return policies.includes(result.sponsoredPolicy) ? result.sponsoredPolicy : this.DEFAULT_SPONSORED_POLICY;
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load sponsored policy:', error);
+      return this.DEFAULT_SPONSORED_POLICY;
+    }
+  },
+
+  /**
+   * 同じ画像の別ブランド出品の検出の設定を読み込み（chrome.storage.local）
+   * 有効にするとポップアップで商品画像サーバーへのアクセス許可を求める（許可がない場合はService Workerが画像を取得しない）
+   * @returns {Promise<boolean>} 有効な場合true
+   */
+  async loadImageDuplicateCheck() {
+    try {
+      const result = await new Promise((resolve) => {
+        chrome.storage.local.get(['imageDuplicateCheck'], resolve);
+      });
+      return result.imageDuplicateCheck === true;
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load image duplicate check:', error);
+      return false;
+    }
+  },
+
+  /**
+   * ラベル付けモード（判定の較正用）の設定を読み込み（chrome.storage.local）
+   * @returns {Promise<boolean>} 有効な場合true
+   */
+  async loadCalibrationLabelMode() {
+    if (typeof Calibration === 'undefined') {
+      return false;
+    }
+    try {
+      const result = await new Promise((resolve) => {
+        chrome.storage.local.get([Calibration.LABEL_MODE_KEY], resolve);
+      });
+      return result[Calibration.LABEL_MODE_KEY] === true;
+    } catch (error) {
+      console.error('[ProductFilter] Failed to load label mode:', error);
+      return false;
+    }
+  },
+
+  /**
+   * 学習モードの設定と重みを読み込み（chrome.storage.local）
+   * @returns {Promise<{mode: string, model: Object|null}>} 学習モードと重み（OFFの場合はnull）
+   */
+  async loadLearnedScorer() {
+    if (typeof LearnedScorer === 'undefined') {
+      return { mode: 'off', model: null };
+    }
+    const mode = await LearnedScorer.loadMode();
+    if (mode === LearnedScorer.MODES.OFF) {
+      return { mode, model: null };
+    }
+    return { mode, model: await LearnedScorer.load() };
+  },
+
+  /**
+   * フィルタリングに必要な設定をまとめて読み込み
+   * @returns {Promise<{trustedBrands: string[], trustScopes: Object|null, suspiciousPatterns: Object[], brandAliases: Object<string, string>, gibberishModel: Object|null, titleClassifier: Object|null, noBrandKeywords: Object|null, titlePatterns: Object|null, titleFormat: Object|null, priceBands: Object|null, reviewScoring: Object|null, sellerNamePatterns: Object[], customRules: Object[], sponsoredPolicy: string, imageDuplicateCheck: boolean, brandReputation: Object<string, Object>, calibrationLabelMode: boolean, learnedScorer: {mode: string, model: Object|null}, categoryProfile: Object|null, categoryAlias: string|null}>} 設定オブジェクト
+   */
+  async loadConfig() {
+    const [
+      trustedBrands,
+      trustScopes,
+      suspiciousPatterns,
+      brandAliases,
+      gibberishModel,
+      titleClassifier,
+      noBrandKeywords,
+      titlePatterns,
+      titleFormat,
+      priceBands,
+      reviewScoring,
+      sellerNamePatterns,
+      customRules,
+      sponsoredPolicy,
+      imageDuplicateCheck,
+      brandReputation,
+      calibrationLabelMode,
+      learnedScorer,
+      category
+    ] = await Promise.all([
+      this.loadTrustedBrands(),
+      this.loadTrustedBrandScopes(),
+      this.loadSuspiciousPatterns(),
+      this.loadBrandAliases(),
+      this.loadGibberishModel(),
+      this.loadTitleClassifier(),
+      this.loadNoBrandKeywords(),
+      this.loadTitlePatterns(),
+      this.loadTitleFormat(),
+      this.loadPriceBands(),
+      this.loadReviewScoring(),
+      this.loadSellerNamePatterns(),
+      this.loadCustomRules(),
+      this.loadSponsoredPolicy(),
+      this.loadImageDuplicateCheck(),
+      this.loadBrandReputation(),
+      this.loadCalibrationLabelMode(),
+      this.loadLearnedScorer(),
+      this.loadCategoryProfile()
+    ]);
+
+    return {
+      trustedBrands,
+      trustScopes,
+      suspiciousPatterns,
+      brandAliases,
+      gibberishModel,
+      titleClassifier,
+      noBrandKeywords,
+      titlePatterns,
+      titleFormat,
+      priceBands,
+      reviewScoring,
+      sellerNamePatterns,
+      customRules,
+      sponsoredPolicy,
+      imageDuplicateCheck,
+      brandReputation,
+      calibrationLabelMode,
+      learnedScorer,
+      categoryProfile: category.categoryProfile,
+      categoryAlias: category.categoryAlias
+    };
+  },
+
   /**
    * 設定を読み込んでフィルタリングを実行
    * @param {number} [filterLevel=2] - フィルターレベル
-   * @returns {Promise<{total: number, hidden: number, warned: number, trusted: number}>} 統計情報
+   * @returns {Promise<{total: number, hidden: number, warned: number, trusted: number, sponsored: number, sponsoredHidden: number}>} 統計情報
    */
   async run(filterLevel = 2) {
     try {
       // 設定を読み込み
-      const [trustedBrands, suspiciousPatterns] = await Promise.all([
-        this.loadTrustedBrands(),
-        this.loadSuspiciousPatterns()
-      ]);
-
-      const config = {
-        trustedBrands,
-        suspiciousPatterns
-      };
+      const config = await this.loadConfig();
+
+      // 判定済みの商品はキャッシュの判定を使う（商品詳細ページと判定をそろえ、再計算を省く）
+      const asins = Array.from(document.querySelectorAll(this.PRODUCT_SELECTOR), element => element.dataset.asin).filter(Boolean);
+      await this.loadCachedVerdicts(asins);
 
       // フィルタリングを実行
       const stats = this.filterAllProducts(config, filterLevel);
@@ -1005,12 +2450,31 @@ const ProductFilter = {
       // バナーを表示
       this.addFilterBanner(stats);
 
+      // サムネイル画像の照合は時間がかかるため、終わってからバナーに反映（閉じられたバナーは出し直さない）
+      // 検出が無効な場合は、照合中の結果を反映せずラベルを外す
+      if (config.imageDuplicateCheck) {
+        const hadBanner = Boolean(document.getElementById('cas-filter-banner'));
+        this.markImageDuplicates(config).then((imageDuplicates) => {
+          if (imageDuplicates === 0) return;
+          stats.imageDuplicates = imageDuplicates;
+          const banner = document.getElementById('cas-filter-banner');
+          if (!hadBanner) {
+            this.addFilterBanner(stats);
+          } else if (banner && this.bannerMode === 'filtered') {
+            this.renderFilteredBanner(banner, stats);
+          }
+        });
+      } else {
+        this.imageDuplicateRun++;
+        this.clearImageDuplicates();
+      }
+
       console.log('[ProductFilter] Filtering complete:', stats);
 
       return stats;
     } catch (error) {
       console.error('[ProductFilter] Error running filter:', error);
-      return { total: 0, hidden: 0, warned: 0, trusted: 0 };
+      return { total: 0, hidden: 0, warned: 0, trusted: 0, sponsored: 0, sponsoredHidden: 0 };
     }
   },
 
@@ -1027,16 +2491,14 @@ const ProductFilter = {
           if (node.nodeType === Node.ELEMENT_NODE) {
             // 新しく追加された商品要素をチェック
             const products = node.querySelectorAll
-              ? node.querySelectorAll('[data-component-type="s-search-result"]')
+              ? node.querySelectorAll(this.PRODUCT_SELECTOR)
               : [];
 
             for (const productElement of products) {
               // 既に処理済みならスキップ
               if (productElement.dataset.casProcessed) continue;
 
-              const productInfo = this.extractProductInfo(productElement);
-              const scoreResult = this.calculateScore(productInfo, config);
-              this.applyFilter(productElement, scoreResult, filterLevel, productInfo.brandName);
+              this.filterProduct(productElement, config, filterLevel);
               productElement.dataset.casProcessed = 'true';
             }
           }
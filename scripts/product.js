@@ -1,8 +1,12 @@
 /**
  * Clean Amazon Search - 商品詳細ページ用 Content Script
- * @fileoverview 商品詳細ページで出品者情報を解析しバナーを表示
+ * @fileoverview 商品詳細ページで出品者情報を解析し、検索結果ページと同じScoreCalculatorで判定してバナーを表示
  * @module product
  * @requires constants.js
+ * @requires score-calculator.js (manifest.jsonで先に読み込み、各チェッカーが登録する)
+ * @requires brand-reputation.js
+ * @requires verdict-cache.js
+ * @requires product-filter.js
  * @requires filter-utils.js
  */
 
@@ -18,6 +22,9 @@
   /** @constant {number} DOM解析までの待機時間（ミリ秒） */
   const DOM_PARSE_DELAY = 1000;
 
+  /** @type {Object|null} 現在のページの判定結果（ポップアップへの応答用） */
+  let currentVerdict = null;
+
   /**
    * ログ出力ヘルパー
    * @param {string} level - ログレベル
@@ -76,6 +83,91 @@
     }
   }
 
+  /**
+   * ブランド表記（「ブランド: Anker」「Ankerのストアを表示」等）からブランド名を取得
+   * @param {string} text - #bylineInfoのテキスト
+   * @returns {string} ブランド名
+   */
+  function parseBylineBrand(text) {
+    const normalized = typeof TextNormalizer !== 'undefined'
+      ? TextNormalizer.normalize(text)
+      : (text || '').trim();
+
+    const patterns = [
+      /^ブランド[:：]\s*(.+)$/,
+      /^(.+?)のストアを表示$/,
+      /^(.+?)ストアにアクセス$/,
+      /^Visit the (.+?) Store$/i,
+      /^Brand[:：]\s*(.+)$/i
+    ];
+    for (const pattern of patterns) {
+      const match = normalized.match(pattern);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+    return normalized;
+  }
+
+  /**
+   * 商品詳細ページから判定に使う商品情報を抽出（検索結果のProductFilter.extractProductInfoと同じ形式）
+   * @returns {{brandName: string, brandSource: string, title: string, rawTitle: string, asin: string, priceText: string, productUrl: string, rating: number|null, reviewCount: number|null}} 商品情報
+   */
+  function extractPageProductInfo() {
+    const info = {
+      brandName: '',
+      brandSource: '',
+      title: '',
+      rawTitle: '',
+      asin: getASIN() || '',
+      priceText: '',
+      productUrl: window.location.href,
+      rating: null,
+      reviewCount: null
+    };
+
+    try {
+      const titleElement = document.querySelector('#productTitle') || document.querySelector('#title');
+      if (titleElement) {
+        info.rawTitle = titleElement.textContent.trim();
+        info.title = typeof ProductFilter !== 'undefined'
+          ? ProductFilter.normalizeText(info.rawTitle)
+          : info.rawTitle;
+      }
+
+      const bylineElement = document.querySelector('#bylineInfo');
+      if (bylineElement) {
+        info.brandName = parseBylineBrand(bylineElement.textContent);
+        info.brandSource = 'byline';
+      } else if (info.title && typeof ProductFilter !== 'undefined') {
+        info.brandName = ProductFilter.extractBrandFromTitle(info.title) || '';
+        info.brandSource = info.brandName ? 'title' : '';
+      }
+
+      const priceElement = document.querySelector('#corePrice_feature_div .a-offscreen') ||
+                           document.querySelector('#corePriceDisplay_desktop_feature_div .a-offscreen') ||
+                           document.querySelector('.a-price .a-offscreen');
+      if (priceElement) {
+        info.priceText = priceElement.textContent.trim();
+      }
+
+      if (typeof ReviewChecker !== 'undefined') {
+        const ratingElement = document.querySelector('#acrPopover');
+        if (ratingElement) {
+          info.rating = ReviewChecker.parseRating(ratingElement.getAttribute('title') || ratingElement.textContent);
+        }
+        const countElement = document.querySelector('#acrCustomerReviewText');
+        if (countElement) {
+          info.reviewCount = ReviewChecker.parseReviewCount(countElement.textContent);
+        }
+      }
+    } catch (error) {
+      log('error', 'Error extracting product info:', error);
+    }
+
+    return info;
+  }
+
   /**
    * 出品者情報を解析
    * @returns {Object} 出品者情報オブジェクト
@@ -306,53 +398,172 @@
     }
   }
 
+  /**
+   * 判定のキャッシュから商品のエントリーを取得（検索結果ページ・前回の表示で判定済みの場合）
+   * @param {string} asin - ASIN
+   * @returns {Promise<{generation: number|null, entry: Object|null}>} キャッシュの世代とエントリー（ない場合はnull）
+   */
+  async function getCachedVerdict(asin) {
+    if (!asin || typeof VerdictCache === 'undefined') {
+      return { generation: null, entry: null };
+    }
+
+    try {
+      const { generation, verdicts } = await chrome.runtime.sendMessage({ action: 'getCachedVerdicts', asins: [asin] });
+      return { generation: typeof generation === 'number' ? generation : null, entry: verdicts?.[asin] || null };
+    } catch (error) {
+      log('warn', 'Failed to get cached verdict:', error);
+      return { generation: null, entry: null };
+    }
+  }
+
+  /**
+   * 判定をキャッシュに保存（書き込みはService Workerで行う）
+   * @param {Object} productInfo - 商品情報
+   * @param {Object} result - スコア結果
+   * @param {boolean} hasSeller - 出品者の情報を使って判定したか
+   * @param {number|null} generation - キャッシュを読み込んだときの世代（nullの場合は保存しない）
+   */
+  function saveVerdict(productInfo, result, hasSeller, generation) {
+    const entry = generation === null ? null : VerdictCache.createEntry(productInfo, result, VerdictCache.SOURCES.PRODUCT, hasSeller);
+    if (!entry) return;
+
+    chrome.runtime.sendMessage({ action: 'saveVerdicts', entries: [entry], generation })
+      .catch(error => log('warn', 'Failed to save verdict:', error));
+  }
+
+  /**
+   * 商品をScoreCalculatorで判定
+   * @param {Object} settings - 設定
+   * @param {Object|null} sellerInfo - セラー情報（{isJapanese, address}）
+   * @param {string} [sellerName=''] - 出品者名（カスタムルールのsellerフィールドに使用）
+   * @returns {Promise<Object|null>} 判定結果（ScoreCalculator.calculateScoreの戻り値 + 商品情報）
+   */
+  async function evaluateProduct(settings, sellerInfo, sellerName = '') {
+    if (typeof ScoreCalculator === 'undefined' || typeof ProductFilter === 'undefined') {
+      log('warn', 'ScoreCalculator is not available');
+      return null;
+    }
+
+    const productInfo = extractPageProductInfo();
+    productInfo.sellerInfo = sellerInfo;
+    productInfo.sellerName = sellerName;
+    const filterLevel = typeof settings.filterLevel === 'number' ? settings.filterLevel : 2;
+    const hasSeller = Boolean(sellerName) || Boolean(sellerInfo?.address && !sellerInfo.error);
+
+    // 商品詳細ページで同じカテゴリとして判定済みならその判定を使う
+    // 検索結果の判定（タイトルから推定したブランド名）は、このページのブランド名（#bylineInfo）と出品者の情報で判定し直して置き換える
+    const [{ generation, entry }, config] = await Promise.all([getCachedVerdict(productInfo.asin), ProductFilter.loadConfig()]);
+    let result;
+    if (entry?.source === VerdictCache.SOURCES.PRODUCT && (entry.hasSeller || !hasSeller) &&
+        VerdictCache.matchesCategory(entry, ScoreCalculator.getCategory(config))) {
+      result = VerdictCache.toScoreResult(entry, filterLevel);
+    } else {
+      result = ProductFilter.calculateScore(productInfo, config, filterLevel);
+      saveVerdict(productInfo, result, hasSeller, generation);
+    }
+
+    return {
+      ...result,
+      label: ScoreCalculator.getVerdictLabel(result.verdict),
+      color: ScoreCalculator.getVerdictColor(result.verdict),
+      simplifiedReasons: [...new Set(result.reasons.map(reason => ProductFilter.simplifyReason(reason)))],
+      asin: productInfo.asin,
+      brandName: productInfo.brandName,
+      title: productInfo.title,
+      filterLevel
+    };
+  }
+
+  /**
+   * 確認できたセラーの国をブランドの評判の記録に加える（書き込みはService Workerで行う）
+   * @param {Object|null} verdict - evaluateProductの戻り値
+   * @param {{isJapanese: boolean, address: string, error?: string}|null} addressResult - セラー住所の確認結果
+   */
+  function recordBrandSeller(verdict, addressResult) {
+    // 住所が取れなかった場合は国が分からないので記録しない
+    if (!verdict?.brandName || !addressResult || addressResult.error || !addressResult.address) {
+      return;
+    }
+
+    chrome.runtime.sendMessage({
+      action: 'recordBrandSeller',
+      seller: { brandName: verdict.brandName, asin: verdict.asin, isJapanese: addressResult.isJapanese }
+    }).catch(error => log('warn', 'Failed to record brand seller:', error));
+  }
+
+  /**
+   * 判定結果から警告メッセージを作成
+   * @param {Object} verdict - evaluateProductの戻り値
+   * @returns {string} バナーに表示するメッセージ
+   */
+  function formatVerdictMessage(verdict) {
+    const reasons = verdict.simplifiedReasons.slice(0, 3);
+    return `判定: ${verdict.label}（スコア${verdict.score}）${reasons.length > 0 ? ` | ${reasons.join('・')}` : ''}`;
+  }
+
   /**
    * 初期化処理
    * @returns {Promise<void>}
    */
   async function init() {
     try {
+      currentVerdict = null;
+
       // 設定を取得
       const settings = await getSettings();
 
-      // セラーチェック機能が無効の場合はスキップ
-      if (settings.sellerCheck === false) {
-        log('log', 'Seller check is disabled');
-        return;
-      }
-
       // 少し待ってからDOM解析（動的コンテンツ対応）
       await new Promise(resolve => setTimeout(resolve, DOM_PARSE_DELAY));
 
       const sellerInfo = analyzeSellerInfo();
       log('log', 'Seller info:', sellerInfo);
 
+      // セラーの住所をチェック（Amazon公式販売・セラーチェック無効の場合は不要）
+      let addressResult = null;
+      if (sellerInfo.isAmazonSold) {
+        log('log', 'Amazon official product, no seller check needed');
+      } else if (settings.sellerCheck === false) {
+        log('log', 'Seller check is disabled');
+      } else if (sellerInfo.sellerUrl && sellerInfo.sellerUrl !== 'amazon-official') {
+        log('log', 'Checking seller address...');
+        addressResult = await checkSellerAddress(sellerInfo.sellerUrl);
+        log('log', 'Address check result:', addressResult);
+      }
+
+      // 検索結果ページと同じパイプラインで判定
+      const sellerName = sellerInfo.sellerName || (sellerInfo.isAmazonSold ? 'Amazon.co.jp' : '');
+      currentVerdict = await evaluateProduct(settings, addressResult, sellerName);
+      log('log', 'Verdict:', currentVerdict);
+      recordBrandSeller(currentVerdict, addressResult);
+
       // Amazon公式販売の場合はバナーなし
       if (sellerInfo.isAmazonSold) {
-        log('log', 'Amazon official product, no check needed');
         return;
       }
 
-      // セラーURLがある場合は住所をチェック
-      if (sellerInfo.sellerUrl && sellerInfo.sellerUrl !== 'amazon-official') {
-        log('log', 'Checking seller address...');
-        const addressResult = await checkSellerAddress(sellerInfo.sellerUrl);
-        log('log', 'Address check result:', addressResult);
+      // 海外セラーは判定（信頼ブランドを含む）にかかわらず表示する
+      const overseasMessage = addressResult && !addressResult.isJapanese
+        ? `海外セラー: ${sellerInfo.sellerName || '不明'} (${addressResult.address})`
+        : '';
 
-        if (!addressResult.isJapanese) {
-          // 海外セラーの場合は警告を表示
-          await showBanner('warning',
-            `海外セラー: ${sellerInfo.sellerName || '不明'} (${addressResult.address})`
-          );
-          return;
-        } else {
-          // 日本のセラーの場合
-          log('log', 'Japanese seller confirmed');
-          if (settings.showJapaneseBadge) {
-            await showBanner('info', `🇯🇵 日本のセラー: ${sellerInfo.sellerName}`);
-          }
-          return;
+      if (currentVerdict && ['caution', 'warning', 'danger'].includes(currentVerdict.verdict)) {
+        const verdictMessage = formatVerdictMessage(currentVerdict);
+        await showBanner('warning', overseasMessage ? `${verdictMessage} | ${overseasMessage}` : verdictMessage);
+        return;
+      }
+
+      if (overseasMessage) {
+        await showBanner('warning', overseasMessage);
+        return;
+      }
+
+      if (addressResult && addressResult.isJapanese) {
+        log('log', 'Japanese seller confirmed');
+        if (settings.showJapaneseBadge) {
+          await showBanner('info', `🇯🇵 日本のセラー: ${sellerInfo.sellerName}`);
         }
+        return;
       }
 
       // 海外発送キーワードが検出された場合
@@ -367,6 +578,23 @@
     }
   }
 
+  /**
+   * メッセージハンドラ（ポップアップからの判定結果の問い合わせ）
+   */
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.action === 'getPageVerdict') {
+      sendResponse({ success: Boolean(currentVerdict), verdict: currentVerdict });
+    } else if (message.action === 'getCategoryProfile') {
+      const profile = currentVerdict?.categoryProfile || null;
+      sendResponse({
+        success: Boolean(currentVerdict),
+        profile,
+        details: ScoreCalculator.describeProfile(profile, currentVerdict?.filterLevel)
+      });
+    }
+    return false;
+  });
+
   // DOM読み込み後に実行
   if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', init);
@@ -0,0 +1,208 @@
+/**
+ * Clean Amazon Search - レビューチェッカー
+ * @fileoverview 検索結果カードの星評価・レビュー数を解析し、
+ * suspicious-patterns.jsonのscoring.modifiersに基づいてスコアを補正するモジュール
+ * @module review-checker
+ */
+
+'use strict';
+
+/**
+ * レビューチェッカーオブジェクト
+ * @namespace ReviewChecker
+ */
+const ReviewChecker = {
+  /**
+   * スコア補正のデフォルト値（scoring.modifiersがない場合に使用）
+   * @type {Object}
+   */
+  DEFAULT_MODIFIERS: {
+    high_review_count_bonus: -15,
+    low_review_count_penalty: 20,
+    perfect_rating_few_reviews_penalty: 10
+  },
+
+  /**
+   * 判定のデフォルト閾値（scoring.review_thresholdsがない場合に使用）
+   * @type {Object}
+   */
+  DEFAULT_THRESHOLDS: {
+    /** レビュー数がこの件数以上で加点対象 */
+    high_count: 1000,
+    /** 加点対象とする最低評価 */
+    high_count_min_rating: 4.0,
+    /** レビュー数がこの件数未満で減点対象 */
+    low_count: 10,
+    /** 満点に近い評価とみなす値 */
+    perfect_rating: 4.9,
+    /** 満点に近い評価を不自然とみなすレビュー数の上限 */
+    perfect_rating_max_count: 50
+  },
+
+  /**
+   * 星評価のテキストパターン（「5つ星のうち4.3」「4.3 out of 5 stars」）
+   * @type {RegExp[]}
+   */
+  RATING_PATTERNS: [
+    /5つ星のうち\s*([\d.]+)/,
+    /([\d.]+)\s*out of\s*5/i,
+    /^\s*([1-5](?:\.\d)?)\s*$/
+  ],
+
+  /**
+   * 星評価のテキストから評価値を取得
+   * @param {string} text - 星評価のテキスト
+   * @returns {number|null} 評価値（0〜5）、取得できない場合はnull
+   * @example
+   * ReviewChecker.parseRating('5つ星のうち4.3'); // => 4.3
+   */
+  parseRating(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const normalized = text.normalize('NFKC');
+    for (const pattern of this.RATING_PATTERNS) {
+      const match = normalized.match(pattern);
+      if (match) {
+        const rating = parseFloat(match[1]);
+        if (Number.isFinite(rating) && rating >= 0 && rating <= 5) {
+          return rating;
+        }
+      }
+    }
+    return null;
+  },
+
+  /**
+   * レビュー数のテキストから件数を取得
+   * @param {string} text - レビュー数のテキスト（「12,345」「(1.2万)」「1.2K」「12,345件の評価」等）
+   * @returns {number|null} レビュー数、取得できない場合はnull
+   * @example
+   * ReviewChecker.parseReviewCount('(1.2万)'); // => 12000
+   */
+  parseReviewCount(text) {
+    if (!text || typeof text !== 'string') {
+      return null;
+    }
+
+    const match = text.normalize('NFKC').match(/(\d[\d,]*(?:\.\d+)?)\s*(万|千|K|k)?/);
+    if (!match) {
+      return null;
+    }
+
+    const multipliers = { '万': 10000, '千': 1000, 'K': 1000, 'k': 1000 };
+    const value = parseFloat(match[1].replace(/,/g, '')) * (multipliers[match[2]] || 1);
+    return Number.isFinite(value) ? Math.round(value) : null;
+  },
+
+  /**
+   * 商品カードから星評価とレビュー数を抽出
+   * カードのレイアウトごとに異なる要素を順に試す
+   * @param {Element} productElement - 商品のDOM要素
+   * @returns {{rating: number|null, reviewCount: number|null}} 評価とレビュー数（表示されていない場合はnull）
+   */
+  extractReviewInfo(productElement) {
+    let rating = null;
+    let reviewCount = null;
+
+    // 星評価: アイコンの代替テキスト → aria-label → 数値表示
+    const ratingCandidates = [
+      productElement.querySelector('.a-icon-star-small .a-icon-alt'),
+      productElement.querySelector('.a-icon-star .a-icon-alt'),
+      productElement.querySelector('i[class*="a-star"] .a-icon-alt'),
+      productElement.querySelector('[aria-label*="5つ星のうち"]'),
+      productElement.querySelector('[aria-label*="out of 5"]')
+    ];
+    for (const element of ratingCandidates) {
+      if (!element) continue;
+      rating = this.parseRating(element.getAttribute('aria-label') || element.textContent);
+      if (rating !== null) break;
+    }
+
+    // レビュー数: レビューへのリンク → aria-label → 評価の隣の件数表示
+    const countCandidates = [
+      productElement.querySelector('a[href*="#customerReviews"] span'),
+      productElement.querySelector('[aria-label$="件の評価"]'),
+      productElement.querySelector('[aria-label*="ratings"]'),
+      productElement.querySelector('.s-underline-text'),
+      productElement.querySelector('a[href*="customerReviews"]')
+    ];
+    for (const element of countCandidates) {
+      if (!element) continue;
+      const label = element.getAttribute('aria-label');
+      // 星評価のaria-label（「5つ星のうち4.3」）を件数と取り違えないようにする
+      const text = label && !/5つ星|out of 5/.test(label) ? label : element.textContent;
+      reviewCount = this.parseReviewCount(text);
+      if (reviewCount !== null) break;
+    }
+
+    return { rating, reviewCount };
+  },
+
+  /**
+   * 星評価とレビュー数からスコアを補正
+   * レビュー数が表示されていない（null）場合は判定しない
+   * @param {number|null} rating - 星評価
+   * @param {number|null} reviewCount - レビュー数
+   * @param {{modifiers?: Object, thresholds?: Object}} [options] - scoring.modifiersとscoring.review_thresholds
+   * @returns {{score: number, reasons: string[]}} 判定結果
+   * @example
+   * ReviewChecker.checkReviews(5.0, 3);      // => { score: 30, reasons: [...] }
+   * ReviewChecker.checkReviews(4.3, 12000);  // => { score: -15, reasons: [...] }
+   */
+  checkReviews(rating, reviewCount, options = {}) {
+    const modifiers = { ...this.DEFAULT_MODIFIERS, ...(options.modifiers || {}) };
+    const thresholds = { ...this.DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    let score = 0;
+    const reasons = [];
+
+    if (typeof reviewCount !== 'number') {
+      return { score, reasons };
+    }
+
+    const ratingText = typeof rating === 'number' ? ` ★${rating.toFixed(1)}` : '';
+    const countText = `${reviewCount.toLocaleString('ja-JP')}件`;
+
+    if (reviewCount >= thresholds.high_count &&
+        (typeof rating !== 'number' || rating >= thresholds.high_count_min_rating)) {
+      score += modifiers.high_review_count_bonus;
+      reasons.push(`レビュー多数（${countText}${ratingText}）`);
+    } else if (reviewCount < thresholds.low_count) {
+      score += modifiers.low_review_count_penalty;
+      reasons.push(`レビューが少ない（${countText}）`);
+    }
+
+    // 少ないレビューで満点に近い評価（出品直後のサクラ評価の可能性）
+    if (typeof rating === 'number' &&
+        rating >= thresholds.perfect_rating &&
+        reviewCount < thresholds.perfect_rating_max_count) {
+      score += modifiers.perfect_rating_few_reviews_penalty;
+      reasons.push(`少ないレビューで高評価（${countText}${ratingText}）`);
+    }
+
+    return { score, reasons };
+  }
+};
+
+// スコア計算に登録
+if (typeof ScoreCalculator !== 'undefined') {
+  ScoreCalculator.registerChecker({
+    id: 'review',
+    label: 'レビュー',
+    order: 60,
+    check: (productInfo, config) => ReviewChecker.checkReviews(
+      productInfo.rating,
+      productInfo.reviewCount,
+      config.reviewScoring || {}
+    )
+  });
+}
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.ReviewChecker = ReviewChecker;
+}
+if (typeof window !== 'undefined') {
+  window.ReviewChecker = ReviewChecker;
+}
@@ -0,0 +1,490 @@
+/**
+ * Clean Amazon Search - カスタムルールエンジン
+ * @fileoverview ユーザーが書いたスコアリングルール（chrome.storage.syncのcustomRules）を解析・評価するモジュール
+ *
+ * ルールの書式（1行1ルール、#以降はコメント）:
+ *   <条件> [and|or <条件> ...] => <結果>
+ *
+ *   条件: [not] <フィールド> <演算子> <値>
+ *     フィールド: brand, title, price, rating, reviewCount, seller, category
+ *     文字列の演算子: contains, is, startswith, endswith, matches（値は /正規表現/フラグ）, =, !=
+ *     数値の演算子: <, <=, >, >=, =, !=, is
+ *     値: 空白を含まない語、または "ダブルクォートで囲んだ文字列"
+ *   結果: +40 / -50 のようなスコア、または hide（非表示）/ warn（警告）
+ *     hide / warn は信頼ブランドにも適用するが、スコアによる判定より緩めることはない（スコアで非表示の商品は warn でも非表示）
+ *   and は or より優先される
+ *   seller を使うルールは商品ページでのみ評価する（検索結果のカードには出品者が表示されないため、ルールごと適用しない）
+ *
+ * 例:
+ *   title contains 互換 => +40
+ *   brand matches /^[A-Z]{5}$/ and price < 1000 => hide
+ *   seller is Amazon.co.jp => -50
+ *
+ * @module rule-engine
+ */
+
+'use strict';
+
+/**
+ * カスタムルールエンジンオブジェクト
+ * @namespace RuleEngine
+ */
+const RuleEngine = {
+  /**
+   * フィールド定義（小文字の名前 → 型と商品情報からの取得方法）
+   * productPageOnly: 商品ページでのみ取得できるフィールド
+   * @type {Object<string, {name: string, type: 'string'|'number', productPageOnly?: boolean}>}
+   */
+  FIELDS: {
+    brand: { name: 'brand', type: 'string' },
+    title: { name: 'title', type: 'string' },
+    price: { name: 'price', type: 'number' },
+    rating: { name: 'rating', type: 'number' },
+    reviewcount: { name: 'reviewCount', type: 'number' },
+    seller: { name: 'seller', type: 'string', productPageOnly: true },
+    category: { name: 'category', type: 'string' }
+  },
+
+  /**
+   * 型ごとに使える演算子
+   * @type {Object<string, string[]>}
+   */
+  OPERATORS: {
+    string: ['contains', 'is', 'startswith', 'endswith', 'matches', '=', '!='],
+    number: ['<', '<=', '>', '>=', '=', '!=', 'is']
+  },
+
+  /**
+   * 結果に書けるアクションと、ScoreCalculatorの判定への対応
+   * @type {Object<string, 'danger'|'warning'>}
+   */
+  ACTIONS: {
+    hide: 'danger',
+    '非表示': 'danger',
+    warn: 'warning',
+    '警告': 'warning'
+  },
+
+  /**
+   * 1ルールの最大文字数（chrome.storage.syncの容量と正規表現の暴走対策）
+   * @type {number}
+   */
+  MAX_LINE_LENGTH: 500,
+
+  /**
+   * 解析結果のキャッシュ（同じテキストを何度も解析しない）
+   * @type {{source: string|null, result: {rules: Object[], errors: Object[]}|null}}
+   */
+  parseCache: { source: null, result: null },
+
+  /**
+   * ルールのテキストを解析
+   * @param {string} text - ルールのテキスト（複数行）
+   * @returns {{rules: Array<{line: number, source: string, groups: Object[][], outcome: {score: number, verdict: string|null, text: string}}>, errors: Array<{line: number, message: string}>}} 解析結果
+   *   groups: orでつながった条件グループの配列（各グループ内はand）
+   * @example
+   * RuleEngine.parse('title contains 互換 => +40\nprice < => hide');
+   * // => { rules: [{ line: 1, ... }], errors: [{ line: 2, message: '2行目: 値がありません' }] }
+   */
+  parse(text) {
+    if (typeof text !== 'string') {
+      return { rules: [], errors: [] };
+    }
+    if (this.parseCache.source === text) {
+      return this.parseCache.result;
+    }
+
+    const rules = [];
+    const errors = [];
+
+    text.split(/\r?\n/).forEach((rawLine, index) => {
+      const lineNumber = index + 1;
+      const line = this.stripComment(rawLine).trim();
+      if (!line) return;
+
+      try {
+        rules.push({ line: lineNumber, ...this.parseLine(line) });
+      } catch (error) {
+        errors.push({ line: lineNumber, message: `${lineNumber}行目: ${error.message}` });
+      }
+    });
+
+    const result = { rules, errors };
+    this.parseCache = { source: text, result };
+    return result;
+  },
+
+  /**
+   * 行からコメント（引用符・正規表現の外の#以降）を取り除く
+   * @param {string} line - 1行のテキスト
+   * @returns {string} コメントを除いたテキスト
+   */
+  stripComment(line) {
+    let inQuote = false;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '"') {
+        inQuote = !inQuote;
+      } else if (char === '#' && !inQuote && (i === 0 || /\s/.test(line[i - 1]))) {
+        return line.slice(0, i);
+      }
+    }
+    return line;
+  },
+
+  /**
+   * 1行のルールを解析
+   * @param {string} line - コメントを除いた1行
+   * @returns {{source: string, groups: Object[][], outcome: Object, productPageOnly: boolean}} 解析したルール
+   *   productPageOnly: 商品ページでのみ取得できるフィールド（seller）を使うかどうか
+   * @throws {Error} 書式が正しくない場合（メッセージは日本語）
+   */
+  parseLine(line) {
+    if (line.length > this.MAX_LINE_LENGTH) {
+      throw new Error(`ルールが長すぎます（${this.MAX_LINE_LENGTH}文字以内）`);
+    }
+
+    // 結果は最後の「=>」「→」の後ろ（値の中の矢印と区別するため最後のものを使う）
+    const arrowMatch = line.match(/^(.*)(?:=>|→)(.*)$/);
+    if (!arrowMatch) {
+      throw new Error('「=>」と結果（+40、hide等）がありません');
+    }
+
+    const conditionText = arrowMatch[1].trim();
+    if (!conditionText) {
+      throw new Error('条件がありません');
+    }
+
+    const groups = this.parseConditions(conditionText);
+    const productPageOnly = groups.some(group =>
+      group.some(condition => this.FIELDS[condition.field.toLowerCase()]?.productPageOnly === true)
+    );
+
+    return {
+      source: conditionText,
+      groups,
+      outcome: this.parseOutcome(arrowMatch[2].trim()),
+      productPageOnly
+    };
+  },
+
+  /**
+   * 結果（スコアまたはアクション）を解析
+   * @param {string} text - 「=>」の後ろのテキスト
+   * @returns {{score: number, verdict: string|null, text: string}} 結果
+   * @throws {Error} 書式が正しくない場合
+   */
+  parseOutcome(text) {
+    if (!text) {
+      throw new Error('「=>」の後ろに結果（+40、-50、hide、warn）がありません');
+    }
+
+    const scoreMatch = text.match(/^([+-])\s*(\d{1,4})$/);
+    if (scoreMatch) {
+      const score = parseInt(scoreMatch[2], 10) * (scoreMatch[1] === '-' ? -1 : 1);
+      return { score, verdict: null, text: `${scoreMatch[1]}${scoreMatch[2]}` };
+    }
+
+    const verdict = this.ACTIONS[text.toLowerCase()];
+    if (verdict) {
+      return { score: 0, verdict, text: text.toLowerCase() };
+    }
+
+    throw new Error(`結果「${text}」は使えません（+40、-50 のような符号付きの数値、または hide / warn）`);
+  },
+
+  /**
+   * 条件部分を解析（and は or より優先）
+   * @param {string} text - 条件部分のテキスト
+   * @returns {Array<Array<{field: string, type: string, operator: string, value: *, negate: boolean}>>} orでつながった条件グループ
+   * @throws {Error} 書式が正しくない場合
+   */
+  parseConditions(text) {
+    const groups = [[]];
+    let pos = 0;
+
+    const skipSpaces = () => {
+      while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    const readWord = () => {
+      const match = text.slice(pos).match(/^[^\s"]+/);
+      if (!match) return '';
+      pos += match[0].length;
+      return match[0];
+    };
+
+    while (true) {
+      skipSpaces();
+
+      // not
+      let negate = false;
+      const notMatch = text.slice(pos).match(/^not\s+/i);
+      if (notMatch) {
+        negate = true;
+        pos += notMatch[0].length;
+      }
+
+      // フィールド
+      const fieldMatch = text.slice(pos).match(/^[A-Za-z]+/);
+      if (!fieldMatch) {
+        throw new Error(`${pos + 1}文字目: フィールド名がありません（${this.getFieldNames().join(', ')}）`);
+      }
+      const field = this.FIELDS[fieldMatch[0].toLowerCase()];
+      if (!field) {
+        throw new Error(`フィールド「${fieldMatch[0]}」は使えません（${this.getFieldNames().join(', ')}）`);
+      }
+      pos += fieldMatch[0].length;
+      skipSpaces();
+
+      // 演算子
+      const operatorMatch = text.slice(pos).match(/^(?:<=|>=|!=|<|>|=|[A-Za-z]+)/);
+      if (!operatorMatch) {
+        throw new Error(`「${field.name}」の後ろに演算子がありません`);
+      }
+      const operator = operatorMatch[0].toLowerCase();
+      if (!this.OPERATORS[field.type].includes(operator)) {
+        throw new Error(`「${field.name}」には演算子「${operatorMatch[0]}」は使えません（${this.OPERATORS[field.type].join(', ')}）`);
+      }
+      pos += operatorMatch[0].length;
+      skipSpaces();
+
+      // 値
+      let value;
+      if (pos >= text.length) {
+        throw new Error(`「${field.name} ${operator}」の値がありません`);
+      } else if (operator === 'matches') {
+        value = this.readRegex(text, pos);
+        pos = value.end;
+        value = value.regex;
+      } else if (text[pos] === '"') {
+        const quoted = this.readQuoted(text, pos);
+        pos = quoted.end;
+        value = quoted.value;
+      } else {
+        value = readWord();
+      }
+
+      if (field.type === 'number') {
+        const number = parseFloat(String(value).replace(/[,¥￥円]/g, ''));
+        if (!Number.isFinite(number)) {
+          throw new Error(`「${field.name}」の値「${value}」は数値ではありません`);
+        }
+        value = number;
+      } else if (operator !== 'matches') {
+        value = this.normalizeText(value);
+        if (!value) {
+          throw new Error(`「${field.name} ${operator}」の値が空です`);
+        }
+      }
+
+      groups[groups.length - 1].push({ field: field.name, type: field.type, operator, value, negate });
+
+      // and / or
+      skipSpaces();
+      if (pos >= text.length) break;
+
+      const joinMatch = text.slice(pos).match(/^(and|or)\b/i);
+      if (!joinMatch) {
+        throw new Error(`「${text.slice(pos, pos + 10)}」の前に and / or が必要です`);
+      }
+      if (joinMatch[1].toLowerCase() === 'or') {
+        groups.push([]);
+      }
+      pos += joinMatch[0].length;
+    }
+
+    return groups;
+  },
+
+  /**
+   * ダブルクォートで囲んだ文字列を読み取る（\" でエスケープ）
+   * @param {string} text - 条件部分のテキスト
+   * @param {number} start - 開始位置（"の位置）
+   * @returns {{value: string, end: number}} 文字列と読み終えた位置
+   * @throws {Error} 閉じる"がない場合
+   */
+  readQuoted(text, start) {
+    let value = '';
+    for (let i = start + 1; i < text.length; i++) {
+      if (text[i] === '\\' && i + 1 < text.length) {
+        value += text[++i];
+      } else if (text[i] === '"') {
+        return { value, end: i + 1 };
+      } else {
+        value += text[i];
+      }
+    }
+    throw new Error('閉じる " がありません');
+  },
+
+  /**
+   * /正規表現/フラグ を読み取る
+   * @param {string} text - 条件部分のテキスト
+   * @param {number} start - 開始位置
+   * @returns {{regex: RegExp, end: number}} 正規表現と読み終えた位置
+   * @throws {Error} 書式が正しくない、または正規表現として無効な場合
+   */
+  readRegex(text, start) {
+    const match = text.slice(start).match(/^\/((?:\\.|[^\\/])+)\/([a-z]*)/);
+    if (!match) {
+      throw new Error('matches の値は /正規表現/ の形式で書いてください');
+    }
+    const flags = match[2];
+    if (/[^imsu]/.test(flags)) {
+      throw new Error(`正規表現のフラグ「${flags}」は使えません（i, m, s, u）`);
+    }
+    try {
+      return { regex: new RegExp(match[1], flags), end: start + match[0].length };
+    } catch (error) {
+      throw new Error(`正規表現 /${match[1]}/ が正しくありません（${error.message}）`);
+    }
+  },
+
+  /**
+   * フィールド名の一覧を取得
+   * @returns {string[]} フィールド名
+   */
+  getFieldNames() {
+    return Object.values(this.FIELDS).map(field => field.name);
+  },
+
+  /**
+   * 比較用に文字列を正規化（NFKC・大文字小文字を区別しない）
+   * @param {*} value - 値
+   * @returns {string} 正規化した文字列
+   */
+  normalizeText(value) {
+    const text = typeof value === 'string' ? value : '';
+    const normalized = typeof TextNormalizer !== 'undefined'
+      ? TextNormalizer.normalize(text)
+      : text.normalize('NFKC').trim();
+    return normalized.toLowerCase();
+  },
+
+  /**
+   * 商品情報からフィールドの値を取得
+   * @param {Object} productInfo - 商品情報
+   * @param {string} field - フィールド名
+   * @returns {string|number|null} 値（数値フィールドで値がない場合はnull）
+   */
+  getFieldValue(productInfo, field) {
+    switch (field) {
+      case 'brand':
+        return productInfo.brandName || '';
+      case 'title':
+        return productInfo.title || '';
+      case 'price':
+        if (typeof PriceChecker !== 'undefined') {
+          return PriceChecker.parsePrice(productInfo.priceText);
+        }
+        return null;
+      case 'rating':
+        return typeof productInfo.rating === 'number' ? productInfo.rating : null;
+      case 'reviewCount':
+        return typeof productInfo.reviewCount === 'number' ? productInfo.reviewCount : null;
+      case 'seller':
+        return productInfo.sellerName || '';
+      case 'category':
+        return productInfo.category || '';
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * 1つの条件を評価
+   * @param {Object} condition - 条件
+   * @param {Object} productInfo - 商品情報
+   * @returns {boolean} 条件を満たすかどうか（値がない場合は満たさない）
+   */
+  evaluateCondition(condition, productInfo) {
+    const raw = this.getFieldValue(productInfo, condition.field);
+    let matched = false;
+
+    if (condition.type === 'number') {
+      if (raw === null) return false;
+      switch (condition.operator) {
+        case '<': matched = raw < condition.value; break;
+        case '<=': matched = raw <= condition.value; break;
+        case '>': matched = raw > condition.value; break;
+        case '>=': matched = raw >= condition.value; break;
+        case '!=': matched = raw !== condition.value; break;
+        default: matched = raw === condition.value;
+      }
+    } else {
+      if (!raw) return false;
+      const text = this.normalizeText(raw);
+      switch (condition.operator) {
+        case 'contains': matched = text.includes(condition.value); break;
+        case 'startswith': matched = text.startsWith(condition.value); break;
+        case 'endswith': matched = text.endsWith(condition.value); break;
+        case 'matches':
+          // 正規表現は元の表記（大文字小文字を含む）に対して評価する
+          condition.value.lastIndex = 0;
+          matched = condition.value.test(raw);
+          break;
+        case '!=': matched = text !== condition.value; break;
+        default: matched = text === condition.value;
+      }
+    }
+
+    return condition.negate ? !matched : matched;
+  },
+
+  /**
+   * ルールを商品に適用
+   * 一致した全ルールのスコアを合計し、アクションは最も厳しいもの（hide > warn）を採用する
+   * 出品者を取得していない商品（検索結果のカード。sellerNameがない）には、sellerを使うルールを適用しない
+   * @param {Array<Object>} rules - parseで解析したルール
+   * @param {Object} productInfo - 商品情報
+   * @returns {{score: number, reasons: string[], verdict: 'danger'|'warning'|null}} 判定結果
+   */
+  evaluate(rules, productInfo) {
+    let score = 0;
+    const reasons = [];
+    let verdict = null;
+
+    if (!Array.isArray(rules) || !productInfo) {
+      return { score, reasons, verdict };
+    }
+
+    const hasSeller = typeof productInfo.sellerName === 'string';
+
+    for (const rule of rules) {
+      if (rule.productPageOnly && !hasSeller) continue;
+
+      const matched = rule.groups.some(group =>
+        group.every(condition => this.evaluateCondition(condition, productInfo))
+      );
+      if (!matched) continue;
+
+      score += rule.outcome.score;
+      reasons.push(`カスタムルール（${rule.source} → ${rule.outcome.text}）`);
+      if (rule.outcome.verdict === 'danger' || (rule.outcome.verdict === 'warning' && verdict !== 'danger')) {
+        verdict = rule.outcome.verdict;
+      }
+    }
+
+    return { score, reasons, verdict };
+  }
+};
+
+// スコア計算に登録
+if (typeof ScoreCalculator !== 'undefined') {
+  ScoreCalculator.registerChecker({
+    id: 'customRules',
+    label: 'カスタムルール',
+    order: 90,
+    check: (productInfo, config) => RuleEngine.evaluate(config.customRules, productInfo)
+  });
+}
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.RuleEngine = RuleEngine;
+}
+if (typeof window !== 'undefined') {
+  window.RuleEngine = RuleEngine;
+}
@@ -1,6 +1,7 @@
 /**
  * Clean Amazon Search - スコア統合計算機
- * @fileoverview BrandChecker、TitleChecker、SellerCheckerの結果を統合してトータルスコアを計算
+ * @fileoverview 登録されたチェッカー（ブランド・タイトル・セラー・価格・レビュー等）の結果を統合して
+ * トータルスコアと判定を計算する。検索結果ページ・商品詳細ページ・ポップアップは全てこのモジュールで判定する
  * @module score-calculator
  */
 
@@ -12,19 +13,45 @@
  */
 const ScoreCalculator = {
   /**
-   * 判定閾値の設定
-   * @type {Object}
+   * フィルターレベルごとの閾値（PM会議決定に基づく）
+   * warn以上で警告、hide以上で非表示
+   * @type {Object<number, {warn: number, hide: number}>}
+   */
+  LEVEL_THRESHOLDS: {
+    // LIGHT: 警告のみ表示、非表示なし
+    1: { warn: 30, hide: Infinity },
+    // STANDARD: 中程度のフィルタリング（デフォルト）
+    2: { warn: 30, hide: 50 },
+    // STRICT: 厳格なフィルタリング
+    3: { warn: 20, hide: 35 },
+    // MAXIMUM: 最強フィルタリング
+    4: { warn: 10, hide: 25 }
+  },
+
+  /**
+   * フィルターレベルの表示名（ポップアップのFILTER_LEVELSと同じ）
+   * @type {Object<number, string>}
    */
-  THRESHOLDS: {
-    /** trusted: 0未満 */
-    TRUSTED: 0,
-    /** safe: 0-29 */
-    SAFE: 30,
-    /** warning: 30-49 */
-    WARNING: 50
-    /** danger: 50以上 */
+  LEVEL_NAMES: {
+    0: 'OFF',
+    1: 'ライト',
+    2: 'スタンダード',
+    3: 'ストリクト',
+    4: '最強'
   },
 
+  /**
+   * 閾値が見つからない場合（フィルターOFF等）に判定に使うレベル
+   * @type {number}
+   */
+  DEFAULT_LEVEL: 2,
+
+  /**
+   * この値を超えると警告未満でも注意バッジを表示する
+   * @type {number}
+   */
+  CAUTION_SCORE: 20,
+
   /**
    * 判定結果とアクションのマッピング
    * @type {Object}
@@ -32,197 +59,307 @@ const ScoreCalculator = {
   VERDICT_ACTIONS: {
     trusted: 'show_badge',
     safe: 'show',
+    caution: 'show_caution',
     warning: 'show_warning',
     danger: 'hide'
   },
 
+  /**
+   * 判定の厳しさの順（チェッカーが判定を強制した場合に、より厳しいものを採用するため）
+   * @type {string[]}
+   */
+  VERDICT_SEVERITY: ['trusted', 'safe', 'caution', 'warning', 'danger'],
+
+  /**
+   * 登録済みのチェッカー（order順）
+   * @type {Array<{id: string, label: string, order: number, check: Function}>}
+   */
+  checkers: [],
+
+  /**
+   * チェッカーを登録する
+   * 同じidのチェッカーが登録済みの場合は置き換える
+   * @param {Object} checker - チェッカー定義
+   * @param {string} checker.id - チェッカーID（'brand', 'title' 等）
+   * @param {string} checker.label - 表示用の名前
+   * @param {number} [checker.order=100] - 実行順（小さいほど先）
+   * @param {function(Object, Object, Object): {score: number, reasons: string[], isTrusted?: boolean, verdict?: string}} checker.check
+   *   (productInfo, config, context) を受け取り判定結果を返す関数。
+   *   contextには先に実行したチェッカーの結果（results）と信頼ブランド判定（isTrusted）が入る。
+   *   verdictを返すとスコアに関係なくその判定を強制する（カスタムルールのhide等）
+   * @example
+   * ScoreCalculator.registerChecker({
+   *   id: 'price',
+   *   label: '価格',
+   *   order: 50,
+   *   check: (productInfo, config) => PriceChecker.checkPrice(productInfo.priceText, productInfo.title, config.priceBands)
+   * });
+   */
+  registerChecker(checker) {
+    if (!checker || typeof checker.id !== 'string' || typeof checker.check !== 'function') {
+      console.warn('[ScoreCalculator] Invalid checker definition:', checker);
+      return;
+    }
+
+    this.unregisterChecker(checker.id);
+    this.checkers.push({
+      id: checker.id,
+      label: checker.label || checker.id,
+      order: typeof checker.order === 'number' ? checker.order : 100,
+      check: checker.check
+    });
+    this.checkers.sort((a, b) => a.order - b.order);
+  },
+
+  /**
+   * チェッカーの登録を解除する
+   * @param {string} id - チェッカーID
+   */
+  unregisterChecker(id) {
+    this.checkers = this.checkers.filter(checker => checker.id !== id);
+  },
+
+  /**
+   * 登録済みのチェッカーを取得
+   * @returns {Array<{id: string, label: string, order: number}>} チェッカーの一覧（実行順）
+   */
+  getCheckers() {
+    return this.checkers.map(({ id, label, order }) => ({ id, label, order }));
+  },
+
   /**
    * トータルスコアを計算し、最終判定を行う
-   * @param {Object} productInfo - 商品情報
+   * @param {Object} productInfo - 商品情報（ProductFilter.extractProductInfo等で取得）
    * @param {string} productInfo.brandName - ブランド名
+   * @param {string} [productInfo.brandSource] - ブランド名の取得元（'title' | 'link' | 'row' | 'label' | 'byline'）
    * @param {string} productInfo.title - 商品タイトル
-   * @param {Object} [productInfo.sellerInfo] - セラー情報（オプション）
-   * @param {boolean} [productInfo.sellerInfo.isJapanese] - 日本のセラーかどうか
-   * @param {string} [productInfo.sellerInfo.address] - セラーの住所
-   * @param {Object} config - 設定
-   * @param {string[]} config.trustedBrands - 信頼できるブランドのリスト
-   * @param {Object} config.suspiciousPatterns - 疑わしいパターンの設定
+   * @param {Object} [productInfo.sellerInfo] - セラー情報（商品詳細ページのみ）
+   * @param {Object} [config] - 設定（ProductFilter.loadConfigの戻り値）
+   * @param {Object|null} [config.categoryProfile] - カテゴリの判定プロファイル（閾値・チェッカーの重みを上書き）
+   * @param {string|null} [config.categoryAlias] - 検索カテゴリ（プロファイルがない場合のカテゴリ）
+   * @param {number} [filterLevel] - フィルターレベル（判定の閾値に使用）
    * @returns {{
-   *   totalScore: number,
-   *   brandScore: {score: number, reasons: string[]},
-   *   titleScore: {score: number, reasons: string[]},
-   *   sellerScore: {score: number, reasons: string[]},
-   *   verdict: 'trusted'|'safe'|'warning'|'danger',
-   *   action: 'show_badge'|'show'|'show_warning'|'hide'
+   *   score: number,
+   *   reasons: string[],
+   *   isTrusted: boolean,
+   *   breakdown: Array<{id: string, label: string, score: number, reasons: string[], weight?: number}>,
+   *   forcedVerdict: string|null,
+   *   categoryProfile: Object|null,
+   *   category: string,
+   *   verdict: 'trusted'|'safe'|'caution'|'warning'|'danger',
+   *   action: 'show_badge'|'show'|'show_caution'|'show_warning'|'hide'
    * }} 計算結果
    */
-  calculateScore(productInfo, config) {
-    // 入力バリデーション
+  calculateScore(productInfo, config, filterLevel = this.DEFAULT_LEVEL) {
     const validatedInfo = this.validateProductInfo(productInfo);
-    const validatedConfig = this.validateConfig(config);
-
-    // 各チェッカーでスコアを計算
-    const brandScore = this.calculateBrandScore(
-      validatedInfo.brandName,
-      validatedConfig.trustedBrands,
-      validatedConfig.suspiciousPatterns.brand
-    );
+    const validatedConfig = config || {};
+    const profile = validatedConfig.categoryProfile || null;
+    if (!validatedInfo.category) {
+      validatedInfo.category = this.getCategory(validatedConfig);
+    }
 
-    const titleScore = this.calculateTitleScore(
-      validatedInfo.title,
-      validatedConfig.suspiciousPatterns.title
-    );
+    const context = { results: {}, isTrusted: false };
+    const breakdown = [];
+    let forcedVerdict = null;
 
-    const sellerScore = this.calculateSellerScore(validatedInfo.sellerInfo);
+    for (const checker of this.checkers) {
+      let result;
+      try {
+        result = checker.check(validatedInfo, validatedConfig, context);
+      } catch (error) {
+        console.warn(`[ScoreCalculator] Checker "${checker.id}" failed:`, error);
+        continue;
+      }
+      if (!result) continue;
 
-    // トータルスコアを計算
-    const totalScore = brandScore.score + titleScore.score + sellerScore.score;
+      const weight = this.getCheckerWeight(checker.id, profile);
+      const rawScore = typeof result.score === 'number' ? result.score : 0;
+      const entry = {
+        id: checker.id,
+        label: checker.label,
+        score: Math.round(rawScore * weight),
+        reasons: Array.isArray(result.reasons) ? result.reasons : []
+      };
+      if (weight !== 1) {
+        entry.weight = weight;
+      }
+      if (result.isTrusted) {
+        context.isTrusted = true;
+      }
+      if (result.verdict && this.VERDICT_ACTIONS[result.verdict]) {
+        forcedVerdict = this.getStricterVerdict(forcedVerdict, result.verdict);
+      }
+      context.results[checker.id] = entry;
+      breakdown.push(entry);
+    }
 
-    // 最終判定
-    const verdict = this.determineVerdict(totalScore);
-    const action = this.VERDICT_ACTIONS[verdict];
+    const score = breakdown.reduce((sum, entry) => sum + entry.score, 0);
+    const verdict = this.determineVerdict(score, context.isTrusted, filterLevel, forcedVerdict, profile);
 
     return {
-      totalScore,
-      brandScore,
-      titleScore,
-      sellerScore,
+      score,
+      reasons: this.getAllReasons(breakdown),
+      isTrusted: context.isTrusted,
+      breakdown,
+      forcedVerdict,
+      categoryProfile: profile,
+      category: validatedInfo.category,
       verdict,
-      action
+      action: this.VERDICT_ACTIONS[verdict]
     };
   },
 
+  /**
+   * 設定から判定に使うカテゴリを取得（判定プロファイルのID、なければ検索カテゴリ）
+   * @param {Object} [config] - 設定（ProductFilter.loadConfigの戻り値）
+   * @returns {string} カテゴリ（分からない場合は空文字）
+   */
+  getCategory(config) {
+    return config?.categoryProfile?.id || config?.categoryAlias || '';
+  },
+
   /**
    * 商品情報をバリデーション
+   * 文字列フィールドは空文字、数値フィールドはnullで補完する（その他のフィールドはそのまま渡す）
    * @param {Object} productInfo - 商品情報
    * @returns {Object} バリデーション済みの商品情報
    */
   validateProductInfo(productInfo) {
+    const info = productInfo || {};
+    const text = value => (typeof value === 'string' ? value : '');
+    const number = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+
     return {
-      brandName: (productInfo && typeof productInfo.brandName === 'string')
-        ? productInfo.brandName
-        : '',
-      title: (productInfo && typeof productInfo.title === 'string')
-        ? productInfo.title
-        : '',
-      sellerInfo: (productInfo && productInfo.sellerInfo)
-        ? productInfo.sellerInfo
-        : null
+      ...info,
+      brandName: text(info.brandName),
+      brandSource: text(info.brandSource),
+      title: text(info.title),
+      rawTitle: text(info.rawTitle),
+      asin: text(info.asin),
+      priceText: text(info.priceText),
+      rating: number(info.rating),
+      reviewCount: number(info.reviewCount),
+      category: text(info.category),
+      sellerInfo: info.sellerInfo || null
     };
   },
 
   /**
-   * 設定をバリデーション
-   * @param {Object} config - 設定
-   * @returns {Object} バリデーション済みの設定
+   * フィルターレベルの閾値を取得
+   * カテゴリの判定プロファイルにそのレベルの閾値があれば上書きする
+   * @param {number} filterLevel - フィルターレベル (0-4)
+   * @param {{thresholds?: Object<string, {warn?: number, hide?: number}>}|null} [profile=null] - カテゴリの判定プロファイル
+   * @returns {{warn: number, hide: number}} 閾値
    */
-  validateConfig(config) {
-    return {
-      trustedBrands: (config && Array.isArray(config.trustedBrands))
-        ? config.trustedBrands
-        : [],
-      suspiciousPatterns: {
-        brand: (config && config.suspiciousPatterns && Array.isArray(config.suspiciousPatterns.brand))
-          ? config.suspiciousPatterns.brand
-          : [],
-        title: (config && config.suspiciousPatterns && config.suspiciousPatterns.title)
-          ? config.suspiciousPatterns.title
-          : null
-      }
-    };
+  getThresholds(filterLevel, profile = null) {
+    const base = this.LEVEL_THRESHOLDS[filterLevel] || this.LEVEL_THRESHOLDS[this.DEFAULT_LEVEL];
+    const override = profile?.thresholds?.[filterLevel];
+    return override ? { ...base, ...override } : base;
   },
 
   /**
-   * ブランドスコアを計算
-   * @param {string} brandName - ブランド名
-   * @param {string[]} trustedBrands - 信頼ブランドリスト
-   * @param {Object[]} suspiciousPatterns - 疑わしいパターン
-   * @returns {{score: number, reasons: string[]}} ブランドスコア
+   * チェッカーの重みを取得（カテゴリの判定プロファイルのweights、未指定は1）
+   * @param {string} checkerId - チェッカーID
+   * @param {{weights?: Object<string, number>}|null} [profile=null] - カテゴリの判定プロファイル
+   * @returns {number} 重み（0でそのチェッカーを無効化）
    */
-  calculateBrandScore(brandName, trustedBrands, suspiciousPatterns) {
-    // BrandCheckerが利用可能か確認
-    if (typeof BrandChecker !== 'undefined' && BrandChecker.checkBrand) {
-      return BrandChecker.checkBrand(brandName, trustedBrands, suspiciousPatterns);
-    }
-
-    // BrandCheckerが利用できない場合はデフォルト値
-    console.warn('[ScoreCalculator] BrandChecker is not available');
-    return { score: 0, reasons: [] };
+  getCheckerWeight(checkerId, profile = null) {
+    const weight = profile?.weights?.[checkerId];
+    return typeof weight === 'number' && weight >= 0 ? weight : 1;
   },
 
   /**
-   * タイトルスコアを計算
-   * @param {string} title - 商品タイトル
-   * @param {Object} suspiciousPatterns - 疑わしいパターン
-   * @returns {{score: number, reasons: string[]}} タイトルスコア
+   * カテゴリの判定プロファイルによる変更点を説明文にする（ポップアップ表示用）
+   * @param {Object|null} profile - カテゴリの判定プロファイル
+   * @param {number} [filterLevel] - フィルターレベル
+   * @returns {string[]} 説明文（閾値・重み・無効にするルール）
    */
-  calculateTitleScore(title, suspiciousPatterns) {
-    // TitleCheckerが利用可能か確認
-    if (typeof TitleChecker !== 'undefined' && TitleChecker.checkTitle) {
-      return TitleChecker.checkTitle(title, suspiciousPatterns);
+  describeProfile(profile, filterLevel = this.DEFAULT_LEVEL) {
+    if (!profile) {
+      return [];
     }
 
-    // TitleCheckerが利用できない場合はデフォルト値
-    console.warn('[ScoreCalculator] TitleChecker is not available');
-    return { score: 0, reasons: [] };
-  },
+    const lines = [];
+    const thresholds = this.getThresholds(filterLevel, profile);
+    const hideText = Number.isFinite(thresholds.hide) ? `非表示 ${thresholds.hide}点以上` : '非表示なし';
+    lines.push(`判定基準: 警告 ${thresholds.warn}点以上 / ${hideText}`);
 
-  /**
-   * セラースコアを計算
-   * @param {Object|null} sellerInfo - セラー情報
-   * @returns {{score: number, reasons: string[]}} セラースコア
-   */
-  calculateSellerScore(sellerInfo) {
-    // セラー情報がない場合
-    if (!sellerInfo) {
-      return { score: 0, reasons: [] };
+    const labels = Object.fromEntries(this.checkers.map(checker => [checker.id, checker.label]));
+    const weights = Object.entries(profile.weights || {})
+      .filter(([, weight]) => typeof weight === 'number' && weight !== 1)
+      .map(([id, weight]) => `${labels[id] || id}×${weight}`);
+    if (weights.length > 0) {
+      lines.push(`重み: ${weights.join('・')}`);
     }
 
-    let score = 0;
-    const reasons = [];
-
-    // 日本のセラーかどうかで判定
-    if (sellerInfo.isJapanese === true) {
-      // 日本のセラーは信頼度が高い（マイナススコア）
-      score = -20;
-      reasons.push('日本のセラー');
-    } else if (sellerInfo.isJapanese === false) {
-      // 海外セラーは警告スコアを加算
-      score = 30;
-      const address = sellerInfo.address || '不明';
-      reasons.push(`海外セラー（${address}）`);
+    if (profile.disabled_rules && profile.disabled_rules.length > 0) {
+      lines.push(`無効にするルール: ${profile.disabled_rules.join(', ')}`);
     }
 
-    return { score, reasons };
+    return lines;
   },
 
   /**
    * トータルスコアから判定結果を決定
    * @param {number} totalScore - トータルスコア
-   * @returns {'trusted'|'safe'|'warning'|'danger'} 判定結果
+   * @param {boolean} [isTrusted=false] - 信頼ブランドかどうか
+   * @param {number} [filterLevel] - フィルターレベル
+   * @param {string|null} [forcedVerdict=null] - チェッカーが強制した判定（信頼ブランドより優先するが、スコアによる判定より緩めない）
+   * @param {Object|null} [profile=null] - カテゴリの判定プロファイル（閾値の上書き）
+   * @returns {'trusted'|'safe'|'caution'|'warning'|'danger'} 判定結果
    */
-  determineVerdict(totalScore) {
-    if (totalScore < this.THRESHOLDS.TRUSTED) {
+  determineVerdict(totalScore, isTrusted = false, filterLevel = this.DEFAULT_LEVEL, forcedVerdict = null, profile = null) {
+    if (forcedVerdict) {
+      // 強制された判定とスコアによる判定のうち厳しい方（信頼ブランドの扱いは強制された判定で外す）
+      return this.getStricterVerdict(forcedVerdict, this.getScoreVerdict(totalScore, filterLevel, profile));
+    }
+    if (isTrusted) {
       return 'trusted';
-    } else if (totalScore < this.THRESHOLDS.SAFE) {
-      return 'safe';
-    } else if (totalScore < this.THRESHOLDS.WARNING) {
-      return 'warning';
-    } else {
+    }
+    return this.getScoreVerdict(totalScore, filterLevel, profile);
+  },
+
+  /**
+   * トータルスコアと閾値だけで判定結果を決定（信頼ブランド・強制された判定を考慮しない）
+   * @param {number} totalScore - トータルスコア
+   * @param {number} [filterLevel] - フィルターレベル
+   * @param {Object|null} [profile=null] - カテゴリの判定プロファイル（閾値の上書き）
+   * @returns {'safe'|'caution'|'warning'|'danger'} 判定結果
+   */
+  getScoreVerdict(totalScore, filterLevel = this.DEFAULT_LEVEL, profile = null) {
+    const thresholds = this.getThresholds(filterLevel, profile);
+    if (totalScore >= thresholds.hide) {
       return 'danger';
+    } else if (totalScore >= thresholds.warn) {
+      return 'warning';
+    } else if (totalScore > this.CAUTION_SCORE) {
+      return 'caution';
     }
+    return 'safe';
+  },
+
+  /**
+   * 2つの判定のうち厳しい方を取得
+   * @param {string|null} current - 現在の判定
+   * @param {string} next - 比較する判定
+   * @returns {string} 厳しい方の判定
+   */
+  getStricterVerdict(current, next) {
+    if (!current) return next;
+    return this.VERDICT_SEVERITY.indexOf(next) > this.VERDICT_SEVERITY.indexOf(current) ? next : current;
   },
 
   /**
    * 判定結果に対応する表示色を取得
-   * @param {'trusted'|'safe'|'warning'|'danger'} verdict - 判定結果
+   * @param {'trusted'|'safe'|'caution'|'warning'|'danger'} verdict - 判定結果
    * @returns {string} CSS色コード
    */
   getVerdictColor(verdict) {
     const colors = {
       trusted: '#28a745',  // 緑
       safe: '#6c757d',     // グレー
-      warning: '#ffc107',  // 黄
+      caution: '#ffc107',  // 黄
+      warning: '#fd7e14',  // オレンジ
       danger: '#dc3545'    // 赤
     };
     return colors[verdict] || colors.safe;
@@ -230,14 +367,15 @@ const ScoreCalculator = {
 
   /**
    * 判定結果に対応するラベルを取得
-   * @param {'trusted'|'safe'|'warning'|'danger'} verdict - 判定結果
+   * @param {'trusted'|'safe'|'caution'|'warning'|'danger'} verdict - 判定結果
    * @returns {string} 日本語ラベル
    */
   getVerdictLabel(verdict) {
     const labels = {
       trusted: '信頼',
       safe: '安全',
-      warning: '注意',
+      caution: '注意',
+      warning: '警告',
       danger: '危険'
     };
     return labels[verdict] || labels.safe;
@@ -245,24 +383,16 @@ const ScoreCalculator = {
 
   /**
    * 全ての理由を統合して取得
-   * @param {{score: number, reasons: string[]}} brandScore - ブランドスコア
-   * @param {{score: number, reasons: string[]}} titleScore - タイトルスコア
-   * @param {{score: number, reasons: string[]}} sellerScore - セラースコア
-   * @returns {string[]} 全ての理由の配列
+   * @param {Array<{reasons: string[]}>} breakdown - チェッカーごとの結果
+   * @returns {string[]} 全ての理由の配列（チェッカーの実行順）
    */
-  getAllReasons(brandScore, titleScore, sellerScore) {
+  getAllReasons(breakdown) {
     const allReasons = [];
-
-    if (brandScore && brandScore.reasons) {
-      allReasons.push(...brandScore.reasons);
-    }
-    if (titleScore && titleScore.reasons) {
-      allReasons.push(...titleScore.reasons);
-    }
-    if (sellerScore && sellerScore.reasons) {
-      allReasons.push(...sellerScore.reasons);
+    for (const entry of breakdown || []) {
+      if (entry && entry.reasons) {
+        allReasons.push(...entry.reasons);
+      }
     }
-
     return allReasons;
   }
 };
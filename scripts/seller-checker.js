@@ -201,6 +201,90 @@ const SellerChecker = {
     };
   },
 
+  /**
+   * セラー情報（住所の判定結果）からスコアを計算
+   * @param {{isJapanese?: boolean, address?: string}|null} sellerInfo - セラー情報
+   * @returns {{score: number, reasons: string[]}} セラースコア
+   */
+  checkSellerInfo(sellerInfo) {
+    // セラー情報がない場合（検索結果ページ等）
+    if (!sellerInfo) {
+      return { score: 0, reasons: [] };
+    }
+
+    let score = 0;
+    const reasons = [];
+
+    // 日本のセラーかどうかで判定
+    if (sellerInfo.isJapanese === true) {
+      // 日本のセラーは信頼度が高い（マイナススコア）
+      score = -20;
+      reasons.push('日本のセラー');
+    } else if (sellerInfo.isJapanese === false) {
+      // 海外セラーは警告スコアを加算
+      score = 30;
+      const address = sellerInfo.address || '不明';
+      reasons.push(`海外セラー（${address}）`);
+    }
+
+    return { score, reasons };
+  },
+
+  /**
+   * セラー名を怪しいセラー名パターン（suspicious-patterns.jsonのseller_patterns.name_patterns）と照合
+   * @param {string|null} sellerName - セラーの表示名
+   * @param {Array<{id: string, pattern: string, description: string, score: number}>} [namePatterns] - セラー名パターン
+   * @returns {{score: number, reasons: string[]}} 一致したパターンのスコアと理由
+   * @example
+   * SellerChecker.checkSellerName('abc12345', namePatterns);
+   * // => { score: 25, reasons: ['怪しいセラー名（ランダムな英数字のセラー名）: abc12345'] }
+   */
+  checkSellerName(sellerName, namePatterns) {
+    let score = 0;
+    const reasons = [];
+
+    if (!sellerName || typeof sellerName !== 'string' || !Array.isArray(namePatterns)) {
+      return { score, reasons };
+    }
+
+    // 全角英数字・前後の空白で判定が揺れないように正規化
+    const name = sellerName.normalize('NFKC').trim();
+
+    for (const patternConfig of namePatterns) {
+      if (!patternConfig || typeof patternConfig.pattern !== 'string') {
+        continue;
+      }
+
+      try {
+        if (new RegExp(patternConfig.pattern, 'i').test(name)) {
+          score += typeof patternConfig.score === 'number' ? patternConfig.score : 0;
+          reasons.push(`怪しいセラー名（${patternConfig.description || patternConfig.id}）: ${name}`);
+        }
+      } catch (e) {
+        // 無効な正規表現パターンはスキップ
+        console.warn('[SellerChecker] Invalid seller name pattern:', patternConfig.pattern, e);
+      }
+    }
+
+    return { score, reasons };
+  },
+
+  /**
+   * セラー情報（住所の判定結果）とセラー名からスコアを計算
+   * @param {{isJapanese?: boolean, address?: string}|null} sellerInfo - セラー情報
+   * @param {string|null} sellerName - セラーの表示名
+   * @param {Object[]} [namePatterns] - セラー名パターン
+   * @returns {{score: number, reasons: string[]}} セラースコア
+   */
+  checkSeller(sellerInfo, sellerName, namePatterns) {
+    const addressResult = this.checkSellerInfo(sellerInfo);
+    const nameResult = this.checkSellerName(sellerName, namePatterns);
+    return {
+      score: addressResult.score + nameResult.score,
+      reasons: [...addressResult.reasons, ...nameResult.reasons]
+    };
+  },
+
   /**
    * 商品要素からセラーリンクを取得
    * @param {Element} productElement - 商品のDOM要素
@@ -359,6 +443,20 @@ const SellerChecker = {
   }
 };
 
+// スコア計算に登録（background.jsではScoreCalculatorを読み込まないため登録しない）
+if (typeof ScoreCalculator !== 'undefined') {
+  ScoreCalculator.registerChecker({
+    id: 'seller',
+    label: 'セラー',
+    order: 70,
+    check: (productInfo, config) => SellerChecker.checkSeller(
+      productInfo.sellerInfo,
+      productInfo.sellerName,
+      config.sellerNamePatterns
+    )
+  });
+}
+
 // グローバルに公開
 if (typeof globalThis !== 'undefined') {
   globalThis.SellerChecker = SellerChecker;
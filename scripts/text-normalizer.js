@@ -0,0 +1,193 @@
+/**
+ * Clean Amazon Search - テキスト正規化
+ * @fileoverview ブランド名・タイトルを判定前に正規化する共通モジュール
+ * （NFKC正規化、不可視文字の除去、紛らわしい文字の置き換え、文字種の混在判定）
+ * @module text-normalizer
+ */
+
+'use strict';
+
+/**
+ * テキスト正規化オブジェクト
+ * @namespace TextNormalizer
+ */
+const TextNormalizer = {
+  /**
+   * 不可視文字（ゼロ幅文字・双方向制御文字・ソフトハイフン等）
+   * @type {RegExp}
+   */
+  INVISIBLE_CHARS_PATTERN: /[\u00AD\u034F\u061C\u115F\u1160\u17B4\u17B5\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\u206A-\u206F\u3164\uFE00-\uFE0F\uFEFF\uFFA0]/g,
+
+  /**
+   * ラテン文字と見分けにくいキリル文字・ギリシャ文字の置き換え表
+   * @type {Object<string, string>}
+   */
+  CONFUSABLE_MAP: {
+    // キリル文字（小文字）
+    'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o',
+    'р': 'p', 'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'ѕ': 's', 'і': 'i',
+    'ј': 'j', 'ԁ': 'd', 'ԛ': 'q', 'ԝ': 'w', 'һ': 'h', 'ӏ': 'l', 'ѵ': 'v',
+    // キリル文字（大文字）
+    'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O',
+    'Р': 'P', 'С': 'C', 'Т': 'T', 'У': 'Y', 'Х': 'X', 'Ѕ': 'S', 'І': 'I',
+    'Ј': 'J', 'Ԛ': 'Q', 'Ԝ': 'W', 'Ӏ': 'I', 'Ѵ': 'V',
+    // ギリシャ文字（小文字）
+    'α': 'a', 'ε': 'e', 'ι': 'i', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+    'τ': 't', 'υ': 'u', 'χ': 'x',
+    // ギリシャ文字（大文字）
+    'Α': 'A', 'Β': 'B', 'Ε': 'E', 'Ζ': 'Z', 'Η': 'H', 'Ι': 'I', 'Κ': 'K',
+    'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Ρ': 'P', 'Τ': 'T', 'Υ': 'Y', 'Χ': 'X'
+  },
+
+  /**
+   * 文字種の判定パターン
+   * @type {Object<string, RegExp>}
+   */
+  SCRIPT_PATTERNS: {
+    latin: /\p{Script=Latin}/u,
+    cyrillic: /\p{Script=Cyrillic}/u,
+    greek: /\p{Script=Greek}/u,
+    han: /\p{Script=Han}/u,
+    kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+    hangul: /\p{Script=Hangul}/u
+  },
+
+  /**
+   * 同じ名前の中で混在すると不自然な文字種の組み合わせ
+   * （ラテン文字とカナ・漢字の混在は日本のブランド名で普通に使われるため対象外）
+   * @type {Array<[string, string]>}
+   */
+  SUSPICIOUS_SCRIPT_PAIRS: [
+    ['latin', 'cyrillic'],
+    ['latin', 'greek'],
+    ['cyrillic', 'greek']
+  ],
+
+  /**
+   * 文字種の日本語ラベル
+   * @type {Object<string, string>}
+   */
+  SCRIPT_LABELS: {
+    latin: 'ラテン文字',
+    cyrillic: 'キリル文字',
+    greek: 'ギリシャ文字',
+    han: '漢字',
+    kana: 'かな',
+    hangul: 'ハングル'
+  },
+
+  /**
+   * 表示・判定用にテキストを正規化
+   * NFKC正規化（全角英数字・半角カナ等の統一）、不可視文字の除去、空白の整理を行う
+   * @param {string} text - 対象テキスト
+   * @returns {string} 正規化したテキスト
+   * @example
+   * TextNormalizer.normalize('ＡＮＫＥＲ​'); // => 'ANKER'
+   */
+  normalize(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    return text
+      .normalize('NFKC')
+      .replace(this.INVISIBLE_CHARS_PATTERN, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  },
+
+  /**
+   * ラテン文字に似たキリル文字・ギリシャ文字をラテン文字に置き換える
+   * @param {string} text - 対象テキスト（normalize済みを想定）
+   * @returns {string} 置き換え後のテキスト
+   * @example
+   * TextNormalizer.foldConfusables('Ѕоnу'); // => 'Sony'
+   */
+  foldConfusables(text) {
+    if (!text || typeof text !== 'string') {
+      return '';
+    }
+
+    let folded = '';
+    for (const char of text) {
+      folded += this.CONFUSABLE_MAP[char] || char;
+    }
+    return folded;
+  },
+
+  /**
+   * 判定用のテキストを取得（normalize + foldConfusables）
+   * @param {string} text - 対象テキスト
+   * @returns {string} 判定用テキスト
+   */
+  toMatchText(text) {
+    return this.foldConfusables(this.normalize(text));
+  },
+
+  /**
+   * テキストに含まれる文字種を取得
+   * @param {string} text - 対象テキスト
+   * @returns {string[]} 文字種の配列（'latin', 'cyrillic' 等）
+   */
+  getScripts(text) {
+    const scripts = [];
+    if (!text || typeof text !== 'string') {
+      return scripts;
+    }
+
+    for (const [script, pattern] of Object.entries(this.SCRIPT_PATTERNS)) {
+      if (pattern.test(text)) {
+        scripts.push(script);
+      }
+    }
+    return scripts;
+  },
+
+  /**
+   * 文字種の混在と紛らわしい文字（ホモグリフ）の使用を解析
+   * @param {string} text - 対象テキスト（normalize済みを想定）
+   * @returns {{scripts: string[], mixedScripts: string[]|null, homoglyphs: string[]}} 解析結果
+   *   mixedScripts: 不自然に混在している文字種の組（なければnull）
+   *   homoglyphs: ラテン文字に偽装しているキリル文字・ギリシャ文字
+   */
+  analyzeScripts(text) {
+    const scripts = this.getScripts(text);
+
+    let mixedScripts = null;
+    for (const [a, b] of this.SUSPICIOUS_SCRIPT_PAIRS) {
+      if (scripts.includes(a) && scripts.includes(b)) {
+        mixedScripts = [a, b];
+        break;
+      }
+    }
+
+    // 置き換え後にすべてASCIIになる場合は、ラテン文字の名前に偽装している
+    const homoglyphs = [];
+    if (text && /[^\x00-\x7F]/.test(text) && /^[\x00-\x7F]+$/.test(this.foldConfusables(text))) {
+      for (const char of text) {
+        if (this.CONFUSABLE_MAP[char] && !homoglyphs.includes(char)) {
+          homoglyphs.push(char);
+        }
+      }
+    }
+
+    return { scripts, mixedScripts, homoglyphs };
+  },
+
+  /**
+   * 文字種の配列を日本語ラベルに変換
+   * @param {string[]} scripts - 文字種の配列
+   * @returns {string} 「ラテン文字とキリル文字」形式のラベル
+   */
+  describeScripts(scripts) {
+    return scripts.map(script => this.SCRIPT_LABELS[script] || script).join('と');
+  }
+};
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.TextNormalizer = TextNormalizer;
+}
+if (typeof window !== 'undefined') {
+  window.TextNormalizer = TextNormalizer;
+}
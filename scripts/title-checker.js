@@ -50,8 +50,12 @@ const TitleChecker = {
    * @type {Object}
    */
   SCORE_CONFIG: {
-    /** 誇張表現1つあたりのスコア */
+    /** 誇張表現1つあたりのスコア（デフォルトパターン使用時） */
     EXAGGERATED_EXPRESSION: 30,
+    /** 同じカテゴリで2つ目以降に一致した表現の逓減率 */
+    EXAGGERATION_DECAY: 0.5,
+    /** 誇張表現全体のスコア上限 */
+    EXAGGERATION_MAX_TOTAL: 60,
     /** タイトル100文字以上 */
     TITLE_LENGTH_100: 25,
     /** タイトル80文字以上 */
@@ -63,13 +67,16 @@ const TitleChecker = {
   /**
    * タイトルの怪しさをチェック
    * @param {string} title - 商品タイトル
-   * @param {Object} [suspiciousPatterns] - カスタム誇張表現パターン
-   * @param {string[]} [suspiciousPatterns.yearBased] - 年号系キーワード
-   * @param {string[]} [suspiciousPatterns.exaggerated] - 誇張系キーワード
+   * @param {Object} [suspiciousPatterns] - 誇張表現パターン
+   *   suspicious-patterns.jsonのtitle_exaggerations形式（categories + decay + max_total）、
+   *   または従来の { yearBased: string[], exaggerated: string[] } 形式
+   * @param {Object<string, {description: string, keywords: string[], score: number}>} [suspiciousPatterns.categories] - カテゴリ別の誇張表現
+   * @param {number} [suspiciousPatterns.decay] - 同じカテゴリ内の逓減率
+   * @param {number} [suspiciousPatterns.max_total] - 誇張表現全体のスコア上限
    * @returns {{score: number, reasons: string[]}} 判定結果
    */
   checkTitle(title, suspiciousPatterns) {
-    const patterns = suspiciousPatterns || this.DEFAULT_SUSPICIOUS_PATTERNS;
+    const patterns = this.normalizePatterns(suspiciousPatterns || this.DEFAULT_SUSPICIOUS_PATTERNS);
     let score = 0;
     const reasons = [];
 
@@ -77,23 +84,15 @@ const TitleChecker = {
       return { score: 0, reasons: [] };
     }
 
-    // 1. 誇張表現のチェック
-    const allPatterns = [
-      ...(patterns.yearBased || []),
-      ...(patterns.exaggerated || [])
-    ];
-
-    const foundExpressions = [];
-    for (const pattern of allPatterns) {
-      if (title.includes(pattern)) {
-        foundExpressions.push(pattern);
-      }
+    // 全角英数字・不可視文字・紛らわしい文字で誇張表現の検出をすり抜けないよう正規化
+    if (typeof TextNormalizer !== 'undefined') {
+      title = TextNormalizer.toMatchText(title);
     }
 
-    if (foundExpressions.length > 0) {
-      score += this.SCORE_CONFIG.EXAGGERATED_EXPRESSION * foundExpressions.length;
-      reasons.push(`誇張表現: ${foundExpressions.join(', ')}`);
-    }
+    // 1. 誇張表現のチェック（カテゴリごとの重み + 逓減 + 上限）
+    const exaggerationResult = this.checkExaggerations(title, patterns);
+    score += exaggerationResult.score;
+    reasons.push(...exaggerationResult.reasons);
 
     // 2. タイトル長のチェック（100文字と80文字は排他的）
     const titleLength = title.length;
@@ -115,6 +114,93 @@ const TitleChecker = {
     return { score, reasons };
   },
 
+  /**
+   * 誇張表現パターンをカテゴリ形式に揃える
+   * @param {Object} suspiciousPatterns - カテゴリ形式または従来形式のパターン
+   * @returns {{categories: Object<string, {description: string, keywords: string[], score: number}>, decay: number, maxTotal: number}} カテゴリ形式のパターン
+   */
+  normalizePatterns(suspiciousPatterns) {
+    const decay = typeof suspiciousPatterns.decay === 'number'
+      ? suspiciousPatterns.decay
+      : this.SCORE_CONFIG.EXAGGERATION_DECAY;
+    const maxTotal = typeof suspiciousPatterns.max_total === 'number'
+      ? suspiciousPatterns.max_total
+      : this.SCORE_CONFIG.EXAGGERATION_MAX_TOTAL;
+
+    if (suspiciousPatterns.categories) {
+      return { categories: suspiciousPatterns.categories, decay, maxTotal };
+    }
+
+    // 従来形式（yearBased / exaggerated）は一律のスコアのカテゴリとして扱う
+    return {
+      categories: {
+        yearBased: {
+          description: '年号系',
+          keywords: suspiciousPatterns.yearBased || [],
+          score: this.SCORE_CONFIG.EXAGGERATED_EXPRESSION
+        },
+        exaggerated: {
+          description: '誇張系',
+          keywords: suspiciousPatterns.exaggerated || [],
+          score: this.SCORE_CONFIG.EXAGGERATED_EXPRESSION
+        }
+      },
+      decay,
+      maxTotal
+    };
+  },
+
+  /**
+   * カテゴリ別に誇張表現をチェック
+   * 同じカテゴリで複数一致した場合は2つ目以降を逓減し、全体をmaxTotalで打ち切る。
+   * 長い表現に含まれる短い表現（「令和最新版」に対する「令和最新」）は重複して数えない
+   * @param {string} title - 正規化済みの商品タイトル
+   * @param {{categories: Object, decay: number, maxTotal: number}} patterns - カテゴリ形式のパターン
+   * @returns {{score: number, reasons: string[]}} スコアと理由（カテゴリごとに1つ）
+   */
+  checkExaggerations(title, patterns) {
+    // 一致した表現を長い順に採用し、採用済みの表現に含まれるものは除外
+    const matches = [];
+    for (const [categoryId, category] of Object.entries(patterns.categories)) {
+      if (!category || !Array.isArray(category.keywords)) continue;
+      for (const keyword of category.keywords) {
+        if (typeof keyword === 'string' && keyword && title.includes(keyword)) {
+          matches.push({ categoryId, keyword });
+        }
+      }
+    }
+    matches.sort((a, b) => b.keyword.length - a.keyword.length);
+
+    const accepted = [];
+    for (const match of matches) {
+      if (!accepted.some(a => a.keyword.includes(match.keyword))) {
+        accepted.push(match);
+      }
+    }
+
+    let total = 0;
+    const reasons = [];
+    for (const [categoryId, category] of Object.entries(patterns.categories)) {
+      const keywords = accepted.filter(m => m.categoryId === categoryId).map(m => m.keyword);
+      if (keywords.length === 0) continue;
+
+      const weight = typeof category.score === 'number' ? category.score : this.SCORE_CONFIG.EXAGGERATED_EXPRESSION;
+      let categoryScore = 0;
+      keywords.forEach((_, index) => {
+        categoryScore += weight * Math.pow(patterns.decay, index);
+      });
+      total += Math.round(categoryScore);
+
+      const label = category.description || categoryId;
+      reasons.push(`誇張表現（${label}）: ${keywords.join(', ')}`);
+    }
+
+    return {
+      score: Math.min(total, patterns.maxTotal),
+      reasons
+    };
+  },
+
   /**
    * 20文字以上の【】括弧を抽出
    * @param {string} title - 商品タイトル
@@ -135,6 +221,340 @@ const TitleChecker = {
     return longBrackets;
   },
 
+  /**
+   * 整ったタイトル（ブランド名 + 商品名 + 型番）判定のデフォルト設定
+   * suspicious-patterns.jsonのtitle_formatで上書きする
+   * @type {{score: number, max_length: number, ad_prefix_pattern: string, excluded_tokens: string[]}}
+   */
+  DEFAULT_TITLE_FORMAT: {
+    score: -10,
+    max_length: 80,
+    ad_prefix_pattern: '^[【\\[［〔《〈「★☆◆◇■□●◎♪！!]',
+    excluded_tokens: ['usb', 'type-c', 'typec', 'usb-c', 'hdmi', 'bluetooth', 'wi-fi', 'wifi', 'iphone', 'ipad', '4k', '5g']
+  },
+
+  /**
+   * 型番ではなく容量・サイズ・性能などの数値表記とみなす語（10000mAh, 65W, 1TB, 18Gbps, 5MP, 60fps, 30dB, 2個 など）
+   * @type {RegExp}
+   */
+  SPEC_TOKEN_PATTERN: /^\d+(?:\.\d+)?(?:mah|wh|w|kw|mw|v|a|mm|cm|m|nm|g|kg|oz|ml|l|gb|tb|mb|gbps|mbps|kbps|bit|hz|khz|mhz|ghz|mp|fps|db|dbi|dpi|ppi|lm|nits?|rpm|ms|inch|インチ|型|個|枚|本|色|点|セット|p|k|年)$/i,
+
+  /**
+   * 型番ではなく規格・等級の表記とみなす語（PD3.0, QC3.0, IPX7, IP68, BT5.3, DDR4, Gen2 など）
+   * @type {RegExp}
+   */
+  STANDARD_TOKEN_PATTERN: /^(?:pd|qc|pps|ipx|ip|bt|ddr|lpddr|gen|pcie|hdmi|usb|wi-?fi)\d+(?:\.\d+)*\+?$/i,
+
+  /**
+   * 整ったタイトルの判定に使えるブランド名の取得元（タイトルとは別に表示されているブランド名）
+   * タイトルの先頭から推定したブランド名は、タイトルがブランド名で始まることの裏付けにならないため使わない
+   * @type {string[]}
+   */
+  INDEPENDENT_BRAND_SOURCES: ['link', 'byline'],
+
+  /**
+   * 整ったタイトル（ブランド名で始まり、広告的な装飾がなく、メーカー型番を含む）かをチェック
+   * 正規品に多い「ブランド名 + 商品名 + 型番」の構成に減点（マイナススコア）を与える
+   * @param {string} title - 商品タイトル
+   * @param {string} brandName - ブランド名
+   * @param {{score?: number, max_length?: number, ad_prefix_pattern?: string, excluded_tokens?: string[]}} [formatConfig] - suspicious-patterns.jsonのtitle_format
+   * @param {Object<string, string>} [aliases] - ブランド名の表記揺れマッピング
+   * @returns {{score: number, reasons: string[], modelNumber: string|null}} 判定結果
+   * @example
+   * TitleChecker.checkTitleFormat('Anker PowerCore 10000 モバイルバッテリー', 'Anker');
+   * // => { score: -10, reasons: ['整ったタイトル（ブランド名 + 商品名 + 型番: PowerCore 10000）'], modelNumber: 'PowerCore 10000' }
+   */
+  checkTitleFormat(title, brandName, formatConfig, aliases) {
+    const none = { score: 0, reasons: [], modelNumber: null };
+    if (!title || typeof title !== 'string' || !brandName || typeof brandName !== 'string') {
+      return none;
+    }
+
+    const config = { ...this.DEFAULT_TITLE_FORMAT, ...(formatConfig || {}) };
+    const normalize = (text) => typeof TextNormalizer !== 'undefined'
+      ? TextNormalizer.toMatchText(text)
+      : text.trim();
+    title = normalize(title);
+    const brand = normalize(brandName);
+    if (!title || !brand || title.length > config.max_length) {
+      return none;
+    }
+
+    // 【】★などの広告的な装飾で始まるタイトルは対象外
+    try {
+      if (new RegExp(config.ad_prefix_pattern).test(title)) {
+        return none;
+      }
+    } catch (error) {
+      console.warn('[TitleChecker] Invalid ad_prefix_pattern:', config.ad_prefix_pattern);
+    }
+
+    const rest = this.stripLeadingBrand(title, brand, aliases);
+    if (rest === null) {
+      return none;
+    }
+
+    const modelNumber = this.findModelNumber(rest, config.excluded_tokens);
+    if (!modelNumber) {
+      return none;
+    }
+
+    return {
+      score: config.score,
+      reasons: [`整ったタイトル（ブランド名 + 商品名 + 型番: ${modelNumber}）`],
+      modelNumber
+    };
+  },
+
+  /**
+   * タイトルの先頭がブランド名なら、ブランド名を除いた残りを返す
+   * 表記揺れ（ロジクール / Logicool など）はBrandCheckerのエイリアスで照合する
+   * @param {string} title - 正規化済みの商品タイトル
+   * @param {string} brand - 正規化済みのブランド名
+   * @param {Object<string, string>} [aliases] - ブランド名の表記揺れマッピング
+   * @returns {string|null} ブランド名を除いた残り（ブランド名で始まらない場合はnull）
+   */
+  stripLeadingBrand(title, brand, aliases) {
+    const lowerTitle = title.toLowerCase();
+    const lowerBrand = brand.toLowerCase();
+    if (lowerTitle.startsWith(lowerBrand)) {
+      const rest = title.slice(brand.length);
+      // 「Ankerxxx」のように語の途中で切れる場合はブランド名で始まるとみなさない
+      if (rest === '' || /^[\s(（:：/・-]/.test(rest)) {
+        return rest.trim();
+      }
+      return null;
+    }
+
+    if (typeof BrandChecker === 'undefined') {
+      return null;
+    }
+
+    // 先頭の1〜3語をブランド名として照合
+    const brandKey = BrandChecker.getCanonicalKey(brand, aliases);
+    const tokens = title.split(/\s+/);
+    for (let count = 1; count <= Math.min(3, tokens.length); count++) {
+      if (BrandChecker.getCanonicalKey(tokens.slice(0, count).join(' '), aliases) === brandKey) {
+        return tokens.slice(count).join(' ');
+      }
+    }
+    return null;
+  },
+
+  /**
+   * メーカー型番らしい語を探す
+   * 英字と数字を含む語（WH-1000XM5, EP-883AB）か、英字の商品名に続く3〜5桁の数字（PowerCore 10000）を型番とみなす。
+   * 容量・サイズなどの数値表記、規格名（USB-C, Bluetooth5.3, PD3.0, IPX7）、互換機種名（iPhone15）、年号は除く
+   * @param {string} text - ブランド名を除いたタイトル（正規化済み）
+   * @param {string[]} [excludedTokens=[]] - 型番とみなさない語（小文字、前方一致）
+   * @returns {string|null} 型番（見つからない場合はnull）
+   */
+  findModelNumber(text, excludedTokens = []) {
+    const tokens = text.split(/[\s,、。()（）【】[\]「」/／|｜]+/).filter(Boolean);
+    const isExcluded = (token) => {
+      const lower = token.toLowerCase();
+      return excludedTokens.some(excluded => lower.startsWith(excluded));
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.length < 3 || token.length > 20 || isExcluded(token) ||
+          this.SPEC_TOKEN_PATTERN.test(token) || this.STANDARD_TOKEN_PATTERN.test(token)) {
+        continue;
+      }
+
+      // 英字と数字を含む型番（ハイフン・ピリオド区切り可）
+      if (/^(?=.*[A-Za-z])(?=.*\d)[A-Za-z0-9]+(?:[-_.][A-Za-z0-9]+)*$/.test(token)) {
+        return token;
+      }
+
+      // 英字の商品名に続く数字（年号は除く）
+      const previous = tokens[i - 1];
+      if (/^\d{3,5}$/.test(token) && !/^(?:19|20)\d{2}$/.test(token) &&
+          previous && /^[A-Za-z][A-Za-z-]+$/.test(previous) && !isExcluded(previous)) {
+        return `${previous} ${token}`;
+      }
+    }
+
+    return null;
+  },
+
+  /**
+   * キーワード詰め込み判定の設定
+   * @type {Object}
+   */
+  STUFFING_CONFIG: {
+    /** 同じ語がこの回数以上出現したら繰り返しとみなす */
+    MIN_REPEAT_COUNT: 3,
+    /** 繰り返しの判定対象とする語の最小文字数 */
+    MIN_REPEAT_TOKEN_LENGTH: 2,
+    /** 互換機種の羅列とみなす機種数 */
+    MODEL_LIST_MIN_ITEMS: 5,
+    /** 互換機種の羅列のスコアを上げる機種数 */
+    MODEL_LIST_HEAVY_ITEMS: 10,
+    /** 括弧内の文字数が本文の何倍以上で装飾過多とみなすか */
+    BRACKET_CONTENT_RATIO: 1.0,
+    /** 装飾過多の判定に必要な括弧の数 */
+    BRACKET_MIN_BLOCKS: 2,
+    /** 繰り返し */
+    REPETITION_SCORE: 15,
+    /** 互換機種の羅列 */
+    MODEL_LIST_SCORE: 15,
+    /** 互換機種の羅列（多い場合） */
+    MODEL_LIST_HEAVY_SCORE: 25,
+    /** 括弧の装飾過多 */
+    BRACKET_RATIO_SCORE: 15,
+    /** キーワード詰め込み全体のスコア上限 */
+    MAX_TOTAL: 40
+  },
+
+  /**
+   * 機種名の一部とみなすトークン（数字を含む短い語、世代・サイズの表記）
+   * @type {RegExp}
+   */
+  MODEL_TOKEN_PATTERN: /^(?:[A-Za-z]{0,8}\d{1,4}[A-Za-z]{0,4}|SE|XR|XS|Pro|Max|Plus|mini|Ultra|Lite)$/i,
+
+  /**
+   * 繰り返し判定用にタイトルを区切る文字
+   * @type {RegExp}
+   */
+  STUFFING_SEPARATOR_PATTERN: /[\s【】[\]()（）「」『』〔〕/／・,、。+＋|｜:：]+/,
+
+  /**
+   * タイトルのキーワード詰め込み（検索語の繰り返し・互換機種の羅列・括弧の装飾過多）をチェック
+   * タイトル長とは別のスコアとして加算する（型番を含む長い正規品タイトルと区別するため）
+   * @param {string} title - 商品タイトル
+   * @returns {{score: number, reasons: string[], metrics: {repeatedTerms: Array<{term: string, count: number}>, modelListSize: number, bracketRatio: number, bracketBlocks: number}}} 判定結果
+   * @example
+   * TitleChecker.checkKeywordStuffing('ケース iPhone15/14/13/12/11/SE/XR 対応 ケース 耐衝撃 ケース');
+   * // => { score: 30, reasons: ['キーワードの詰め込み（繰り返し: ケース×3）', 'キーワードの詰め込み（互換機種の羅列: 7機種）'], ... }
+   */
+  checkKeywordStuffing(title) {
+    const metrics = { repeatedTerms: [], modelListSize: 0, bracketRatio: 0, bracketBlocks: 0 };
+    if (!title || typeof title !== 'string') {
+      return { score: 0, reasons: [], metrics };
+    }
+
+    if (typeof TextNormalizer !== 'undefined') {
+      title = TextNormalizer.toMatchText(title);
+    }
+
+    const config = this.STUFFING_CONFIG;
+    let score = 0;
+    const reasons = [];
+
+    // 1. 検索語の繰り返し
+    metrics.repeatedTerms = this.findRepeatedTerms(title);
+    if (metrics.repeatedTerms.length > 0) {
+      score += config.REPETITION_SCORE;
+      const terms = metrics.repeatedTerms.slice(0, 3).map(({ term, count }) => `${term}×${count}`);
+      reasons.push(`キーワードの詰め込み（繰り返し: ${terms.join(', ')}）`);
+    }
+
+    // 2. 互換機種の羅列
+    metrics.modelListSize = this.getModelListSize(title);
+    if (metrics.modelListSize >= config.MODEL_LIST_MIN_ITEMS) {
+      score += metrics.modelListSize >= config.MODEL_LIST_HEAVY_ITEMS
+        ? config.MODEL_LIST_HEAVY_SCORE
+        : config.MODEL_LIST_SCORE;
+      reasons.push(`キーワードの詰め込み（互換機種の羅列: ${metrics.modelListSize}機種）`);
+    }
+
+    // 3. 括弧ブロックと本文の比率
+    const brackets = this.getBracketStats(title);
+    metrics.bracketBlocks = brackets.blocks;
+    metrics.bracketRatio = brackets.ratio;
+    if (brackets.blocks >= config.BRACKET_MIN_BLOCKS && brackets.ratio >= config.BRACKET_CONTENT_RATIO) {
+      score += config.BRACKET_RATIO_SCORE;
+      reasons.push(`キーワードの詰め込み（括弧の装飾が本文より長い: ${brackets.blocks}個）`);
+    }
+
+    return {
+      score: Math.min(score, config.MAX_TOTAL),
+      reasons,
+      metrics
+    };
+  },
+
+  /**
+   * タイトル内で繰り返されている語を取得
+   * 語の出現回数は他の語の一部として現れたもの（「ワイヤレスイヤホン」の「イヤホン」）も数える
+   * @param {string} title - 商品タイトル（正規化済み）
+   * @returns {Array<{term: string, count: number}>} 繰り返されている語（出現回数の多い順）
+   */
+  findRepeatedTerms(title) {
+    const config = this.STUFFING_CONFIG;
+    const lowerTitle = title.toLowerCase();
+    const terms = new Set(
+      lowerTitle
+        .split(this.STUFFING_SEPARATOR_PATTERN)
+        .filter(token => token.length >= config.MIN_REPEAT_TOKEN_LENGTH && !/^[\d.]+$/.test(token))
+    );
+
+    const repeated = [];
+    for (const term of terms) {
+      const count = lowerTitle.split(term).length - 1;
+      if (count >= config.MIN_REPEAT_COUNT) {
+        repeated.push({ term, count });
+      }
+    }
+
+    // 長い語に含まれる短い語は、長い語と同じ回数なら重複として除く
+    return repeated
+      .filter(a => !repeated.some(b => b.term !== a.term && b.term.includes(a.term) && b.count >= a.count))
+      .sort((a, b) => b.count - a.count || b.term.length - a.term.length);
+  },
+
+  /**
+   * 互換機種の羅列の最大の長さを取得
+   * スラッシュ区切り（iPhone15/14/13/12）と空白区切り（iPhone 15 14 13 12）の両方を数える。
+   * 単位の付いた数値（5V 9V 12V, 500ml 600ml）は仕様の列挙なので機種に数えない
+   * @param {string} title - 商品タイトル（正規化済み）
+   * @returns {number} 羅列されている機種数（最長の羅列）
+   */
+  getModelListSize(title) {
+    let maxItems = 0;
+
+    // スラッシュ区切り: 各項目が短い（機種名・世代）ものの連続
+    const slashLists = title.match(/[^\s/【】()（）[\]]+(?:\/[^\s/【】()（）[\]]+)+/g) || [];
+    for (const list of slashLists) {
+      const items = list.split('/');
+      if (items.every(item => item.length <= 16)) {
+        maxItems = Math.max(maxItems, items.filter(item => !this.SPEC_TOKEN_PATTERN.test(item)).length);
+      }
+    }
+
+    // 空白区切り: 機種名の一部とみなすトークンの連続
+    let run = 0;
+    for (const token of title.split(/[\s,、]+/)) {
+      const bare = token.replace(/[【】()（）[\]]/g, '');
+      if (bare && this.MODEL_TOKEN_PATTERN.test(bare) && !this.SPEC_TOKEN_PATTERN.test(bare)) {
+        run++;
+        maxItems = Math.max(maxItems, run);
+      } else {
+        run = 0;
+      }
+    }
+
+    return maxItems;
+  },
+
+  /**
+   * 括弧ブロック（【】[]）の数と、括弧内の文字数の本文に対する比率を取得
+   * @param {string} title - 商品タイトル（正規化済み）
+   * @returns {{blocks: number, ratio: number}} 括弧の数と比率
+   */
+  getBracketStats(title) {
+    const blocks = title.match(/【[^】]*】|\[[^\]]*\]/g) || [];
+    const bracketLength = blocks.reduce((sum, block) => sum + block.length - 2, 0);
+    const contentLength = title.replace(/【[^】]*】|\[[^\]]*\]/g, '').replace(/\s+/g, '').length;
+
+    return {
+      blocks: blocks.length,
+      ratio: Number((bracketLength / Math.max(contentLength, 1)).toFixed(2))
+    };
+  },
+
   /**
    * スコアに基づいて警告レベルを取得
    * @param {number} score - スコア
@@ -167,6 +587,35 @@ const TitleChecker = {
   }
 };
 
+// スコア計算に登録（誇張表現・タイトル長・整ったタイトルと、キーワード詰め込みは別のスコアとして扱う）
+// 整ったタイトルは、ブランドリンク・商品ページのブランド表記から取得したブランド名で始まる場合のみ判定する
+if (typeof ScoreCalculator !== 'undefined') {
+  ScoreCalculator.registerChecker({
+    id: 'title',
+    label: 'タイトル',
+    order: 20,
+    check(productInfo, config) {
+      const titleResult = TitleChecker.checkTitle(productInfo.title, config.titlePatterns);
+      const formatResult = TitleChecker.checkTitleFormat(
+        productInfo.title,
+        TitleChecker.INDEPENDENT_BRAND_SOURCES.includes(productInfo.brandSource) ? productInfo.brandName : '',
+        config.titleFormat,
+        config.brandAliases
+      );
+      return {
+        score: titleResult.score + formatResult.score,
+        reasons: [...titleResult.reasons, ...formatResult.reasons]
+      };
+    }
+  });
+  ScoreCalculator.registerChecker({
+    id: 'keywordStuffing',
+    label: 'キーワード詰め込み',
+    order: 30,
+    check: (productInfo) => TitleChecker.checkKeywordStuffing(productInfo.title)
+  });
+}
+
 // グローバルに公開
 if (typeof globalThis !== 'undefined') {
   globalThis.TitleChecker = TitleChecker;
@@ -0,0 +1,147 @@
+/**
+ * Clean Amazon Search - タイトル分類器
+ * @fileoverview 商品タイトルの文字n-gramによるナイーブベイズ分類器で、転売品・粗悪品の出品に多いタイトルの傾向を判定するモジュール。
+ * 重みは tools/train-title-classifier.js でラベル付きのタイトルから生成した config/title-classifier.json を使い、
+ * 判定はすべてブラウザ内で行う
+ * @module title-classifier
+ * @requires text-normalizer.js
+ */
+
+'use strict';
+
+/**
+ * タイトル分類器オブジェクト
+ * @namespace TitleClassifier
+ */
+const TitleClassifier = {
+  /**
+   * 判定するタイトルの最小文字数（短いタイトルはn-gramが少なく判定が不安定なため）
+   * @type {number}
+   */
+  DEFAULT_MIN_LENGTH: 15,
+
+  /**
+   * 比較用にタイトルを正規化（NFKC・紛らわしい文字の統一・小文字化・数字を0に統一）
+   * 数字を統一するのは「25000mAh」「10000mAh」のような容量や年式の違いを同じ特徴として扱うため
+   * @param {string} title - 商品タイトル
+   * @returns {string} 正規化したタイトル
+   */
+  normalize(title) {
+    if (!title || typeof title !== 'string') {
+      return '';
+    }
+    const text = typeof TextNormalizer !== 'undefined'
+      ? TextNormalizer.toMatchText(title)
+      : title.normalize('NFKC').replace(/\s+/g, ' ').trim();
+    return text.toLowerCase().replace(/[0-9]/g, '0');
+  },
+
+  /**
+   * タイトルの文字n-gramを取得（1タイトルにつき同じn-gramは1回だけ数える）
+   * @param {string} title - 商品タイトル
+   * @param {number[]} [sizes=[2, 3]] - n-gramの文字数
+   * @param {string[]} [ignoredWords=[]] - n-gramを作る前に取り除く語（正規化済み。色など出品の良し悪しと関係のない属性）
+   * @returns {Set<string>} n-gramの集合
+   * @example
+   * TitleClassifier.getNgrams('【最新】', [2]); // => Set {'【最', '最新', '新】'}
+   */
+  getNgrams(title, sizes = [2, 3], ignoredWords = []) {
+    let text = this.normalize(title);
+    for (const word of ignoredWords) {
+      // 英字・カタカナの語は単語の一部（bluetoothのblue、グレードのグレー）を取り除かないよう前後を確認する
+      const letters = /^[a-z]+$/.test(word) ? 'a-z' : /^[ァ-ヶー]+$/.test(word) ? 'ァ-ヶー' : null;
+      text = letters
+        ? text.replace(new RegExp(`(?<![${letters}])${word}(?![${letters}])`, 'g'), ' ')
+        : text.split(word).join(' ');
+    }
+    const chars = Array.from(text);
+    const ngrams = new Set();
+    for (const size of sizes) {
+      for (let i = 0; i + size <= chars.length; i++) {
+        const ngram = chars.slice(i, i + size).join('');
+        // 空白だけ・空白で始まる/終わるn-gramは単語の区切りの情報しかないため除く
+        if (ngram.trim().length === ngram.length) {
+          ngrams.add(ngram);
+        }
+      }
+    }
+    return ngrams;
+  },
+
+  /**
+   * タイトルが怪しい出品である確率を計算
+   * @param {string} title - 商品タイトル
+   * @param {{ngram_sizes: number[], ignored_words?: string[], bias: number, weights: Object<string, number>, calibration: {scale: number, offset: number}}} model - 重み（config/title-classifier.json）
+   * @returns {{probability: number, logOdds: number, matched: number}} 確率・対数オッズ（較正前）・重みのあるn-gramの数
+   */
+  classify(title, model) {
+    let logOdds = model.bias || 0;
+    let matched = 0;
+    for (const ngram of this.getNgrams(title, model.ngram_sizes, model.ignored_words)) {
+      const weight = model.weights[ngram];
+      if (weight !== undefined) {
+        logOdds += weight;
+        matched++;
+      }
+    }
+
+    // ナイーブベイズの対数オッズは極端になりやすいため、学習時に求めた傾きと切片で確率に較正する
+    const { scale = 1, offset = 0 } = model.calibration || {};
+    const probability = 1 / (1 + Math.exp(-(scale * logOdds + offset)));
+    return { probability, logOdds, matched };
+  },
+
+  /**
+   * タイトルを判定してスコアを計算
+   * @param {string} title - 商品タイトル
+   * @param {Object|null} model - 重み（読み込めない場合はnull = 判定しない）
+   * @returns {{score: number, reasons: string[], probability: number|null}} 判定結果
+   */
+  checkTitle(title, model) {
+    const result = { score: 0, reasons: [], probability: null };
+    if (!model || !model.weights || !title) {
+      return result;
+    }
+
+    const minLength = model.scoring?.min_length ?? this.DEFAULT_MIN_LENGTH;
+    if (Array.from(title).length < minLength) {
+      return result;
+    }
+
+    const { probability } = this.classify(title, model);
+    result.probability = probability;
+
+    // 学習データが実際の出品のタイトルになるまではスコアに加算しない（scoring.enabled）
+    if (model.scoring?.enabled !== true) {
+      return result;
+    }
+
+    // 確率の高い段階から当てはめる
+    const tiers = [...(model.scoring?.tiers || [])].sort((a, b) => b.min_probability - a.min_probability);
+    const tier = tiers.find(item => probability >= item.min_probability);
+    if (tier) {
+      result.score = tier.score;
+      result.reasons.push(`タイトルの傾向が怪しい出品に近い（分類器 ${Math.round(probability * 100)}%）`);
+    }
+
+    return result;
+  }
+};
+
+// スコア計算に登録
+if (typeof ScoreCalculator !== 'undefined') {
+  ScoreCalculator.registerChecker({
+    id: 'titleModel',
+    label: 'タイトル分類器',
+    order: 35,
+    check: (productInfo, config) => TitleClassifier.checkTitle(productInfo.title, config.titleClassifier)
+  });
+}
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.TitleClassifier = TitleClassifier;
+}
+if (typeof window !== 'undefined') {
+  window.TitleClassifier = TitleClassifier;
+}
@@ -0,0 +1,277 @@
+/**
+ * Clean Amazon Search - 判定のキャッシュ
+ * @fileoverview 商品（ASIN）ごとの判定結果（フィルターレベルに依存しないスコアと内訳）をchrome.storage.localに保存し、
+ * 検索結果ページと商品詳細ページで同じ商品の判定をそろえるモジュール。
+ * 保存・読み込みはService Worker（background.js）で直列に行い、各ページはメッセージで読み書きする。
+ * 信頼ブランド・除外ブランド・カスタムルール・学習モードが変わった場合や拡張機能の更新時はすべて破棄する
+ * @module verdict-cache
+ * @requires score-calculator.js (ページ側で判定結果に戻す場合)
+ */
+
+'use strict';
+
+/**
+ * 判定のキャッシュオブジェクト
+ * @namespace VerdictCache
+ */
+const VerdictCache = {
+  /**
+   * chrome.storage.localのキー
+   * @type {string}
+   */
+  STORAGE_KEY: 'verdictCache',
+
+  /**
+   * キャッシュの設定
+   * @type {Object}
+   */
+  CONFIG: {
+    /** 有効期限（価格・レビュー数・ブランドの記録の変化を反映するため1日） */
+    TTL: 24 * 60 * 60 * 1000,
+    /** 保存する最大件数（超えた分は古いものから削除） */
+    MAX_ENTRIES: 3000
+  },
+
+  /**
+   * 判定したページの種類
+   * @type {Object}
+   */
+  SOURCES: {
+    SEARCH: 'search',
+    PRODUCT: 'product'
+  },
+
+  /**
+   * 変更されたらキャッシュを破棄する設定（判定のスコアが変わるもの）
+   * フィルターレベル・広告の扱いは読み込み時に判定し直すため含めない
+   * @type {{sync: string[], local: string[]}}
+   */
+  INVALIDATED_BY: {
+    sync: ['customBrands', 'excludedBrands', 'customRules'],
+    local: ['learnedScorerMode', 'learnedModel']
+  },
+
+  /**
+   * 書き込みの順番待ち（複数のタブからの読み書きと破棄をService Workerで直列に実行する）
+   * @type {Promise<void>}
+   */
+  writeQueue: Promise.resolve(),
+
+  /**
+   * 商品情報とスコア結果からキャッシュのエントリーを作成
+   * @param {Object} productInfo - 商品情報（asin・brandName・titleを使用）
+   * @param {{score: number, isTrusted: boolean, breakdown: Object[], forcedVerdict?: string|null, categoryProfile?: Object|null, category?: string}} scoreResult - スコア結果
+   * @param {'search'|'product'} source - 判定したページの種類
+   * @param {boolean} [hasSeller=false] - 出品者の情報（住所・出品者名）を使って判定したか
+   * @returns {Object|null} エントリー（ASINがない場合はnull）
+   */
+  createEntry(productInfo, scoreResult, source, hasSeller = false) {
+    if (!productInfo?.asin || !scoreResult || typeof scoreResult.score !== 'number') {
+      return null;
+    }
+
+    return {
+      asin: productInfo.asin,
+      brandName: productInfo.brandName || '',
+      title: productInfo.title || '',
+      score: scoreResult.score,
+      isTrusted: Boolean(scoreResult.isTrusted),
+      forcedVerdict: scoreResult.forcedVerdict || null,
+      categoryProfile: scoreResult.categoryProfile || null,
+      category: scoreResult.category || '',
+      breakdown: (scoreResult.breakdown || []).map(entry => ({ ...entry, reasons: [...(entry.reasons || [])] })),
+      source,
+      hasSeller: Boolean(hasSeller),
+      cachedAt: Date.now()
+    };
+  },
+
+  /**
+   * エントリーから判定結果（ProductFilter.calculateScoreと同じ形式）を作成
+   * 判定は読み込んだページのフィルターレベルで決め直す
+   * @param {Object} entry - エントリー
+   * @param {number} filterLevel - フィルターレベル
+   * @returns {{score: number, reasons: string[], isTrusted: boolean, breakdown: Object[], forcedVerdict: string|null, categoryProfile: Object|null, category: string, verdict: string, action: string, cached: boolean}} スコア結果
+   */
+  toScoreResult(entry, filterLevel) {
+    const verdict = ScoreCalculator.determineVerdict(entry.score, entry.isTrusted, filterLevel, entry.forcedVerdict, entry.categoryProfile);
+    return {
+      score: entry.score,
+      reasons: ScoreCalculator.getAllReasons(entry.breakdown),
+      isTrusted: entry.isTrusted,
+      breakdown: entry.breakdown,
+      forcedVerdict: entry.forcedVerdict,
+      categoryProfile: entry.categoryProfile,
+      category: entry.category || '',
+      verdict,
+      action: ScoreCalculator.VERDICT_ACTIONS[verdict],
+      cached: true
+    };
+  },
+
+  /**
+   * エントリーが有効期限内かどうか
+   * @param {Object} entry - エントリー
+   * @param {number} [now=Date.now()] - 現在時刻
+   * @returns {boolean} 有効期限内の場合true
+   */
+  isFresh(entry, now = Date.now()) {
+    return Boolean(entry) && typeof entry.cachedAt === 'number' && now - entry.cachedAt < this.CONFIG.TTL;
+  },
+
+  /**
+   * エントリーが同じカテゴリで判定したものかどうか
+   * カテゴリごとに判定プロファイル（閾値・重み）と信頼ブランドの対象カテゴリが変わるため、別のカテゴリの判定は使わない
+   * @param {Object} entry - エントリー
+   * @param {string} category - 判定するカテゴリ（ScoreCalculator.getCategoryの戻り値）
+   * @returns {boolean} 同じカテゴリの場合true
+   */
+  matchesCategory(entry, category) {
+    return Boolean(entry) && (entry.category || '') === (category || '');
+  },
+
+  /**
+   * エントリーの判定に使った情報の多さ
+   * 商品詳細ページの判定（ページのブランド表記を使う）は検索結果の判定（タイトルから推定したブランド名）より優先し、
+   * 同じページの種類では出品者の情報を使った判定を優先する
+   * @param {Object} entry - エントリー
+   * @returns {number} 大きいほど優先
+   */
+  getRank(entry) {
+    return (entry.source === this.SOURCES.PRODUCT ? 2 : 0) + (entry.hasSeller ? 1 : 0);
+  },
+
+  /**
+   * 保存済みのエントリーを新しいエントリーで置き換えるか
+   * 同じカテゴリでは情報の少ない判定で上書きせず、別のカテゴリで判定し直した場合は新しい判定で置き換える
+   * @param {Object|undefined} existing - 保存済みのエントリー
+   * @param {Object} entry - 新しいエントリー
+   * @returns {boolean} 置き換える場合true
+   */
+  shouldReplace(existing, entry) {
+    return !this.isFresh(existing) ||
+      !this.matchesCategory(existing, entry.category) ||
+      this.getRank(entry) >= this.getRank(existing);
+  },
+
+  /**
+   * 変更された設定がキャッシュを破棄するものかどうか
+   * ブランドの記録はリセットされた場合のみ（表示のたびに更新されるため、通常の変化は有効期限で反映する）
+   * @param {Object} changes - chrome.storage.onChangedの変更内容
+   * @param {string} areaName - 'sync' | 'local'
+   * @returns {boolean} 破棄する場合true
+   */
+  isInvalidatingChange(changes, areaName) {
+    if ((this.INVALIDATED_BY[areaName] || []).some(key => key in changes)) {
+      return true;
+    }
+    return areaName === 'local' && 'brandReputation' in changes && changes.brandReputation.newValue === undefined;
+  },
+
+  /**
+   * 有効期限切れと上限を超えた古いエントリーを削除
+   * @param {Object<string, Object>} entries - ASINをキーにしたエントリー
+   * @returns {Object<string, Object>} 削除後のエントリー
+   */
+  prune(entries) {
+    const now = Date.now();
+    return Object.fromEntries(Object.entries(entries || {})
+      .filter(([, entry]) => this.isFresh(entry, now))
+      .sort((a, b) => b[1].cachedAt - a[1].cachedAt)
+      .slice(0, this.CONFIG.MAX_ENTRIES));
+  },
+
+  /**
+   * chrome.storage.localからキャッシュを読み込み
+   * generationは破棄するたびに増える番号で、破棄する前に判定したエントリーの書き込みを防ぐために使う
+   * @returns {Promise<{generation: number, entries: Object<string, Object>}>} キャッシュ
+   */
+  async load() {
+    try {
+      const result = await chrome.storage.local.get(this.STORAGE_KEY);
+      const store = result[this.STORAGE_KEY];
+      return {
+        generation: typeof store?.generation === 'number' ? store.generation : 0,
+        entries: store?.entries || {}
+      };
+    } catch (error) {
+      console.error('[VerdictCache] Failed to load:', error);
+      return { generation: 0, entries: {} };
+    }
+  },
+
+  /**
+   * 処理を順番待ちに加える（直列に実行）
+   * @param {function(): Promise<*>} task - 処理
+   * @returns {Promise<*>} 処理の結果
+   */
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.then(() => undefined, (error) => {
+      console.error('[VerdictCache] Failed to update:', error);
+    });
+    return result;
+  },
+
+  /**
+   * ASINの有効期限内のエントリーを取得
+   * @param {string[]} asins - ASIN
+   * @returns {Promise<{generation: number, verdicts: Object<string, Object>}>} 世代とASINをキーにしたエントリー（ないものは含まない）
+   */
+  get(asins) {
+    return this.enqueue(async () => {
+      const { generation, entries } = await this.load();
+      const now = Date.now();
+      const verdicts = {};
+      for (const asin of Array.isArray(asins) ? asins : []) {
+        if (this.isFresh(entries[asin], now)) {
+          verdicts[asin] = entries[asin];
+        }
+      }
+      return { generation, verdicts };
+    });
+  },
+
+  /**
+   * エントリーを保存（読み込んだ後にキャッシュが破棄されていた場合は保存しない）
+   * @param {Object[]} entries - createEntryで作成したエントリー
+   * @param {number} generation - 判定に使ったキャッシュを読み込んだときの世代
+   * @returns {Promise<boolean>} 保存した場合true
+   */
+  put(entries, generation) {
+    return this.enqueue(async () => {
+      const store = await this.load();
+      if (generation !== store.generation || !Array.isArray(entries) || entries.length === 0) {
+        return false;
+      }
+
+      for (const entry of entries) {
+        if (!entry?.asin || typeof entry.score !== 'number') continue;
+        if (this.shouldReplace(store.entries[entry.asin], entry)) {
+          store.entries[entry.asin] = entry;
+        }
+      }
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: { generation, entries: this.prune(store.entries) } });
+      return true;
+    });
+  },
+
+  /**
+   * すべてのエントリーを破棄し、世代を進める
+   * @returns {Promise<void>}
+   */
+  invalidate() {
+    return this.enqueue(async () => {
+      const { generation } = await this.load();
+      await chrome.storage.local.set({ [this.STORAGE_KEY]: { generation: generation + 1, entries: {} } });
+    });
+  }
+};
+
+// グローバルに公開
+if (typeof globalThis !== 'undefined') {
+  globalThis.VerdictCache = VerdictCache;
+}
+if (typeof window !== 'undefined') {
+  window.VerdictCache = VerdictCache;
+}
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+/**
+ * Clean Amazon Search - ブランド名の判定の回帰チェックスクリプト
+ * @fileoverview tools/fixtures/brand-names.json のブランド名で、有名ブランドの模倣の判定（config/trusted-brands.json の信頼ブランドと照合）と
+ * ランダムな文字列の判定（config/gibberish-model.json）が期待どおりかを確認する。
+ * BrandChecker・信頼ブランドを変更したり、モデルを再生成したりしたら実行する。
+ *
+ * 使い方:
+ *   node tools/check-brand-names.js [--verbose]
+ *
+ * 期待と異なるブランド名があれば一覧を表示して終了コード1で終了する。
+ *
+ * @module tools/check-brand-names
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// 拡張機能と同じ順序で読み込む（グローバルに公開される）
+require(path.join(ROOT_DIR, 'scripts', 'text-normalizer.js'));
+require(path.join(ROOT_DIR, 'scripts', 'brand-checker.js'));
+
+/** @constant {string} フィクスチャのパス */
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'brand-names.json');
+
+/**
+ * 信頼ブランドリストを読み込み（全カテゴリを結合）
+ * @returns {string[]} 信頼ブランド
+ */
+function loadTrustedBrands() {
+  const data = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'config', 'trusted-brands.json'), 'utf8'));
+  return Object.values(data.brands || {}).flatMap(category => category.list || []);
+}
+
+/**
+ * 有名ブランドの模倣の判定を確認
+ * @param {Array<{brand: string, expect: string|null}>} cases - ケース
+ * @param {string[]} trustedBrands - 信頼ブランド
+ * @param {boolean} verbose - 全件を表示するかどうか
+ * @returns {string[]} 期待と異なるケースの説明
+ */
+function checkLookalike(cases, trustedBrands, verbose) {
+  const { BrandChecker, TextNormalizer } = globalThis;
+  const failures = [];
+
+  for (const { brand, expect, note } of cases) {
+    const matchName = TextNormalizer.foldConfusables(TextNormalizer.normalize(brand));
+    const found = BrandChecker.isTrustedBrand(matchName, trustedBrands)
+      ? null
+      : BrandChecker.findLookalikeBrand(matchName, trustedBrands);
+    const actual = found ? found.brand : null;
+    const ok = (actual || '').toLowerCase() === (expect || '').toLowerCase();
+
+    if (!ok) {
+      failures.push(`lookalike ${brand}: ${actual}（期待: ${expect}）${note ? ` ${note}` : ''}`);
+    }
+    if (verbose) {
+      console.log(`${ok ? 'OK ' : 'NG '} lookalike ${brand} → ${actual}${found ? ` (${found.kind}, ${found.distance})` : ''}`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * ランダムな文字列の判定（スコアを加算するかどうか）を確認
+ * @param {Array<{brand: string, expect: boolean}>} cases - ケース
+ * @param {Object} model - config/gibberish-model.json の内容
+ * @param {boolean} verbose - 全件を表示するかどうか
+ * @returns {string[]} 期待と異なるケースの説明
+ */
+function checkGibberish(cases, model, verbose) {
+  const { BrandChecker, TextNormalizer } = globalThis;
+  const failures = [];
+
+  for (const { brand, expect, note } of cases) {
+    const matchName = TextNormalizer.foldConfusables(TextNormalizer.normalize(brand));
+    const likelihood = BrandChecker.getGibberishLikelihood(matchName, model);
+    const flagged = likelihood !== null && BrandChecker.getGibberishScore(likelihood) > 0;
+    const percent = likelihood === null ? '-' : `${Math.round(likelihood * 100)}%`;
+
+    if (flagged !== expect) {
+      failures.push(`gibberish ${brand}: ${flagged}（${percent}、期待: ${expect}）${note ? ` ${note}` : ''}`);
+    }
+    if (verbose) {
+      console.log(`${flagged === expect ? 'OK ' : 'NG '} gibberish ${brand} → ${flagged} (${percent})`);
+    }
+  }
+
+  return failures;
+}
+
+/**
+ * フィクスチャを評価
+ */
+function main() {
+  const verbose = process.argv.includes('--verbose');
+  const fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+  const trustedBrands = loadTrustedBrands();
+  const model = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'config', 'gibberish-model.json'), 'utf8'));
+
+  const lookalikeFailures = checkLookalike(fixture.lookalike || [], trustedBrands, verbose);
+  const gibberishFailures = checkGibberish(fixture.gibberish || [], model, verbose);
+  const failures = [...lookalikeFailures, ...gibberishFailures];
+
+  console.log(`[check-brand-names] lookalike ${(fixture.lookalike || []).length} names, ${lookalikeFailures.length} failed`);
+  console.log(`[check-brand-names] gibberish ${(fixture.gibberish || []).length} names, ${gibberishFailures.length} failed`);
+
+  if (failures.length > 0) {
+    failures.forEach(failure => console.log(`  ${failure}`));
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Clean Amazon Search - 画像ハッシュの評価スクリプト
+ * @fileoverview tools/fixtures/image-hashes.json のローカル画像でImageHasherの差分ハッシュを計算し、
+ * ほぼ同じ画像どうしがまとめられ、別の画像がまとめられないことを確認する。
+ * ハッシュの計算方法や同じとみなす距離を変更したら実行する。
+ *
+ * 使い方:
+ *   node tools/check-image-hashes.js [--verbose]
+ *
+ * 画像はPNG（8bit、グレー・RGB・RGBA、インターレースなし）のみ対応。
+ * 誤判定があれば一覧を表示して終了コード1で終了する。
+ *
+ * @module tools/check-image-hashes
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// 拡張機能と同じモジュールを読み込む（グローバルに公開される）
+require(path.join(ROOT_DIR, 'scripts', 'image-hasher.js'));
+
+/** @constant {string} フィクスチャのパス */
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'image-hashes.json');
+
+/** @constant {Object<number, number>} PNGのカラータイプごとのチャンネル数 */
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 };
+
+/**
+ * PNGファイルを画素データに展開
+ * @param {Buffer} buffer - PNGファイルの内容
+ * @returns {{pixels: Uint8Array, width: number, height: number, channels: number}} 画素データ
+ * @throws {Error} 対応していない形式の場合
+ */
+function decodePng(buffer) {
+  if (buffer.readUInt32BE(0) !== 0x89504e47) {
+    throw new Error('PNGではありません');
+  }
+
+  let offset = 8;
+  let header = null;
+  const chunks = [];
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12]
+      };
+    } else if (type === 'IDAT') {
+      chunks.push(data);
+    } else if (type === 'IEND') {
+      break;
+    }
+    offset += length + 12;
+  }
+
+  const channels = PNG_CHANNELS[header?.colorType];
+  if (!header || header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error('対応していないPNG形式です（8bit・グレー/RGB/RGBA・インターレースなしのみ）');
+  }
+
+  const { width, height } = header;
+  const raw = zlib.inflateSync(Buffer.concat(chunks));
+  const stride = width * channels;
+  const pixels = new Uint8Array(stride * height);
+
+  // 行ごとのフィルター（None / Sub / Up / Average / Paeth）を戻す
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[y * stride + x - channels] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = y > 0 && x >= channels ? pixels[(y - 1) * stride + x - channels] : 0;
+      let predictor = 0;
+      switch (filter) {
+        case 1: predictor = left; break;
+        case 2: predictor = up; break;
+        case 3: predictor = (left + up) >> 1; break;
+        case 4: {
+          const p = left + up - upLeft;
+          const pa = Math.abs(p - left);
+          const pb = Math.abs(p - up);
+          const pc = Math.abs(p - upLeft);
+          predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+          break;
+        }
+      }
+      pixels[y * stride + x] = (line[x] + predictor) & 0xff;
+    }
+  }
+
+  return { pixels, width, height, channels };
+}
+
+/**
+ * フィクスチャを評価
+ */
+function main() {
+  const verbose = process.argv.includes('--verbose');
+  const { images } = require(FIXTURE_PATH);
+  const { ImageHasher } = globalThis;
+  const maxDistance = ImageHasher.DUPLICATE_MAX_DISTANCE;
+
+  const hashes = images.map(({ file }) => {
+    const { pixels, width, height, channels } = decodePng(fs.readFileSync(path.join(__dirname, 'fixtures', file)));
+    return ImageHasher.dHash(pixels, width, height, channels);
+  });
+
+  if (verbose) {
+    images.forEach(({ file, group }, index) => console.log(`${hashes[index]} [${group}] ${file}`));
+  }
+
+  // すべての組み合わせで、同じグループは距離以内・別のグループは距離超えになっているか
+  const failures = [];
+  let pairs = 0;
+  for (let i = 0; i < images.length; i++) {
+    for (let j = i + 1; j < images.length; j++) {
+      pairs++;
+      const distance = ImageHasher.hammingDistance(hashes[i], hashes[j]);
+      const expected = images[i].group === images[j].group;
+      const detected = distance <= maxDistance;
+      if (verbose) {
+        console.log(`${detected === expected ? 'OK ' : 'NG '} ${distance.toString().padStart(2)} ${images[i].file} - ${images[j].file}`);
+      }
+      if (detected !== expected) {
+        failures.push({ a: images[i], b: images[j], distance, expected });
+      }
+    }
+  }
+
+  const groups = ImageHasher.groupSimilar(hashes, maxDistance)
+    .map(group => group.map(index => images[index].group));
+
+  console.log(`[check-image-hashes] ${images.length} images, ${pairs} pairs, max distance ${maxDistance}`);
+  console.log('[check-image-hashes] groups:', groups.map(group => group.join(',')).join(' / ') || '(none)');
+
+  if (failures.length > 0) {
+    console.log('[check-image-hashes] misgrouped pairs:');
+    for (const { a, b, distance, expected } of failures) {
+      console.log(`  ${expected ? 'missed' : 'false match'} distance=${distance} ${a.file} - ${b.file}`);
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+/**
+ * Clean Amazon Search - 日本語チェッカーの評価スクリプト
+ * @fileoverview ラベル付きタイトル（デフォルトは tools/fixtures/japanese-titles.json）で
+ * JapaneseCheckerの検出結果を確認する。判定を変更したら実行し、誤検出・見逃しがないことを確認する。
+ *
+ * 使い方:
+ *   node tools/check-japanese-titles.js [JSONのパス] [--verbose]
+ *
+ * JSONは { "titles": [{ "label": "natural" | "unnatural", "title": "...", "source": "..." }] } の形式。
+ * source には実際の出品の出典（ASIN・URLと取得日）を書く。出典のないタイトルは例文として扱い、
+ * 適合率・再現率は出典のあるタイトル（実際の出品）と例文で分けて表示する（例文の値は実際の出品での精度ではない）。
+ *
+ * 誤判定があれば一覧を表示して終了コード1で終了する。
+ *
+ * @module tools/check-japanese-titles
+ */
+
+'use strict';
+
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// 拡張機能と同じ順序で読み込む（グローバルに公開される）
+require(path.join(ROOT_DIR, 'scripts', 'text-normalizer.js'));
+require(path.join(ROOT_DIR, 'scripts', 'japanese-checker.js'));
+
+/** @constant {string} フィクスチャのデフォルト */
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'japanese-titles.json');
+
+/**
+ * フィクスチャを評価
+ */
+function main() {
+  const args = process.argv.slice(2);
+  const verbose = args.includes('--verbose');
+  const fixturePath = args.find(arg => !arg.startsWith('--'));
+  const fixtures = require(fixturePath ? path.resolve(fixturePath) : FIXTURE_PATH).titles;
+  const { JapaneseChecker, TextNormalizer } = globalThis;
+
+  const counts = {
+    sourced: { tp: 0, fp: 0, tn: 0, fn: 0 },
+    examples: { tp: 0, fp: 0, tn: 0, fn: 0 }
+  };
+  const failures = [];
+
+  for (const { label, title, source } of fixtures) {
+    const result = JapaneseChecker.checkTitle(TextNormalizer.normalize(title), title);
+    const detected = result.score > 0;
+    const expected = label === 'unnatural';
+    const group = source ? counts.sourced : counts.examples;
+
+    if (detected && expected) group.tp++;
+    else if (detected && !expected) group.fp++;
+    else if (!detected && expected) group.fn++;
+    else group.tn++;
+
+    if (detected !== expected) {
+      failures.push({ label, title, result });
+    }
+    if (verbose) {
+      console.log(`${detected === expected ? 'OK ' : 'NG '} [${label}] ${result.score} ${title}`);
+      result.reasons.forEach(reason => console.log(`      ${reason}`));
+    }
+  }
+
+  console.log(`[check-japanese-titles] ${fixtures.length} titles`);
+  for (const [name, group] of Object.entries(counts)) {
+    const total = group.tp + group.fp + group.tn + group.fn;
+    if (total === 0) {
+      console.log(`[check-japanese-titles] ${name}: なし`);
+      continue;
+    }
+    const precision = group.tp / Math.max(group.tp + group.fp, 1);
+    const recall = group.tp / Math.max(group.tp + group.fn, 1);
+    console.log(`[check-japanese-titles] ${name}: ${total} titles, precision ${precision.toFixed(3)}, recall ${recall.toFixed(3)}`, group);
+  }
+  if (counts.sourced.tp + counts.sourced.fp + counts.sourced.tn + counts.sourced.fn === 0) {
+    console.log('[check-japanese-titles] 出典のあるタイトルがないため、実際の出品での精度は評価していない');
+  }
+
+  if (failures.length > 0) {
+    console.log('[check-japanese-titles] misclassified:');
+    for (const { label, title, result } of failures) {
+      console.log(`  [${label}] score=${result.score} ${title}`);
+      result.reasons.forEach(reason => console.log(`      ${reason}`));
+    }
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Clean Amazon Search - 判定の回帰チェックスクリプト
+ * @fileoverview tools/fixtures/scoring-cases.json の商品情報を、拡張機能と同じチェッカー・設定ファイルで
+ * ScoreCalculator.calculateScoreにかけ、判定・信頼扱い・理由が期待どおりかを確認する。
+ * チェッカーや設定ファイルを変更したら実行する。
+ *
+ * 使い方:
+ *   node tools/check-scoring.js [--verbose]
+ *
+ * 各ケースの形式:
+ *   { "name": "...", "productInfo": { ... }, "filterLevel": 2,
+ *     "brandReputation": { "<ブランド名>": <BrandReputationの記録> },
+ *     "expect": { "verdict": "danger", "isTrusted": false,
+ *                 "reasonsInclude": ["理由の一部"], "reasonsExclude": ["理由の一部"] } }
+ *
+ * 期待と異なるケースがあれば一覧を表示して終了コード1で終了する。
+ *
+ * @module tools/check-scoring
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+/** @constant {string} フィクスチャのパス */
+const FIXTURE_PATH = path.join(__dirname, 'fixtures', 'scoring-cases.json');
+
+/**
+ * 拡張機能のAPIのうち、設定の読み込みに使うものだけを用意する
+ * ストレージは空（カスタムブランド・カスタムルール等はなし）として扱う
+ */
+function setupExtensionGlobals() {
+  const emptyStorage = {
+    get: (keys, callback) => (callback ? callback({}) : Promise.resolve({}))
+  };
+  globalThis.window = globalThis;
+  globalThis.location = { href: 'https://www.amazon.co.jp/s?k=' };
+  globalThis.document = { querySelector: () => null, querySelectorAll: () => [] };
+  globalThis.chrome = {
+    runtime: { getURL: relativePath => relativePath },
+    storage: { local: emptyStorage, sync: emptyStorage }
+  };
+  globalThis.fetch = async relativePath => {
+    const text = fs.readFileSync(path.join(ROOT_DIR, relativePath), 'utf8');
+    return { ok: true, json: async () => JSON.parse(text) };
+  };
+}
+
+/**
+ * 検索結果ページと同じ順序でスクリプトを読み込む（グローバルに公開される）
+ */
+function loadScripts() {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT_DIR, 'manifest.json'), 'utf8'));
+  const scripts = manifest.content_scripts[0].js.filter(file => !file.endsWith('content.js'));
+  for (const file of scripts) {
+    require(path.join(ROOT_DIR, file));
+  }
+}
+
+/**
+ * 1つのケースを評価
+ * @param {Object} testCase - ケース
+ * @param {Object} baseConfig - ProductFilter.loadConfigの戻り値
+ * @returns {{result: Object, problems: string[]}} 判定結果と期待との違い
+ */
+function checkCase(testCase, baseConfig) {
+  const { BrandReputation, ScoreCalculator } = globalThis;
+  const brandReputation = {};
+  for (const [brandName, record] of Object.entries(testCase.brandReputation || {})) {
+    brandReputation[BrandReputation.getKey(brandName, baseConfig.brandAliases)] = { name: brandName, ...record };
+  }
+
+  const config = { ...baseConfig, brandReputation };
+  const result = ScoreCalculator.calculateScore(testCase.productInfo, config, testCase.filterLevel);
+  const expect = testCase.expect || {};
+  const problems = [];
+
+  if (expect.verdict && result.verdict !== expect.verdict) {
+    problems.push(`判定 ${result.verdict}（期待: ${expect.verdict}）`);
+  }
+  if (typeof expect.isTrusted === 'boolean' && result.isTrusted !== expect.isTrusted) {
+    problems.push(`信頼扱い ${result.isTrusted}（期待: ${expect.isTrusted}）`);
+  }
+  for (const text of expect.reasonsInclude || []) {
+    if (!result.reasons.some(reason => reason.includes(text))) {
+      problems.push(`理由「${text}」がない`);
+    }
+  }
+  for (const text of expect.reasonsExclude || []) {
+    if (result.reasons.some(reason => reason.includes(text))) {
+      problems.push(`理由「${text}」がある`);
+    }
+  }
+
+  return { result, problems };
+}
+
+/**
+ * フィクスチャを評価
+ */
+async function main() {
+  const verbose = process.argv.includes('--verbose');
+  setupExtensionGlobals();
+  loadScripts();
+
+  const { cases } = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+  const baseConfig = await globalThis.ProductFilter.loadConfig();
+  const failures = [];
+
+  for (const testCase of cases) {
+    const { result, problems } = checkCase(testCase, baseConfig);
+    if (problems.length > 0) {
+      failures.push({ testCase, result, problems });
+    }
+    if (verbose) {
+      console.log(`${problems.length === 0 ? 'OK ' : 'NG '} ${testCase.name}: ${result.verdict} (${result.score})`);
+      result.reasons.forEach(reason => console.log(`      ${reason}`));
+    }
+  }
+
+  console.log(`[check-scoring] ${cases.length} cases, ${failures.length} failed`);
+
+  if (failures.length > 0) {
+    for (const { testCase, result, problems } of failures) {
+      console.log(`  ${testCase.name}: ${problems.join(' / ')}`);
+      result.reasons.forEach(reason => console.log(`      ${reason}`));
+    }
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error('[check-scoring] failed:', error);
+  process.exitCode = 1;
+});
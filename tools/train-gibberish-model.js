@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+/**
+ * Clean Amazon Search - ランダム文字列判定モデルの学習スクリプト
+ * @fileoverview 信頼ブランドリスト・実在するブランド名のリストと英単語・ローマ字の単語リストから文字trigramモデル（実在の名前らしさ）を、
+ * 転売品に多いブランド名のリストから文字trigramモデル（転売品のブランド名らしさ、一様分布と混合）を作成し、
+ * config/gibberish-model.json に出力する。ブランドリストを更新したら再実行する。
+ * 2つのモデルの1文字あたり平均対数確率の差で判定し、閾値は実在するブランド名（陰性）と
+ * ランダムな文字列・転売品に多いブランド名（陽性）を分ける値に較正する。
+ * 学習に使っていない名前での精度は、5分割の交差検証で表示する（BrandCheckerがスコアを加算する尤度で判定）。
+ * 出力は入力だけで決まる（同じ入力なら同じファイルになる）。
+ *
+ * 使い方:
+ *   node tools/train-gibberish-model.js
+ *
+ * @module tools/train-gibberish-model
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/** @constant {string} リポジトリのルート */
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// 交差検証でスコアを加算する尤度（GIBBERISH_CONFIG.MIN_LIKELIHOOD）を使う
+require(path.join(ROOT_DIR, 'scripts', 'brand-checker.js'));
+
+/** @constant {string} 出力先 */
+const OUTPUT_PATH = path.join(ROOT_DIR, 'config', 'gibberish-model.json');
+
+/** @constant {string} 信頼ブランドリスト以外の実在するブランド名（1行1ブランド、学習と較正の陰性に使う） */
+const BRAND_LIST_PATH = path.join(__dirname, 'data', 'brand-names.txt');
+
+/** @constant {string[]} 単語リスト（1行1単語） */
+const WORD_LIST_PATHS = [
+  BRAND_LIST_PATH,
+  path.join(__dirname, 'data', 'english-words.txt'),
+  path.join(__dirname, 'data', 'romaji-words.txt')
+];
+
+/** @constant {string} 転売品に多いブランド名（1行1ブランド、転売品のブランド名らしさの学習と較正の陽性に使う） */
+const JUNK_LIST_PATH = path.join(__dirname, 'data', 'junk-brands.txt');
+
+/** @constant {string} 使用する文字 */
+const ALPHABET = 'abcdefghijklmnopqrstuvwxyz';
+
+/** @constant {string} 単語の開始記号 */
+const START = '^';
+
+/** @constant {string} 単語の終了記号 */
+const END = '$';
+
+/**
+ * 補間の重み（trigram / bigram / unigram）
+ * @constant {{tri: number, bi: number, uni: number}}
+ */
+const LAMBDA = { tri: 0.6, bi: 0.3, uni: 0.1 };
+
+/**
+ * 転売品のブランド名らしさのモデルに混ぜる一様分布の重み
+ * （転売品のブランド名のリストは少ないため、リストにない文字の並びも一様分布で評価する）
+ * @constant {number}
+ */
+const JUNK_UNIFORM_WEIGHT = 0.5;
+
+/** @constant {number} 較正用に生成するランダム文字列の数 */
+const RANDOM_SAMPLE_COUNT = 2000;
+
+/** @constant {number} 交差検証の分割数 */
+const CROSS_VALIDATION_FOLDS = 5;
+
+/** @constant {number} 出力する対数確率の小数桁数 */
+const PRECISION = 2;
+
+/**
+ * 乱数生成器（較正結果を再現できるよう固定シード）
+ * @param {number} seed - シード値
+ * @returns {function(): number} 0以上1未満の乱数を返す関数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * 名前を学習用の単語（英小文字のみ、3文字以上）に分割
+ * @param {string} name - ブランド名・単語
+ * @returns {string[]} 単語の配列
+ */
+function toWords(name) {
+  return name
+    .normalize('NFKC')
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(word => word.length >= 3);
+}
+
+/**
+ * 1行1単語のリストを読み込み
+ * @param {string} listPath - ファイルのパス
+ * @returns {string[]} 単語の配列
+ */
+function readWordList(listPath) {
+  return fs.readFileSync(listPath, 'utf8')
+    .split('\n')
+    .flatMap(toWords);
+}
+
+/**
+ * 学習データを読み込み
+ * @returns {{words: string[], brandWords: string[], sources: Object<string, number>}} 単語・実在するブランド名の単語と入力ごとの件数
+ */
+function loadTrainingWords() {
+  const words = [];
+  const brandWords = [];
+  const sources = {};
+
+  const brandsData = JSON.parse(
+    fs.readFileSync(path.join(ROOT_DIR, 'config', 'trusted-brands.json'), 'utf8')
+  );
+  let brandWordCount = 0;
+  for (const category of Object.values(brandsData.brands || {})) {
+    for (const brand of category.list || []) {
+      const trustedWords = toWords(brand);
+      words.push(...trustedWords);
+      brandWords.push(...trustedWords);
+      brandWordCount += trustedWords.length;
+    }
+  }
+  sources['config/trusted-brands.json'] = brandWordCount;
+
+  for (const listPath of WORD_LIST_PATHS) {
+    const listWords = readWordList(listPath);
+    words.push(...listWords);
+    if (listPath === BRAND_LIST_PATH) {
+      brandWords.push(...listWords);
+    }
+    sources[path.relative(ROOT_DIR, listPath)] = listWords.length;
+  }
+
+  return { words, brandWords, sources };
+}
+
+/**
+ * 文字n-gramの出現回数を数える
+ * @param {string[]} words - 学習用単語
+ * @returns {{tri: Map<string, number>, bi: Map<string, number>, uni: Map<string, number>, context2: Map<string, number>, context1: Map<string, number>, total: number}} カウント
+ */
+function countNgrams(words) {
+  const counts = {
+    tri: new Map(),
+    bi: new Map(),
+    uni: new Map(),
+    context2: new Map(),
+    context1: new Map(),
+    total: 0
+  };
+  const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+  for (const word of words) {
+    const padded = `${START}${START}${word}${END}`;
+    for (let i = 2; i < padded.length; i++) {
+      const c = padded[i];
+      increment(counts.tri, padded.slice(i - 2, i + 1));
+      increment(counts.context2, padded.slice(i - 2, i));
+      increment(counts.bi, padded.slice(i - 1, i + 1));
+      increment(counts.context1, padded[i - 1]);
+      increment(counts.uni, c);
+      counts.total++;
+    }
+  }
+
+  return counts;
+}
+
+/**
+ * 補間した条件付き確率のテーブルを作成
+ * @param {Object} counts - countNgramsの結果
+ * @returns {{trigrams: Object<string, number>, bigrams: Object<string, number>}} 対数確率のテーブル
+ *   trigrams: 学習データに現れた3文字の対数確率
+ *   bigrams: 学習データにない3文字のための2文字単位の対数確率（末尾1文字 + 次の文字）
+ */
+function buildTables(counts) {
+  const targets = `${ALPHABET}${END}`;
+  const contexts = `${START}${ALPHABET}`;
+  const round = value => Number(value.toFixed(PRECISION));
+
+  // unigram（加算スムージングで未出現の文字にも確率を残す）
+  const uniProb = {};
+  for (const c of targets) {
+    uniProb[c] = ((counts.uni.get(c) || 0) + 1) / (counts.total + targets.length);
+  }
+
+  // bigram + unigram の補間（学習データにない3文字のバックオフ用）
+  const biProb = {};
+  const bigrams = {};
+  for (const a of contexts) {
+    const contextCount = counts.context1.get(a) || 0;
+    for (const c of targets) {
+      const pBi = contextCount > 0 ? (counts.bi.get(a + c) || 0) / contextCount : 0;
+      const p = (LAMBDA.bi * pBi + LAMBDA.uni * uniProb[c]) / (LAMBDA.bi + LAMBDA.uni);
+      biProb[a + c] = p;
+      bigrams[a + c] = round(Math.log(LAMBDA.bi * pBi + LAMBDA.uni * uniProb[c]));
+    }
+  }
+
+  // 学習データに現れた3文字のみ保存する
+  const trigrams = {};
+  for (const [trigram, count] of counts.tri) {
+    const pTri = count / counts.context2.get(trigram.slice(0, 2));
+    const p = LAMBDA.tri * pTri + (LAMBDA.bi + LAMBDA.uni) * biProb[trigram.slice(1)];
+    trigrams[trigram] = round(Math.log(p));
+  }
+
+  return { trigrams, bigrams };
+}
+
+/**
+ * 転売品のブランド名らしさの確率テーブルを作成（一様分布と混合する）
+ * @param {string[]} junkWords - 転売品に多いブランド名の単語
+ * @returns {{trigrams: Object<string, number>, bigrams: Object<string, number>}} 対数確率のテーブル（buildTablesと同じ形式）
+ */
+function buildJunkTables(junkWords) {
+  const tables = buildTables(countNgrams(junkWords));
+  const uniform = 1 / (ALPHABET.length + 1);
+  const mix = logProb => Number(Math.log(
+    (1 - JUNK_UNIFORM_WEIGHT) * Math.exp(logProb) + JUNK_UNIFORM_WEIGHT * uniform
+  ).toFixed(PRECISION));
+
+  const mixTable = table => Object.fromEntries(Object.entries(table).map(([key, logProb]) => [key, mix(logProb)]));
+  return { trigrams: mixTable(tables.trigrams), bigrams: mixTable(tables.bigrams) };
+}
+
+/**
+ * 単語の1文字あたり平均対数確率を計算（BrandChecker.getGibberishLikelihoodと同じ計算）
+ * @param {string} word - 英小文字の単語
+ * @param {{trigrams: Object<string, number>, bigrams: Object<string, number>}} tables - 確率テーブル
+ * @returns {number} 平均対数確率
+ */
+function averageLogProb(word, tables) {
+  const padded = `${START}${START}${word}${END}`;
+  let total = 0;
+  for (let i = 2; i < padded.length; i++) {
+    const trigram = padded.slice(i - 2, i + 1);
+    total += tables.trigrams[trigram] ?? tables.bigrams[trigram.slice(1)];
+  }
+  return total / (padded.length - 2);
+}
+
+/**
+ * 実在の名前らしさと転売品のブランド名らしさの差を計算（BrandChecker.getGibberishLikelihoodと同じ計算）
+ * @param {string} word - 英小文字の単語
+ * @param {{tables: Object, junkTables: Object}} model - 2つの確率テーブル
+ * @returns {number} 平均対数確率の差（小さいほどランダムな文字列・転売品のブランド名らしい）
+ */
+function scoreWord(word, model) {
+  return averageLogProb(word, model.tables) - averageLogProb(word, model.junkTables);
+}
+
+/**
+ * 較正用のランダムな文字列を生成（固定シードで毎回同じ）
+ * @returns {string[]} 4〜9文字のランダムな文字列
+ */
+function generateRandomWords() {
+  const random = createRandom(20260201);
+  const words = [];
+  for (let i = 0; i < RANDOM_SAMPLE_COUNT; i++) {
+    const length = 4 + Math.floor(random() * 6);
+    let word = '';
+    for (let j = 0; j < length; j++) {
+      word += ALPHABET[Math.floor(random() * ALPHABET.length)];
+    }
+    words.push(word);
+  }
+  return words;
+}
+
+/**
+ * 学習用の単語から2つの確率テーブルを作成
+ * @param {string[]} words - 実在の名前の単語
+ * @param {string[]} junkWords - 転売品に多いブランド名の単語
+ * @returns {{tables: Object, junkTables: Object}} 確率テーブル
+ */
+function train(words, junkWords) {
+  return {
+    tables: buildTables(countNgrams(words)),
+    junkTables: buildJunkTables(junkWords)
+  };
+}
+
+/**
+ * 実在するブランド名（陰性）と、ランダムな文字列・転売品に多いブランド名（陽性）の分布から判定の閾値と傾きを求める
+ * @param {string[]} brandWords - 実在するブランド名の単語
+ * @param {string[]} junkWords - 転売品に多いブランド名の単語
+ * @param {{tables: Object, junkTables: Object}} model - 確率テーブル
+ * @returns {{threshold: number, scale: number, brandMean: number, randomMean: number, accuracy: number}} 較正結果
+ */
+function calibrate(brandWords, junkWords, model) {
+  const randomScores = generateRandomWords().map(word => scoreWord(word, model));
+  const positiveScores = [...randomScores, ...junkWords.map(word => scoreWord(word, model))];
+  const brandScores = brandWords.filter(word => word.length >= 4).map(word => scoreWord(word, model));
+
+  // 誤判定が最も少なくなる境界を探す
+  const candidates = [...brandScores, ...positiveScores].sort((a, b) => a - b);
+  let best = { threshold: 0, errors: Infinity };
+  for (const threshold of candidates) {
+    const errors = brandScores.filter(s => s < threshold).length +
+                   positiveScores.filter(s => s >= threshold).length;
+    if (errors < best.errors) {
+      best = { threshold, errors };
+    }
+  }
+
+  const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+  const brandMean = mean(brandScores);
+  const randomMean = mean(randomScores);
+
+  return {
+    threshold: Number(best.threshold.toFixed(3)),
+    // 閾値から両分布の平均の中間までで尤度がおよそ0.1〜0.9に変化する傾き
+    scale: Number(((brandMean - randomMean) / 8).toFixed(3)),
+    brandMean: Number(brandMean.toFixed(3)),
+    randomMean: Number(randomMean.toFixed(3)),
+    accuracy: Number((1 - best.errors / (brandScores.length + positiveScores.length)).toFixed(3))
+  };
+}
+
+/**
+ * 学習に使っていない名前での判定精度を交差検証で求める
+ * 実在するブランド名・転売品に多いブランド名をそれぞれ分割し、1つを除いて学習・較正したモデルで除いた名前を判定する
+ * （尤度がBrandChecker.GIBBERISH_CONFIG.MIN_LIKELIHOOD以上、つまりスコアを加算する名前を陽性とする）
+ * @param {string[]} words - 学習用の単語（実在するブランド名を含む）
+ * @param {string[]} brandWords - 実在するブランド名の単語
+ * @param {string[]} junkWords - 転売品に多いブランド名の単語
+ * @returns {{brands: number, brandErrors: string[], junk: number, junkMisses: string[]}} 判定を誤った名前
+ */
+function crossValidate(words, brandWords, junkWords) {
+  const uniqueBrands = [...new Set(brandWords.filter(word => word.length >= 4))];
+  const uniqueJunk = [...new Set(junkWords.filter(word => word.length >= 4))];
+  const minLikelihood = globalThis.BrandChecker.GIBBERISH_CONFIG.MIN_LIKELIHOOD;
+  const brandErrors = [];
+  const junkMisses = [];
+
+  for (let fold = 0; fold < CROSS_VALIDATION_FOLDS; fold++) {
+    const inFold = (_, index) => index % CROSS_VALIDATION_FOLDS === fold;
+    const heldBrands = new Set(uniqueBrands.filter(inFold));
+    const heldJunk = new Set(uniqueJunk.filter(inFold));
+    const trainJunk = junkWords.filter(word => !heldJunk.has(word));
+    const model = train(words.filter(word => !heldBrands.has(word)), trainJunk);
+    const { threshold, scale } = calibrate(brandWords.filter(word => !heldBrands.has(word)), trainJunk, model);
+    const isFlagged = word => 1 / (1 + Math.exp((scoreWord(word, model) - threshold) / scale)) >= minLikelihood;
+
+    heldBrands.forEach(word => { if (isFlagged(word)) brandErrors.push(word); });
+    heldJunk.forEach(word => { if (!isFlagged(word)) junkMisses.push(word); });
+  }
+
+  return { brands: uniqueBrands.length, brandErrors, junk: uniqueJunk.length, junkMisses };
+}
+
+/**
+ * モデルを学習してファイルに出力
+ */
+function main() {
+  const { words, brandWords, sources } = loadTrainingWords();
+  const junkWords = readWordList(JUNK_LIST_PATH);
+  const { tables, junkTables } = train(words, junkWords);
+  const calibration = calibrate(brandWords, junkWords, { tables, junkTables });
+  const validation = crossValidate(words, brandWords, junkWords);
+
+  const model = {
+    version: '1.0.0',
+    metadata: {
+      name: 'Gibberish Brand Model',
+      description: 'ブランド名のランダム文字列らしさを判定する文字trigramモデル（tools/train-gibberish-model.jsで生成）。' +
+        'trigrams/bigramsは実在の名前らしさ、junkは転売品のブランド名らしさ（一様分布と混合）で、平均対数確率の差を較正して尤度にする',
+      sources: { ...sources, [path.relative(ROOT_DIR, JUNK_LIST_PATH)]: junkWords.length },
+      word_count: words.length
+    },
+    start: START,
+    end: END,
+    min_length: 4,
+    calibration: {
+      threshold: calibration.threshold,
+      scale: calibration.scale
+    },
+    trigrams: tables.trigrams,
+    bigrams: tables.bigrams,
+    junk: junkTables
+  };
+
+  fs.writeFileSync(OUTPUT_PATH, `${JSON.stringify(model)}\n`);
+
+  console.log(`[train-gibberish-model] ${words.length} words, ${Object.keys(tables.trigrams).length} trigrams`);
+  console.log('[train-gibberish-model] calibration:', calibration);
+  console.log(`[train-gibberish-model] cross-validation: real brands ${validation.brandErrors.length}/${validation.brands} flagged` +
+    `, junk brands ${validation.junkMisses.length}/${validation.junk} missed`);
+  console.log('[train-gibberish-model]   flagged real brands:', validation.brandErrors.join(', ') || '-');
+  console.log('[train-gibberish-model]   missed junk brands:', validation.junkMisses.join(', ') || '-');
+  console.log(`[train-gibberish-model] wrote ${path.relative(ROOT_DIR, OUTPUT_PATH)}`);
+}
+
+main();
@@ -0,0 +1,508 @@
+#!/usr/bin/env node
+/**
+ * Clean Amazon Search - タイトル分類器の学習スクリプト
+ * @fileoverview ラベル付きのタイトル（CSV）から文字n-gramのナイーブベイズ分類器を学習し、
+ * config/title-classifier.json に出力する。交差検証で評価レポートを作成し、確率の較正にも使う。
+ * 学習データを更新したら再実行する。
+ *
+ * 使い方:
+ *   node tools/train-title-classifier.js [CSVのパス] [--labels calibration-labels-YYYY-MM-DD.json ...]
+ *     [--folds 5] [--report レポートの出力先.md] [--enable]
+ *
+ * CSVは1行目がヘッダー（label,title）。labelは junk（怪しい出品）か good（問題のない出品）。
+ * タイトルにカンマを含む場合は "ダブルクォート" で囲む。
+ *
+ * --labels には詳細設定ページ「判定の較正」で書き出したJSON（実際の検索結果でユーザーがラベルを付けた出品）を指定する。
+ * 複数指定でき、CSVと同じタイトルは1件として数える。
+ *
+ * --enable を付けない場合、出力する重みはスコアに加算されない（確率の計算のみ）。
+ * CSVは手書きの例のため、--enable は --labels で実際の出品のラベルを1つ以上加えたときだけ指定できる。
+ *
+ * @module tools/train-title-classifier
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/** @constant {string} リポジトリのルート */
+const ROOT_DIR = path.resolve(__dirname, '..');
+
+// 拡張機能と同じ正規化・n-gramを使う（グローバルに公開される）
+require(path.join(ROOT_DIR, 'scripts', 'text-normalizer.js'));
+require(path.join(ROOT_DIR, 'scripts', 'title-classifier.js'));
+
+/** @constant {string} 学習データのデフォルト */
+const DEFAULT_INPUT_PATH = path.join(__dirname, 'data', 'title-labels.csv');
+
+/** @constant {string} 出力先 */
+const OUTPUT_PATH = path.join(ROOT_DIR, 'config', 'title-classifier.json');
+
+/** @constant {number[]} n-gramの文字数 */
+const NGRAM_SIZES = [2, 3];
+
+/** @constant {number} 加算スムージングの値 */
+const ALPHA = 1;
+
+/** @constant {number} 重みを残すn-gramの最小出現タイトル数（1件だけのn-gramは固有名詞の丸暗記になるため） */
+const MIN_DOC_COUNT = 2;
+
+/** @constant {number} 出力する重みの小数桁数 */
+const PRECISION = 2;
+
+/** @constant {number} 出力ファイルの上限（拡張機能のサイズを抑えるため。超える分は重みの小さいn-gramから削る） */
+const MAX_OUTPUT_BYTES = 64 * 1024;
+
+/** @constant {number} 交差検証の分割数のデフォルト */
+const DEFAULT_FOLDS = 5;
+
+/**
+ * n-gramを作る前にタイトルから取り除く語（色など、出品の良し悪しではなく商品のバリエーションを表す属性）
+ * 少ない学習データではこうした語が偶然どちらかのラベルに偏り、分類の根拠になってしまうため
+ * @constant {string[]}
+ */
+const IGNORED_WORDS = [
+  'ブラック', 'ホワイト', 'グレー', 'グレイ', 'シルバー', 'ゴールド', 'ネイビー', 'ブルー', 'レッド', 'ピンク',
+  'グリーン', 'イエロー', 'オレンジ', 'パープル', 'ブラウン', 'ベージュ', 'アイボリー', 'カーキ', 'ローズゴールド',
+  '灰色', '金色', '銀色', '茶色',
+  'black', 'white', 'gray', 'grey', 'silver', 'gold', 'navy', 'blue', 'red', 'pink',
+  'green', 'yellow', 'orange', 'purple', 'brown', 'beige', 'ivory', 'khaki'
+];
+
+/**
+ * 判定のスコア（確率の高い段階から当てはめる）
+ * 学習データが少ないうちは他のチェッカーより控えめにする
+ * @constant {{min_length: number, tiers: Array<{min_probability: number, score: number}>}}
+ */
+const SCORING = {
+  enabled: false,
+  min_length: 15,
+  tiers: [
+    { min_probability: 0.9, score: 15 },
+    { min_probability: 0.75, score: 8 }
+  ]
+};
+
+/**
+ * 乱数生成器（分割を再現できるよう固定シード）
+ * @param {number} seed - シード値
+ * @returns {function(): number} 0以上1未満の乱数を返す関数
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * コマンドライン引数を解析
+ * @param {string[]} argv - 引数
+ * @returns {{inputPath: string, labelPaths: string[], folds: number, reportPath: string|null, enabled: boolean}} オプション
+ */
+function parseArgs(argv) {
+  const options = { inputPath: DEFAULT_INPUT_PATH, labelPaths: [], folds: DEFAULT_FOLDS, reportPath: null, enabled: SCORING.enabled };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--labels') {
+      options.labelPaths.push(path.resolve(argv[++i]));
+    } else if (argv[i] === '--folds') {
+      options.folds = Number(argv[++i]);
+    } else if (argv[i] === '--report') {
+      options.reportPath = path.resolve(argv[++i]);
+    } else if (argv[i] === '--enable') {
+      options.enabled = true;
+    } else {
+      options.inputPath = path.resolve(argv[i]);
+    }
+  }
+  if (!Number.isInteger(options.folds) || options.folds < 2) {
+    throw new Error('--folds には2以上の整数を指定してください');
+  }
+  if (options.enabled && options.labelPaths.length === 0) {
+    throw new Error('--enable は --labels で実際の出品のラベルを加えたときだけ指定できます');
+  }
+  return options;
+}
+
+/**
+ * CSVを解析（ダブルクォートで囲んだ値・値の中の "" に対応）
+ * @param {string} text - CSVの内容
+ * @returns {string[][]} 行ごとの値
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let value = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        value += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(value);
+      value = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(value);
+      rows.push(row);
+      row = [];
+      value = '';
+    } else {
+      value += c;
+    }
+  }
+  if (value !== '' || row.length > 0) {
+    row.push(value);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * 学習データを読み込み
+ * @param {string} inputPath - CSVのパス
+ * @returns {Array<{title: string, target: number}>} タイトルと正解（junk=1、good=0）
+ * @throws {Error} ヘッダーやラベルが不正な場合
+ */
+function loadSamples(inputPath) {
+  const [header, ...rows] = parseCsv(fs.readFileSync(inputPath, 'utf8').replace(/^\uFEFF/, ''));
+  const labelIndex = header.indexOf('label');
+  const titleIndex = header.indexOf('title');
+  if (labelIndex === -1 || titleIndex === -1) {
+    throw new Error('CSVの1行目は label,title のヘッダーにしてください');
+  }
+
+  return rows.map((cells, index) => {
+    const label = (cells[labelIndex] || '').trim();
+    const title = (cells[titleIndex] || '').trim();
+    if ((label !== 'junk' && label !== 'good') || !title) {
+      throw new Error(`${index + 2}行目: labelは junk か good、titleは空にできません`);
+    }
+    return { title, target: label === 'junk' ? 1 : 0 };
+  });
+}
+
+/**
+ * 詳細設定ページで書き出したラベル（判定の較正）を読み込み
+ * @param {string} labelPath - JSONのパス（{ samples: [{ label, features: { title } }] }）
+ * @returns {Array<{title: string, target: number}>} タイトルと正解（junk=1、good=0）。タイトルのないラベルは除く
+ * @throws {Error} samplesがない場合
+ */
+function loadLabelSamples(labelPath) {
+  const data = JSON.parse(fs.readFileSync(labelPath, 'utf8'));
+  if (!Array.isArray(data.samples)) {
+    throw new Error(`${path.basename(labelPath)}: 判定の較正で書き出したJSON（samples）を指定してください`);
+  }
+
+  return data.samples
+    .filter(sample => (sample.label === 'junk' || sample.label === 'good') && sample.features?.title)
+    .map(sample => ({ title: sample.features.title.trim(), target: sample.label === 'junk' ? 1 : 0 }));
+}
+
+/**
+ * 学習データを結合（同じタイトルは最初の1件だけ残す）
+ * @param {Array<Array<{title: string, target: number}>>} groups - 読み込んだ学習データ
+ * @returns {Array<{title: string, target: number}>} 結合した学習データ
+ */
+function mergeSamples(groups) {
+  const seen = new Set();
+  const merged = [];
+  for (const sample of groups.flat()) {
+    if (seen.has(sample.title)) continue;
+    seen.add(sample.title);
+    merged.push(sample);
+  }
+  return merged;
+}
+
+/**
+ * 取り除く語を正規化（タイトルと同じ正規化をしてから照合するため）
+ * @returns {string[]} 正規化した語（長い語から順に取り除く）
+ */
+function getIgnoredWords() {
+  return [...new Set(IGNORED_WORDS.map(word => TitleClassifier.normalize(word)))]
+    .sort((a, b) => b.length - a.length || (a < b ? -1 : 1));
+}
+
+/**
+ * ナイーブベイズの重みを学習
+ * 各n-gramの重みは「怪しい出品での出現確率」と「問題のない出品での出現確率」の対数比
+ * @param {Array<{title: string, target: number}>} samples - 学習データ
+ * @returns {{bias: number, weights: Object<string, number>, counts: Map<string, {junk: number, good: number}>}} 重み（丸める前）と出現タイトル数
+ */
+function train(samples) {
+  const counts = new Map();
+  const totals = { junk: 0, good: 0 };
+  const docs = { junk: 0, good: 0 };
+
+  for (const { title, target } of samples) {
+    const key = target === 1 ? 'junk' : 'good';
+    docs[key]++;
+    for (const ngram of TitleClassifier.getNgrams(title, NGRAM_SIZES, getIgnoredWords())) {
+      if (!counts.has(ngram)) {
+        counts.set(ngram, { junk: 0, good: 0 });
+      }
+      counts.get(ngram)[key]++;
+      totals[key]++;
+    }
+  }
+
+  const vocabularySize = counts.size;
+  const weights = {};
+  for (const [ngram, count] of counts) {
+    if (count.junk + count.good < MIN_DOC_COUNT) continue;
+    const pJunk = (count.junk + ALPHA) / (totals.junk + ALPHA * vocabularySize);
+    const pGood = (count.good + ALPHA) / (totals.good + ALPHA * vocabularySize);
+    weights[ngram] = Math.log(pJunk / pGood);
+  }
+
+  return { bias: Math.log((docs.junk + ALPHA) / (docs.good + ALPHA)), weights, counts };
+}
+
+/**
+ * 対数オッズを確率に較正する傾きと切片を求める（Plattスケーリング、勾配降下法）
+ * @param {Array<{logOdds: number, target: number}>} predictions - 交差検証の予測
+ * @returns {{scale: number, offset: number}} 傾きと切片
+ */
+function fitCalibration(predictions) {
+  let scale = 1;
+  let offset = 0;
+  const learningRate = 0.01;
+
+  for (let iteration = 0; iteration < 2000; iteration++) {
+    let gradScale = 0;
+    let gradOffset = 0;
+    for (const { logOdds, target } of predictions) {
+      const p = 1 / (1 + Math.exp(-(scale * logOdds + offset)));
+      gradScale += (p - target) * logOdds;
+      gradOffset += p - target;
+    }
+    scale -= learningRate * gradScale / predictions.length;
+    offset -= learningRate * gradOffset / predictions.length;
+  }
+
+  return { scale: Number(scale.toFixed(4)), offset: Number(offset.toFixed(4)) };
+}
+
+/**
+ * 交差検証（ラベルごとに均等に分割）で、学習に使っていないタイトルの対数オッズを求める
+ * @param {Array<{title: string, target: number}>} samples - 学習データ
+ * @param {number} folds - 分割数
+ * @returns {Array<{title: string, target: number, logOdds: number}>} 予測
+ */
+function crossValidate(samples, folds) {
+  const random = createRandom(20260201);
+  const foldOf = new Map();
+  for (const target of [0, 1]) {
+    const group = samples.filter(sample => sample.target === target);
+    for (let i = group.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [group[i], group[j]] = [group[j], group[i]];
+    }
+    group.forEach((sample, index) => foldOf.set(sample, index % folds));
+  }
+
+  const predictions = [];
+  for (let fold = 0; fold < folds; fold++) {
+    const { bias, weights } = train(samples.filter(sample => foldOf.get(sample) !== fold));
+    const model = { ngram_sizes: NGRAM_SIZES, ignored_words: getIgnoredWords(), bias, weights, calibration: { scale: 1, offset: 0 } };
+    for (const sample of samples.filter(item => foldOf.get(item) === fold)) {
+      predictions.push({ ...sample, logOdds: TitleClassifier.classify(sample.title, model).logOdds });
+    }
+  }
+  return predictions;
+}
+
+/**
+ * 確率の閾値ごとの混同行列と適合率・再現率
+ * @param {Array<{target: number, probability: number}>} predictions - 較正済みの予測
+ * @param {number} threshold - 怪しいと判定する確率の下限
+ * @returns {{threshold: number, tp: number, fp: number, fn: number, tn: number, precision: number|null, recall: number|null, accuracy: number}} 評価
+ */
+function evaluateAt(predictions, threshold) {
+  const counts = { tp: 0, fp: 0, fn: 0, tn: 0 };
+  for (const { target, probability } of predictions) {
+    const flagged = probability >= threshold;
+    if (target === 1) counts[flagged ? 'tp' : 'fn']++;
+    else counts[flagged ? 'fp' : 'tn']++;
+  }
+  const ratio = (numerator, denominator) => (denominator > 0 ? Number((numerator / denominator).toFixed(3)) : null);
+  return {
+    threshold,
+    ...counts,
+    precision: ratio(counts.tp, counts.tp + counts.fp),
+    recall: ratio(counts.tp, counts.tp + counts.fn),
+    accuracy: ratio(counts.tp + counts.tn, predictions.length)
+  };
+}
+
+/**
+ * 重みを丸め、出力ファイルがサイズの上限に収まるように重みの大きいn-gramから残す
+ * @param {Object<string, number>} weights - 重み
+ * @param {number} budget - 重みに使えるバイト数
+ * @returns {Object<string, number>} 出力する重み
+ */
+function selectWeights(weights, budget) {
+  const entries = Object.entries(weights)
+    .map(([ngram, weight]) => [ngram, Number(weight.toFixed(PRECISION))])
+    .filter(([, weight]) => weight !== 0)
+    .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]) || (a[0] < b[0] ? -1 : 1));
+
+  const selected = {};
+  let bytes = 0;
+  for (const [ngram, weight] of entries) {
+    const entryBytes = Buffer.byteLength(`${JSON.stringify(ngram)}:${weight},`);
+    if (bytes + entryBytes > budget) break;
+    selected[ngram] = weight;
+    bytes += entryBytes;
+  }
+  return selected;
+}
+
+/**
+ * 評価レポート（Markdown）を作成
+ * @param {Object} report - 評価結果
+ * @returns {string} Markdown
+ */
+function formatReport(report) {
+  const rate = value => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+  const lines = [
+    '# タイトル分類器の評価レポート',
+    '',
+    `- 学習データ: ${report.sources.map(source => `\`${source}\``).join('・')}（怪しい ${report.samples.junk}件・問題なし ${report.samples.good}件）`,
+    `- 実際の出品のラベル: ${report.labelSources.length > 0 ? report.labelSources.map(source => `\`${source}\``).join('・') : 'なし（手書きの例のみ。--labels で判定の較正のラベルを加える）'}`,
+    `- 取り除く語: ${report.ignoredWordCount}語（色などの属性）`,
+    `- 交差検証: ${report.folds}分割（ラベルごとに均等に分割）`,
+    `- 重み: ${report.featureCount}個のn-gram（${NGRAM_SIZES.join('・')}文字）/ 出力 ${(report.outputBytes / 1024).toFixed(1)}KB`,
+    `- 確率の較正: 傾き ${report.calibration.scale} / 切片 ${report.calibration.offset}`,
+    `- 対数損失（交差検証・較正後）: ${report.logLoss.toFixed(3)}`,
+    `- スコアへの加算: ${report.enabled ? '有効' : '無効（確率の計算のみ。--labels と --enable で有効）'}`,
+    '',
+    '## 閾値ごとの判定（交差検証）',
+    '',
+    '| 確率の閾値 | 検出 | 誤検出 | 見逃し | 正しく通過 | 適合率 | 再現率 | 正解率 |',
+    '|-----------|------|--------|--------|-----------|--------|--------|--------|'
+  ];
+  for (const row of report.thresholds) {
+    lines.push(`| ${row.threshold} | ${row.tp} | ${row.fp} | ${row.fn} | ${row.tn} | ${rate(row.precision)} | ${rate(row.recall)} | ${rate(row.accuracy)} |`);
+  }
+
+  lines.push('', '## 怪しい出品に多いn-gram', '');
+  lines.push(report.topJunk.map(([ngram, weight]) => `\`${ngram}\` (${weight})`).join(' / '));
+  lines.push('', '## 問題のない出品に多いn-gram', '');
+  lines.push(report.topGood.map(([ngram, weight]) => `\`${ngram}\` (${weight})`).join(' / '));
+
+  if (report.errors.length > 0) {
+    lines.push('', '## 誤判定（交差検証・確率0.5）', '');
+    for (const { target, probability, title } of report.errors) {
+      lines.push(`- [${target === 1 ? 'junk' : 'good'}] ${(probability * 100).toFixed(0)}% ${title}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * 分類器を学習してファイルに出力
+ */
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const samples = mergeSamples([
+    loadSamples(options.inputPath),
+    ...options.labelPaths.map(labelPath => loadLabelSamples(labelPath))
+  ]);
+  const sources = [options.inputPath, ...options.labelPaths].map(source => path.relative(ROOT_DIR, source));
+  const sampleCounts = {
+    junk: samples.filter(sample => sample.target === 1).length,
+    good: samples.filter(sample => sample.target === 0).length
+  };
+  if (sampleCounts.junk < options.folds || sampleCounts.good < options.folds) {
+    throw new Error(`各ラベルに${options.folds}件以上のタイトルが必要です（junk ${sampleCounts.junk}件・good ${sampleCounts.good}件）`);
+  }
+
+  // 交差検証の予測で確率を較正し、評価する
+  const rawPredictions = crossValidate(samples, options.folds);
+  const calibration = fitCalibration(rawPredictions);
+  const predictions = rawPredictions.map(prediction => ({
+    ...prediction,
+    probability: 1 / (1 + Math.exp(-(calibration.scale * prediction.logOdds + calibration.offset)))
+  }));
+  const logLoss = predictions.reduce((sum, { target, probability }) => {
+    const p = Math.min(Math.max(probability, 1e-6), 1 - 1e-6);
+    return sum - (target === 1 ? Math.log(p) : Math.log(1 - p));
+  }, 0) / predictions.length;
+
+  // 全データで学習して出力
+  const { bias, weights } = train(samples);
+  const model = {
+    version: '1.0.0',
+    metadata: {
+      name: 'Title Classifier',
+      description: '商品タイトルの文字n-gramによるナイーブベイズ分類器（tools/train-title-classifier.jsで生成）',
+      source: sources,
+      samples: sampleCounts,
+      evaluation: {
+        folds: options.folds,
+        log_loss: Number(logLoss.toFixed(3)),
+        tiers: SCORING.tiers.map(tier => evaluateAt(predictions, tier.min_probability))
+      }
+    },
+    ngram_sizes: NGRAM_SIZES,
+    ignored_words: getIgnoredWords(),
+    scoring: { ...SCORING, enabled: options.enabled },
+    calibration,
+    bias: Number(bias.toFixed(4)),
+    weights: {}
+  };
+
+  const baseBytes = Buffer.byteLength(`${JSON.stringify(model)}\n`);
+  model.weights = selectWeights(weights, MAX_OUTPUT_BYTES - baseBytes);
+  const json = `${JSON.stringify(model)}\n`;
+  fs.writeFileSync(OUTPUT_PATH, json);
+
+  const sortedWeights = Object.entries(model.weights).sort((a, b) => b[1] - a[1]);
+  const report = {
+    sources,
+    labelSources: sources.slice(1),
+    ignoredWordCount: getIgnoredWords().length,
+    samples: sampleCounts,
+    folds: options.folds,
+    enabled: options.enabled,
+    featureCount: sortedWeights.length,
+    outputBytes: Buffer.byteLength(json),
+    calibration,
+    logLoss,
+    thresholds: [0.5, ...SCORING.tiers.map(tier => tier.min_probability)]
+      .sort((a, b) => a - b)
+      .map(threshold => evaluateAt(predictions, threshold)),
+    topJunk: sortedWeights.slice(0, 15),
+    topGood: sortedWeights.slice(-15).reverse(),
+    errors: predictions.filter(({ target, probability }) => (probability >= 0.5 ? 1 : 0) !== target)
+  };
+  const markdown = formatReport(report);
+
+  console.log(markdown);
+  if (options.reportPath) {
+    fs.writeFileSync(options.reportPath, markdown);
+    console.log(`[train-title-classifier] wrote report ${path.relative(process.cwd(), options.reportPath)}`);
+  }
+  console.log(`[train-title-classifier] wrote ${path.relative(ROOT_DIR, OUTPUT_PATH)} (${(report.outputBytes / 1024).toFixed(1)}KB)`);
+}
+
+main();